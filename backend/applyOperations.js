@@ -0,0 +1,612 @@
+/**
+ * Headless Application of AI Edit Operations
+ *
+ * Applies the operations of diagramOperations.js to BPMN XML without an
+ * editor, for the command line tool and for making diagrams executable. It
+ * is the counterpart of the editor's aiOperations.js: the semantic changes
+ * are made on the moddle tree, and elements that were added or moved to
+ * another lane are positioned by the auto layout next to the elements they
+ * are connected to.
+ *
+ * Operations are expected to be validated with validateOperations first;
+ * anything that still cannot be applied throws an error naming the
+ * operation.
+ */
+
+const crypto = require('crypto');
+const BpmnModdle = require('bpmn-moddle');
+const { layoutMissingElements } = require('./autoLayout');
+const {
+  ZEEBE_NS,
+  isZeebeDefinitions,
+  getZeebeExtensions,
+  declareZeebeNamespaces,
+  buildCamundaForm,
+  getTimerProperty
+} = require('./zeebe');
+const { METRICS_NS, METRICS_PREFIX, METRIC_TYPES, getMetricsPrefix } = require('./processSimulation');
+
+const moddle = new BpmnModdle();
+
+const CAMUNDA_NS = 'http://camunda.org/schema/1.0/bpmn';
+
+/**
+ * Generate an ID in the style of bpmn-js, e.g. Activity_1a2b3c4
+ *
+ * @param {string} elementType - BPMN type, e.g. bpmn:UserTask
+ */
+function generateId(elementType) {
+  const prefix = elementType.endsWith('Task') ? 'Activity' : elementType.replace(/^bpmn:/, '');
+
+  return `${prefix}_${crypto.randomBytes(4).toString('hex').slice(0, 7)}`;
+}
+
+/**
+ * Remove an element from the collection of its parent that contains it
+ *
+ * @param {Object} element - Moddle element with $parent
+ */
+function detach(element) {
+  const parent = element.$parent;
+
+  (parent?.$descriptor.properties || [])
+    .filter(property => property.isMany)
+    .forEach(property => {
+      const list = parent.get(property.name);
+      const index = list.indexOf(element);
+
+      if (index !== -1) {
+        list.splice(index, 1);
+      }
+    });
+}
+
+function removeFrom(list, element) {
+  const index = (list || []).indexOf(element);
+
+  if (index !== -1) {
+    list.splice(index, 1);
+  }
+}
+
+/**
+ * Get the process (or sub-process) whose flow elements a lane organizes
+ *
+ * @param {Object} lane - bpmn:Lane
+ */
+function getLaneContainer(lane) {
+  let parent = lane.$parent;
+
+  while (parent && (parent.$instanceOf('bpmn:LaneSet') || parent.$instanceOf('bpmn:Lane'))) {
+    parent = parent.$parent;
+  }
+
+  return parent;
+}
+
+/**
+ * Get all lanes of a process, including nested ones
+ *
+ * @param {Object} container - Process or sub-process
+ */
+function getLanes(container) {
+  const lanes = [];
+
+  const visit = (laneSet) => (laneSet?.lanes || []).forEach(lane => {
+    lanes.push(lane);
+    visit(lane.childLaneSet);
+  });
+
+  (container.laneSets || []).forEach(visit);
+
+  return lanes;
+}
+
+/**
+ * Look up an element of the diagram being changed
+ *
+ * @param {Object} context - Diagram being changed (see applyOperations)
+ * @param {string} id - Element ID
+ */
+function getElement(context, id) {
+  const element = context.elements.get(id);
+
+  if (!element) {
+    throw new Error(`unknown element <${id}>`);
+  }
+
+  return element;
+}
+
+/**
+ * Process new flow nodes are added to: the one of the first pool, or the first process
+ */
+function getDefaultContainer(context) {
+  const participant = (context.collaboration?.participants || []).find(candidate => candidate.processRef);
+  const container = participant?.processRef ||
+    (context.definitions.rootElements || []).find(element => element.$instanceOf('bpmn:Process'));
+
+  if (!container) {
+    throw new Error('the diagram has no process');
+  }
+
+  return container;
+}
+
+function addShape(context, operation) {
+  const after = operation.after && getElement(context, operation.after);
+  const lane = operation.laneId && getElement(context, operation.laneId);
+  const element = moddle.create(operation.elementType, { id: operation.id || generateId(operation.elementType) });
+
+  if (operation.name) {
+    rename(element, operation.name);
+  }
+
+  const container = lane ? getLaneContainer(lane) : after ? after.$parent : getDefaultContainer(context);
+
+  element.$parent = container;
+
+  if (element.$instanceOf('bpmn:Artifact')) {
+    container.get('artifacts').push(element);
+  } else {
+    container.get('flowElements').push(element);
+  }
+
+  // Like on the canvas, a shape placed after another one ends up in its lane
+  const targetLane = lane || (after && getLanes(container).find(candidate => (candidate.flowNodeRef || []).includes(after)));
+
+  if (targetLane && element.$instanceOf('bpmn:FlowNode')) {
+    targetLane.get('flowNodeRef').push(element);
+  }
+
+  context.elements.set(element.id, element);
+}
+
+function connect(context, operation) {
+  const source = getElement(context, operation.sourceId);
+  const target = getElement(context, operation.targetId);
+
+  if (source.$parent === target.$parent && source.$instanceOf('bpmn:FlowNode') && target.$instanceOf('bpmn:FlowNode')) {
+    const flow = moddle.create('bpmn:SequenceFlow', {
+      id: operation.id || generateId('bpmn:SequenceFlow'),
+      name: operation.name,
+      sourceRef: source,
+      targetRef: target
+    });
+
+    if (operation.condition) {
+      flow.conditionExpression = moddle.create('bpmn:FormalExpression', { body: operation.condition });
+    }
+
+    flow.$parent = source.$parent;
+    source.$parent.get('flowElements').push(flow);
+    source.get('outgoing').push(flow);
+    target.get('incoming').push(flow);
+    context.elements.set(flow.id, flow);
+    return;
+  }
+
+  // Elements of different pools exchange messages
+  if (context.collaboration && source.$parent !== target.$parent) {
+    const flow = moddle.create('bpmn:MessageFlow', {
+      id: operation.id || generateId('bpmn:MessageFlow'),
+      name: operation.name,
+      sourceRef: source,
+      targetRef: target
+    });
+
+    flow.$parent = context.collaboration;
+    context.collaboration.get('messageFlows').push(flow);
+    context.elements.set(flow.id, flow);
+    return;
+  }
+
+  throw new Error(`<${source.id}> cannot be connected to <${target.id}>`);
+}
+
+function rename(element, name) {
+  if (element.$instanceOf('bpmn:TextAnnotation')) {
+    element.text = name;
+  } else {
+    element.name = name;
+  }
+}
+
+function remove(context, element) {
+  if (!context.elements.has(element.id)) {
+    return;
+  }
+
+  context.elements.delete(element.id);
+  context.undrawn.add(element);
+
+  // Connections, boundary events and message flows go with the element
+  [...context.elements.values()]
+    .filter(other => other.sourceRef === element || other.targetRef === element || other.attachedToRef === element)
+    .forEach(other => remove(context, other));
+
+  if (element.$instanceOf('bpmn:SequenceFlow')) {
+    removeFrom(element.sourceRef?.outgoing, element);
+    removeFrom(element.targetRef?.incoming, element);
+
+    if (element.sourceRef?.default === element) {
+      element.sourceRef.default = undefined;
+    }
+  }
+
+  if (element.$instanceOf('bpmn:FlowNode')) {
+    getLanes(element.$parent).forEach(lane => removeFrom(lane.flowNodeRef, element));
+  }
+
+  detach(element);
+}
+
+function moveToLane(context, element, lane) {
+  if (getLaneContainer(lane) !== element.$parent) {
+    throw new Error(`<${lane.id}> is not a lane of the process containing <${element.id}>`);
+  }
+
+  getLanes(element.$parent).forEach(other => removeFrom(other.flowNodeRef, element));
+  lane.get('flowNodeRef').push(element);
+
+  // Lay out the element and its connections again inside the new lane
+  context.undrawn.add(element);
+  [...(element.incoming || []), ...(element.outgoing || [])].forEach(flow => context.undrawn.add(flow));
+}
+
+function declareCamundaNamespace(context) {
+  if (!Object.values(context.definitions.$attrs).includes(CAMUNDA_NS)) {
+    context.definitions.$attrs['xmlns:camunda'] = CAMUNDA_NS;
+  }
+}
+
+/**
+ * Set a Camunda extension attribute. They are kept as plain attributes, as
+ * the backend does not load the Camunda moddle extension.
+ */
+function setCamundaAttribute(context, element, name, value) {
+  if (value) {
+    declareCamundaNamespace(context);
+    element.$attrs[`camunda:${name}`] = value;
+  } else {
+    delete element.$attrs[`camunda:${name}`];
+  }
+}
+
+/**
+ * Set a simulation metric (see processSimulation.js), an attribute in the
+ * metrics namespace under the prefix the document declares for it
+ */
+function setMetric(context, element, name, value) {
+  let prefix = getMetricsPrefix(context.definitions);
+
+  if (!prefix && value) {
+    prefix = METRICS_PREFIX;
+    context.definitions.$attrs[`xmlns:${prefix}`] = METRICS_NS;
+  }
+
+  if (value) {
+    element.$attrs[`${prefix}:${name}`] = value;
+  } else if (prefix) {
+    delete element.$attrs[`${prefix}:${name}`];
+  }
+}
+
+function getExtensionElements(element) {
+  if (!element.extensionElements) {
+    element.extensionElements = moddle.create('bpmn:ExtensionElements', { values: [] });
+    element.extensionElements.$parent = element;
+  }
+
+  return element.extensionElements;
+}
+
+function setFormFields(context, element, formFields) {
+  declareCamundaNamespace(context);
+
+  const extensionElements = getExtensionElements(element);
+
+  const formData = moddle.createAny('camunda:formData', CAMUNDA_NS, {
+    $children: formFields.map(({ id, label, type, defaultValue }) =>
+      moddle.createAny('camunda:formField', CAMUNDA_NS, { id, label, type, ...(defaultValue !== undefined && { defaultValue }) }))
+  });
+
+  // The suggested fields replace the whole form
+  extensionElements.values = [
+    ...extensionElements.get('values').filter(value => value.$type !== 'camunda:formData'),
+    formData
+  ];
+}
+
+/**
+ * Replace a Zeebe extension element, or remove it if no extension is given.
+ * They are kept as generic elements, as the backend does not load the Zeebe
+ * moddle extension.
+ *
+ * @param {Object} context - Diagram being changed
+ * @param {Object} element - Element to extend
+ * @param {string} name - Local name, e.g. taskDefinition
+ * @param {Object} [properties] - Attributes and $children of the new extension element
+ */
+function setZeebeExtension(context, element, name, properties) {
+  const extensionElements = getExtensionElements(element);
+
+  extensionElements.values = [
+    ...extensionElements.get('values').filter(value => value.$type !== `zeebe:${name}`),
+    ...(properties ? [moddle.createAny(`zeebe:${name}`, ZEEBE_NS, properties)] : [])
+  ];
+}
+
+/**
+ * Merge attributes into a Zeebe extension element; empty values remove an
+ * attribute and the element is removed once it has none left
+ */
+function mergeZeebeAttributes(context, element, name, attributes) {
+  const [existing] = getZeebeExtensions(element, name);
+  const merged = Object.fromEntries(Object.entries(attributes)
+    .map(([key, value]) => [key, value === undefined ? existing?.[key] : value])
+    .filter(([, value]) => value));
+
+  setZeebeExtension(context, element, name, Object.keys(merged).length ? merged : null);
+}
+
+function setMappings(context, element, { inputs, outputs }) {
+  const [existing] = getZeebeExtensions(element, 'ioMapping');
+  const keep = (type) => (existing?.$children || []).filter(child => child.$type === type);
+
+  const children = [
+    ...(inputs ? inputs.map(mapping => moddle.createAny('zeebe:input', ZEEBE_NS, mapping)) : keep('zeebe:input')),
+    ...(outputs ? outputs.map(mapping => moddle.createAny('zeebe:output', ZEEBE_NS, mapping)) : keep('zeebe:output'))
+  ];
+
+  setZeebeExtension(context, element, 'ioMapping', children.length ? { $children: children } : null);
+}
+
+function getEventDefinitionOf(element, type) {
+  const definition = (element.eventDefinitions || []).find(candidate => candidate.$instanceOf(type));
+
+  if (!definition) {
+    throw new Error(`<${element.id}> has no ${type}`);
+  }
+
+  return definition;
+}
+
+/**
+ * Get the element holding the messageRef: a receive task or its message event definition
+ */
+function getMessageHolder(element) {
+  return element.$instanceOf('bpmn:ReceiveTask') ? element : getEventDefinitionOf(element, 'bpmn:MessageEventDefinition');
+}
+
+/**
+ * Refer to the message of a name, which is created if the diagram has none yet
+ */
+function setMessageName(context, element, messageName) {
+  const rootElements = context.definitions.get('rootElements');
+  let message = rootElements.find(candidate => candidate.$instanceOf('bpmn:Message') && candidate.name === messageName);
+
+  if (!message) {
+    message = moddle.create('bpmn:Message', { id: generateId('bpmn:Message'), name: messageName });
+    message.$parent = context.definitions;
+    rootElements.push(message);
+    context.elements.set(message.id, message);
+  }
+
+  getMessageHolder(element).messageRef = message;
+}
+
+function setTimer(element, timer) {
+  const definition = getEventDefinitionOf(element, 'bpmn:TimerEventDefinition');
+
+  ['timeDuration', 'timeCycle', 'timeDate'].forEach(property => {
+    definition[property] = undefined;
+  });
+
+  definition[getTimerProperty(timer)] = moddle.create('bpmn:FormalExpression', { body: timer });
+}
+
+/**
+ * Embed a form in the process of a user task. The form is shown by
+ * Tasklist for job-based user tasks, so a zeebe:userTask marker is removed.
+ */
+function setUserTaskForm(context, element, formFields) {
+  let process = element.$parent;
+
+  while (process && !process.$instanceOf('bpmn:Process')) {
+    process = process.$parent;
+  }
+
+  const formId = `UserTaskForm_${element.id}`;
+  const extensionElements = getExtensionElements(process);
+
+  extensionElements.values = [
+    ...extensionElements.get('values').filter(value => !(value.$type === 'zeebe:userTaskForm' && value.id === formId)),
+    moddle.createAny('zeebe:userTaskForm', ZEEBE_NS, { id: formId, $body: buildCamundaForm(formId, formFields) })
+  ];
+
+  setZeebeExtension(context, element, 'userTask', null);
+  setZeebeExtension(context, element, 'formDefinition', { formKey: `camunda-forms:bpmn:${formId}` });
+}
+
+/**
+ * Write the properties of an updateProperties operation as Zeebe extensions
+ */
+function updateZeebeProperties(context, element, properties) {
+  const { assignee, candidateGroups, formFields, taskType, retries, inputs, outputs, messageName, correlationKey, timer, calledProcessId, decisionId, resultVariable } = properties;
+
+  declareZeebeNamespaces(context.definitions);
+
+  if (assignee !== undefined || candidateGroups !== undefined) {
+    mergeZeebeAttributes(context, element, 'assignmentDefinition', { assignee, candidateGroups });
+  }
+
+  if (formFields) {
+    setUserTaskForm(context, element, formFields);
+  }
+
+  if (taskType !== undefined || retries !== undefined) {
+    mergeZeebeAttributes(context, element, 'taskDefinition', { type: taskType, retries });
+  }
+
+  if (inputs || outputs) {
+    setMappings(context, element, { inputs, outputs });
+  }
+
+  if (messageName) {
+    setMessageName(context, element, messageName);
+  }
+
+  if (correlationKey !== undefined) {
+    const message = getMessageHolder(element).messageRef;
+
+    if (!message) {
+      throw new Error(`<${element.id}> has no message to correlate`);
+    }
+
+    setZeebeExtension(context, message, 'subscription', correlationKey ? { correlationKey } : null);
+  }
+
+  if (timer) {
+    setTimer(element, timer);
+  }
+
+  if (calledProcessId !== undefined) {
+    // Other attributes of the called element, e.g. propagateAllChildVariables, are kept
+    mergeZeebeAttributes(context, element, 'calledElement', { processId: calledProcessId, propagateAllChildVariables: undefined });
+  }
+
+  if (decisionId !== undefined || resultVariable !== undefined) {
+    mergeZeebeAttributes(context, element, 'calledDecision', { decisionId, resultVariable });
+
+    // Business rule tasks either call a decision or are implemented by a job worker
+    if (decisionId) {
+      setZeebeExtension(context, element, 'taskDefinition', null);
+    }
+  }
+}
+
+function updateProperties(context, element, properties) {
+  const { documentation, condition, assignee, candidateGroups, formFields, decisionId, resultVariable } = properties;
+
+  if (documentation !== undefined) {
+    element.documentation = documentation
+      ? [moddle.create('bpmn:Documentation', { text: documentation })]
+      : [];
+  }
+
+  if (condition !== undefined) {
+    element.conditionExpression = condition
+      ? moddle.create('bpmn:FormalExpression', { body: condition })
+      : undefined;
+  }
+
+  Object.keys(METRIC_TYPES)
+    .filter(name => properties[name] !== undefined)
+    .forEach(name => setMetric(context, element, name, properties[name]));
+
+  if (context.isZeebe) {
+    return updateZeebeProperties(context, element, properties);
+  }
+
+  if (assignee !== undefined) {
+    setCamundaAttribute(context, element, 'assignee', assignee);
+  }
+
+  if (candidateGroups !== undefined) {
+    setCamundaAttribute(context, element, 'candidateGroups', candidateGroups);
+  }
+
+  if (formFields) {
+    setFormFields(context, element, formFields);
+  }
+
+  if (decisionId !== undefined) {
+    setCamundaAttribute(context, element, 'decisionRef', decisionId);
+  }
+
+  if (resultVariable !== undefined) {
+    setCamundaAttribute(context, element, 'resultVariable', resultVariable);
+  }
+}
+
+function applyOperation(context, operation) {
+  switch (operation.type) {
+    case 'addShape':
+      return addShape(context, operation);
+    case 'connect':
+      return connect(context, operation);
+    case 'rename':
+      return rename(getElement(context, operation.elementId), operation.name);
+    case 'delete':
+      return remove(context, getElement(context, operation.elementId));
+    case 'moveToLane':
+      return moveToLane(context, getElement(context, operation.elementId), getElement(context, operation.laneId));
+    case 'updateProperties':
+      return updateProperties(context, getElement(context, operation.elementId), operation.properties);
+    default:
+      throw new Error(`unknown operation type <${operation.type}>`);
+  }
+}
+
+/**
+ * Drop diagram interchange of removed elements, of everything inside them
+ * and of elements that have to be laid out again
+ */
+function pruneDiagrams(context) {
+  const isUndrawn = (element) => {
+    for (let current = element; current; current = current.$parent) {
+      if (context.undrawn.has(current)) {
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+  (context.definitions.diagrams || []).forEach(({ plane }) => {
+    if (plane?.planeElement) {
+      plane.planeElement = plane.planeElement.filter(diElement => !isUndrawn(diElement.bpmnElement));
+    }
+  });
+}
+
+/**
+ * Apply edit operations to a diagram
+ *
+ * @param {string} diagramXML - BPMN XML
+ * @param {Array} operations - Validated operations
+ * @returns {Promise<string>} Updated BPMN XML with diagram interchange for all elements
+ * @throws {Error} If an operation cannot be applied
+ */
+async function applyOperations(diagramXML, operations) {
+  const { rootElement: definitions, elementsById } = await moddle.fromXML(diagramXML, 'bpmn:Definitions');
+  const context = {
+    definitions,
+    elements: new Map(Object.entries(elementsById)),
+    collaboration: (definitions.rootElements || []).find(element => element.$instanceOf('bpmn:Collaboration')),
+    // Diagrams made executable for Camunda 8 get Zeebe properties instead of Camunda 7 ones
+    isZeebe: isZeebeDefinitions(definitions),
+    // Elements whose diagram interchange is dropped: deleted ones and those to lay out again
+    undrawn: new Set()
+  };
+
+  operations.forEach((operation, index) => {
+    try {
+      applyOperation(context, operation);
+    } catch (error) {
+      error.message = `Operation ${index} (${operation.type}): ${error.message}`;
+      throw error;
+    }
+  });
+
+  pruneDiagrams(context);
+
+  const { xml } = await moddle.toXML(definitions, { format: true });
+
+  return layoutMissingElements(xml);
+}
+
+module.exports = {
+  applyOperations
+};
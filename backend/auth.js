@@ -0,0 +1,57 @@
+/**
+ * Request Authentication
+ *
+ * API requests carry a session or API token in the Authorization header
+ * (`Authorization: Bearer <token>`). The collaboration WebSocket, which
+ * browsers cannot send headers to, takes it as `token` query parameter.
+ * Authenticated requests have `req.user` ({ id, username, role }) and the
+ * Sentry scope of the request is tagged with the user.
+ */
+
+const { authenticateToken } = require('./userStore');
+const { Sentry } = require('./sentry.config');
+
+/**
+ * Read the bearer token of a request
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+
+  return match ? match[1] : null;
+}
+
+/**
+ * Reject requests without a valid token
+ */
+async function authenticate(req, res, next) {
+  const session = await authenticateToken(getBearerToken(req));
+
+  if (!session) {
+    return res.status(401).json({ error: 'Sign in to use the editor' });
+  }
+
+  req.user = session.user;
+  req.tokenId = session.tokenId;
+  Sentry.setUser({ id: session.user.id, username: session.user.username });
+
+  next();
+}
+
+/**
+ * Only let administrators through; use after authenticate
+ */
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only administrators can do this' });
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireAdmin
+};
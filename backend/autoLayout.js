@@ -0,0 +1,793 @@
+/**
+ * Automatic Layout for BPMN Diagrams
+ *
+ * Computes diagram interchange (shape bounds and edge waypoints) for the
+ * semantic part of a BPMN document, so the model only has to produce the
+ * process itself. Processes are laid out left to right on a grid: each
+ * node's column is its longest distance from a start node, branches of a
+ * split continue in the rows below, and every lane gets its own band of rows.
+ *
+ * Two modes are supported:
+ * - layoutDiagram: lays out everything and replaces any existing DI
+ * - layoutMissingElements: keeps existing positions and only places elements
+ *   that have no DI yet (e.g. elements added by an AI edit)
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+
+const moddle = new BpmnModdle();
+
+const COLUMN_WIDTH = 150;
+const ROW_HEIGHT = 120;
+const ORIGIN = { x: 50, y: 50 };
+const POOL_HEADER = 30;
+const LANE_HEADER = 30;
+const POOL_PADDING = 30;
+const POOL_GAP = 60;
+const SHAPE_GAP = 50;
+
+/**
+ * Default size of an element type, matching bpmn-js
+ *
+ * @param {Object} element - Semantic element
+ */
+function getSize(element) {
+  if (element.$instanceOf('bpmn:Event')) {
+    return { width: 36, height: 36 };
+  }
+  if (element.$instanceOf('bpmn:Gateway')) {
+    return { width: 50, height: 50 };
+  }
+  if (element.$instanceOf('bpmn:DataObjectReference')) {
+    return { width: 36, height: 50 };
+  }
+  if (element.$instanceOf('bpmn:DataStoreReference')) {
+    return { width: 50, height: 50 };
+  }
+  if (element.$instanceOf('bpmn:TextAnnotation')) {
+    return { width: 100, height: 30 };
+  }
+  return { width: 100, height: 80 };
+}
+
+/**
+ * Whether an element is drawn with a label below it
+ *
+ * @param {Object} element - Semantic element
+ */
+function hasExternalLabel(element) {
+  return element.$instanceOf('bpmn:Event') ||
+    element.$instanceOf('bpmn:Gateway') ||
+    element.$instanceOf('bpmn:DataObjectReference') ||
+    element.$instanceOf('bpmn:DataStoreReference');
+}
+
+function center(bounds) {
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function createBounds({ x, y, width, height }) {
+  return moddle.create('dc:Bounds', { x: Math.round(x), y: Math.round(y), width, height });
+}
+
+/**
+ * Create the BPMNShape of an element
+ *
+ * @param {Object} element - Semantic element
+ * @param {Object} bounds - Shape bounds
+ * @param {Object} [attrs] - Additional DI attributes, e.g. isHorizontal
+ */
+function createShape(element, bounds, attrs = {}) {
+  const shape = moddle.create('bpmndi:BPMNShape', {
+    id: `${element.id}_di`,
+    bpmnElement: element,
+    bounds: createBounds(bounds),
+    ...attrs,
+  });
+
+  if (hasExternalLabel(element) && element.name) {
+    shape.label = moddle.create('bpmndi:BPMNLabel', {
+      bounds: createBounds({ x: bounds.x + bounds.width / 2 - 50, y: bounds.y + bounds.height + 5, width: 100, height: 14 }),
+    });
+  }
+
+  return shape;
+}
+
+/**
+ * Compute orthogonal waypoints between two shapes
+ *
+ * @param {Object} source - Source element and bounds ({ element, bounds })
+ * @param {Object} target - Target element and bounds
+ */
+function routeConnection(source, target) {
+  const s = source.bounds;
+  const t = target.bounds;
+  const sc = center(s);
+  const tc = center(t);
+
+  // Backwards (loops) go around below both shapes
+  if (t.x + t.width / 2 <= s.x + s.width / 2 - 1) {
+    const below = Math.max(s.y + s.height, t.y + t.height) + 30;
+    return [
+      { x: sc.x, y: s.y + s.height },
+      { x: sc.x, y: below },
+      { x: tc.x, y: below },
+      { x: tc.x, y: t.y + t.height },
+    ];
+  }
+
+  if (Math.abs(sc.y - tc.y) < 1) {
+    return [{ x: s.x + s.width, y: sc.y }, { x: t.x, y: tc.y }];
+  }
+
+  const down = tc.y > sc.y;
+
+  // Splits leave gateways and boundary events vertically
+  if (source.element.$instanceOf('bpmn:Gateway') || source.element.$instanceOf('bpmn:BoundaryEvent')) {
+    return [
+      { x: sc.x, y: down ? s.y + s.height : s.y },
+      { x: sc.x, y: tc.y },
+      { x: t.x, y: tc.y },
+    ];
+  }
+
+  // Joins enter gateways vertically
+  if (target.element.$instanceOf('bpmn:Gateway')) {
+    return [
+      { x: s.x + s.width, y: sc.y },
+      { x: tc.x, y: sc.y },
+      { x: tc.x, y: down ? t.y : t.y + t.height },
+    ];
+  }
+
+  const middle = (s.x + s.width + t.x) / 2;
+
+  return [
+    { x: s.x + s.width, y: sc.y },
+    { x: middle, y: sc.y },
+    { x: middle, y: tc.y },
+    { x: t.x, y: tc.y },
+  ];
+}
+
+/**
+ * Create the BPMNEdge of a connection
+ *
+ * @param {Object} connection - Semantic connection
+ * @param {Array} waypoints - Edge waypoints
+ */
+function createEdge(connection, waypoints) {
+  const edge = moddle.create('bpmndi:BPMNEdge', {
+    id: `${connection.id}_di`,
+    bpmnElement: connection,
+    waypoint: waypoints.map(({ x, y }) => moddle.create('dc:Point', { x: Math.round(x), y: Math.round(y) })),
+  });
+
+  if (connection.name) {
+    const [start, next] = waypoints;
+    edge.label = moddle.create('bpmndi:BPMNLabel', {
+      bounds: createBounds({ x: (start.x + next.x) / 2 - 25, y: (start.y + next.y) / 2 - 20, width: 50, height: 14 }),
+    });
+  }
+
+  return edge;
+}
+
+/**
+ * Get the leaf lanes of a process in display order
+ *
+ * @param {Object} process - Process or sub-process
+ * @returns {Array<{ lane: Object, depth: number, parents: Array }>}
+ */
+function collectLanes(process) {
+  const lanes = [];
+
+  const visit = (laneSet, depth, parents) => {
+    (laneSet?.lanes || []).forEach(lane => {
+      if (lane.childLaneSet?.lanes?.length) {
+        visit(lane.childLaneSet, depth + 1, [...parents, lane]);
+      } else {
+        lanes.push({ lane, depth, parents });
+      }
+    });
+  };
+
+  (process.laneSets || []).forEach(laneSet => visit(laneSet, 0, []));
+
+  return lanes;
+}
+
+/**
+ * Assign grid cells (column, row, lane) to the flow nodes of a process
+ *
+ * @param {Array} nodes - Flow nodes without boundary events
+ * @param {Array} flows - Sequence flows
+ * @param {Function} laneOf - Returns the lane index of a node
+ * @returns {Map} Node to { column, row, lane }
+ */
+function assignGrid(nodes, flows, laneOf) {
+  const nodeSet = new Set(nodes);
+
+  // Flows from boundary events count as flows from their host
+  const sourceOf = flow => (flow.sourceRef?.$instanceOf('bpmn:BoundaryEvent') ? flow.sourceRef.attachedToRef : flow.sourceRef);
+
+  const graphFlows = flows.filter(flow => nodeSet.has(sourceOf(flow)) && nodeSet.has(flow.targetRef));
+  const outgoing = new Map(nodes.map(node => [node, []]));
+  graphFlows.forEach(flow => outgoing.get(sourceOf(flow)).push(flow));
+
+  // Detect loops with a depth-first search from the start nodes
+  const backEdges = new Set();
+  const state = new Map();
+  const order = [];
+
+  const visit = (node) => {
+    state.set(node, 'active');
+    order.push(node);
+
+    outgoing.get(node).forEach(flow => {
+      const target = flow.targetRef;
+
+      if (state.get(target) === 'active') {
+        backEdges.add(flow);
+      } else if (!state.has(target)) {
+        visit(target);
+      }
+    });
+
+    state.set(node, 'done');
+  };
+
+  const hasIncoming = new Set(graphFlows.map(flow => flow.targetRef));
+  const starts = nodes.filter(node => node.$instanceOf('bpmn:StartEvent') || !hasIncoming.has(node));
+
+  [...starts, ...nodes].forEach(node => {
+    if (!state.has(node)) {
+      visit(node);
+    }
+  });
+
+  // Longest path from a start node, ignoring loops
+  const forward = graphFlows.filter(flow => !backEdges.has(flow));
+  const columns = new Map(nodes.map(node => [node, 0]));
+  let changed = true;
+
+  for (let pass = 0; changed && pass < nodes.length; pass++) {
+    changed = false;
+
+    forward.forEach(flow => {
+      const column = columns.get(sourceOf(flow)) + 1;
+
+      if (column > columns.get(flow.targetRef)) {
+        columns.set(flow.targetRef, column);
+        changed = true;
+      }
+    });
+  }
+
+  // Place nodes column by column, branches below their predecessor
+  const cells = new Map();
+  const occupied = new Set();
+  const sorted = [...order].sort((a, b) => columns.get(a) - columns.get(b) || order.indexOf(a) - order.indexOf(b));
+
+  sorted.forEach(node => {
+    const lane = laneOf(node);
+    const column = columns.get(node);
+    let preferred = 0;
+
+    const incoming = forward.find(flow => flow.targetRef === node && cells.has(sourceOf(flow)));
+
+    if (incoming) {
+      const source = sourceOf(incoming);
+      const sourceCell = cells.get(source);
+      const siblings = outgoing.get(source).filter(flow => !backEdges.has(flow));
+      const branch = Math.max(0, siblings.indexOf(incoming)) + (incoming.sourceRef !== source ? 1 : 0);
+
+      // Branches into another lane start at the top of that lane
+      preferred = sourceCell.lane === lane ? sourceCell.row + branch : 0;
+    }
+
+    let row = preferred;
+    while (occupied.has(`${lane}:${column}:${row}`)) {
+      row++;
+    }
+
+    occupied.add(`${lane}:${column}:${row}`);
+    cells.set(node, { column, row, lane });
+  });
+
+  return cells;
+}
+
+/**
+ * Lay out a process (or sub-process) and append its DI to a plane
+ *
+ * @param {Object} process - Process or sub-process
+ * @param {Object} plane - BPMNPlane to add elements to
+ * @param {Object} origin - Top left corner of the content area
+ * @param {Array} subPlanes - Collects sub-processes that need their own plane
+ * @returns {{ width: number, height: number, laneBands: Array }} Size of the laid out content
+ */
+function layoutContainer(process, plane, origin, subPlanes) {
+  const flowElements = process.flowElements || [];
+  const nodes = flowElements.filter(element => element.$instanceOf('bpmn:FlowNode') && !element.$instanceOf('bpmn:BoundaryEvent'));
+  const flows = flowElements.filter(element => element.$instanceOf('bpmn:SequenceFlow'));
+  const lanes = collectLanes(process);
+
+  const laneIndex = new Map();
+  lanes.forEach(({ lane }, index) => (lane.flowNodeRef || []).forEach(node => laneIndex.set(node, index)));
+
+  const cells = assignGrid(nodes, flows, node => laneIndex.get(node) ?? 0);
+
+  // Height of each lane band in rows
+  const laneCount = Math.max(1, lanes.length);
+  const rowsPerLane = new Array(laneCount).fill(1);
+  cells.forEach(cell => {
+    rowsPerLane[cell.lane] = Math.max(rowsPerLane[cell.lane], cell.row + 1);
+  });
+
+  const bandTops = [];
+  rowsPerLane.reduce((top, rows, index) => {
+    bandTops[index] = top;
+    return top + rows * ROW_HEIGHT;
+  }, origin.y);
+
+  const contentX = origin.x + (lanes.length ? LANE_HEADER * (1 + Math.max(...lanes.map(({ depth }) => depth))) : 0);
+  const bounds = new Map();
+
+  cells.forEach((cell, node) => {
+    const size = getSize(node);
+    const cx = contentX + cell.column * COLUMN_WIDTH + COLUMN_WIDTH / 2;
+    const cy = bandTops[cell.lane] + cell.row * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+    bounds.set(node, { x: cx - size.width / 2, y: cy - size.height / 2, ...size });
+  });
+
+  // Boundary events sit on the lower edge of their host
+  flowElements
+    .filter(element => element.$instanceOf('bpmn:BoundaryEvent') && bounds.has(element.attachedToRef))
+    .forEach((event, index) => {
+      const host = bounds.get(event.attachedToRef);
+      bounds.set(event, { x: host.x + host.width - 36 - (index % 2) * 40, y: host.y + host.height - 18, width: 36, height: 36 });
+    });
+
+  const columnCount = Math.max(1, ...[...cells.values()].map(cell => cell.column + 1));
+  const width = contentX - origin.x + columnCount * COLUMN_WIDTH;
+  const height = rowsPerLane.reduce((sum, rows) => sum + rows, 0) * ROW_HEIGHT;
+
+  // Lanes span the full width of the content
+  const laneBands = lanes.map(({ lane, depth, parents }, index) => ({
+    lane,
+    parents,
+    bounds: {
+      x: origin.x + depth * LANE_HEADER,
+      y: bandTops[index],
+      width: width - depth * LANE_HEADER,
+      height: rowsPerLane[index] * ROW_HEIGHT,
+    },
+  }));
+
+  bounds.forEach((shapeBounds, node) => {
+    const isCollapsedSubProcess = node.$instanceOf('bpmn:SubProcess') && (node.flowElements || []).length > 0;
+
+    plane.planeElement.push(createShape(node, shapeBounds, isCollapsedSubProcess ? { isExpanded: false } : {}));
+
+    if (isCollapsedSubProcess) {
+      subPlanes.push(node);
+    }
+  });
+
+  flows
+    .filter(flow => bounds.has(flow.sourceRef) && bounds.has(flow.targetRef))
+    .forEach(flow => {
+      const waypoints = routeConnection(
+        { element: flow.sourceRef, bounds: bounds.get(flow.sourceRef) },
+        { element: flow.targetRef, bounds: bounds.get(flow.targetRef) }
+      );
+
+      plane.planeElement.push(createEdge(flow, waypoints));
+    });
+
+  layoutArtifacts(process, plane, bounds, { x: origin.x, y: origin.y + height }, width);
+
+  const artifactHeight = (process.artifacts || []).some(artifact => !artifact.$instanceOf('bpmn:Association')) ||
+    flowElements.some(element => element.$instanceOf('bpmn:DataObjectReference') || element.$instanceOf('bpmn:DataStoreReference'))
+    ? ROW_HEIGHT : 0;
+
+  return { width, height: height + artifactHeight, laneBands, bounds };
+}
+
+/**
+ * Place data objects, data stores and text annotations in a row below the
+ * process, near the element they are associated with
+ *
+ * @param {Object} process - Process or sub-process
+ * @param {Object} plane - BPMNPlane to add elements to
+ * @param {Map} bounds - Bounds of the flow nodes, extended in place
+ * @param {Object} origin - Top left corner of the artifact row
+ * @param {number} width - Width of the process content
+ */
+function layoutArtifacts(process, plane, bounds, origin, width) {
+  const flowElements = process.flowElements || [];
+  const artifacts = process.artifacts || [];
+
+  const items = [
+    ...flowElements.filter(element => element.$instanceOf('bpmn:DataObjectReference') || element.$instanceOf('bpmn:DataStoreReference')),
+    ...artifacts.filter(artifact => artifact.$instanceOf('bpmn:TextAnnotation')),
+  ];
+
+  // Find the flow node an item is connected to
+  const anchors = new Map();
+  artifacts.filter(artifact => artifact.$instanceOf('bpmn:Association')).forEach(association => {
+    anchors.set(association.targetRef, association.sourceRef);
+    anchors.set(association.sourceRef, association.targetRef);
+  });
+  flowElements.forEach(element => {
+    (element.dataInputAssociations || []).forEach(association => {
+      (association.sourceRef || []).forEach(source => anchors.set(source, element));
+    });
+    (element.dataOutputAssociations || []).forEach(association => {
+      anchors.set(association.targetRef, element);
+    });
+  });
+
+  let nextX = origin.x + 20;
+
+  items.forEach(item => {
+    const size = getSize(item);
+    const anchor = bounds.get(anchors.get(item));
+    const x = Math.max(nextX, anchor ? center(anchor).x - size.width / 2 : nextX);
+    const itemBounds = { x: Math.min(x, origin.x + width - size.width), y: origin.y + (ROW_HEIGHT - size.height) / 2, ...size };
+
+    bounds.set(item, itemBounds);
+    nextX = itemBounds.x + size.width + SHAPE_GAP;
+    plane.planeElement.push(createShape(item, itemBounds));
+  });
+
+  const straightEdge = (connection, source, target) => {
+    if (!bounds.has(source) || !bounds.has(target)) {
+      return;
+    }
+
+    const sc = center(bounds.get(source));
+    const tc = center(bounds.get(target));
+    plane.planeElement.push(createEdge(connection, [sc, tc]));
+  };
+
+  artifacts
+    .filter(artifact => artifact.$instanceOf('bpmn:Association'))
+    .forEach(association => straightEdge(association, association.sourceRef, association.targetRef));
+
+  flowElements.forEach(element => {
+    (element.dataInputAssociations || []).forEach(association => {
+      straightEdge(association, (association.sourceRef || [])[0], element);
+    });
+    (element.dataOutputAssociations || []).forEach(association => {
+      straightEdge(association, element, association.targetRef);
+    });
+  });
+}
+
+/**
+ * Create a BPMNDiagram with an empty plane
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ * @param {Object} element - Process, collaboration or sub-process shown on the plane
+ */
+function addDiagram(definitions, element) {
+  const plane = moddle.create('bpmndi:BPMNPlane', {
+    id: `${element.id}_plane`,
+    bpmnElement: element,
+    planeElement: [],
+  });
+
+  const diagram = moddle.create('bpmndi:BPMNDiagram', {
+    id: `${element.id}_diagram`,
+    plane,
+  });
+
+  definitions.get('diagrams').push(diagram);
+
+  return plane;
+}
+
+/**
+ * Lay out the contents of collapsed sub-processes on their own planes
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ * @param {Array} subProcesses - Sub-processes to lay out
+ */
+function layoutSubProcesses(definitions, subProcesses) {
+  while (subProcesses.length) {
+    const subProcess = subProcesses.shift();
+    const plane = addDiagram(definitions, subProcess);
+
+    layoutContainer(subProcess, plane, ORIGIN, subProcesses);
+  }
+}
+
+/**
+ * Lay out a whole document, replacing existing DI
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ */
+function layoutDefinitions(definitions) {
+  definitions.set('diagrams', []);
+
+  const rootElements = definitions.rootElements || [];
+  const collaboration = rootElements.find(element => element.$instanceOf('bpmn:Collaboration'));
+  const subProcesses = [];
+
+  if (!collaboration) {
+    rootElements
+      .filter(element => element.$instanceOf('bpmn:Process'))
+      .forEach(process => {
+        const plane = addDiagram(definitions, process);
+        const { laneBands } = layoutContainer(process, plane, ORIGIN, subProcesses);
+
+        // Lanes without a pool are unusual; draw them anyway so the document stays valid
+        laneBands.forEach(({ lane, bounds }) => plane.planeElement.unshift(createShape(lane, bounds, { isHorizontal: true })));
+      });
+
+    layoutSubProcesses(definitions, subProcesses);
+    return;
+  }
+
+  const plane = addDiagram(definitions, collaboration);
+  const shapeBounds = new Map();
+  let top = ORIGIN.y;
+
+  (collaboration.participants || []).forEach(participant => {
+    const origin = { x: ORIGIN.x + POOL_HEADER, y: top };
+    const process = participant.processRef;
+    const poolElements = [];
+    const poolPlane = { planeElement: poolElements };
+
+    let size = { width: 600, height: 2 * ROW_HEIGHT, laneBands: [], bounds: new Map() };
+
+    if (process) {
+      const laidOut = layoutContainer(process, poolPlane, { x: origin.x, y: origin.y }, subProcesses);
+      size = {
+        ...laidOut,
+        width: laidOut.width + POOL_PADDING,
+        height: Math.max(laidOut.height, ROW_HEIGHT),
+      };
+    }
+
+    const poolBounds = { x: ORIGIN.x, y: top, width: size.width + POOL_HEADER, height: size.height };
+
+    plane.planeElement.push(createShape(participant, poolBounds, { isHorizontal: true }));
+
+    // Parent lanes span their children, leaf lanes the remaining width
+    const parentBounds = new Map();
+    size.laneBands.forEach(({ lane, parents, bounds }) => {
+      const laneBounds = { ...bounds, width: poolBounds.x + poolBounds.width - bounds.x };
+      plane.planeElement.push(createShape(lane, laneBounds, { isHorizontal: true }));
+
+      parents.forEach(parent => {
+        const current = parentBounds.get(parent);
+        parentBounds.set(parent, current
+          ? { ...current, height: laneBounds.y + laneBounds.height - current.y }
+          : { x: origin.x + parents.indexOf(parent) * LANE_HEADER, y: laneBounds.y, width: poolBounds.x + poolBounds.width - origin.x - parents.indexOf(parent) * LANE_HEADER, height: laneBounds.height });
+      });
+    });
+    parentBounds.forEach((bounds, lane) => plane.planeElement.push(createShape(lane, bounds, { isHorizontal: true })));
+
+    plane.planeElement.push(...poolElements);
+
+    shapeBounds.set(participant, poolBounds);
+    size.bounds.forEach((bounds, element) => shapeBounds.set(element, bounds));
+
+    top += size.height + POOL_GAP;
+  });
+
+  // Message flows connect pools or the elements inside them vertically
+  (collaboration.messageFlows || []).forEach(messageFlow => {
+    const source = shapeBounds.get(messageFlow.sourceRef);
+    const target = shapeBounds.get(messageFlow.targetRef);
+
+    if (!source || !target) {
+      return;
+    }
+
+    const x = center(target.width < source.width ? target : source).x;
+    const down = target.y > source.y;
+
+    plane.planeElement.push(createEdge(messageFlow, [
+      { x, y: down ? source.y + source.height : source.y },
+      { x, y: down ? target.y : target.y + target.height },
+    ]));
+  });
+
+  layoutSubProcesses(definitions, subProcesses);
+}
+
+/**
+ * Compute a complete layout for BPMN XML, replacing any existing DI
+ *
+ * @param {string} xml - BPMN XML, DI is optional
+ * @returns {Promise<string>} BPMN XML with generated DI
+ */
+async function layoutDiagram(xml) {
+  const { rootElement: definitions } = await moddle.fromXML(xml, 'bpmn:Definitions');
+
+  layoutDefinitions(definitions);
+
+  const { xml: result } = await moddle.toXML(definitions, { format: true });
+
+  return result;
+}
+
+/**
+ * Find a free position for a new shape next to already positioned elements
+ *
+ * @param {Object} element - Element to place
+ * @param {Map} bounds - Bounds of positioned elements
+ * @param {Object} laneBounds - Bounds of the element's lane, if any
+ * @param {Array} flows - Sequence flows of the element's container
+ */
+function placeNear(element, bounds, laneBounds, flows) {
+  const size = getSize(element);
+  const incoming = flows.filter(flow => flow.targetRef === element).map(flow => bounds.get(flow.sourceRef)).find(Boolean);
+  const outgoing = flows.filter(flow => flow.sourceRef === element).map(flow => bounds.get(flow.targetRef)).find(Boolean);
+
+  let cx;
+  let cy;
+
+  if (incoming) {
+    cx = incoming.x + incoming.width + SHAPE_GAP + size.width / 2;
+    cy = center(incoming).y;
+  } else if (outgoing) {
+    cx = outgoing.x - SHAPE_GAP - size.width / 2;
+    cy = center(outgoing).y;
+  } else {
+    const all = [...bounds.values()];
+    cx = Math.max(ORIGIN.x, ...all.map(other => other.x + other.width)) + SHAPE_GAP + size.width / 2;
+    cy = all.length ? center(all[0]).y : ORIGIN.y + ROW_HEIGHT / 2;
+  }
+
+  if (laneBounds && (cy < laneBounds.y || cy > laneBounds.y + laneBounds.height)) {
+    cy = laneBounds.y + laneBounds.height / 2;
+  }
+
+  const candidate = { x: cx - size.width / 2, y: cy - size.height / 2, ...size };
+  const shapes = [...bounds.entries()]
+    .filter(([other]) => !other.$instanceOf('bpmn:Participant') && !other.$instanceOf('bpmn:Lane'))
+    .map(([, otherBounds]) => otherBounds);
+
+  // Move down until the new shape does not cover another one
+  for (let attempt = 0; attempt < 20 && shapes.some(other => overlaps(candidate, other)); attempt++) {
+    candidate.y += ROW_HEIGHT;
+  }
+
+  return candidate;
+}
+
+// Elements layoutMissingElements places when they have no DI
+const PLACED_TYPES = [
+  'bpmn:FlowNode',
+  'bpmn:DataObjectReference',
+  'bpmn:DataStoreReference',
+  'bpmn:TextAnnotation',
+];
+
+/**
+ * Add DI for elements that are not drawn yet, keeping all existing positions.
+ * Documents without any DI get a complete layout.
+ *
+ * @param {string} xml - BPMN XML
+ * @returns {Promise<string>} BPMN XML where every flow node, data object, annotation, sequence flow and message flow is drawn
+ */
+async function layoutMissingElements(xml) {
+  const { rootElement: definitions } = await moddle.fromXML(xml, 'bpmn:Definitions');
+  const diagrams = definitions.diagrams || [];
+
+  if (!diagrams.length) {
+    layoutDefinitions(definitions);
+    return (await moddle.toXML(definitions, { format: true })).xml;
+  }
+
+  const bounds = new Map();
+  const drawn = new Set();
+
+  diagrams.forEach(diagram => (diagram.plane?.planeElement || []).forEach(diElement => {
+    if (!diElement.bpmnElement) {
+      return;
+    }
+
+    drawn.add(diElement.bpmnElement);
+
+    if (diElement.bounds) {
+      bounds.set(diElement.bpmnElement, diElement.bounds);
+    }
+  }));
+
+  // The plane that shows a process: its own or the collaboration's
+  const planeFor = (process) => {
+    const diagram = diagrams.find(({ plane }) => plane?.bpmnElement === process) ||
+      diagrams.find(({ plane }) => (plane?.bpmnElement?.participants || []).some(participant => participant.processRef === process)) ||
+      diagrams[0];
+
+    return diagram.plane;
+  };
+
+  let changed = false;
+
+  const visitContainer = (container) => {
+    const flowElements = container.flowElements || [];
+    const flows = flowElements.filter(element => element.$instanceOf('bpmn:SequenceFlow'));
+    const plane = planeFor(container);
+    const lanes = collectLanes(container);
+    const laneOf = (node) => lanes.find(({ lane }) => (lane.flowNodeRef || []).includes(node))?.lane;
+
+    // Place nodes whose neighbours are already positioned first
+    let pending = [...flowElements, ...(container.artifacts || [])]
+      .filter(element => PLACED_TYPES.some(type => element.$instanceOf(type)) && !drawn.has(element));
+
+    while (pending.length) {
+      const next = pending.find(element =>
+        flows.some(flow => (flow.targetRef === element && bounds.has(flow.sourceRef)) || (flow.sourceRef === element && bounds.has(flow.targetRef)))
+      ) || pending[0];
+
+      const nodeBounds = placeNear(next, bounds, bounds.get(laneOf(next)), flows);
+
+      bounds.set(next, nodeBounds);
+      drawn.add(next);
+      plane.planeElement.push(createShape(next, nodeBounds));
+      pending = pending.filter(element => element !== next);
+      changed = true;
+    }
+
+    flows
+      .filter(flow => !drawn.has(flow))
+      .filter(flow => bounds.has(flow.sourceRef) && bounds.has(flow.targetRef))
+      .forEach(flow => {
+        const waypoints = routeConnection(
+          { element: flow.sourceRef, bounds: bounds.get(flow.sourceRef) },
+          { element: flow.targetRef, bounds: bounds.get(flow.targetRef) }
+        );
+
+        plane.planeElement.push(createEdge(flow, waypoints));
+        drawn.add(flow);
+        changed = true;
+      });
+
+    flowElements
+      .filter(element => element.$instanceOf('bpmn:SubProcess'))
+      .forEach(visitContainer);
+  };
+
+  (definitions.rootElements || [])
+    .filter(element => element.$instanceOf('bpmn:Process'))
+    .forEach(visitContainer);
+
+  (definitions.rootElements || [])
+    .filter(element => element.$instanceOf('bpmn:Collaboration'))
+    .forEach(collaboration => (collaboration.messageFlows || [])
+      .filter(flow => !drawn.has(flow) && bounds.has(flow.sourceRef) && bounds.has(flow.targetRef))
+      .forEach(flow => {
+        const waypoints = routeConnection(
+          { element: flow.sourceRef, bounds: bounds.get(flow.sourceRef) },
+          { element: flow.targetRef, bounds: bounds.get(flow.targetRef) }
+        );
+
+        planeFor(collaboration).planeElement.push(createEdge(flow, waypoints));
+        drawn.add(flow);
+        changed = true;
+      }));
+
+  if (!changed) {
+    return xml;
+  }
+
+  return (await moddle.toXML(definitions, { format: true })).xml;
+}
+
+module.exports = {
+  layoutDiagram,
+  layoutMissingElements
+};
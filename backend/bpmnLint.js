@@ -0,0 +1,357 @@
+/**
+ * Deterministic BPMN Lint Engine
+ *
+ * Checks the process logic of a diagram for modeling anti-patterns. Unlike
+ * the validator, which rejects documents that cannot be loaded, lint findings
+ * describe diagrams that load fine but are likely wrong. Findings are shown
+ * on the canvas and passed to the chat prompt, so the assistant explains
+ * them instead of guessing anti-patterns on its own.
+ *
+ * Rules are configured in lint-rules.json (or LINT_CONFIG_FILE) with a
+ * severity of "error", "warning" or "off"; requests may override single rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BpmnModdle = require('bpmn-moddle');
+
+const moddle = new BpmnModdle();
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'lint-rules.json');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+/**
+ * Create a lint finding
+ *
+ * @param {string} elementId - ID of the offending element
+ * @param {string} message - Human readable description
+ */
+function report(elementId, message) {
+  return { elementId, message };
+}
+
+function isGateway(node) {
+  return node.$instanceOf('bpmn:Gateway');
+}
+
+/**
+ * Index sequence flows by their source and target; moddle only fills
+ * incoming/outgoing when the document lists them explicitly
+ *
+ * @param {Array} flows - All sequence flows of the document
+ */
+function buildGraph(flows) {
+  const incoming = new Map();
+  const outgoing = new Map();
+
+  flows.forEach(flow => {
+    if (flow.sourceRef) {
+      outgoing.set(flow.sourceRef, [...(outgoing.get(flow.sourceRef) || []), flow]);
+    }
+    if (flow.targetRef) {
+      incoming.set(flow.targetRef, [...(incoming.get(flow.targetRef) || []), flow]);
+    }
+  });
+
+  return {
+    incoming: node => incoming.get(node) || [],
+    outgoing: node => outgoing.get(node) || [],
+  };
+}
+
+function isSplit(node, graph) {
+  return graph.outgoing(node).length > 1;
+}
+
+function describe(node) {
+  return node.name ? `"${node.name}" (${node.id})` : node.id;
+}
+
+/**
+ * Whether a sequence flow only carries a token under a condition
+ *
+ * @param {Object} flow - bpmn:SequenceFlow
+ * @param {Object} graph - Result of buildGraph
+ */
+function isConditional(flow, graph) {
+  const source = flow.sourceRef;
+
+  if (flow.conditionExpression) {
+    return true;
+  }
+
+  return (source.$instanceOf('bpmn:ExclusiveGateway') || source.$instanceOf('bpmn:InclusiveGateway')) &&
+    isSplit(source, graph) && source.default !== flow;
+}
+
+/**
+ * Nodes where a token can enter a container without an incoming sequence flow
+ *
+ * @param {Array} nodes - Flow nodes of the container
+ */
+function getEntryNodes(nodes) {
+  return nodes.filter(node =>
+    node.$instanceOf('bpmn:StartEvent') ||
+    (node.$instanceOf('bpmn:SubProcess') && node.triggeredByEvent) ||
+    (node.$instanceOf('bpmn:Activity') && node.isForCompensation) ||
+    (node.$instanceOf('bpmn:IntermediateCatchEvent') &&
+      (node.eventDefinitions || []).some(definition => definition.$instanceOf('bpmn:LinkEventDefinition')))
+  );
+}
+
+/**
+ * Whether a node is a gateway that joins several branches
+ */
+function isJoin(node, graph) {
+  return isGateway(node) && graph.incoming(node).length > 1;
+}
+
+/**
+ * Trace the incoming branch of a join back to the splits it originates from.
+ * A block whose branches all meet at an inner join is skipped as a whole:
+ * the inner join is checked against its own split, so tracing continues in
+ * front of that split.
+ *
+ * @param {Object} flow - Incoming sequence flow of the join
+ * @param {Object} graph - Result of buildGraph
+ * @param {Set} visited - Nodes already traced for this join
+ * @returns {Array} Split nodes (gateways or activities with several outgoing flows)
+ */
+function traceSplits(flow, graph, visited) {
+  const node = flow.sourceRef;
+
+  if (!node || visited.has(node)) {
+    return [];
+  }
+
+  visited.add(node);
+
+  if (isSplit(node, graph)) {
+    return [node];
+  }
+
+  const splits = graph.incoming(node).flatMap(incoming => traceSplits(incoming, graph, visited));
+  const [split] = splits;
+
+  if (isJoin(node, graph) && splits.length === 1 && graph.outgoing(split).length === graph.incoming(node).length) {
+    return graph.incoming(split).flatMap(incoming => traceSplits(incoming, graph, visited));
+  }
+
+  return splits;
+}
+
+/**
+ * Kind of token routing of a split or join: parallel or exclusive
+ *
+ * @param {Object} node - Flow node
+ * @param {Object} graph - Result of buildGraph
+ */
+function routingKind(node, graph) {
+  if (node.$instanceOf('bpmn:ParallelGateway')) {
+    return 'parallel';
+  }
+
+  if (node.$instanceOf('bpmn:ExclusiveGateway') || node.$instanceOf('bpmn:EventBasedGateway')) {
+    return 'exclusive';
+  }
+
+  // Activities with several unconditional outgoing flows split implicitly in parallel
+  if (!isGateway(node) && graph.outgoing(node).some(flow => !isConditional(flow, graph))) {
+    return 'parallel';
+  }
+
+  return null;
+}
+
+/**
+ * Lint rules; each check receives the flow nodes and sequence flows of one
+ * process or sub-process together with the flow graph and returns findings
+ */
+const RULES = {
+  'unreachable-node': {
+    description: 'Every flow node can be reached from a start event',
+    check({ nodes, containerId, graph }) {
+      const entries = getEntryNodes(nodes);
+
+      // Containers without any start event are reported by their parent's rules
+      if (!entries.length) {
+        return [];
+      }
+
+      const reachable = new Set();
+      const queue = [...entries];
+
+      while (queue.length) {
+        const node = queue.shift();
+
+        if (reachable.has(node)) {
+          continue;
+        }
+
+        reachable.add(node);
+        queue.push(...graph.outgoing(node).map(flow => flow.targetRef).filter(Boolean));
+        queue.push(...nodes.filter(other => other.$instanceOf('bpmn:BoundaryEvent') && other.attachedToRef === node));
+      }
+
+      return nodes
+        .filter(node => !reachable.has(node))
+        .map(node => report(node.id, `${describe(node)} can never be reached from a start event of ${containerId}`));
+    },
+  },
+
+  'single-outgoing-gateway': {
+    description: 'Gateways either split or join the flow',
+    check({ nodes, graph }) {
+      return nodes
+        .filter(node => isGateway(node) && graph.outgoing(node).length === 1 && graph.incoming(node).length <= 1)
+        .map(node => report(node.id, `Gateway ${describe(node)} has a single incoming and outgoing flow and does not route anything`));
+    },
+  },
+
+  'missing-end-event': {
+    description: 'Every process and sub-process ends in an end event',
+    check({ nodes, containerId }) {
+      if (!nodes.length || nodes.some(node => node.$instanceOf('bpmn:EndEvent'))) {
+        return [];
+      }
+
+      return [report(containerId, `${containerId} has no end event, so it is unclear when it completes`)];
+    },
+  },
+
+  'unlabeled-conditional-flow': {
+    description: 'Conditional sequence flows are labeled with their condition',
+    check({ flows, graph }) {
+      return flows
+        .filter(flow => flow.sourceRef && isConditional(flow, graph) && !(flow.name || '').trim())
+        .map(flow => report(flow.id, `Conditional flow ${flow.id} leaving ${describe(flow.sourceRef)} has no label describing its condition`));
+    },
+  },
+
+  'implicit-split': {
+    description: 'Activities and events split the flow only through gateways',
+    check({ nodes, graph }) {
+      return nodes
+        .filter(node => !isGateway(node) && isSplit(node, graph) && graph.outgoing(node).some(flow => !isConditional(flow, graph)))
+        .map(node => report(node.id, `${describe(node)} has ${graph.outgoing(node).length} outgoing flows and splits the flow implicitly; use a gateway`));
+    },
+  },
+
+  'deadlock-join': {
+    description: 'Joins synchronize the same kind of branches their split created',
+    check({ nodes, graph }) {
+      const findings = [];
+
+      nodes
+        .filter(node => isJoin(node, graph))
+        .forEach(join => {
+          const joinKind = routingKind(join, graph);
+          const visited = new Set([join]);
+          const splits = graph.incoming(join).flatMap(flow => traceSplits(flow, graph, visited));
+
+          splits
+            .filter(split => joinKind && routingKind(split, graph) && routingKind(split, graph) !== joinKind)
+            .forEach(split => {
+              findings.push(report(join.id, joinKind === 'parallel'
+                ? `Parallel join ${describe(join)} waits for all branches, but ${describe(split)} only activates one of them; the process deadlocks`
+                : `Exclusive join ${describe(join)} merges parallel branches from ${describe(split)}; everything after it runs once per branch`));
+            });
+        });
+
+      return findings;
+    },
+  },
+};
+
+/**
+ * Load the rule configuration
+ *
+ * @param {string} [configFile] - Path of the configuration file
+ * @returns {Object} Rule name to severity
+ */
+function loadLintConfig(configFile = process.env.LINT_CONFIG_FILE || DEFAULT_CONFIG_FILE) {
+  const { rules = {} } = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+
+  return rules;
+}
+
+const defaultConfig = loadLintConfig();
+
+/**
+ * Collect processes and sub-processes with their flow nodes and sequence flows
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ */
+function collectContainers(definitions) {
+  const rootElements = definitions.rootElements || [];
+
+  // Process level findings are shown on the pool if there is one
+  const participants = new Map();
+  rootElements
+    .filter(element => element.$instanceOf('bpmn:Collaboration'))
+    .flatMap(collaboration => collaboration.participants || [])
+    .forEach(participant => participant.processRef && participants.set(participant.processRef, participant));
+
+  const containers = [];
+
+  const visit = (container, containerId) => {
+    const flowElements = container.flowElements || [];
+
+    containers.push({
+      containerId,
+      nodes: flowElements.filter(element => element.$instanceOf('bpmn:FlowNode')),
+      flows: flowElements.filter(element => element.$instanceOf('bpmn:SequenceFlow')),
+    });
+
+    flowElements
+      .filter(element => element.$instanceOf('bpmn:SubProcess'))
+      .forEach(subProcess => visit(subProcess, subProcess.id));
+  };
+
+  rootElements
+    .filter(element => element.$instanceOf('bpmn:Process'))
+    .forEach(process => visit(process, participants.get(process)?.id || process.id));
+
+  const graph = buildGraph(containers.flatMap(container => container.flows));
+
+  return containers.map(container => ({ ...container, graph }));
+}
+
+/**
+ * Lint BPMN diagram XML
+ *
+ * @param {string} xml - Diagram XML
+ * @param {Object} [overrides] - Rule name to severity, merged over the configuration
+ * @returns {Promise<Array>} Findings ({ rule, severity, elementId, message })
+ */
+async function lintDiagramXML(xml, overrides = {}) {
+  const { rootElement: definitions } = await moddle.fromXML(xml, 'bpmn:Definitions');
+  const config = { ...defaultConfig, ...overrides };
+  const containers = collectContainers(definitions);
+
+  return Object.entries(RULES)
+    .filter(([rule]) => SEVERITIES.includes(config[rule]) && config[rule] !== 'off')
+    .flatMap(([rule, { check }]) => containers
+      .flatMap(container => check(container))
+      .map(finding => ({ rule, severity: config[rule], ...finding })));
+}
+
+/**
+ * Format lint findings as a bullet list for prompts
+ *
+ * @param {Array} findings - Lint findings
+ */
+function formatLintFindings(findings) {
+  return findings
+    .map(finding => `- [${finding.severity}] ${finding.rule} at ${finding.elementId}: ${finding.message}`)
+    .join('\n');
+}
+
+module.exports = {
+  RULES,
+  SEVERITIES,
+  defaultConfig,
+  lintDiagramXML,
+  formatLintFindings
+};
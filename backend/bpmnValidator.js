@@ -0,0 +1,230 @@
+/**
+ * BPMN Validation for AI-generated Diagrams
+ *
+ * Parses diagram XML against the BPMN 2.0 moddle schema and checks
+ * references and diagram interchange (DI) completeness, so that broken
+ * model output never reaches the editor.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+
+const moddle = new BpmnModdle();
+
+/**
+ * Semantic element types that must be drawn on a plane to be visible
+ */
+const VISUAL_TYPES = [
+  'bpmn:FlowNode',
+  'bpmn:SequenceFlow',
+  'bpmn:Participant',
+  'bpmn:Lane',
+  'bpmn:MessageFlow',
+  'bpmn:DataObjectReference',
+  'bpmn:DataStoreReference',
+  'bpmn:TextAnnotation',
+  'bpmn:Association',
+];
+
+/**
+ * Create a structured validation error
+ *
+ * @param {string} code - Machine readable error code
+ * @param {string} message - Human readable description
+ * @param {string} [elementId] - ID of the offending element
+ */
+function createError(code, message, elementId) {
+  return elementId ? { code, message, elementId } : { code, message };
+}
+
+/**
+ * Translate moddle import warnings into validation errors
+ *
+ * @param {Array} warnings - Warnings reported by moddle.fromXML
+ */
+function mapImportWarnings(warnings) {
+  return warnings.map(warning => {
+    const message = warning.message.split('\n')[0];
+    const nested = /nested error: (.*)/.exec(warning.message);
+    const unresolved = /unresolved reference <(.*)>/.exec(message);
+
+    if (unresolved) {
+      return createError(
+        'UNRESOLVED_REFERENCE',
+        `Reference to unknown element <${unresolved[1]}>`,
+        warning.element?.id
+      );
+    }
+
+    if (nested && nested[1].startsWith('duplicate ID')) {
+      return createError('DUPLICATE_ID', nested[1]);
+    }
+
+    return createError(
+      'SCHEMA_VIOLATION',
+      nested ? `${message}: ${nested[1]}` : message,
+      warning.element?.id
+    );
+  });
+}
+
+/**
+ * Collect all semantic elements that require a DI representation
+ *
+ * @param {Object} definitions - Parsed bpmn:Definitions element
+ */
+function collectVisualElements(definitions) {
+  const elements = [];
+
+  const visit = (element) => {
+    if (!element) {
+      return;
+    }
+
+    if (VISUAL_TYPES.some(type => element.$instanceOf(type))) {
+      elements.push(element);
+    }
+
+    (element.flowElements || []).forEach(visit);
+    (element.artifacts || []).forEach(visit);
+    (element.participants || []).forEach(visit);
+    (element.messageFlows || []).forEach(visit);
+    (element.laneSets || []).forEach(laneSet => laneSet.lanes.forEach(visit));
+
+    if (element.childLaneSet) {
+      element.childLaneSet.lanes.forEach(visit);
+    }
+  };
+
+  (definitions.rootElements || []).forEach(visit);
+
+  return elements;
+}
+
+/**
+ * Check that connecting elements reference both ends
+ *
+ * @param {Array} elements - Semantic elements of the diagram
+ */
+function checkConnections(elements) {
+  const errors = [];
+
+  elements
+    .filter(element => element.$instanceOf('bpmn:SequenceFlow') || element.$instanceOf('bpmn:MessageFlow'))
+    .forEach(connection => {
+      if (!connection.sourceRef) {
+        errors.push(createError('MISSING_SOURCE_REF', `${connection.$type} is missing sourceRef`, connection.id));
+      }
+
+      if (!connection.targetRef) {
+        errors.push(createError('MISSING_TARGET_REF', `${connection.$type} is missing targetRef`, connection.id));
+      }
+    });
+
+  return errors;
+}
+
+/**
+ * Check that every visual element is drawn exactly once with usable geometry
+ *
+ * @param {Object} definitions - Parsed bpmn:Definitions element
+ * @param {Array} elements - Semantic elements of the diagram
+ */
+function checkDiagramInterchange(definitions, elements) {
+  const errors = [];
+  const diagrams = definitions.diagrams || [];
+
+  if (!diagrams.length) {
+    return [createError('MISSING_DI', 'Document has no bpmndi:BPMNDiagram section')];
+  }
+
+  const drawn = new Set();
+
+  diagrams.forEach(diagram => {
+    const plane = diagram.plane;
+
+    if (!plane) {
+      errors.push(createError('MISSING_DI', 'BPMNDiagram has no BPMNPlane', diagram.id));
+      return;
+    }
+
+    if (!plane.bpmnElement) {
+      errors.push(createError('DANGLING_DI', 'BPMNPlane does not reference a process or collaboration', plane.id));
+    }
+
+    (plane.planeElement || []).forEach(diElement => {
+      if (!diElement.bpmnElement) {
+        errors.push(createError('DANGLING_DI', `${diElement.$type} does not reference a semantic element`, diElement.id));
+        return;
+      }
+
+      drawn.add(diElement.bpmnElement);
+
+      if (diElement.$instanceOf('bpmndi:BPMNShape') && !diElement.bounds) {
+        errors.push(createError('MISSING_BOUNDS', 'BPMNShape has no dc:Bounds', diElement.bpmnElement.id));
+      }
+
+      if (diElement.$instanceOf('bpmndi:BPMNEdge') && (diElement.waypoint || []).length < 2) {
+        errors.push(createError('MISSING_WAYPOINTS', 'BPMNEdge needs at least two di:waypoint entries', diElement.bpmnElement.id));
+      }
+    });
+  });
+
+  elements
+    .filter(element => !drawn.has(element))
+    .forEach(element => {
+      errors.push(createError('MISSING_DI_ELEMENT', `${element.$type} has no BPMNShape or BPMNEdge`, element.id));
+    });
+
+  return errors;
+}
+
+/**
+ * Validate BPMN 2.0 diagram XML
+ *
+ * @param {string} xml - Diagram XML to validate
+ * @returns {Promise<{valid: boolean, errors: Array}>} Structured validation result
+ */
+async function validateDiagramXML(xml) {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    return { valid: false, errors: [createError('EMPTY_DOCUMENT', 'Diagram XML is empty')] };
+  }
+
+  let definitions;
+  let warnings;
+
+  try {
+    ({ rootElement: definitions, warnings } = await moddle.fromXML(xml, 'bpmn:Definitions'));
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [createError('XML_PARSE_ERROR', error.message.split('\n')[0])]
+    };
+  }
+
+  const elements = collectVisualElements(definitions);
+
+  const errors = [
+    ...mapImportWarnings(warnings),
+    ...checkConnections(elements),
+    ...checkDiagramInterchange(definitions, elements),
+  ];
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as a bullet list for prompts and chat messages
+ *
+ * @param {Array} errors - Validation errors
+ */
+function formatValidationErrors(errors) {
+  return errors
+    .map(error => `- [${error.code}]${error.elementId ? ` ${error.elementId}:` : ''} ${error.message}`)
+    .join('\n');
+}
+
+module.exports = {
+  validateDiagramXML,
+  formatValidationErrors,
+  createError
+};
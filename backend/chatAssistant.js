@@ -0,0 +1,345 @@
+/**
+ * Chat Assistant
+ *
+ * Builds the prompt for a chat request, parses the model's answer against
+ * CHAT_RESPONSE_SCHEMA and validates the proposed change, asking the model
+ * for corrections where needed. Diagrams annotated with process metrics
+ * are simulated, so the assistant answers questions about cycle times and
+ * bottlenecks with numbers, and proposed changes are simulated again for a
+ * before/after comparison. The instructions come from the "chat" prompt
+ * template, which workspaces can override (see promptTemplates.js). Shared
+ * by the HTTP API (server.js) and the command line tool (cli.js); the
+ * caller passes the provider to use.
+ */
+
+const { validateDiagramXML, formatValidationErrors, createError } = require('./bpmnValidator');
+const { OPERATIONS_PROMPT, OPERATION_SCHEMA, validateOperations } = require('./diagramOperations');
+const { layoutMissingElements } = require('./autoLayout');
+const { lintDiagramXML, formatLintFindings } = require('./bpmnLint');
+const { extractScope } = require('./diagramScope');
+const { mergeDiagrams } = require('./diagramMerge');
+const { repairStructuredOutput, generateStructuredOutput } = require('./structuredOutput');
+const { applyOperations } = require('./applyOperations');
+const { METRIC_TYPES, hasMetrics, simulateDiagram, formatSimulationResults } = require('./processSimulation');
+const { DEFAULT_TEMPLATES, renderTemplate } = require('./promptTemplates');
+const { captureMessage } = require('./sentry.config');
+
+// Number of times an invalid AI diagram is sent back to the model for correction
+const VALIDATION_RETRIES = parseInt(process.env.AI_VALIDATION_RETRIES ?? '1', 10);
+
+// JSON schema of the model's answer to a chat request
+const CHAT_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    response: { type: 'string', description: 'Answer to the user in conversational text' },
+    operations: { type: 'array', items: OPERATION_SCHEMA },
+    updatedDiagramXML: { type: 'string', description: 'Complete updated BPMN XML, only if operations cannot express the change' },
+    impactAnalysis: { type: 'string', description: 'Possible impacts of the change on other parts of the diagram' }
+  },
+  required: ['response']
+};
+
+/**
+ * Build the full prompt sent to the model for a chat request
+ *
+ * @param {Object} params
+ * @param {string} params.diagramXML - Current diagram XML
+ * @param {Array} params.selectedElementIds - IDs selected on the canvas
+ * @param {string} params.prompt - User's request
+ * @param {string} [params.conversationHistory] - Earlier turns of the chat session
+ * @param {Array} [params.lintFindings] - Findings of the lint engine for the current diagram
+ * @param {Array} [params.simulationPath] - Steps of a token simulation the user ran on the canvas
+ * @param {Object} [params.simulation] - Results of the process simulation (see processSimulation.js)
+ * @param {Object} [params.scope] - Selected part of a large diagram (see diagramScope.js)
+ * @param {string} [params.template] - Text of the "chat" prompt template, the default if not given
+ * @param {Array} [params.validationErrors] - Errors of a previous attempt to feed back to the model
+ */
+function buildChatPrompt({
+  diagramXML, selectedElementIds, prompt, conversationHistory = '', lintFindings = [], simulationPath = [], simulation = null, scope = null,
+  template = DEFAULT_TEMPLATES.chat.text, validationErrors = []
+}) {
+  const fullPrompt = renderTemplate(template, {
+    operations: OPERATIONS_PROMPT,
+    conversationHistory: conversationHistory || 'None',
+    diagram: scope ? formatScope(scope) : `Current BPMN Diagram XML:
+${diagramXML}`,
+    selectedElementIds: selectedElementIds.length > 0 ? selectedElementIds.join(', ') : 'None',
+    lintFindings: lintFindings.length > 0 ? formatLintFindings(lintFindings) : 'None',
+    simulationPath: simulationPath.length > 0 ? `
+Simulated Path (the order in which tokens of a walk-through visited the elements; several tokens mean parallel branches):
+${formatSimulationPath(simulationPath)}
+` : '',
+    simulation: simulation ? `
+Simulation Results (a discrete-event simulation of the durations, costs, performers and branch probabilities annotated
+in the diagram; times in minutes. Answer questions about cycle times, costs, bottlenecks and utilisation with these
+numbers instead of estimates, and name the numbers you rely on):
+${formatSimulationResults(simulation)}
+` : '',
+    prompt,
+  });
+
+  if (!validationErrors.length) {
+    return fullPrompt;
+  }
+
+  return `${fullPrompt}
+
+**Validation Feedback:**
+Your previous response contained a diagram change that failed validation with the following errors:
+${formatValidationErrors(validationErrors)}
+
+Return a corrected response that fixes every listed error. Keep all element IDs that were not part of the errors unchanged.`;
+}
+
+/**
+ * Format the selection-scoped part of a large diagram for the prompt
+ *
+ * @param {Object} scope - Result of extractScope
+ */
+function formatScope(scope) {
+  return `Selected Part of the BPMN Diagram XML (the selected elements, their neighbours and containers; the rest of
+the diagram is omitted). Only change elements of this part. Operations may only refer to its elements; return
+'updatedDiagramXML' as an updated version of this part, not the whole diagram:
+${scope.xml}
+
+Outline of the Rest of the Diagram (read-only; "->" lists the successors of each element):
+${scope.outline || 'None'}`;
+}
+
+/**
+ * Format the steps of a token simulation for the prompt
+ *
+ * @param {Array} simulationPath - Steps ({ tokenId, elementId, elementType, name, flowId, flowName })
+ */
+function formatSimulationPath(simulationPath) {
+  return simulationPath
+    .map((step, index) => {
+      const element = `${(step.elementType || '').replace('bpmn:', '')} ${step.name ? `"${step.name}" ` : ''}(${step.elementId})`;
+      const via = step.flowId ? ` via ${step.flowName ? `"${step.flowName}" ` : ''}(${step.flowId})` : '';
+
+      return `${index + 1}. [token ${step.tokenId}] ${element}${via}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Simulate a diagram after a change, for comparison with the simulation of
+ * the diagram before it
+ *
+ * Only diagrams that were annotated with metrics or get metrics with the
+ * change are simulated.
+ *
+ * @param {Object} params - Chat request parameters, with the simulation of the current diagram
+ * @param {Array} operations - Validated operations
+ * @param {string} updatedDiagramXML - Regenerated diagram, the current one if the change consists of operations
+ * @returns {Promise<Object|null>} { before, after } results, null if there is nothing to compare
+ */
+async function simulateChange(params, operations, updatedDiagramXML) {
+  const setsMetrics = operations.some(operation =>
+    operation.type === 'updateProperties' && Object.keys(operation.properties || {}).some(name => name in METRIC_TYPES));
+
+  if (!params.simulation && !setsMetrics && !hasMetrics(updatedDiagramXML)) {
+    return null;
+  }
+
+  try {
+    const changedXML = operations.length ? await applyOperations(params.diagramXML, operations) : updatedDiagramXML;
+
+    return { before: params.simulation || null, after: await simulateDiagram(changedXML) };
+  } catch (error) {
+    console.warn('Could not simulate the changed diagram:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Validate the change proposed by the model
+ *
+ * Edit operations take precedence over a regenerated document. Elements of
+ * a regenerated document that have no diagram interchange yet are laid out
+ * automatically and the layouted XML is stored back into llmResponse. If
+ * the model only saw a scoped part of the diagram, the regenerated part is
+ * merged back into the full diagram first.
+ *
+ * @param {string} diagramXML - Current diagram XML
+ * @param {Object} llmResponse - Parsed model response
+ * @param {Object} [scope] - Part of the diagram the model was shown
+ * @returns {Promise<Array>} Validation errors, empty if the change is valid or there is none
+ */
+async function validateProposedChange(diagramXML, llmResponse, scope = null) {
+  const { operations, updatedDiagramXML } = llmResponse;
+
+  if (operations !== undefined && !(Array.isArray(operations) && !operations.length)) {
+    return validateOperations(diagramXML, operations, scope);
+  }
+
+  if (!updatedDiagramXML || updatedDiagramXML === diagramXML || updatedDiagramXML === scope?.xml) {
+    return [];
+  }
+
+  // The model may add elements without positions; place them before validating
+  try {
+    llmResponse.updatedDiagramXML = await layoutMissingElements(updatedDiagramXML);
+  } catch (error) {
+    // Unparsable XML is reported by the validator below
+  }
+
+  if (scope) {
+    try {
+      const { xml, errors } = await mergeDiagrams(scope.xml, diagramXML, llmResponse.updatedDiagramXML);
+      llmResponse.updatedDiagramXML = xml;
+      return errors;
+    } catch (error) {
+      return [createError('XML_PARSE_ERROR', `Updated diagram could not be parsed: ${error.message.split('\n')[0]}`)];
+    }
+  }
+
+  const { errors } = await validateDiagramXML(llmResponse.updatedDiagramXML);
+
+  return errors;
+}
+
+/**
+ * Check the model's answer, asking the model to repair its format and to
+ * correct an invalid diagram change until both are fine or the retries are
+ * used up
+ *
+ * @param {Object} provider - LLM provider (see providers/index.js)
+ * @param {Object} params - Chat request parameters (diagramXML, selectedElementIds, prompt)
+ * @param {string} text - Raw model output of the first attempt
+ * @param {Object} [requestOptions] - Options passed to the model, e.g. an abort signal
+ * @returns {Promise<Object>} Body for the chat response: response, updatedDiagramXML,
+ *   impactAnalysis, changed, operations and validationErrors, and the simulation
+ *   results before and after the change if the diagram has metrics
+ */
+async function resolveChatResponse(provider, params, text, requestOptions = {}) {
+  const { diagramXML } = params;
+  let { value: llmResponse, errors: formatErrors } = await repairStructuredOutput(provider, text, CHAT_RESPONSE_SCHEMA, requestOptions);
+  let validationErrors = [];
+
+  for (let attempt = 0; !formatErrors.length; attempt++) {
+    validationErrors = await validateProposedChange(diagramXML, llmResponse, params.scope);
+
+    if (!validationErrors.length || attempt >= VALIDATION_RETRIES) {
+      break;
+    }
+
+    console.warn(`AI diagram failed validation (attempt ${attempt + 1}):\n${formatValidationErrors(validationErrors)}`);
+
+    ({ value: llmResponse, errors: formatErrors } = await generateStructuredOutput(
+      provider,
+      buildChatPrompt({ ...params, validationErrors }),
+      CHAT_RESPONSE_SCHEMA,
+      requestOptions
+    ));
+  }
+
+  if (formatErrors.length) {
+    captureMessage('AI answer rejected after failed format repair', 'warning', {
+      validation: { errors: formatErrors }
+    });
+
+    return {
+      response: `The answer of the assistant could not be read:\n${formatValidationErrors(formatErrors)}`,
+      updatedDiagramXML: diagramXML,
+      impactAnalysis: '',
+      changed: false,
+      operations: [],
+      validationErrors: formatErrors,
+    };
+  }
+
+  if (validationErrors.length) {
+    // Reject the change and keep the original diagram
+    captureMessage('AI diagram rejected after failed validation', 'warning', {
+      validation: { errors: validationErrors, attempts: VALIDATION_RETRIES + 1 }
+    });
+
+    return {
+      response: `${llmResponse.response}\n\nThe proposed diagram change was rejected because it is not valid BPMN:\n${formatValidationErrors(validationErrors)}`.trim(),
+      updatedDiagramXML: diagramXML,
+      impactAnalysis: llmResponse.impactAnalysis || '',
+      changed: false,
+      operations: [],
+      validationErrors,
+    };
+  }
+
+  const operations = llmResponse.operations || [];
+  const updatedDiagramXML = (!operations.length && llmResponse.updatedDiagramXML) || diagramXML;
+  const changed = operations.length > 0 || updatedDiagramXML !== diagramXML;
+  const simulation = changed ? await simulateChange(params, operations, updatedDiagramXML) : null;
+
+  return {
+    response: llmResponse.response,
+    updatedDiagramXML,
+    impactAnalysis: llmResponse.impactAnalysis || '',
+    changed,
+    operations,
+    validationErrors: [],
+    ...(simulation && { simulation }),
+  };
+}
+
+/**
+ * Build the prompt parameters for a chat request
+ *
+ * Large diagrams are trimmed to the selected part and the lint findings of
+ * that part are added. Diagrams with metrics are simulated as a whole.
+ *
+ * @param {Object} params
+ * @param {string} params.diagramXML - Current diagram XML
+ * @param {Array} [params.selectedElementIds] - IDs selected on the canvas
+ * @param {string} params.prompt - User's request
+ * @param {string} [params.conversationHistory] - Earlier turns of the chat session
+ * @param {Array} [params.simulationPath] - Steps of a token simulation
+ * @param {string} [params.template] - Text of the "chat" prompt template of the user's workspace
+ */
+async function buildChatParams({ diagramXML, selectedElementIds = [], prompt, conversationHistory = '', simulationPath = [], template }) {
+  // Large diagrams are trimmed to the selection; unparsable ones are sent as they are
+  const scope = selectedElementIds.length
+    ? await extractScope(diagramXML, selectedElementIds).catch(() => null)
+    : null;
+
+  // Unparsable diagrams have no findings; the validator reports them where it matters
+  const lintFindings = (await lintDiagramXML(diagramXML).catch(() => []))
+    .filter(finding => !scope || scope.ids.has(finding.elementId));
+
+  const simulation = hasMetrics(diagramXML) ? await simulateDiagram(diagramXML).catch(() => null) : null;
+
+  return {
+    diagramXML,
+    selectedElementIds,
+    prompt,
+    conversationHistory,
+    lintFindings,
+    simulationPath: Array.isArray(simulationPath) ? simulationPath : [],
+    simulation,
+    scope,
+    template
+  };
+}
+
+/**
+ * Ask the model for a chat response and validate the proposed change
+ *
+ * @param {Object} provider - LLM provider (see providers/index.js)
+ * @param {Object} params - Prompt parameters (see buildChatParams)
+ * @param {Object} [requestOptions] - Options passed to the model
+ * @returns {Promise<Object>} Body for the chat response
+ */
+async function completeChat(provider, params, requestOptions = {}) {
+  const text = await provider.generate(buildChatPrompt(params), { ...requestOptions, schema: CHAT_RESPONSE_SCHEMA });
+
+  return resolveChatResponse(provider, params, text, requestOptions);
+}
+
+module.exports = {
+  VALIDATION_RETRIES,
+  CHAT_RESPONSE_SCHEMA,
+  buildChatPrompt,
+  buildChatParams,
+  validateProposedChange,
+  resolveChatResponse,
+  completeChat
+};
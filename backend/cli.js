@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * Command Line Tool
+ *
+ * Applies a prompt to BPMN files without the editor, e.g. in scripts or CI:
+ *
+ *   node cli.js --prompt "Add an approval step before every payment task" diagrams/
+ *
+ * Every file is sent to the model on its own, with the same prompt,
+ * validation and correction retries as /api/chat. Directories are searched
+ * for .bpmn files. By default a unified diff of every changed file is
+ * printed; --write updates the files in place and --out writes them to
+ * another directory. --template replaces the default "chat" prompt
+ * template, e.g. with one exported from a workspace.
+ *
+ * Exit codes: 0 if every file was processed, 1 if a change failed
+ * validation or could not be applied, 2 on wrong usage or when the model
+ * could not be reached.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+
+require('dotenv').config({ path: [path.resolve('.env'), path.join(__dirname, '.env')], quiet: true });
+
+const { createProvider } = require('./providers');
+const { meterProvider } = require('./usageLog');
+const { buildChatParams, completeChat } = require('./chatAssistant');
+const { applyOperations } = require('./applyOperations');
+const { validateDiagramXML, formatValidationErrors, createError } = require('./bpmnValidator');
+const { createUnifiedDiff } = require('./unifiedDiff');
+const { checkTemplate } = require('./promptTemplates');
+
+const USAGE = `Usage: node cli.js --prompt <text> [options] <file.bpmn | directory>...
+
+Options:
+  -p, --prompt <text>       Change to make in every diagram
+      --prompt-file <file>  Read the prompt from a file
+      --template <file>     Chat prompt template to use instead of the default (see prompts/chat.md)
+  -s, --select <ids>        Comma-separated element IDs to treat as selected
+  -w, --write               Update the files in place
+  -o, --out <directory>     Write the updated files to a directory instead
+  -d, --diff                Print unified diffs (default unless --write or --out)
+  -v, --verbose             Print the assistant's answer for every file
+  -h, --help                Show this help`;
+
+const OPTIONS = {
+  prompt: { type: 'string', short: 'p' },
+  'prompt-file': { type: 'string' },
+  template: { type: 'string' },
+  select: { type: 'string', short: 's' },
+  write: { type: 'boolean', short: 'w' },
+  out: { type: 'string', short: 'o' },
+  diff: { type: 'boolean', short: 'd' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Error for wrong command line arguments, reported together with the usage
+ */
+function usageError(message) {
+  return Object.assign(new Error(message), { isUsageError: true });
+}
+
+/**
+ * Expand the file and directory arguments into a sorted list of .bpmn files
+ *
+ * @param {Array<string>} paths - Command line arguments
+ */
+async function collectFiles(paths) {
+  const files = [];
+
+  const visit = async (target, explicit) => {
+    const stats = await fs.stat(target).catch(() => null);
+
+    if (!stats) {
+      throw usageError(`${target} does not exist`);
+    }
+
+    if (stats.isDirectory()) {
+      const entries = await fs.readdir(target, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
+          await visit(path.join(target, entry.name), false);
+        }
+      }
+    } else if (explicit || target.endsWith('.bpmn')) {
+      files.push(target);
+    }
+  };
+
+  for (const target of paths) {
+    await visit(target, true);
+  }
+
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Ask the model to change one diagram and validate the result
+ *
+ * @param {Object} provider - LLM provider
+ * @param {string} diagramXML - Diagram to change
+ * @param {Object} request - { prompt, selectedElementIds, template }
+ * @returns {Promise<Object>} { response, updatedXML, operations, errors }
+ */
+async function processDiagram(provider, diagramXML, { prompt, selectedElementIds, template }) {
+  const params = await buildChatParams({ diagramXML, selectedElementIds, prompt, template });
+  const requestOptions = { usage: { user: 'cli', requestId: crypto.randomUUID(), endpoint: 'cli' } };
+  const { response, operations, updatedDiagramXML, changed, validationErrors } = await completeChat(provider, params, requestOptions);
+
+  if (validationErrors.length) {
+    return { response, updatedXML: diagramXML, operations, errors: validationErrors };
+  }
+
+  if (!changed) {
+    return { response, updatedXML: diagramXML, operations, errors: [] };
+  }
+
+  let updatedXML = updatedDiagramXML;
+
+  if (operations.length) {
+    try {
+      updatedXML = await applyOperations(diagramXML, operations);
+    } catch (error) {
+      return { response, updatedXML: diagramXML, operations, errors: [createError('APPLY_FAILED', error.message)] };
+    }
+  }
+
+  if (updatedXML === diagramXML) {
+    return { response, updatedXML, operations, errors: [] };
+  }
+
+  const { errors } = await validateDiagramXML(updatedXML);
+
+  return { response, updatedXML, operations, errors };
+}
+
+/**
+ * Target path of an updated file below the --out directory
+ *
+ * @param {string} outDir - Output directory
+ * @param {string} file - Input file
+ */
+function getOutputPath(outDir, file) {
+  const relative = path.relative(process.cwd(), file);
+
+  return path.join(outDir, relative.startsWith('..') || path.isAbsolute(relative) ? path.basename(file) : relative);
+}
+
+async function main(argv) {
+  let args;
+
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values, positionals } = args;
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const prompt = (values['prompt-file'] ? await fs.readFile(values['prompt-file'], 'utf8') : values.prompt || '').trim();
+
+  if (!prompt) {
+    throw usageError('A prompt is required');
+  }
+
+  if (values.write && values.out) {
+    throw usageError('Use either --write or --out');
+  }
+
+  const template = values.template ? await fs.readFile(values.template, 'utf8') : undefined;
+  const templateError = template !== undefined && checkTemplate('chat', { text: template });
+
+  if (templateError) {
+    throw usageError(`${values.template}: ${templateError}`);
+  }
+
+  const files = await collectFiles(positionals);
+
+  if (!files.length) {
+    throw usageError('No .bpmn files given');
+  }
+
+  const selectedElementIds = (values.select || '').split(',').map(id => id.trim()).filter(Boolean);
+  const showDiff = values.diff || (!values.write && !values.out);
+  const provider = meterProvider(createProvider());
+  let failed = 0;
+
+  for (const file of files) {
+    const diagramXML = await fs.readFile(file, 'utf8');
+    const { response, updatedXML, operations, errors } = await processDiagram(provider, diagramXML, { prompt, selectedElementIds, template });
+
+    if (values.verbose && response) {
+      console.error(`${file}: ${response}`);
+    }
+
+    if (errors.length) {
+      failed++;
+      console.error(`${file}: change rejected\n${formatValidationErrors(errors)}`);
+      continue;
+    }
+
+    if (updatedXML === diagramXML) {
+      console.error(`${file}: unchanged`);
+      continue;
+    }
+
+    console.error(`${file}: updated${operations.length ? ` (${operations.length} operations)` : ''}`);
+
+    if (showDiff) {
+      const name = path.relative(process.cwd(), file).split(path.sep).join('/');
+      process.stdout.write(createUnifiedDiff(diagramXML, updatedXML, { fromFile: `a/${name}`, toFile: `b/${name}` }));
+    }
+
+    if (values.write) {
+      await fs.writeFile(file, updatedXML);
+    } else if (values.out) {
+      const target = getOutputPath(values.out, file);
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, updatedXML);
+    }
+  }
+
+  console.error(`${files.length} file(s) processed, ${failed} rejected`);
+
+  return failed ? EXIT_INVALID : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error.isUsageError ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+    process.exitCode = EXIT_USAGE;
+  });
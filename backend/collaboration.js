@@ -0,0 +1,356 @@
+/**
+ * Real-time Collaboration Server
+ *
+ * WebSocket endpoint (/collab) that lets several editors work on the same
+ * diagram. Clients connect with their token (`/collab?token=...`), join the
+ * room of a saved diagram they can access and send every change of their
+ * command stack as the resulting diagram XML together with the version
+ * (`baseSeq`) it was made against. Changes of users who can only read the
+ * diagram are rejected; permissions are checked again for every change, so
+ * removing or reducing a share takes effect right away. A room starts from
+ * the saved version of the diagram when its first client joins, and its
+ * diagram is saved as a new version when the last client leaves.
+ *
+ * The server is the single sequencer: each accepted change gets the next
+ * sequence number and is broadcast to the other clients of the room. A
+ * change made against an older version is merged into the current one
+ * (see diagramMerge.js); conflicting edits of the same element resolve in
+ * favor of the later change, so every client ends up with the same diagram.
+ *
+ * Messages are JSON objects with a `type`:
+ *
+ *   client -> server
+ *     join     { room }                            room is a diagram ID
+ *     change   { baseSeq, xml, rebase, source, summary, prompt }
+ *     presence { selection: [ids], cursor: { x, y } | null }
+ *     sync     {}                                  request the current state
+ *
+ *   server -> client
+ *     welcome  { clientId, color, seq, xml, peers, permission }
+ *     ack      { seq, xml? }                       xml is set if the change was merged
+ *     reject   { seq, xml, reason }                the change could not be merged
+ *     change   { seq, xml, author, source, summary, prompt }
+ *     state    { seq, xml }
+ *     presence { clientId, user, color, selection, cursor }
+ *     leave    { clientId }
+ *
+ * A client that kept editing while its change was merged has not seen the
+ * merged diagram yet; it sends its next change with `rebase`, which merges
+ * against the diagram it last submitted instead of a sequenced version.
+ */
+
+const { WebSocketServer } = require('ws');
+const { mergeDiagrams } = require('./diagramMerge');
+const { formatValidationErrors } = require('./bpmnValidator');
+const { captureException } = require('./sentry.config');
+const { authenticateToken } = require('./userStore');
+const { getDiagram, getPermission, hasPermission, updateDiagram } = require('./diagramStore');
+
+// Versions kept per room to merge changes made against them
+const HISTORY_SIZE = parseInt(process.env.COLLAB_HISTORY_SIZE || '50', 10);
+
+const COLORS = [ '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324' ];
+
+// Room name to { seq, xml, history: Map<seq, xml>, clients: Map<clientId, client>, queue, lastAuthor }
+const rooms = new Map();
+
+let nextClientId = 1;
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message, exceptClientId) {
+  room.clients.forEach((client, clientId) => {
+    if (clientId !== exceptClientId) {
+      send(client.socket, message);
+    }
+  });
+}
+
+function describePeer(clientId, client) {
+  return { clientId, user: client.user, color: client.color, selection: client.selection, cursor: client.cursor };
+}
+
+/**
+ * Record a new version of the room's diagram
+ *
+ * @param {Object} room - Collaboration room
+ * @param {string} xml - Diagram XML
+ */
+function commit(room, xml) {
+  room.seq++;
+  room.xml = xml;
+  room.history.set(room.seq, xml);
+
+  if (room.history.size > HISTORY_SIZE) {
+    room.history.delete(room.history.keys().next().value);
+  }
+}
+
+/**
+ * Sequence a change of a client; merges it if it was made against an older version
+ *
+ * @param {Object} room - Collaboration room
+ * @param {number} clientId - Sending client
+ * @param {Object} client - Sending client; it may have left the room since it sent the change
+ * @param {Object} message - change message
+ */
+async function applyChange(room, clientId, client, { baseSeq, xml, rebase = false, source = 'user', summary, prompt }) {
+  // Shares may have changed since the client joined
+  client.permission = await getPermission(room.name, client.account);
+
+  if (!client.permission) {
+    send(client.socket, { type: 'error', message: 'You no longer have access to this diagram' });
+    return client.socket.close(4403, 'Access removed');
+  }
+
+  if (!hasPermission(client.permission, 'edit')) {
+    return send(client.socket, { type: 'reject', seq: room.seq, xml: room.xml, reason: 'You can only view this diagram' });
+  }
+
+  if (typeof xml !== 'string' || !xml.trim()) {
+    return send(client.socket, { type: 'reject', seq: room.seq, xml: room.xml, reason: 'The change contains no diagram' });
+  }
+
+  let mergedXML = xml;
+
+  if (rebase || baseSeq !== room.seq) {
+    const baseXML = rebase ? client.submittedXML : room.history.get(baseSeq);
+
+    if (!baseXML) {
+      return send(client.socket, { type: 'reject', seq: room.seq, xml: room.xml, reason: 'The change is based on a version that is no longer available' });
+    }
+
+    try {
+      const { xml: merged, errors } = await mergeDiagrams(baseXML, room.xml, xml);
+
+      if (errors.length) {
+        return send(client.socket, {
+          type: 'reject',
+          seq: room.seq,
+          xml: room.xml,
+          reason: `The change conflicts with concurrent edits:\n${formatValidationErrors(errors)}`
+        });
+      }
+
+      mergedXML = merged;
+    } catch (error) {
+      captureException(error, { component: 'collaboration', action: 'merge_change' });
+      return send(client.socket, { type: 'reject', seq: room.seq, xml: room.xml, reason: 'The change could not be merged' });
+    }
+  }
+
+  client.submittedXML = xml;
+  room.lastAuthor = client.user.name;
+  commit(room, mergedXML);
+
+  send(client.socket, { type: 'ack', seq: room.seq, ...(mergedXML !== xml ? { xml: mergedXML } : {}) });
+  broadcast(room, { type: 'change', seq: room.seq, xml: mergedXML, author: client.user, source, summary, prompt }, clientId);
+}
+
+/**
+ * Save the diagram of a room as a new version unless it is the saved one
+ *
+ * @param {Object} room - Collaboration room
+ */
+async function saveRoom(room) {
+  const diagram = await getDiagram(room.name);
+
+  if (!diagram || diagram.xml === room.xml) {
+    return;
+  }
+
+  await updateDiagram(room.name, { xml: room.xml, author: room.lastAuthor, message: 'Edited together' });
+}
+
+/**
+ * Handle a message of a client
+ *
+ * @param {Object} room - Collaboration room
+ * @param {number} clientId - Sending client
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(room, clientId, message) {
+  const client = room.clients.get(clientId);
+
+  switch (message.type) {
+    case 'change':
+      // Changes are sequenced one at a time per room
+      room.queue = room.queue.then(() => applyChange(room, clientId, client, message)).catch(error => {
+        captureException(error, { component: 'collaboration', action: 'apply_change' });
+      });
+      break;
+    case 'presence':
+      client.selection = Array.isArray(message.selection) ? message.selection : [];
+      client.cursor = message.cursor || null;
+      broadcast(room, { type: 'presence', ...describePeer(clientId, client) }, clientId);
+      break;
+    case 'sync':
+      send(client.socket, { type: 'state', seq: room.seq, xml: room.xml });
+      break;
+    default:
+      send(client.socket, { type: 'error', message: `Unknown message type "${message.type}"` });
+  }
+}
+
+/**
+ * Add a client to a room
+ *
+ * @param {WebSocket} socket - Client connection
+ * @param {string} name - Room name, the diagram ID
+ * @param {string|null} xml - Saved diagram; seeds the room if it is not open yet
+ * @param {Object} user - Signed-in user
+ * @param {string} permission - Permission of the user on the diagram
+ */
+function join(socket, name, xml, user, permission) {
+  if (!rooms.has(name)) {
+    rooms.set(name, { name, seq: 0, xml, history: new Map([ [ 0, xml ] ]), clients: new Map(), queue: Promise.resolve(), lastAuthor: null });
+  }
+
+  const room = rooms.get(name);
+  const clientId = nextClientId++;
+  const client = {
+    socket,
+    user: { name: user.username },
+    account: user,
+    permission,
+    color: COLORS[clientId % COLORS.length],
+    selection: [],
+    cursor: null,
+  };
+
+  room.clients.set(clientId, client);
+
+  send(socket, {
+    type: 'welcome',
+    clientId,
+    color: client.color,
+    seq: room.seq,
+    xml: room.xml,
+    peers: [ ...room.clients ].filter(([ id ]) => id !== clientId).map(([ id, peer ]) => describePeer(id, peer)),
+    permission,
+  });
+  broadcast(room, { type: 'presence', ...describePeer(clientId, client) }, clientId);
+
+  return { room, name, clientId };
+}
+
+/**
+ * Attach the collaboration endpoint to an HTTP server
+ *
+ * @param {http.Server} server - Server the Express app listens on
+ */
+function attachCollaboration(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: '/collab',
+    maxPayload: 10 * 1024 * 1024,
+    // Connections without a valid token are refused during the handshake
+    verifyClient: ({ req }, done) => {
+      const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+
+      authenticateToken(token)
+        .then(session => {
+          req.user = session?.user;
+          done(!!session, 401);
+        })
+        .catch(() => done(false, 500));
+    },
+  });
+
+  wss.on('connection', (socket, req) => {
+    let membership = null;
+
+    // Messages are handled in order; joining waits for the permission check
+    let pending = Promise.resolve();
+
+    const receive = async message => {
+      if (message.type === 'join') {
+        if (membership) {
+          return;
+        }
+
+        const name = String(message.room);
+        const permission = await getPermission(name, req.user);
+
+        // Clients cannot seed a room; it starts from the saved diagram
+        let diagram = permission && !rooms.has(name) ? await getDiagram(name) : null;
+
+        // The room may have closed and saved its diagram in the meantime
+        if (permission && !diagram && !rooms.has(name)) {
+          diagram = await getDiagram(name);
+        }
+
+        if (socket.readyState !== socket.OPEN) {
+          return;
+        }
+
+        if (!permission || (!diagram && !rooms.has(name))) {
+          send(socket, { type: 'error', message: 'Diagram not found' });
+          return socket.close(4404, 'Diagram not found');
+        }
+
+        membership = join(socket, name, diagram?.xml, req.user, permission);
+        return;
+      }
+
+      if (!membership) {
+        return send(socket, { type: 'error', message: 'Join a room first' });
+      }
+
+      handleMessage(membership.room, membership.clientId, message);
+    };
+
+    socket.on('message', data => {
+      let message;
+
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return send(socket, { type: 'error', message: 'Messages must be JSON' });
+      }
+
+      pending = pending.then(() => receive(message)).catch(error => {
+        captureException(error, { component: 'collaboration', action: 'receive_message' });
+      });
+    });
+
+    socket.on('close', () => {
+      // Leave once the messages received before are handled
+      pending = pending.then(() => {
+        if (!membership) {
+          return;
+        }
+
+        const { room, name, clientId } = membership;
+
+        room.clients.delete(clientId);
+        broadcast(room, { type: 'leave', clientId });
+
+        if (room.clients.size) {
+          return;
+        }
+
+        // Rooms only live as long as someone is editing; once the pending changes are applied,
+        // the diagram is kept as a version unless someone joined again in the meantime
+        room.queue = room.queue
+          .then(() => !room.clients.size && saveRoom(room))
+          .catch(error => captureException(error, { component: 'collaboration', action: 'save_room' }))
+          .finally(() => {
+            if (!room.clients.size && rooms.get(name) === room) {
+              rooms.delete(name);
+            }
+          });
+      });
+    });
+  });
+
+  return wss;
+}
+
+module.exports = {
+  attachCollaboration
+};
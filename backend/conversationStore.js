@@ -0,0 +1,159 @@
+/**
+ * Conversation Sessions for the Chat Endpoint
+ *
+ * Keeps the turn history of each chat session in memory so follow-up
+ * requests ("now do the same for the other lane") can refer to earlier
+ * turns. Turns that no longer fit the token budget are folded into a
+ * running summary. Sessions belong to the user who started them.
+ */
+
+const crypto = require('crypto');
+
+// Rough token estimate; good enough for budgeting prompt space
+const CHARS_PER_TOKEN = 4;
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET || '4000', 10);
+const SESSION_TTL_MS = parseInt(process.env.CHAT_SESSION_TTL_MINUTES || '120', 10) * 60 * 1000;
+
+const sessions = new Map();
+
+/**
+ * Estimate the number of tokens of a text
+ *
+ * @param {string} text - Text to measure
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Drop sessions that have been idle for longer than the TTL
+ */
+function pruneSessions() {
+  const now = Date.now();
+
+  sessions.forEach((session, id) => {
+    if (now - session.lastActive > SESSION_TTL_MS) {
+      sessions.delete(id);
+    }
+  });
+}
+
+/**
+ * Get a session by ID, creating a new one if it is unknown, expired or
+ * belongs to another user
+ *
+ * @param {string} [sessionId] - Session ID sent by the client
+ * @param {string} userId - Signed-in user
+ * @returns {Object} Session with id, summary and turns
+ */
+function getSession(sessionId, userId) {
+  pruneSessions();
+
+  let session = sessionId && sessions.get(sessionId);
+
+  if (!session || session.userId !== userId) {
+    session = { id: crypto.randomUUID(), userId, summary: '', turns: [], lastActive: Date.now() };
+    sessions.set(session.id, session);
+  }
+
+  session.lastActive = Date.now();
+
+  return session;
+}
+
+/**
+ * Delete a session of a user
+ *
+ * @param {string} sessionId - Session to delete
+ * @param {string} userId - Signed-in user
+ * @returns {boolean} Whether the user had the session
+ */
+function deleteSession(sessionId, userId) {
+  return sessions.get(sessionId)?.userId === userId && sessions.delete(sessionId);
+}
+
+/**
+ * Record a turn of the conversation
+ *
+ * @param {Object} session - Session returned by getSession
+ * @param {'user'|'assistant'} role - Speaker of the turn
+ * @param {string} text - Content of the turn
+ */
+function appendTurn(session, role, text) {
+  session.turns.push({ role, text });
+  session.lastActive = Date.now();
+}
+
+/**
+ * Format turns as a transcript
+ *
+ * @param {Array} turns - Turns to format
+ */
+function formatTurns(turns) {
+  return turns
+    .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.text}`)
+    .join('\n');
+}
+
+/**
+ * Build the conversation context for the next prompt
+ *
+ * Oldest turns are summarized once the history exceeds the token budget,
+ * so the result always fits the budget (apart from a very long summary).
+ *
+ * @param {Object} session - Session returned by getSession
+ * @param {Function} summarize - async (previousSummary, transcript) => new summary
+ * @param {number} [budget] - Token budget for the history
+ * @returns {Promise<string>} Conversation context, empty for a new session
+ */
+async function buildHistoryContext(session, summarize, budget = HISTORY_TOKEN_BUDGET) {
+  let used = estimateTokens(session.summary);
+  let keepFrom = session.turns.length;
+
+  // Keep as many of the most recent turns as fit the budget
+  while (keepFrom > 0) {
+    const tokens = estimateTokens(session.turns[keepFrom - 1].text);
+
+    if (used + tokens > budget) {
+      break;
+    }
+
+    used += tokens;
+    keepFrom--;
+  }
+
+  const recent = session.turns.slice(keepFrom);
+
+  if (keepFrom > 0) {
+    const overflow = session.turns.slice(0, keepFrom);
+
+    try {
+      session.summary = await summarize(session.summary, formatTurns(overflow));
+      session.turns = recent;
+    } catch (error) {
+      // Fall back to the turns that fit; the overflow is retried next time
+      console.error('Failed to summarize conversation history:', error);
+    }
+  }
+
+  const parts = [];
+
+  if (session.summary) {
+    parts.push(`Summary of earlier conversation:\n${session.summary}`);
+  }
+
+  if (recent.length) {
+    parts.push(`Recent turns:\n${formatTurns(recent)}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+module.exports = {
+  getSession,
+  deleteSession,
+  appendTurn,
+  buildHistoryContext,
+  estimateTokens
+};
@@ -0,0 +1,288 @@
+/**
+ * Decision Assistant
+ *
+ * Handles chat requests of type "decision": the model creates and edits the
+ * DMN decision tables that belong to a diagram and links them to business
+ * rule tasks. It answers with the changed tables as JSON (see dmn.js) and
+ * edit operations for the diagram, typically updateProperties with a
+ * decisionId and resultVariable. Both are validated together, so a task is
+ * never linked to a decision that does not exist. The instructions come
+ * from the "decision" prompt template (see promptTemplates.js).
+ *
+ * The response has the shape of a chat response (see chatAssistant.js) plus
+ * the updated DMN XML and the IDs of the changed decisions.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+const { formatValidationErrors, createError } = require('./bpmnValidator');
+const { OPERATIONS_PROMPT, OPERATION_SCHEMA, validateOperations } = require('./diagramOperations');
+const { getZeebeExtensions } = require('./zeebe');
+const {
+  DECISION_TABLE_SCHEMA,
+  HIT_POLICIES,
+  TYPE_REFS,
+  readDecisionTables,
+  validateDecisionTables,
+  writeDecisionTables,
+  formatDecisionTable
+} = require('./dmn');
+const { VALIDATION_RETRIES } = require('./chatAssistant');
+const { repairStructuredOutput, generateStructuredOutput } = require('./structuredOutput');
+const { DEFAULT_TEMPLATES, renderTemplate } = require('./promptTemplates');
+const { captureMessage } = require('./sentry.config');
+
+const moddle = new BpmnModdle();
+
+// JSON schema of the model's answer to a decision request
+const DECISION_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    response: { type: 'string', description: 'Answer to the user in conversational text' },
+    decisions: { type: 'array', items: DECISION_TABLE_SCHEMA, description: 'Complete new or changed decision tables' },
+    removedDecisionIds: { type: 'array', items: { type: 'string' } },
+    operations: { type: 'array', items: OPERATION_SCHEMA },
+    impactAnalysis: { type: 'string', description: 'Possible impacts of the change on the process' }
+  },
+  required: ['response']
+};
+
+/**
+ * List the business rule tasks of a diagram with the decisions they call
+ *
+ * @param {string} diagramXML - BPMN XML
+ * @returns {Promise<Array>} { id, name, decisionId, resultVariable }
+ */
+async function getBusinessRuleTasks(diagramXML) {
+  const { rootElement: definitions } = await moddle.fromXML(diagramXML);
+  const tasks = [];
+
+  const visit = container => (container.flowElements || []).forEach(element => {
+    if (element.$instanceOf('bpmn:BusinessRuleTask')) {
+      const [calledDecision] = getZeebeExtensions(element, 'calledDecision');
+
+      tasks.push({
+        id: element.id,
+        name: element.name || '',
+        decisionId: calledDecision?.decisionId || element.$attrs['camunda:decisionRef'] || '',
+        resultVariable: calledDecision?.resultVariable || element.$attrs['camunda:resultVariable'] || '',
+      });
+    }
+
+    visit(element);
+  });
+
+  (definitions.rootElements || [])
+    .filter(element => element.$instanceOf('bpmn:Process'))
+    .forEach(visit);
+
+  return tasks;
+}
+
+/**
+ * Build the full prompt sent to the model for a decision request
+ *
+ * @param {Object} params - Result of buildDecisionParams
+ * @param {string} [params.template] - Text of the "decision" prompt template, the default if not given
+ * @param {Array} [params.validationErrors] - Errors of a previous attempt to feed back to the model
+ */
+function buildDecisionPrompt({
+  diagramXML, decisions, businessRuleTasks, selectedElementIds, prompt, conversationHistory = '',
+  template = DEFAULT_TEMPLATES.decision.text, validationErrors = []
+}) {
+  const fullPrompt = renderTemplate(template, {
+    hitPolicies: HIT_POLICIES.join(', '),
+    typeRefs: TYPE_REFS.join(', '),
+    operations: OPERATIONS_PROMPT,
+    conversationHistory: conversationHistory || 'None',
+    decisions: decisions.length ? JSON.stringify(decisions, null, 2) : 'None',
+    businessRuleTasks: businessRuleTasks.length
+      ? businessRuleTasks.map(task => `- ${task.name ? `"${task.name}" ` : ''}(${task.id}): ${task.decisionId ? `calls ${task.decisionId}, result in "${task.resultVariable}"` : 'not linked to a decision'}`).join('\n')
+      : 'None',
+    diagram: diagramXML,
+    selectedElementIds: selectedElementIds.length > 0 ? selectedElementIds.join(', ') : 'None',
+    prompt,
+  });
+
+  if (!validationErrors.length) {
+    return fullPrompt;
+  }
+
+  return `${fullPrompt}
+
+**Validation Feedback:**
+Your previous response contained a change that failed validation with the following errors:
+${formatValidationErrors(validationErrors)}
+
+Return a corrected response that fixes every listed error.`;
+}
+
+/**
+ * Build the prompt parameters for a decision request
+ *
+ * @param {Object} params
+ * @param {string} params.diagramXML - Current diagram XML
+ * @param {string} [params.dmnXML] - Current DMN XML, none if the diagram has no decisions yet
+ * @param {Array} [params.selectedElementIds] - IDs selected on the canvas
+ * @param {string} params.prompt - User's request
+ * @param {string} [params.conversationHistory] - Earlier turns of the chat session
+ * @param {string} [params.template] - Text of the "decision" prompt template, the default if not given
+ * @throws {Error} With status 400 if the DMN XML cannot be parsed
+ */
+async function buildDecisionParams({ diagramXML, dmnXML = '', selectedElementIds = [], prompt, conversationHistory = '', template }) {
+  let decisions;
+
+  try {
+    decisions = await readDecisionTables(dmnXML);
+  } catch (error) {
+    throw Object.assign(new Error(`Could not parse DMN: ${error.message.split('\n')[0]}`), { status: 400 });
+  }
+
+  return {
+    diagramXML,
+    dmnXML,
+    decisions,
+    // Unparsable diagrams have no tasks; the operations are rejected by the validator
+    businessRuleTasks: await getBusinessRuleTasks(diagramXML).catch(() => []),
+    selectedElementIds,
+    prompt,
+    conversationHistory,
+    template
+  };
+}
+
+/**
+ * Validate the decisions and operations proposed by the model
+ *
+ * @param {Object} params - Result of buildDecisionParams
+ * @param {Object} llmResponse - Parsed model response
+ * @returns {Promise<Array>} Validation errors, empty if the change can be applied
+ */
+async function validateDecisionChange(params, llmResponse) {
+  const { decisions = [], removedDecisionIds = [], operations = [] } = llmResponse;
+  const existingIds = params.decisions.map(table => table.id);
+
+  const errors = [
+    ...validateDecisionTables(decisions),
+    ...removedDecisionIds
+      .filter(id => !existingIds.includes(id))
+      .map(id => createError('UNKNOWN_DECISION', `Decision <${id}> cannot be removed, it does not exist`, id)),
+  ];
+
+  if (operations.length) {
+    errors.push(...await validateOperations(params.diagramXML, operations));
+  }
+
+  const availableIds = new Set([...existingIds, ...decisions.map(table => table?.id)]);
+  removedDecisionIds.forEach(id => availableIds.delete(id));
+
+  operations
+    .filter(operation => operation.type === 'updateProperties' && operation.properties?.decisionId)
+    .filter(operation => !availableIds.has(operation.properties.decisionId))
+    .forEach(operation => errors.push(createError(
+      'UNKNOWN_DECISION',
+      `<${operation.elementId}> is linked to decision <${operation.properties.decisionId}>, which does not exist`,
+      operation.elementId
+    )));
+
+  return errors;
+}
+
+/**
+ * Check the model's answer and write the changed decisions, asking the model
+ * for corrections until the change is valid or the retries are used up
+ *
+ * @param {Object} provider - LLM provider (see providers/index.js)
+ * @param {Object} params - Result of buildDecisionParams
+ * @param {string} text - Raw model output of the first attempt
+ * @param {Object} [requestOptions] - Options passed to the model, e.g. an abort signal
+ * @returns {Promise<Object>} Body for the chat response with dmnXML and decisionChanges
+ *   ({ created, updated, removed } decision IDs)
+ */
+async function resolveDecisionResponse(provider, params, text, requestOptions = {}) {
+  const { diagramXML, dmnXML } = params;
+  let { value: llmResponse, errors: formatErrors } = await repairStructuredOutput(provider, text, DECISION_RESPONSE_SCHEMA, requestOptions);
+  let validationErrors = [];
+
+  for (let attempt = 0; !formatErrors.length; attempt++) {
+    validationErrors = await validateDecisionChange(params, llmResponse);
+
+    if (!validationErrors.length || attempt >= VALIDATION_RETRIES) {
+      break;
+    }
+
+    console.warn(`AI decision change failed validation (attempt ${attempt + 1}):\n${formatValidationErrors(validationErrors)}`);
+
+    ({ value: llmResponse, errors: formatErrors } = await generateStructuredOutput(
+      provider,
+      buildDecisionPrompt({ ...params, validationErrors }),
+      DECISION_RESPONSE_SCHEMA,
+      requestOptions
+    ));
+  }
+
+  const unchanged = {
+    updatedDiagramXML: diagramXML,
+    dmnXML,
+    decisionChanges: { created: [], updated: [], removed: [] },
+    changed: false,
+    operations: [],
+  };
+
+  if (formatErrors.length) {
+    captureMessage('AI answer rejected after failed format repair', 'warning', {
+      validation: { errors: formatErrors }
+    });
+
+    return {
+      ...unchanged,
+      response: `The answer of the assistant could not be read:\n${formatValidationErrors(formatErrors)}`,
+      impactAnalysis: '',
+      validationErrors: formatErrors,
+    };
+  }
+
+  if (validationErrors.length) {
+    captureMessage('AI decision change rejected after failed validation', 'warning', {
+      validation: { errors: validationErrors, attempts: VALIDATION_RETRIES + 1 }
+    });
+
+    return {
+      ...unchanged,
+      response: `${llmResponse.response}\n\nThe proposed change was rejected because it is not valid:\n${formatValidationErrors(validationErrors)}`.trim(),
+      impactAnalysis: llmResponse.impactAnalysis || '',
+      validationErrors,
+    };
+  }
+
+  const { decisions = [], removedDecisionIds = [], operations = [] } = llmResponse;
+  const existingIds = params.decisions.map(table => table.id);
+  const decisionsChanged = decisions.length > 0 || removedDecisionIds.length > 0;
+
+  return {
+    response: [
+      llmResponse.response,
+      ...decisions.map(formatDecisionTable),
+      ...(removedDecisionIds.length ? [`Removed: ${removedDecisionIds.map(id => `\`${id}\``).join(', ')}`] : []),
+    ].join('\n\n'),
+    updatedDiagramXML: diagramXML,
+    dmnXML: decisionsChanged ? await writeDecisionTables(decisions, dmnXML, removedDecisionIds) : dmnXML,
+    decisionChanges: {
+      created: decisions.filter(table => !existingIds.includes(table.id)).map(table => table.id),
+      updated: decisions.filter(table => existingIds.includes(table.id)).map(table => table.id),
+      removed: removedDecisionIds,
+    },
+    impactAnalysis: llmResponse.impactAnalysis || '',
+    changed: decisionsChanged || operations.length > 0,
+    operations,
+    validationErrors: [],
+  };
+}
+
+module.exports = {
+  DECISION_RESPONSE_SCHEMA,
+  getBusinessRuleTasks,
+  buildDecisionPrompt,
+  buildDecisionParams,
+  validateDecisionChange,
+  resolveDecisionResponse
+};
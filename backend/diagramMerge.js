@@ -0,0 +1,271 @@
+/**
+ * Three-way Merge of BPMN Diagrams
+ *
+ * Merges a change that was made against an older version of a diagram into
+ * the current version. Diagrams are compared element by element (every
+ * moddle element with an ID, including diagram interchange): whatever the
+ * incoming change added, modified or removed relative to its base is applied
+ * to the current version, everything else keeps its current state.
+ *
+ * When both sides changed the same element the incoming change wins, so the
+ * result only depends on the order in which the server sequenced the
+ * changes. References are written by ID; the merged document is validated
+ * and a merge that leaves dangling references is reported as a conflict.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+const { validateDiagramXML } = require('./bpmnValidator');
+
+const moddle = new BpmnModdle();
+
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+function isElement(value) {
+  return value && typeof value === 'object' && value.$type;
+}
+
+/**
+ * Whether a contained child is merged as an element of its own
+ *
+ * @param {Object} child - Contained moddle element
+ */
+function hasIdentity(child) {
+  return isElement(child) && typeof child.id === 'string';
+}
+
+function getProperties(element) {
+  return element.$descriptor?.properties || [];
+}
+
+/**
+ * Comparable state of an element without the elements it contains
+ *
+ * @param {Object} element - Moddle element
+ */
+function ownState(element) {
+  const state = { $type: element.$type };
+
+  getProperties(element).forEach(property => {
+    const value = element.get(property.name);
+
+    if (value === undefined || (Array.isArray(value) && !value.length)) {
+      return;
+    }
+
+    if (property.isReference) {
+      state[property.name] = toArray(value).map(ref => ref.id);
+    } else {
+      state[property.name] = toArray(value)
+        .filter(child => !hasIdentity(child))
+        .map(child => (isElement(child) ? ownState(child) : child));
+    }
+  });
+
+  // Extension elements and attributes of unknown namespaces
+  if (element.$attrs && Object.keys(element.$attrs).length) {
+    state.$attrs = element.$attrs;
+  }
+  if (element.$body !== undefined) {
+    state.$body = element.$body;
+  }
+  if (element.$children) {
+    state.$children = element.$children.map(child => ownState(child));
+  }
+
+  return state;
+}
+
+/**
+ * Index all elements with an ID by their ID
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ * @returns {Map} ID to { element, parentId, property, signature }, parents before children
+ */
+function indexElements(definitions) {
+  const index = new Map();
+
+  const visit = (element, parentId, property) => {
+    index.set(element.id, { element, parentId, property, signature: JSON.stringify(ownState(element)) });
+
+    getProperties(element)
+      .filter(candidate => !candidate.isReference)
+      .forEach(candidate => {
+        toArray(element.get(candidate.name))
+          .filter(hasIdentity)
+          .forEach(child => visit(child, element.id, candidate.name));
+      });
+  };
+
+  visit(definitions, null, null);
+
+  return index;
+}
+
+/**
+ * Remove an element from the collection of its parent
+ *
+ * @param {Object} entry - Index entry of the element
+ * @param {Map} index - Index of the document the element belongs to
+ */
+function detach(entry, index) {
+  const parent = index.get(entry.parentId)?.element;
+
+  if (!parent) {
+    return;
+  }
+
+  const value = parent.get(entry.property);
+
+  if (Array.isArray(value)) {
+    const position = value.indexOf(entry.element);
+    if (position !== -1) {
+      value.splice(position, 1);
+    }
+  } else if (value === entry.element) {
+    parent.set(entry.property, undefined);
+  }
+}
+
+/**
+ * Merge a list of references, e.g. the flow nodes of a lane: references the
+ * incoming change added or removed are applied to the current list
+ *
+ * @param {Array} base - References before the incoming change
+ * @param {Array} current - References of the current version
+ * @param {Array} incoming - References after the incoming change
+ */
+function mergeReferences(base, current, incoming) {
+  const ids = list => new Set(list.map(reference => reference.id));
+  const baseIds = ids(base);
+  const incomingIds = ids(incoming);
+  const removed = [ ...baseIds ].filter(id => !incomingIds.has(id));
+
+  const merged = current.filter(reference => !removed.includes(reference.id));
+  const mergedIds = ids(merged);
+
+  return [
+    ...merged,
+    ...incoming.filter(reference => !baseIds.has(reference.id) && !mergedIds.has(reference.id)),
+  ];
+}
+
+/**
+ * Copy the own state of an incoming element, keeping the contained elements
+ * of the current version; contained elements are merged on their own
+ *
+ * @param {Object} incoming - Element of the incoming change
+ * @param {Object} [current] - Element of the current version with the same ID
+ * @param {Object} [base] - Element of the base version with the same ID
+ */
+function copyElement(incoming, current, base) {
+  const copy = moddle.create(incoming.$type);
+
+  getProperties(incoming).forEach(property => {
+    const value = incoming.get(property.name);
+
+    if (property.isReference) {
+      const references = property.isMany && current
+        ? mergeReferences(toArray(base?.get(property.name)), toArray(current.get(property.name)), toArray(value))
+        : value;
+
+      if (toArray(references).length) {
+        copy.set(property.name, references);
+      }
+      return;
+    }
+
+    const own = toArray(value).filter(child => !hasIdentity(child));
+    const identified = current ? toArray(current.get(property.name)).filter(hasIdentity) : [];
+
+    if (property.isMany) {
+      if (own.length || identified.length) {
+        copy.set(property.name, [ ...own, ...identified ]);
+      }
+    } else if (own.length || identified.length) {
+      copy.set(property.name, own.length ? own[0] : identified[0]);
+    }
+  });
+
+  Object.assign(copy.$attrs, incoming.$attrs);
+
+  return copy;
+}
+
+/**
+ * Merge a change made against `baseXML` into `currentXML`
+ *
+ * @param {string} baseXML - Version the change was made against
+ * @param {string} currentXML - Current version
+ * @param {string} incomingXML - Changed diagram
+ * @returns {Promise<{ xml: string, errors: Array }>} Merged diagram and its validation errors
+ */
+async function mergeDiagrams(baseXML, currentXML, incomingXML) {
+  const [ base, current, incoming ] = await Promise.all(
+    [ baseXML, currentXML, incomingXML ].map(async xml => (await moddle.fromXML(xml, 'bpmn:Definitions')).rootElement)
+  );
+
+  const baseIndex = indexElements(base);
+  const currentIndex = indexElements(current);
+  const incomingIndex = indexElements(incoming);
+
+  // Removed by the incoming change
+  baseIndex.forEach((entry, id) => {
+    const currentEntry = currentIndex.get(id);
+
+    if (!incomingIndex.has(id) && currentEntry) {
+      detach(currentEntry, currentIndex);
+      currentIndex.delete(id);
+    }
+  });
+
+  // Added or modified by the incoming change; parents are visited before their children
+  incomingIndex.forEach((entry, id) => {
+    const baseEntry = baseIndex.get(id);
+
+    if (!entry.parentId || (baseEntry && baseEntry.signature === entry.signature && baseEntry.parentId === entry.parentId)) {
+      return;
+    }
+
+    const parent = currentIndex.get(entry.parentId)?.element;
+
+    // The container was removed concurrently; the removal wins
+    if (!parent) {
+      return;
+    }
+
+    const currentEntry = currentIndex.get(id);
+    const copy = copyElement(entry.element, currentEntry?.element, baseEntry?.element);
+    const collection = parent.get(entry.property);
+
+    if (currentEntry && currentEntry.parentId === entry.parentId && Array.isArray(collection) && collection.includes(currentEntry.element)) {
+      collection.splice(collection.indexOf(currentEntry.element), 1, copy);
+    } else {
+      if (currentEntry) {
+        detach(currentEntry, currentIndex);
+      }
+
+      if (Array.isArray(collection)) {
+        collection.push(copy);
+      } else {
+        parent.set(entry.property, copy);
+      }
+    }
+
+    currentIndex.set(id, { ...entry, element: copy });
+  });
+
+  const { xml } = await moddle.toXML(current, { format: true });
+  const { errors } = await validateDiagramXML(xml);
+
+  return { xml, errors };
+}
+
+module.exports = {
+  mergeDiagrams
+};
@@ -0,0 +1,414 @@
+/**
+ * Structured Edit Operations for AI Diagram Changes
+ *
+ * Instead of regenerating the whole document, the model returns a list of
+ * typed operations that the editor applies through the bpmn-js modeling API
+ * as a single undoable step. This module describes the operation format for
+ * the prompt and checks operations against the current diagram.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+const { createError } = require('./bpmnValidator');
+const { isZeebeDefinitions } = require('./zeebe');
+const { METRIC_TYPES, checkMetric } = require('./processSimulation');
+
+const moddle = new BpmnModdle();
+
+/**
+ * Element types that may be created with an addShape operation
+ */
+const SHAPE_BASE_TYPES = [
+  'bpmn:FlowNode',
+  'bpmn:DataObjectReference',
+  'bpmn:DataStoreReference',
+  'bpmn:TextAnnotation',
+];
+
+/**
+ * Operation format description included in the prompt
+ */
+const OPERATIONS_PROMPT = `Each operation is a JSON object with a "type" and these fields:
+- { "type": "addShape", "id": "Activity_Approve", "elementType": "bpmn:UserTask", "name": "Approve", "after": "Task_1", "laneId": "Lane_1" }
+  Creates a flow node. "after" (optional) places it to the right of an existing element. "laneId" (optional) places it in a lane.
+- { "type": "connect", "id": "Flow_Approve", "sourceId": "Task_1", "targetId": "Activity_Approve", "name": "yes", "condition": "\${approved}" }
+  Creates a sequence flow. "name" and "condition" are optional.
+- { "type": "rename", "elementId": "Task_1", "name": "Check Request" }
+- { "type": "delete", "elementId": "SequenceFlow_2" }
+  Removes an element; connected sequence flows are removed with it.
+- { "type": "moveToLane", "elementId": "Task_1", "laneId": "Lane_2" }
+- { "type": "updateProperties", "elementId": "Task_1", "properties": { "documentation": "Checks the request for completeness." } }
+  Sets properties of an element. Allowed properties: "documentation" (any element), "condition" (sequence flows),
+  "assignee" and "candidateGroups" (user tasks, Camunda expressions or names), "formFields" (user tasks and start events,
+  a list of { "id", "label", "type": "string" | "long" | "boolean" | "date" | "enum", "defaultValue" }),
+  "decisionId" and "resultVariable" (business rule tasks, the ID of the DMN decision the task evaluates and the
+  variable its result is stored in).
+  Simulation metrics, used for the numbers under "Simulation Results": "duration", "cost" and "resources" (activities,
+  minutes and cost per execution and the number of performers working in parallel, e.g. "30", "12.5" and "2"; "duration"
+  also on catch events for waiting times), "probability" (sequence flows leaving a gateway, the share of instances
+  taking the branch, e.g. "0.7") and "interval" (start events, mean minutes between two new instances).
+  Diagrams made executable for Camunda 8 (modeler:executionPlatform="Camunda Cloud") also allow these properties:
+  "taskType" and "retries" (job type and retries of service, send, script and business rule tasks, e.g. "send-invoice" and "3"),
+  "inputs" (tasks except receive tasks, sub-processes and call activities) and "outputs" (these, receive tasks and events),
+  each a list of { "source": "=customer.email", "target": "email" },
+  "messageName" and "correlationKey" (receive tasks and message catch events, e.g. "Payment Received" and "=orderId"),
+  "timer" (timer events, an ISO 8601 duration "PT2H", cycle "R3/PT10M" or date) and "calledProcessId" (call activities).
+  In these diagrams conditions are FEEL expressions starting with "=", e.g. "=amount > 1000", form fields are
+  allowed on user tasks only, and properties of event definitions require the event to have that definition.
+Operations are applied in order; later operations may refer to IDs created by earlier ones.
+To insert an element into an existing flow, delete the old sequence flow and connect the new element on both sides.`;
+
+/**
+ * Properties that may be set with updateProperties and the element types they apply to
+ */
+const PROPERTY_TYPES = {
+  documentation: null,
+  condition: ['bpmn:SequenceFlow'],
+  assignee: ['bpmn:UserTask'],
+  candidateGroups: ['bpmn:UserTask'],
+  formFields: ['bpmn:UserTask', 'bpmn:StartEvent'],
+  decisionId: ['bpmn:BusinessRuleTask'],
+  resultVariable: ['bpmn:BusinessRuleTask'],
+  ...METRIC_TYPES,
+};
+
+// Activities that take input mappings
+const ACTIVITY_TYPES = ['bpmn:ServiceTask', 'bpmn:SendTask', 'bpmn:ScriptTask', 'bpmn:BusinessRuleTask', 'bpmn:UserTask', 'bpmn:CallActivity', 'bpmn:SubProcess'];
+
+/**
+ * Properties that may only be set in diagrams made executable for Camunda 8, and their element types
+ */
+const ZEEBE_PROPERTY_TYPES = {
+  taskType: ['bpmn:ServiceTask', 'bpmn:SendTask', 'bpmn:ScriptTask', 'bpmn:BusinessRuleTask'],
+  retries: ['bpmn:ServiceTask', 'bpmn:SendTask', 'bpmn:ScriptTask', 'bpmn:BusinessRuleTask'],
+  inputs: ACTIVITY_TYPES,
+  outputs: [...ACTIVITY_TYPES, 'bpmn:ReceiveTask', 'bpmn:StartEvent', 'bpmn:IntermediateCatchEvent', 'bpmn:BoundaryEvent', 'bpmn:IntermediateThrowEvent', 'bpmn:EndEvent'],
+  messageName: ['bpmn:ReceiveTask', 'bpmn:StartEvent', 'bpmn:IntermediateCatchEvent', 'bpmn:BoundaryEvent'],
+  correlationKey: ['bpmn:ReceiveTask', 'bpmn:StartEvent', 'bpmn:IntermediateCatchEvent', 'bpmn:BoundaryEvent'],
+  timer: ['bpmn:StartEvent', 'bpmn:IntermediateCatchEvent', 'bpmn:BoundaryEvent'],
+  calledProcessId: ['bpmn:CallActivity'],
+};
+
+/**
+ * Event definitions that event properties are written to
+ */
+const EVENT_DEFINITION_PROPERTIES = {
+  messageName: 'bpmn:MessageEventDefinition',
+  correlationKey: 'bpmn:MessageEventDefinition',
+  timer: 'bpmn:TimerEventDefinition',
+};
+
+const FORM_FIELD_TYPES = ['string', 'long', 'boolean', 'date', 'enum'];
+
+const MAPPING_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      source: { type: 'string' },
+      target: { type: 'string' },
+    },
+    required: ['source', 'target'],
+  },
+};
+
+/**
+ * JSON schema of an operation, for structured model output (see structuredOutput.js)
+ */
+const OPERATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['addShape', 'connect', 'rename', 'delete', 'moveToLane', 'updateProperties'] },
+    id: { type: 'string' },
+    elementId: { type: 'string' },
+    elementType: { type: 'string' },
+    name: { type: 'string' },
+    after: { type: 'string' },
+    laneId: { type: 'string' },
+    sourceId: { type: 'string' },
+    targetId: { type: 'string' },
+    condition: { type: 'string' },
+    properties: {
+      type: 'object',
+      properties: {
+        documentation: { type: 'string' },
+        condition: { type: 'string' },
+        assignee: { type: 'string' },
+        candidateGroups: { type: 'string' },
+        formFields: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              label: { type: 'string' },
+              type: { type: 'string', enum: FORM_FIELD_TYPES },
+              defaultValue: { type: 'string' },
+            },
+            required: ['id', 'label', 'type'],
+          },
+        },
+        taskType: { type: 'string' },
+        retries: { type: 'string' },
+        inputs: MAPPING_SCHEMA,
+        outputs: MAPPING_SCHEMA,
+        messageName: { type: 'string' },
+        correlationKey: { type: 'string' },
+        timer: { type: 'string' },
+        calledProcessId: { type: 'string' },
+        decisionId: { type: 'string' },
+        resultVariable: { type: 'string' },
+        duration: { type: 'string' },
+        cost: { type: 'string' },
+        resources: { type: 'string' },
+        probability: { type: 'string' },
+        interval: { type: 'string' },
+      },
+    },
+  },
+  required: ['type'],
+};
+
+/**
+ * Check the properties of an updateProperties operation
+ *
+ * @param {number} index - Operation index
+ * @param {Object} properties - Properties to set
+ * @param {string} elementType - Type of the element, 'new' for elements of earlier addShape operations
+ * @param {Object} [element] - Moddle element, if it exists in the current diagram
+ * @param {boolean} [isZeebe] - Whether the diagram is made executable for Camunda 8
+ * @returns {Array} Validation errors
+ */
+function checkProperties(index, properties, elementType, element, isZeebe = false) {
+  if (!properties || typeof properties !== 'object' || !Object.keys(properties).length) {
+    return [createError('MISSING_FIELD', `Operation ${index} is missing "properties"`)];
+  }
+
+  const errors = [];
+
+  Object.entries(properties).forEach(([name, value]) => {
+    if (name in ZEEBE_PROPERTY_TYPES && !isZeebe) {
+      errors.push(createError('INVALID_PROPERTY', `Operation ${index}: "${name}" can only be set once the diagram is made executable for Camunda 8`));
+      return;
+    }
+
+    if (!(name in PROPERTY_TYPES) && !(name in ZEEBE_PROPERTY_TYPES)) {
+      errors.push(createError('INVALID_PROPERTY', `Operation ${index}: unknown property "${name}"`));
+      return;
+    }
+
+    // Camunda 8 embeds forms of user tasks only
+    const allowedTypes = name === 'formFields' && isZeebe
+      ? ['bpmn:UserTask']
+      : (PROPERTY_TYPES[name] ?? ZEEBE_PROPERTY_TYPES[name]);
+
+    if (allowedTypes && !allowedTypes.includes(elementType)) {
+      errors.push(createError('INVALID_PROPERTY', `Operation ${index}: "${name}" cannot be set on ${elementType} (allowed on ${allowedTypes.join(', ')})`));
+      return;
+    }
+
+    const eventDefinition = EVENT_DEFINITION_PROPERTIES[name];
+
+    if (eventDefinition && elementType !== 'bpmn:ReceiveTask' &&
+      !(element?.eventDefinitions || []).some(definition => definition.$instanceOf(eventDefinition))) {
+      errors.push(createError('INVALID_PROPERTY', `Operation ${index}: "${name}" requires an event with a ${eventDefinition}`));
+      return;
+    }
+
+    if (name === 'correlationKey' && !properties.messageName) {
+      const messageHolder = elementType === 'bpmn:ReceiveTask'
+        ? element
+        : element?.eventDefinitions.find(definition => definition.$instanceOf(eventDefinition));
+
+      if (!messageHolder?.messageRef) {
+        errors.push(createError('INVALID_PROPERTY', `Operation ${index}: "correlationKey" requires a message; set "messageName" as well`));
+        return;
+      }
+    }
+
+    if (name === 'formFields') {
+      const isValid = Array.isArray(value) &&
+        value.every(field => field?.id && field.label && FORM_FIELD_TYPES.includes(field.type));
+
+      if (!isValid) {
+        errors.push(createError('INVALID_PROPERTY', `Operation ${index}: "formFields" must be a list of { id, label, type } with type ${FORM_FIELD_TYPES.join(', ')}`));
+      }
+    } else if (name === 'inputs' || name === 'outputs') {
+      const isValid = Array.isArray(value) &&
+        value.every(mapping => typeof mapping?.source === 'string' && mapping.target && typeof mapping.target === 'string');
+
+      if (!isValid) {
+        errors.push(createError('INVALID_PROPERTY', `Operation ${index}: "${name}" must be a list of { source, target }`));
+      }
+    } else if (typeof value !== 'string') {
+      errors.push(createError('INVALID_PROPERTY', `Operation ${index}: "${name}" must be a string`));
+    } else if (name === 'condition' && isZeebe && value && !value.trim().startsWith('=')) {
+      errors.push(createError('INVALID_PROPERTY', `Operation ${index}: conditions of Camunda 8 diagrams are FEEL expressions starting with "="`));
+    } else if (name in METRIC_TYPES && value && checkMetric(name, value)) {
+      errors.push(createError('INVALID_PROPERTY', `Operation ${index}: ${checkMetric(name, value)}`));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether a type may be created with addShape
+ *
+ * @param {string} elementType - BPMN type, e.g. bpmn:Task
+ */
+function isShapeType(elementType) {
+  try {
+    const element = moddle.create(elementType);
+    return SHAPE_BASE_TYPES.some(type => element.$instanceOf(type));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate operations against the diagram they will be applied to
+ *
+ * @param {string} diagramXML - Current diagram XML
+ * @param {Array} operations - Operations returned by the model
+ * @param {Object} [scope] - Part of the diagram the model was shown (see diagramScope.js); operations must stay inside it
+ * @returns {Promise<Array>} Validation errors, empty if the operations can be applied
+ */
+async function validateOperations(diagramXML, operations, scope = null) {
+  if (!Array.isArray(operations)) {
+    return [createError('INVALID_OPERATIONS', '"operations" must be an array')];
+  }
+
+  let definitions;
+  let elementsById;
+
+  try {
+    ({ rootElement: definitions, elementsById } = await moddle.fromXML(diagramXML, 'bpmn:Definitions'));
+  } catch (error) {
+    return [createError('XML_PARSE_ERROR', `Current diagram could not be parsed: ${error.message.split('\n')[0]}`)];
+  }
+
+  const existing = new Map(Object.entries(elementsById).map(([id, element]) => [id, element.$type]));
+  const created = new Set();
+  // Elements that go with the element they connect or are attached to (see remove in applyOperations.js)
+  const dependsOn = new Map(Object.values(elementsById)
+    .map(element => [element.id, [element.sourceRef, element.targetRef, element.attachedToRef].filter(Boolean).map(ref => ref.id)]));
+  const errors = [];
+  const isZeebe = isZeebeDefinitions(definitions);
+
+  const requireElement = (index, id, field) => {
+    if (!id) {
+      errors.push(createError('MISSING_FIELD', `Operation ${index} is missing "${field}"`));
+      return false;
+    }
+
+    if (!existing.has(id)) {
+      errors.push(createError('UNKNOWN_ELEMENT', `Operation ${index} refers to unknown element <${id}> in "${field}"`, id));
+      return false;
+    }
+
+    if (scope && !scope.ids.has(id) && !created.has(id)) {
+      errors.push(createError('OUT_OF_SCOPE', `Operation ${index} refers to <${id}> in "${field}", which is outside the selected part of the diagram`, id));
+      return false;
+    }
+
+    return true;
+  };
+
+  const requireLane = (index, id) => {
+    if (requireElement(index, id, 'laneId') && existing.get(id) !== 'bpmn:Lane') {
+      errors.push(createError('NOT_A_LANE', `Operation ${index}: <${id}> is not a bpmn:Lane`, id));
+    }
+  };
+
+  const createId = (index, id, elementType) => {
+    if (!id) {
+      return false;
+    }
+
+    if (existing.has(id)) {
+      errors.push(createError('DUPLICATE_ID', `Operation ${index} creates <${id}> which already exists`, id));
+      return false;
+    }
+
+    existing.set(id, elementType);
+    created.add(id);
+    return true;
+  };
+
+  const removeId = (id) => {
+    existing.delete(id);
+    dependsOn.delete(id);
+
+    [...dependsOn].filter(([other, refs]) => existing.has(other) && refs.includes(id)).forEach(([other]) => removeId(other));
+  };
+
+  operations.forEach((operation, index) => {
+    switch (operation?.type) {
+      case 'addShape':
+        if (!isShapeType(operation.elementType)) {
+          errors.push(createError('INVALID_ELEMENT_TYPE', `Operation ${index}: <${operation.elementType}> is not a BPMN flow node or artifact type`));
+        }
+        if (operation.after) {
+          requireElement(index, operation.after, 'after');
+        }
+        if (operation.laneId) {
+          requireLane(index, operation.laneId);
+        }
+        createId(index, operation.id, operation.elementType);
+        break;
+
+      case 'connect':
+        requireElement(index, operation.sourceId, 'sourceId');
+        requireElement(index, operation.targetId, 'targetId');
+        if (isZeebe && operation.condition && !operation.condition.trim().startsWith('=')) {
+          errors.push(createError('INVALID_PROPERTY', `Operation ${index}: conditions of Camunda 8 diagrams are FEEL expressions starting with "="`));
+        }
+        if (createId(index, operation.id, 'bpmn:SequenceFlow')) {
+          dependsOn.set(operation.id, [operation.sourceId, operation.targetId]);
+        }
+        break;
+
+      case 'rename':
+        requireElement(index, operation.elementId, 'elementId');
+        if (typeof operation.name !== 'string') {
+          errors.push(createError('MISSING_FIELD', `Operation ${index} is missing "name"`));
+        }
+        break;
+
+      case 'delete':
+        if (!requireElement(index, operation.elementId, 'elementId')) {
+          break;
+        }
+        if (scope?.boundary.has(operation.elementId)) {
+          errors.push(createError('OUT_OF_SCOPE', `Operation ${index} deletes <${operation.elementId}>, which contains or connects to elements outside the selected part of the diagram`, operation.elementId));
+          break;
+        }
+        removeId(operation.elementId);
+        break;
+
+      case 'moveToLane':
+        requireElement(index, operation.elementId, 'elementId');
+        requireLane(index, operation.laneId);
+        break;
+
+      case 'updateProperties':
+        if (requireElement(index, operation.elementId, 'elementId')) {
+          const element = created.has(operation.elementId) ? null : elementsById[operation.elementId];
+
+          errors.push(...checkProperties(index, operation.properties, existing.get(operation.elementId), element, isZeebe));
+        }
+        break;
+
+      default:
+        errors.push(createError('UNKNOWN_OPERATION', `Operation ${index} has unknown type <${operation?.type}>`));
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  OPERATIONS_PROMPT,
+  OPERATION_SCHEMA,
+  validateOperations
+};
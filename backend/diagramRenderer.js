@@ -0,0 +1,337 @@
+/**
+ * Headless BPMN Rendering
+ *
+ * Renders the diagram interchange (DI) of a BPMN document to SVG without a
+ * browser, and rasterizes the SVG to PNG. The output follows the bpmn-js
+ * look closely enough for documentation; it is not pixel-identical.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+const { Resvg } = require('@resvg/resvg-js');
+
+const moddle = new BpmnModdle();
+
+// Space around the diagram in the exported image
+const PADDING = 20;
+
+const FONT = 'font-family="Arial, sans-serif" font-size="12"';
+
+const GATEWAY_MARKERS = {
+  'bpmn:ExclusiveGateway': 'X',
+  'bpmn:ParallelGateway': '+',
+  'bpmn:ComplexGateway': '*',
+};
+
+/**
+ * Escape text for use in SVG markup
+ *
+ * @param {string} text - Raw text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Break a label into lines that roughly fit a width
+ *
+ * @param {string} text - Label text
+ * @param {number} width - Available width in pixels
+ */
+function wrapText(text, width) {
+  const maxChars = Math.max(4, Math.floor(width / 7));
+  const lines = [];
+  let line = '';
+
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    if (line && (line + ' ' + word).length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Render a multi-line label centered on a point
+ *
+ * @param {string} text - Label text
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} width - Available width
+ */
+function renderText(text, cx, cy, width) {
+  if (!text) {
+    return '';
+  }
+
+  const lines = wrapText(text, width);
+  const lineHeight = 14;
+  const top = cy - ((lines.length - 1) * lineHeight) / 2;
+
+  const spans = lines
+    .map((line, index) => `<tspan x="${cx}" y="${top + index * lineHeight}">${escapeText(line)}</tspan>`)
+    .join('');
+
+  return `<text ${FONT} text-anchor="middle" dominant-baseline="middle">${spans}</text>`;
+}
+
+/**
+ * Render the label of an element with an external label (events, gateways, flows)
+ *
+ * @param {Object} diElement - BPMNShape or BPMNEdge
+ * @param {Object} fallback - Center point to use without label bounds
+ */
+function renderExternalLabel(diElement, fallback) {
+  const name = diElement.bpmnElement.name;
+
+  if (!name) {
+    return '';
+  }
+
+  const bounds = diElement.label?.bounds;
+
+  if (bounds) {
+    return renderText(name, bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, Math.max(bounds.width, 90));
+  }
+
+  return renderText(name, fallback.x, fallback.y, 90);
+}
+
+/**
+ * Render a BPMNShape
+ *
+ * @param {Object} shape - BPMNShape DI element
+ */
+function renderShape(shape) {
+  const element = shape.bpmnElement;
+  const { x, y, width, height } = shape.bounds;
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+  const stroke = 'stroke="#000" fill="#fff"';
+
+  if (element.$instanceOf('bpmn:Participant') || element.$instanceOf('bpmn:Lane')) {
+    const labelX = x + 15;
+    return `<rect x="${x}" y="${y}" width="${width}" height="${height}" stroke="#000" fill="none" stroke-width="1.5"/>` +
+      (element.$instanceOf('bpmn:Participant') ? `<line x1="${x + 30}" y1="${y}" x2="${x + 30}" y2="${y + height}" stroke="#000"/>` : '') +
+      (element.name ? `<text ${FONT} text-anchor="middle" transform="translate(${labelX} ${cy}) rotate(-90)">${escapeText(element.name)}</text>` : '');
+  }
+
+  if (element.$instanceOf('bpmn:Event')) {
+    const r = width / 2;
+    const strokeWidth = element.$instanceOf('bpmn:EndEvent') ? 4 : 2;
+    const inner = element.$instanceOf('bpmn:IntermediateCatchEvent') ||
+      element.$instanceOf('bpmn:IntermediateThrowEvent') ||
+      element.$instanceOf('bpmn:BoundaryEvent')
+      ? `<circle cx="${cx}" cy="${cy}" r="${r - 3}" fill="none" stroke="#000" stroke-width="1.5"/>`
+      : '';
+
+    return `<circle cx="${cx}" cy="${cy}" r="${r}" ${stroke} stroke-width="${strokeWidth}"/>${inner}` +
+      renderExternalLabel(shape, { x: cx, y: y + height + 15 });
+  }
+
+  if (element.$instanceOf('bpmn:Gateway')) {
+    const points = `${cx},${y} ${x + width},${cy} ${cx},${y + height} ${x},${cy}`;
+    const marker = GATEWAY_MARKERS[element.$type];
+    let symbol = '';
+
+    if (marker) {
+      symbol = `<text font-family="Arial, sans-serif" font-size="24" font-weight="bold" text-anchor="middle" dominant-baseline="central" x="${cx}" y="${cy}">${marker}</text>`;
+    } else if (element.$instanceOf('bpmn:InclusiveGateway')) {
+      symbol = `<circle cx="${cx}" cy="${cy}" r="${width / 4}" fill="none" stroke="#000" stroke-width="2.5"/>`;
+    } else if (element.$instanceOf('bpmn:EventBasedGateway')) {
+      symbol = `<circle cx="${cx}" cy="${cy}" r="${width / 4}" fill="none" stroke="#000"/>`;
+    }
+
+    return `<polygon points="${points}" ${stroke} stroke-width="2"/>${symbol}` +
+      renderExternalLabel(shape, { x: cx, y: y + height + 15 });
+  }
+
+  if (element.$instanceOf('bpmn:DataObjectReference')) {
+    const fold = 10;
+    const points = `${x},${y} ${x + width - fold},${y} ${x + width},${y + fold} ${x + width},${y + height} ${x},${y + height}`;
+    return `<polygon points="${points}" ${stroke} stroke-width="1.5"/>` +
+      renderExternalLabel(shape, { x: cx, y: y + height + 15 });
+  }
+
+  if (element.$instanceOf('bpmn:DataStoreReference')) {
+    const ry = 6;
+    return `<path d="M${x},${y + ry} a${width / 2},${ry} 0 0 0 ${width},0 a${width / 2},${ry} 0 0 0 ${-width},0 v${height - 2 * ry} a${width / 2},${ry} 0 0 0 ${width},0 v${-(height - 2 * ry)}" ${stroke} stroke-width="1.5"/>` +
+      renderExternalLabel(shape, { x: cx, y: y + height + 15 });
+  }
+
+  if (element.$instanceOf('bpmn:TextAnnotation')) {
+    return `<path d="M${x + 10},${y} h-10 v${height} h10" fill="none" stroke="#000"/>` +
+      renderText(element.text || '', cx, cy, width - 10);
+  }
+
+  // Activities: tasks, sub-processes and call activities
+  const strokeWidth = element.$instanceOf('bpmn:CallActivity') ? 4 : 2;
+  const marker = element.$instanceOf('bpmn:SubProcess') && shape.isExpanded === false
+    ? `<rect x="${cx - 7}" y="${y + height - 18}" width="14" height="14" fill="none" stroke="#000"/><path d="M${cx - 4},${y + height - 11} h8 M${cx},${y + height - 15} v8" stroke="#000"/>`
+    : '';
+  const label = element.$instanceOf('bpmn:SubProcess') && shape.isExpanded
+    ? renderText(element.name || '', cx, y + 15, width - 10)
+    : renderText(element.name || '', cx, cy, width - 10);
+
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="10" ${stroke} stroke-width="${strokeWidth}"/>${marker}${label}`;
+}
+
+/**
+ * Render a BPMNEdge
+ *
+ * @param {Object} edge - BPMNEdge DI element
+ */
+function renderEdge(edge) {
+  const element = edge.bpmnElement;
+  const waypoints = edge.waypoint || [];
+
+  if (waypoints.length < 2) {
+    return '';
+  }
+
+  const points = waypoints.map(point => `${point.x},${point.y}`).join(' ');
+  let style = 'stroke="#000" stroke-width="1.5" fill="none" marker-end="url(#sequenceflow-end)"';
+
+  if (element.$instanceOf('bpmn:MessageFlow')) {
+    style = 'stroke="#000" stroke-width="1.5" fill="none" stroke-dasharray="10,6" marker-start="url(#messageflow-start)" marker-end="url(#messageflow-end)"';
+  } else if (element.$instanceOf('bpmn:Association') || element.$instanceOf('bpmn:DataAssociation')) {
+    style = 'stroke="#000" stroke-width="1.5" fill="none" stroke-dasharray="2,4"';
+  }
+
+  const middle = waypoints[Math.floor(waypoints.length / 2)];
+
+  return `<polyline points="${points}" ${style}/>` +
+    renderExternalLabel(edge, { x: middle.x, y: middle.y - 10 });
+}
+
+/**
+ * Compute the area covered by all DI elements
+ *
+ * @param {Array} planeElements - DI elements of the plane
+ */
+function computeViewBox(planeElements) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  const include = (x, y) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  };
+
+  planeElements.forEach(diElement => {
+    [diElement.bounds, diElement.label?.bounds].filter(Boolean).forEach(bounds => {
+      include(bounds.x, bounds.y);
+      include(bounds.x + bounds.width, bounds.y + bounds.height);
+    });
+
+    (diElement.waypoint || []).forEach(point => include(point.x, point.y));
+  });
+
+  if (minX === Infinity) {
+    return { x: 0, y: 0, width: 100, height: 100 };
+  }
+
+  return {
+    x: minX - PADDING,
+    y: minY - PADDING,
+    width: maxX - minX + 2 * PADDING,
+    height: maxY - minY + 2 * PADDING,
+  };
+}
+
+const DEFS = `<defs>
+<marker id="sequenceflow-end" viewBox="0 0 20 20" refX="11" refY="10" markerWidth="10" markerHeight="10" orient="auto"><path d="M 1 5 L 11 10 L 1 15 Z" fill="#000"/></marker>
+<marker id="messageflow-start" viewBox="0 0 20 20" refX="6" refY="6" markerWidth="20" markerHeight="20"><circle cx="6" cy="6" r="3.5" fill="#fff" stroke="#000"/></marker>
+<marker id="messageflow-end" viewBox="0 0 20 20" refX="8.5" refY="5" markerWidth="20" markerHeight="20" orient="auto"><path d="m 1 5 l 0 -3 l 7 3 l -7 3 z" fill="#fff" stroke="#000"/></marker>
+</defs>`;
+
+/**
+ * Render BPMN XML to an SVG document
+ *
+ * Only the first diagram (the main plane) is rendered.
+ *
+ * @param {string} xml - BPMN 2.0 XML
+ * @returns {Promise<string>} SVG markup
+ * @throws {Error} With status 400 if the XML cannot be parsed or has no diagram
+ */
+async function renderSVG(xml) {
+  const { rootElement: definitions } = await moddle.fromXML(xml, 'bpmn:Definitions').catch(error => {
+    throw Object.assign(error, { status: 400 });
+  });
+  const plane = definitions.diagrams?.[0]?.plane;
+
+  if (!plane) {
+    throw Object.assign(new Error('Document has no bpmndi:BPMNDiagram to render'), { status: 400 });
+  }
+
+  const planeElements = (plane.planeElement || []).filter(diElement => diElement.bpmnElement);
+  const viewBox = computeViewBox(planeElements);
+
+  // Pools and lanes first, then other shapes, then connections on top
+  const isContainer = diElement => diElement.bpmnElement.$instanceOf('bpmn:Participant') || diElement.bpmnElement.$instanceOf('bpmn:Lane');
+  const shapes = planeElements.filter(diElement => diElement.$instanceOf('bpmndi:BPMNShape'));
+  const edges = planeElements.filter(diElement => diElement.$instanceOf('bpmndi:BPMNEdge'));
+
+  const body = [
+    ...shapes.filter(isContainer).map(renderShape),
+    ...shapes.filter(diElement => !isContainer(diElement)).map(renderShape),
+    ...edges.map(renderEdge),
+  ].join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${viewBox.width}" height="${viewBox.height}" viewBox="${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}">
+${DEFS}
+<rect x="${viewBox.x}" y="${viewBox.y}" width="${viewBox.width}" height="${viewBox.height}" fill="#fff"/>
+${body}
+</svg>`;
+}
+
+/**
+ * Rasterize a rendered SVG to a PNG image
+ *
+ * @param {string} svg - SVG markup of renderSVG
+ * @param {Object} [options]
+ * @param {number} [options.scale] - Zoom factor, e.g. 2 for high-DPI output
+ * @returns {Buffer} PNG data
+ */
+function rasterizeSVG(svg, { scale = 1 } = {}) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: scale },
+    font: { loadSystemFonts: true, defaultFontFamily: 'Arial' },
+  });
+
+  return resvg.render().asPng();
+}
+
+/**
+ * Render BPMN XML to a PNG image
+ *
+ * @param {string} xml - BPMN 2.0 XML
+ * @param {Object} [options]
+ * @param {number} [options.scale] - Zoom factor, e.g. 2 for high-DPI output
+ * @returns {Promise<Buffer>} PNG data
+ */
+async function renderPNG(xml, options) {
+  return rasterizeSVG(await renderSVG(xml), options);
+}
+
+module.exports = {
+  renderSVG,
+  renderPNG,
+  rasterizeSVG
+};
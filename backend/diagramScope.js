@@ -0,0 +1,306 @@
+/**
+ * Selection-scoped Diagram Context
+ *
+ * Large diagrams do not fit into a prompt. When elements are selected, the
+ * model only sees the part of the diagram around them: the selected
+ * elements, their neighbours up to CONTEXT_SCOPE_HOPS sequence or message
+ * flows away, the flows between those, the artifacts attached to them and
+ * the lanes, pools and sub-processes that contain them. Everything else is
+ * summarized as a compact read-only outline.
+ *
+ * Changes to the scoped XML are merged back into the full document with a
+ * three-way merge against the scoped XML, so elements outside the scope
+ * stay untouched. Edit operations are restricted to elements in scope.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+
+const moddle = new BpmnModdle();
+
+const DEFAULT_HOPS = parseInt(process.env.CONTEXT_SCOPE_HOPS || '2', 10);
+
+const ARTIFACT_TYPES = [ 'bpmn:TextAnnotation', 'bpmn:DataObjectReference', 'bpmn:DataStoreReference', 'bpmn:Group' ];
+
+function isConnection(element) {
+  return element.$instanceOf('bpmn:SequenceFlow') || element.$instanceOf('bpmn:MessageFlow') ||
+    element.$instanceOf('bpmn:Association');
+}
+
+function isArtifact(element) {
+  return ARTIFACT_TYPES.some(type => element.$instanceOf(type));
+}
+
+/**
+ * Collect the flow elements, connections and containers of a document
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ */
+function collectStructure(definitions) {
+  const rootElements = definitions.rootElements || [];
+  const parentOf = new Map(); // Element to its process or sub-process
+  const laneOf = new Map(); // Flow node to the lanes containing it, innermost first
+  const participantOf = new Map(); // Process to its participant
+  const nodes = [];
+  const connections = [];
+
+  const visitLanes = (laneSet, parents) => {
+    (laneSet?.lanes || []).forEach(lane => {
+      (lane.flowNodeRef || []).forEach(node => laneOf.set(node, [ lane, ...parents ]));
+      visitLanes(lane.childLaneSet, [ lane, ...parents ]);
+    });
+  };
+
+  const visit = container => {
+    [ ...(container.flowElements || []), ...(container.artifacts || []) ].forEach(element => {
+      parentOf.set(element, container);
+
+      if (isConnection(element)) {
+        connections.push(element);
+      } else if (!element.$instanceOf('bpmn:DataObject')) {
+        nodes.push(element);
+      }
+
+      if (element.$instanceOf('bpmn:SubProcess')) {
+        visit(element);
+      }
+    });
+
+    (container.laneSets || []).forEach(laneSet => visitLanes(laneSet, []));
+  };
+
+  rootElements.filter(element => element.$instanceOf('bpmn:Process')).forEach(visit);
+
+  rootElements.filter(element => element.$instanceOf('bpmn:Collaboration')).forEach(collaboration => {
+    (collaboration.participants || []).forEach(participant => {
+      parentOf.set(participant, collaboration);
+      nodes.push(participant);
+      if (participant.processRef) {
+        participantOf.set(participant.processRef, participant);
+      }
+    });
+    [ ...(collaboration.messageFlows || []), ...(collaboration.artifacts || []) ].forEach(element => {
+      parentOf.set(element, collaboration);
+      (isConnection(element) ? connections : nodes).push(element);
+    });
+  });
+
+  return { parentOf, laneOf, participantOf, nodes, connections };
+}
+
+/**
+ * Elements a selected element stands for; containers stand for their content
+ *
+ * @param {Object} element - Selected element
+ * @param {Object} structure - Result of collectStructure
+ */
+function expandSelection(element, structure) {
+  if (element.$instanceOf('bpmn:Lane')) {
+    return [ element, ...structure.nodes.filter(node => structure.laneOf.get(node)?.includes(element)) ];
+  }
+
+  if (element.$instanceOf('bpmn:Participant')) {
+    return [ element, ...structure.nodes.filter(node => structure.parentOf.get(node) === element.processRef) ];
+  }
+
+  if (element.$instanceOf('bpmn:SubProcess')) {
+    return [ element, ...structure.nodes.filter(node => structure.parentOf.get(node) === element) ];
+  }
+
+  if (isConnection(element)) {
+    return [ element.sourceRef, element.targetRef ].filter(Boolean);
+  }
+
+  return [ element ];
+}
+
+/**
+ * Extract the part of a diagram around the selected elements
+ *
+ * @param {string} xml - Full diagram XML
+ * @param {Array<string>} selectedIds - Selected element IDs
+ * @param {number} [hops] - Neighbourhood size in flows
+ * @returns {Promise<Object|null>} { xml, outline, ids, boundary } or null if nothing selectable is selected
+ */
+async function extractScope(xml, selectedIds, hops = DEFAULT_HOPS) {
+  const { rootElement: definitions, elementsById } = await moddle.fromXML(xml, 'bpmn:Definitions');
+  const structure = collectStructure(definitions);
+  const { parentOf, laneOf, participantOf, nodes, connections } = structure;
+
+  const selected = selectedIds
+    .map(id => elementsById[id])
+    .filter(element => element && (nodes.includes(element) || connections.includes(element) || element.$instanceOf('bpmn:Lane')));
+
+  if (!selected.length) {
+    return null;
+  }
+
+  const isFlow = connection => !connection.$instanceOf('bpmn:Association');
+  const neighbours = node => [
+    ...connections
+      .filter(connection => isFlow(connection) && (connection.sourceRef === node || connection.targetRef === node))
+      .map(connection => (connection.sourceRef === node ? connection.targetRef : connection.sourceRef)),
+    ...nodes.filter(other => other.attachedToRef === node),
+    ...(node.attachedToRef ? [ node.attachedToRef ] : []),
+  ].filter(Boolean);
+
+  // Breadth-first search over sequence and message flows
+  const scoped = new Set(selected.flatMap(element => expandSelection(element, structure)));
+  let frontier = [ ...scoped ];
+
+  for (let hop = 0; hop < hops && frontier.length; hop++) {
+    frontier = frontier.flatMap(neighbours).filter(node => !scoped.has(node));
+    frontier.forEach(node => scoped.add(node));
+  }
+
+  // Annotations and data attached to scoped nodes
+  connections
+    .filter(connection => !isFlow(connection))
+    .forEach(association => {
+      [ [ association.sourceRef, association.targetRef ], [ association.targetRef, association.sourceRef ] ]
+        .filter(([ end, other ]) => scoped.has(end) && other && isArtifact(other))
+        .forEach(([ , other ]) => scoped.add(other));
+    });
+
+  [ ...scoped ].forEach(node => {
+    [ ...(node.dataInputAssociations || []), ...(node.dataOutputAssociations || []) ]
+      .flatMap(association => [ ...(association.sourceRef || []), association.targetRef ])
+      .filter(reference => reference && isArtifact(reference))
+      .forEach(reference => scoped.add(reference));
+  });
+
+  const scopedConnections = connections.filter(connection => scoped.has(connection.sourceRef) && scoped.has(connection.targetRef));
+
+  // Containers of scoped elements
+  const containers = new Set([ definitions ]);
+  const addContainers = element => {
+    for (let parent = parentOf.get(element); parent; parent = parentOf.get(parent)) {
+      containers.add(parent);
+      if (participantOf.has(parent)) {
+        containers.add(participantOf.get(parent));
+        containers.add(parentOf.get(participantOf.get(parent)));
+      }
+    }
+    (laneOf.get(element) || []).forEach(lane => containers.add(lane));
+  };
+  [ ...scoped ].forEach(addContainers);
+  selected.filter(element => element.$instanceOf('bpmn:Lane')).forEach(lane => containers.add(lane));
+
+  // Data objects have no shape; data object references of the scope point to them
+  const inScope = element => scoped.has(element) || containers.has(element) || scopedConnections.includes(element) ||
+    element?.$instanceOf('bpmn:DataObject');
+
+  // Elements with flows leaving the scope cannot be deleted without touching the outside
+  const boundary = new Set([ ...containers ].map(container => container.id));
+  connections
+    .filter(connection => isFlow(connection) && !scopedConnections.includes(connection))
+    .flatMap(connection => [ connection.sourceRef, connection.targetRef ])
+    .filter(node => node && scoped.has(node))
+    .forEach(node => boundary.add(node.id));
+
+  const outline = buildOutline(structure, element => inScope(element));
+
+  trimDefinitions(definitions, inScope, containers);
+
+  const { xml: scopeXML } = await moddle.toXML(definitions, { format: true });
+
+  return {
+    xml: scopeXML,
+    outline,
+    ids: new Set([ ...scoped, ...containers, ...scopedConnections ].map(element => element.id).filter(Boolean)),
+    boundary,
+  };
+}
+
+/**
+ * Remove everything outside the scope from the parsed document
+ *
+ * @param {Object} definitions - bpmn:Definitions, modified in place
+ * @param {Function} inScope - Whether an element is part of the scope
+ * @param {Set} containers - Containers of scoped elements
+ */
+function trimDefinitions(definitions, inScope, containers) {
+  const keep = (element, property) => {
+    if (element.get(property)?.length) {
+      element.set(property, element.get(property).filter(inScope));
+    }
+  };
+
+  const trimLanes = laneSet => {
+    if (!laneSet) {
+      return;
+    }
+    keep(laneSet, 'lanes');
+    laneSet.lanes.forEach(lane => {
+      keep(lane, 'flowNodeRef');
+      trimLanes(lane.childLaneSet);
+    });
+  };
+
+  const trimContainer = container => {
+    keep(container, 'flowElements');
+    keep(container, 'artifacts');
+    (container.laneSets || []).forEach(trimLanes);
+    if (container.laneSets?.length) {
+      container.set('laneSets', container.laneSets.filter(laneSet => laneSet.lanes?.length));
+    }
+    (container.flowElements || []).filter(element => element.$instanceOf('bpmn:SubProcess')).forEach(trimContainer);
+  };
+
+  // Root elements without an ID in the scope (messages, signals, errors, ...) are kept for references
+  definitions.set('rootElements', (definitions.rootElements || []).filter(element =>
+    !(element.$instanceOf('bpmn:Process') || element.$instanceOf('bpmn:Collaboration')) || containers.has(element)
+  ));
+
+  definitions.rootElements.forEach(element => {
+    if (element.$instanceOf('bpmn:Process')) {
+      trimContainer(element);
+    } else if (element.$instanceOf('bpmn:Collaboration')) {
+      keep(element, 'participants');
+      keep(element, 'messageFlows');
+      keep(element, 'artifacts');
+    }
+  });
+
+  definitions.set('diagrams', (definitions.diagrams || []).filter(diagram => inScope(diagram.plane?.bpmnElement)));
+  definitions.diagrams.forEach(diagram => {
+    diagram.plane.set('planeElement', (diagram.plane.planeElement || []).filter(di => inScope(di.bpmnElement)));
+  });
+}
+
+function describeNode(node) {
+  const type = node.$type.replace('bpmn:', '');
+
+  return node.name ? `${type} "${node.name}"` : type;
+}
+
+/**
+ * Compact outline of the elements outside the scope
+ *
+ * @param {Object} structure - Result of collectStructure
+ * @param {Function} inScope - Whether an element is part of the scope
+ * @returns {string} One line per flow node with its lane and successors
+ */
+function buildOutline(structure, inScope) {
+  const { nodes, connections, laneOf, parentOf } = structure;
+
+  return nodes
+    .filter(node => !inScope(node) && !node.$instanceOf('bpmn:Participant'))
+    .map(node => {
+      const lane = laneOf.get(node)?.[0];
+      const parent = parentOf.get(node);
+      const location = parent?.$instanceOf('bpmn:SubProcess')
+        ? ` in sub-process ${parent.id}`
+        : lane ? ` in lane "${lane.name || lane.id}"` : '';
+      const successors = connections
+        .filter(connection => connection.sourceRef === node && !connection.$instanceOf('bpmn:Association'))
+        .map(connection => `${connection.targetRef?.id}${connection.name ? ` ("${connection.name}")` : ''}`);
+
+      return `- ${node.id}: ${describeNode(node)}${location}` +
+        `${successors.length ? ` -> ${successors.join(', ')}` : ''}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  extractScope
+};
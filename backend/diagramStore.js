@@ -0,0 +1,406 @@
+/**
+ * Diagram Persistence
+ *
+ * Stores diagrams and their version history on the local filesystem:
+ *
+ *   <DATA_DIR>/diagrams/<id>/meta.json     name, timestamps and version log
+ *   <DATA_DIR>/diagrams/<id>/versions/<n>.bpmn
+ *   <DATA_DIR>/diagrams/<id>/versions/<n>.dmn      DMN decisions, if the diagram has any
+ *
+ * Every save creates a new version; versions are never modified. Saves
+ * without DMN keep the decisions of the previous version.
+ *
+ * A diagram belongs to the user who created it. The owner can share it
+ * with other users for reading or editing and is the only one who can
+ * delete it or change its shares. Diagrams saved before sign-in was
+ * introduced have no owner: administrators manage them like an owner,
+ * everyone else can read them and edits them only once an administrator
+ * shares them for editing.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const DIAGRAMS_DIR = path.join(DATA_DIR, 'diagrams');
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Permissions from least to most privileged
+const PERMISSIONS = ['read', 'edit', 'owner'];
+
+// Pending writes per diagram, so concurrent saves get consecutive version numbers
+const locks = new Map();
+
+/**
+ * Run a task after all previous tasks for the same diagram have finished
+ *
+ * @param {string} id - Diagram ID
+ * @param {Function} task - Async task
+ */
+function withLock(id, task) {
+  const previous = locks.get(id) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+
+  locks.set(id, current);
+  current.finally(() => {
+    if (locks.get(id) === current) {
+      locks.delete(id);
+    }
+  }).catch(() => {});
+
+  return current;
+}
+
+function diagramDir(id) {
+  return path.join(DIAGRAMS_DIR, id);
+}
+
+function versionFile(id, version, extension = 'bpmn') {
+  return path.join(diagramDir(id), 'versions', `${version}.${extension}`);
+}
+
+/**
+ * Read the DMN decisions of a version
+ *
+ * @param {string} id - Diagram ID
+ * @param {Object} entry - Version log entry
+ * @returns {Promise<string>} DMN XML, empty if the version has no decisions
+ */
+function readDecisions(id, entry) {
+  return entry?.hasDecisions ? fs.readFile(versionFile(id, entry.version, 'dmn'), 'utf8') : Promise.resolve('');
+}
+
+/**
+ * Read diagram metadata
+ *
+ * @param {string} id - Diagram ID
+ * @returns {Promise<Object|null>} Metadata, null if the diagram does not exist
+ */
+async function readMeta(id) {
+  if (!ID_PATTERN.test(id)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(path.join(diagramDir(id), 'meta.json'), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeMeta(meta) {
+  await fs.writeFile(path.join(diagramDir(meta.id), 'meta.json'), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Strip the version log for list views
+ *
+ * @param {Object} meta - Diagram metadata
+ */
+function toSummary({ versions, ...summary }) {
+  return { ...summary, versionCount: versions.length };
+}
+
+/**
+ * Permission of a user on a diagram
+ *
+ * @param {Object} meta - Diagram metadata
+ * @param {Object} user - Signed-in user ({ id, role })
+ * @returns {'owner'|'edit'|'read'|null} Null if the user has no access
+ */
+function permissionOf(meta, user) {
+  if (meta.owner ? meta.owner.id === user.id : user.role === 'admin') {
+    return 'owner';
+  }
+
+  const shared = (meta.shares || []).find(share => share.userId === user.id)?.permission;
+
+  return shared || (meta.owner ? null : 'read');
+}
+
+/**
+ * Whether a permission includes another one, e.g. edit includes read
+ *
+ * @param {string|null} permission - Granted permission
+ * @param {string} required - Required permission
+ */
+function hasPermission(permission, required) {
+  return PERMISSIONS.indexOf(permission) >= PERMISSIONS.indexOf(required);
+}
+
+/**
+ * Permission of a user on a diagram
+ *
+ * @param {string} id - Diagram ID
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<string|null>} Null if the diagram does not exist or the user has no access
+ */
+async function getPermission(id, user) {
+  const meta = await readMeta(id);
+
+  return meta ? permissionOf(meta, user) : null;
+}
+
+/**
+ * Append a version to a diagram
+ *
+ * @param {Object} meta - Diagram metadata, updated in place
+ * @param {Object} version - Version details
+ * @param {string} version.xml - Diagram XML
+ * @param {string} [version.dmnXML] - DMN decisions, empty for none; the previous ones are kept if undefined
+ * @param {string} [version.author] - Who made the change
+ * @param {string} [version.prompt] - AI prompt that produced the change
+ * @param {string} [version.message] - Description of the change
+ */
+async function appendVersion(meta, { xml, dmnXML, author, prompt, message }) {
+  const decisions = dmnXML ?? await readDecisions(meta.id, meta.versions[meta.versions.length - 1]);
+  const entry = {
+    version: meta.versions.length + 1,
+    createdAt: new Date().toISOString(),
+    author: author || 'anonymous',
+    prompt: prompt || null,
+    message: message || null,
+    hasDecisions: Boolean(decisions),
+  };
+
+  await fs.writeFile(versionFile(meta.id, entry.version), xml);
+
+  if (decisions) {
+    await fs.writeFile(versionFile(meta.id, entry.version, 'dmn'), decisions);
+  }
+
+  meta.versions.push(entry);
+  meta.currentVersion = entry.version;
+  meta.updatedAt = entry.createdAt;
+
+  await writeMeta(meta);
+
+  return entry;
+}
+
+/**
+ * List the diagrams a user can access, most recently updated first
+ *
+ * @param {Object} user - Signed-in user
+ */
+async function listDiagrams(user) {
+  let ids;
+
+  try {
+    ids = await fs.readdir(DIAGRAMS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const metas = await Promise.all(ids.map(readMeta));
+
+  return metas
+    .filter(meta => meta && permissionOf(meta, user))
+    .map(meta => ({ ...toSummary(meta), permission: permissionOf(meta, user) }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Create a diagram with its first version
+ *
+ * @param {Object} diagram
+ * @param {string} diagram.name - Display name
+ * @param {string} diagram.xml - Diagram XML
+ * @param {string} [diagram.dmnXML] - DMN decisions of the diagram
+ * @param {string} [diagram.author] - Creator
+ * @param {string} [diagram.prompt] - AI prompt that produced the diagram
+ * @param {Object} diagram.owner - User who owns the diagram ({ id, username })
+ */
+async function createDiagram({ name, xml, dmnXML, author, prompt, owner }) {
+  const now = new Date().toISOString();
+  const meta = {
+    id: crypto.randomUUID(),
+    name: name || 'Untitled diagram',
+    owner: { id: owner.id, username: owner.username },
+    shares: [],
+    createdAt: now,
+    updatedAt: now,
+    currentVersion: 0,
+    versions: [],
+  };
+
+  await fs.mkdir(path.join(diagramDir(meta.id), 'versions'), { recursive: true });
+  await appendVersion(meta, { xml, dmnXML, author, prompt, message: 'Created' });
+
+  return { ...toSummary(meta), permission: 'owner', xml, dmnXML: dmnXML || '' };
+}
+
+/**
+ * Get a diagram with the XML and DMN decisions of its current version
+ *
+ * @param {string} id - Diagram ID
+ * @returns {Promise<Object|null>} Diagram, null if it does not exist
+ */
+async function getDiagram(id) {
+  const meta = await readMeta(id);
+
+  if (!meta) {
+    return null;
+  }
+
+  const xml = await fs.readFile(versionFile(id, meta.currentVersion), 'utf8');
+  const dmnXML = await readDecisions(id, meta.versions.find(entry => entry.version === meta.currentVersion));
+
+  return { ...toSummary(meta), xml, dmnXML };
+}
+
+/**
+ * Save a new version of a diagram
+ *
+ * @param {string} id - Diagram ID
+ * @param {Object} update
+ * @param {string} update.xml - New diagram XML
+ * @param {string} [update.dmnXML] - New DMN decisions, empty to remove them; unchanged if undefined
+ * @param {string} [update.name] - New display name
+ * @param {string} [update.author] - Who made the change
+ * @param {string} [update.prompt] - AI prompt that produced the change
+ * @param {string} [update.message] - Description of the change
+ * @returns {Promise<Object|null>} Updated diagram summary, null if it does not exist
+ */
+function updateDiagram(id, { xml, dmnXML, name, author, prompt, message }) {
+  return withLock(id, async () => {
+    const meta = await readMeta(id);
+
+    if (!meta) {
+      return null;
+    }
+
+    if (name) {
+      meta.name = name;
+    }
+
+    const version = await appendVersion(meta, { xml, dmnXML, author, prompt, message });
+
+    return { ...toSummary(meta), version };
+  });
+}
+
+/**
+ * Share a diagram with a user or stop sharing it
+ *
+ * @param {string} id - Diagram ID
+ * @param {Object} user - User to share with ({ id, username })
+ * @param {'read'|'edit'|null} permission - Granted permission, null to remove the share
+ * @returns {Promise<Object|null>} Updated diagram summary, null if it does not exist
+ */
+function shareDiagram(id, user, permission) {
+  return withLock(id, async () => {
+    const meta = await readMeta(id);
+
+    if (!meta) {
+      return null;
+    }
+
+    meta.shares = (meta.shares || []).filter(share => share.userId !== user.id);
+
+    if (permission) {
+      meta.shares.push({ userId: user.id, username: user.username, permission });
+    }
+
+    await writeMeta(meta);
+
+    return toSummary(meta);
+  });
+}
+
+/**
+ * Delete a diagram and all its versions
+ *
+ * @param {string} id - Diagram ID
+ * @returns {Promise<boolean>} Whether the diagram existed
+ */
+function deleteDiagram(id) {
+  return withLock(id, async () => {
+    if (!await readMeta(id)) {
+      return false;
+    }
+
+    await fs.rm(diagramDir(id), { recursive: true, force: true });
+
+    return true;
+  });
+}
+
+/**
+ * List the versions of a diagram, newest first
+ *
+ * @param {string} id - Diagram ID
+ * @returns {Promise<Array|null>} Versions, null if the diagram does not exist
+ */
+async function listVersions(id) {
+  const meta = await readMeta(id);
+
+  return meta ? [...meta.versions].reverse() : null;
+}
+
+/**
+ * Get a single version including its XML and DMN decisions
+ *
+ * @param {string} id - Diagram ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version, null if it does not exist
+ */
+async function getVersion(id, version) {
+  const meta = await readMeta(id);
+  const entry = meta?.versions.find(candidate => candidate.version === version);
+
+  if (!entry) {
+    return null;
+  }
+
+  const xml = await fs.readFile(versionFile(id, version), 'utf8');
+
+  return { ...entry, xml, dmnXML: await readDecisions(id, entry) };
+}
+
+/**
+ * Restore an earlier version by saving its XML and decisions as a new version
+ *
+ * @param {string} id - Diagram ID
+ * @param {number} version - Version to restore
+ * @param {string} [author] - Who restored it
+ * @returns {Promise<Object|null>} Diagram with the restored XML, null if the version does not exist
+ */
+async function restoreVersion(id, version, author) {
+  const restored = await getVersion(id, version);
+
+  if (!restored) {
+    return null;
+  }
+
+  const diagram = await updateDiagram(id, {
+    xml: restored.xml,
+    dmnXML: restored.dmnXML,
+    author,
+    message: `Restored version ${version}`,
+  });
+
+  return { ...diagram, xml: restored.xml, dmnXML: restored.dmnXML };
+}
+
+module.exports = {
+  getPermission,
+  hasPermission,
+  shareDiagram,
+  listDiagrams,
+  createDiagram,
+  getDiagram,
+  updateDiagram,
+  deleteDiagram,
+  listVersions,
+  getVersion,
+  restoreVersion
+};
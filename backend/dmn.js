@@ -0,0 +1,372 @@
+/**
+ * DMN Decision Tables
+ *
+ * Reads and writes the decision tables of a DMN 1.3 document as plain JSON,
+ * the format the assistant works with:
+ *
+ *   {
+ *     id: 'Decision_Discount',
+ *     name: 'Discount',
+ *     hitPolicy: 'FIRST',
+ *     inputs: [{ label: 'Customer type', expression: 'customerType', typeRef: 'string' }],
+ *     outputs: [{ label: 'Discount', name: 'discount', typeRef: 'number' }],
+ *     rules: [{ inputEntries: ['"gold"'], outputEntries: ['0.1'], description: 'Gold customers' }]
+ *   }
+ *
+ * Entries are FEEL unary tests (inputs) and expressions (outputs); "-"
+ * matches any value. Decisions are linked to business rule tasks by their
+ * ID (see the decisionId property in diagramOperations.js).
+ */
+
+const DmnModdle = require('dmn-moddle');
+const { createError } = require('./bpmnValidator');
+
+const moddle = new DmnModdle();
+
+const HIT_POLICIES = ['UNIQUE', 'FIRST', 'PRIORITY', 'ANY', 'COLLECT', 'RULE ORDER', 'OUTPUT ORDER'];
+const AGGREGATIONS = ['SUM', 'MIN', 'MAX', 'COUNT'];
+const TYPE_REFS = ['string', 'boolean', 'number', 'integer', 'long', 'double', 'date'];
+
+// Size and spacing of decisions added to the requirements diagram
+const SHAPE = { width: 180, height: 80, gap: 60, x: 160, y: 100 };
+
+/**
+ * JSON schema of a decision table, for structured model output (see structuredOutput.js)
+ */
+const DECISION_TABLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    hitPolicy: { type: 'string', enum: HIT_POLICIES },
+    aggregation: { type: 'string', enum: AGGREGATIONS },
+    inputs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          expression: { type: 'string' },
+          typeRef: { type: 'string', enum: TYPE_REFS },
+        },
+        required: ['label', 'expression'],
+      },
+    },
+    outputs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          name: { type: 'string' },
+          typeRef: { type: 'string', enum: TYPE_REFS },
+        },
+        required: ['label', 'name'],
+      },
+    },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          inputEntries: { type: 'array', items: { type: 'string' } },
+          outputEntries: { type: 'array', items: { type: 'string' } },
+          description: { type: 'string' },
+        },
+        required: ['inputEntries', 'outputEntries'],
+      },
+    },
+  },
+  required: ['id', 'name', 'inputs', 'outputs', 'rules'],
+};
+
+/**
+ * Read a DMN document
+ *
+ * @param {string} dmnXML - DMN XML
+ * @returns {Promise<Object>} dmn:Definitions
+ * @throws {Error} If the XML cannot be parsed
+ */
+async function parseDMN(dmnXML) {
+  const { rootElement } = await moddle.fromXML(dmnXML, 'dmn:Definitions');
+
+  return rootElement;
+}
+
+function entryText(entry) {
+  const text = (entry?.text || '').trim();
+
+  return text || '-';
+}
+
+/**
+ * Read the decision tables of a DMN document; decisions with other logic,
+ * e.g. literal expressions, are left out
+ *
+ * @param {string} [dmnXML] - DMN XML, none for an empty list
+ * @returns {Promise<Array>} Decision tables
+ */
+async function readDecisionTables(dmnXML) {
+  if (!dmnXML) {
+    return [];
+  }
+
+  const definitions = await parseDMN(dmnXML);
+
+  return (definitions.drgElement || [])
+    .filter(element => element.$instanceOf('dmn:Decision') && element.decisionLogic?.$instanceOf('dmn:DecisionTable'))
+    .map(decision => {
+      const table = decision.decisionLogic;
+
+      return {
+        id: decision.id,
+        name: decision.name || decision.id,
+        hitPolicy: table.hitPolicy || 'UNIQUE',
+        ...(table.aggregation ? { aggregation: table.aggregation } : {}),
+        inputs: (table.input || []).map(input => ({
+          label: input.label || '',
+          expression: input.inputExpression?.text || '',
+          typeRef: input.inputExpression?.typeRef || 'string',
+        })),
+        outputs: (table.output || []).map(output => ({
+          label: output.label || '',
+          name: output.name || '',
+          typeRef: output.typeRef || 'string',
+        })),
+        rules: (table.rule || []).map(rule => ({
+          inputEntries: (rule.inputEntry || []).map(entryText),
+          outputEntries: (rule.outputEntry || []).map(entryText),
+          ...(rule.description ? { description: rule.description } : {}),
+        })),
+      };
+    });
+}
+
+/**
+ * Check decision tables before they are written
+ *
+ * @param {Array} tables - Decision tables
+ * @returns {Array} Validation errors, empty if the tables are valid
+ */
+function validateDecisionTables(tables) {
+  if (!Array.isArray(tables)) {
+    return [createError('INVALID_DECISIONS', '"decisions" must be an array')];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  tables.forEach((table, index) => {
+    const label = `Decision ${index}${table?.id ? ` <${table.id}>` : ''}`;
+
+    if (!table?.id || !/^[A-Za-z_][\w.-]*$/.test(table.id)) {
+      errors.push(createError('INVALID_ID', `${label} needs an ID that starts with a letter or underscore and contains no spaces`));
+      return;
+    }
+
+    if (ids.has(table.id)) {
+      errors.push(createError('DUPLICATE_ID', `${label} is listed more than once`, table.id));
+    }
+
+    ids.add(table.id);
+
+    if (table.hitPolicy && !HIT_POLICIES.includes(table.hitPolicy)) {
+      errors.push(createError('INVALID_DECISION', `${label}: hit policy must be one of ${HIT_POLICIES.join(', ')}`, table.id));
+    }
+
+    if (table.aggregation && table.hitPolicy !== 'COLLECT') {
+      errors.push(createError('INVALID_DECISION', `${label}: an aggregation requires the COLLECT hit policy`, table.id));
+    }
+
+    const inputs = Array.isArray(table.inputs) ? table.inputs : [];
+    const outputs = Array.isArray(table.outputs) ? table.outputs : [];
+
+    if (!outputs.length) {
+      errors.push(createError('INVALID_DECISION', `${label} needs at least one output`, table.id));
+    }
+
+    outputs.forEach((output, outputIndex) => {
+      if (!output?.name || !/^[A-Za-z_][\w]*$/.test(output.name)) {
+        errors.push(createError('INVALID_DECISION', `${label}: output ${outputIndex} needs a variable name without spaces`, table.id));
+      }
+    });
+
+    inputs.forEach((input, inputIndex) => {
+      if (!input?.expression) {
+        errors.push(createError('INVALID_DECISION', `${label}: input ${inputIndex} needs an expression`, table.id));
+      }
+    });
+
+    [...inputs, ...outputs]
+      .filter(column => column?.typeRef && !TYPE_REFS.includes(column.typeRef))
+      .forEach(column => errors.push(createError('INVALID_DECISION', `${label}: type "${column.typeRef}" must be one of ${TYPE_REFS.join(', ')}`, table.id)));
+
+    (Array.isArray(table.rules) ? table.rules : []).forEach((rule, ruleIndex) => {
+      if ((rule?.inputEntries || []).length !== inputs.length || (rule?.outputEntries || []).length !== outputs.length) {
+        errors.push(createError('INVALID_DECISION', `${label}: rule ${ruleIndex + 1} needs ${inputs.length} input and ${outputs.length} output entries`, table.id));
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Create the dmn:DecisionTable of a decision table
+ */
+function createDecisionTable(table) {
+  const { id } = table;
+  const text = entry => entry === '-' ? '' : entry;
+
+  return moddle.create('dmn:DecisionTable', {
+    id: `DecisionTable_${id}`,
+    hitPolicy: table.hitPolicy || 'UNIQUE',
+    aggregation: table.hitPolicy === 'COLLECT' ? table.aggregation : undefined,
+    input: table.inputs.map((input, index) => moddle.create('dmn:InputClause', {
+      id: `${id}_Input_${index + 1}`,
+      label: input.label,
+      inputExpression: moddle.create('dmn:LiteralExpression', {
+        id: `${id}_InputExpression_${index + 1}`,
+        typeRef: input.typeRef || 'string',
+        text: input.expression,
+      }),
+    })),
+    output: table.outputs.map((output, index) => moddle.create('dmn:OutputClause', {
+      id: `${id}_Output_${index + 1}`,
+      label: output.label,
+      name: output.name,
+      typeRef: output.typeRef || 'string',
+    })),
+    rule: table.rules.map((rule, ruleIndex) => moddle.create('dmn:DecisionRule', {
+      id: `${id}_Rule_${ruleIndex + 1}`,
+      description: rule.description || undefined,
+      inputEntry: rule.inputEntries.map((entry, index) => moddle.create('dmn:UnaryTests', {
+        id: `${id}_Rule_${ruleIndex + 1}_In_${index + 1}`,
+        text: text(entry),
+      })),
+      outputEntry: rule.outputEntries.map((entry, index) => moddle.create('dmn:LiteralExpression', {
+        id: `${id}_Rule_${ruleIndex + 1}_Out_${index + 1}`,
+        text: text(entry),
+      })),
+    })),
+  });
+}
+
+/**
+ * Create an empty DMN document
+ */
+function createDefinitions() {
+  return moddle.create('dmn:Definitions', {
+    id: 'Definitions_Decisions',
+    name: 'Decisions',
+    namespace: 'http://camunda.org/schema/1.0/dmn',
+    drgElement: [],
+  });
+}
+
+/**
+ * Add a shape to the requirements diagram so that the decision is shown in DMN editors
+ */
+function addDecisionShape(definitions, decision) {
+  if (!definitions.dmnDI) {
+    definitions.dmnDI = moddle.create('dmndi:DMNDI', { diagrams: [] });
+  }
+
+  let [diagram] = definitions.dmnDI.diagrams;
+
+  if (!diagram) {
+    diagram = moddle.create('dmndi:DMNDiagram', { id: 'DMNDiagram_1', diagramElements: [] });
+    definitions.dmnDI.diagrams.push(diagram);
+  }
+
+  const shapes = diagram.get('diagramElements').filter(element => element.$instanceOf('dmndi:DMNShape'));
+  const right = Math.max(SHAPE.x - SHAPE.gap - SHAPE.width, ...shapes.map(shape => shape.bounds.x));
+
+  diagram.get('diagramElements').push(moddle.create('dmndi:DMNShape', {
+    id: `DMNShape_${decision.id}`,
+    dmnElementRef: decision,
+    bounds: moddle.create('dc:Bounds', { x: right + SHAPE.width + SHAPE.gap, y: SHAPE.y, width: SHAPE.width, height: SHAPE.height }),
+  }));
+}
+
+/**
+ * Write decision tables into a DMN document. Decisions with the ID of a
+ * table are replaced, new ones are added to the requirements diagram;
+ * other content of the document is kept.
+ *
+ * @param {Array} tables - Decision tables to create or replace
+ * @param {string} [dmnXML] - Current DMN XML, none to start a new document
+ * @param {Array<string>} [removedIds] - IDs of decisions to remove
+ * @returns {Promise<string>} Updated DMN XML
+ */
+async function writeDecisionTables(tables, dmnXML, removedIds = []) {
+  const definitions = dmnXML ? await parseDMN(dmnXML) : createDefinitions();
+  const drgElements = definitions.get('drgElement');
+
+  tables.forEach(table => {
+    let decision = drgElements.find(element => element.id === table.id);
+
+    if (!decision) {
+      decision = moddle.create('dmn:Decision', { id: table.id });
+      decision.$parent = definitions;
+      drgElements.push(decision);
+      addDecisionShape(definitions, decision);
+    }
+
+    decision.name = table.name;
+    decision.decisionLogic = createDecisionTable(table);
+    decision.decisionLogic.$parent = decision;
+  });
+
+  if (removedIds.length) {
+    definitions.drgElement = drgElements.filter(element => !removedIds.includes(element.id));
+
+    (definitions.dmnDI?.diagrams || []).forEach(diagram => {
+      diagram.diagramElements = diagram.get('diagramElements')
+        .filter(element => !removedIds.includes(element.dmnElementRef?.id));
+    });
+  }
+
+  const { xml } = await moddle.toXML(definitions, { format: true });
+
+  return xml;
+}
+
+/**
+ * Format a decision table as a Markdown table for the chat
+ *
+ * @param {Object} table - Decision table
+ */
+function formatDecisionTable(table) {
+  const escape = text => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  const columns = [
+    '#',
+    ...table.inputs.map(input => `${input.label || input.expression} (when)`),
+    ...table.outputs.map(output => `${output.label || output.name} (then)`),
+    ...(table.rules.some(rule => rule.description) ? ['Description'] : []),
+  ];
+
+  return [
+    `**${escape(table.name)}** (\`${table.id}\`, hit policy ${table.hitPolicy || 'UNIQUE'})`,
+    '',
+    `| ${columns.map(escape).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...table.rules.map((rule, index) => `| ${[
+      index + 1,
+      ...rule.inputEntries,
+      ...rule.outputEntries,
+      ...(columns.includes('Description') ? [rule.description || ''] : []),
+    ].map(escape).join(' | ')} |`),
+  ].join('\n');
+}
+
+module.exports = {
+  HIT_POLICIES,
+  TYPE_REFS,
+  DECISION_TABLE_SCHEMA,
+  parseDMN,
+  readDecisionTables,
+  validateDecisionTables,
+  writeDecisionTables,
+  formatDecisionTable
+};
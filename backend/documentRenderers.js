@@ -0,0 +1,359 @@
+/**
+ * Process Document Renderers
+ *
+ * Writes a process document (see processDocument.js) as Markdown, HTML or
+ * Word (DOCX). All formats share one outline of headings, paragraphs,
+ * tables and the diagram figure, so they always contain the same sections
+ * in the same order:
+ *
+ *   1. Overview
+ *   2. Diagram
+ *   3. Roles, Procedure and Decisions of each process
+ */
+
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ImageRun,
+  Table,
+  TableRow,
+  TableCell,
+  HeadingLevel,
+  WidthType,
+} = require('docx');
+const { rasterizeSVG } = require('./diagramRenderer');
+const { flattenSteps } = require('./processDocument');
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+};
+
+// Width of the diagram figure in Word documents, in pixels (A4 text width)
+const DOCX_FIGURE_WIDTH = 600;
+
+/**
+ * Label of a step for references, e.g. 'Step 3 "Approve request"'
+ *
+ * @param {Object} step - Step of the document structure
+ */
+function stepLabel(step) {
+  return `Step ${step.number}${step.name ? ` "${step.name}"` : ` (${step.type.toLowerCase()})`}`;
+}
+
+/**
+ * Build the outline of the steps of a process or sub-process
+ *
+ * @param {Array} steps - Steps of the document structure
+ * @param {Object} context - { descriptions, stepsById }
+ * @param {number} level - Heading level of the steps
+ */
+function outlineSteps(steps, context, level) {
+  return steps.flatMap(step => {
+    const facts = [step.type, step.role && `Role: ${step.role}`].filter(Boolean).join(' · ');
+    const host = step.attachedTo && context.stepsById.get(step.attachedTo);
+
+    const next = step.outgoing
+      .filter(flow => context.stepsById.has(flow.targetId))
+      .map(flow => {
+        const when = flow.label || flow.condition || (flow.isDefault ? 'otherwise' : '');
+
+        return `${stepLabel(context.stepsById.get(flow.targetId))}${when ? ` (${when})` : ''}`;
+      });
+
+    return [
+      { type: 'heading', level, text: `Step ${step.number}: ${step.name || step.type}` },
+      { type: 'paragraph', style: 'meta', text: facts },
+      ...(host ? [{ type: 'paragraph', text: `Occurs during ${stepLabel(host)}.` }] : []),
+      ...(context.descriptions[step.id] ? [{ type: 'paragraph', text: context.descriptions[step.id] }] : []),
+      ...(next.length ? [{ type: 'paragraph', text: `Next: ${next.join('; ')}` }] : []),
+      ...outlineSteps(step.steps, context, Math.min(level + 1, 6)),
+    ];
+  });
+}
+
+/**
+ * Build the outline of a document
+ *
+ * @param {Object} processDocument - Result of generateProcessDocument
+ * @returns {Array} Blocks: heading, paragraph, table or figure
+ */
+function buildOutline({ title, overview, descriptions, processes, svg }) {
+  const blocks = [
+    { type: 'heading', level: 1, text: title },
+    { type: 'heading', level: 2, text: '1. Overview' },
+    ...(overview ? [{ type: 'paragraph', text: overview }] : []),
+    ...processes.flatMap(process => [
+      ...(processes.length > 1 ? [{ type: 'paragraph', style: 'meta', text: process.name }] : []),
+      { type: 'paragraph', text: `Starts when: ${process.triggers.join('; ') || 'not modeled'}` },
+      { type: 'paragraph', text: `Ends with: ${process.outcomes.join('; ') || 'not modeled'}` },
+    ]),
+  ];
+
+  if (svg) {
+    blocks.push(
+      { type: 'heading', level: 2, text: '2. Diagram' },
+      { type: 'figure', svg, caption: title }
+    );
+  }
+
+  let section = svg ? 3 : 2;
+
+  processes.forEach(process => {
+    const stepsById = new Map(flattenSteps(process.steps).map(step => [step.id, step]));
+    const context = { descriptions, stepsById };
+
+    // Diagrams with several processes get one section per process
+    const level = processes.length > 1 ? 3 : 2;
+    const number = processes.length > 1 ? `${section}.` : '';
+    let subsection = 1;
+
+    const heading = text => {
+      const prefix = processes.length > 1 ? `${number}${subsection++}` : `${section++}.`;
+
+      return { type: 'heading', level, text: `${prefix} ${text}` };
+    };
+
+    if (processes.length > 1) {
+      blocks.push({ type: 'heading', level: 2, text: `${section++}. ${process.name}` });
+
+      if (descriptions[process.id]) {
+        blocks.push({ type: 'paragraph', text: descriptions[process.id] });
+      }
+    }
+
+    if (process.roles.length) {
+      blocks.push(heading('Roles'), {
+        type: 'table',
+        columns: ['Role', 'Responsibilities', 'Steps'],
+        rows: process.roles.map(role => [role.name, descriptions[role.id] || '', role.steps.join(', ')]),
+      });
+    }
+
+    blocks.push(heading('Procedure'), ...outlineSteps(process.steps, context, level + 1));
+
+    if (process.decisions.length) {
+      blocks.push(heading('Decisions'));
+
+      process.decisions.forEach(decision => {
+        const step = stepsById.get(decision.id);
+
+        blocks.push(
+          { type: 'heading', level: level + 1, text: `${stepLabel(step)}: ${decision.type}` },
+          {
+            type: 'table',
+            columns: ['Outcome', 'Condition', 'Next step'],
+            rows: decision.outcomes.map(outcome => [
+              outcome.label || (outcome.isDefault ? 'Otherwise' : ''),
+              outcome.condition || (outcome.isDefault ? 'Default flow' : ''),
+              stepsById.has(outcome.targetId) ? stepLabel(stepsById.get(outcome.targetId)) : outcome.targetId || '',
+            ]),
+          }
+        );
+      });
+    }
+  });
+
+  return blocks;
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Write a document as Markdown; the diagram is embedded as a data URI
+ *
+ * @param {Object} processDocument - Result of generateProcessDocument
+ * @returns {string} Markdown
+ */
+function renderMarkdown(processDocument) {
+  const lines = buildOutline(processDocument).map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${block.text}`;
+      case 'paragraph':
+        return block.style === 'meta' ? `*${block.text}*` : block.text;
+      case 'table':
+        return [
+          `| ${block.columns.join(' | ')} |`,
+          `| ${block.columns.map(() => '---').join(' | ')} |`,
+          ...block.rows.map(row => `| ${row.map(escapeTableCell).join(' | ')} |`),
+        ].join('\n');
+      case 'figure':
+        return `![${block.caption}](data:image/svg+xml;base64,${Buffer.from(block.svg).toString('base64')})`;
+      default:
+        return '';
+    }
+  });
+
+  return `${lines.join('\n\n')}\n`;
+}
+
+const HTML_STYLE = `body { font-family: Arial, sans-serif; max-width: 56em; margin: 2em auto; padding: 0 1em; line-height: 1.5; color: #222; }
+table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+th, td { border: 1px solid #ccc; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+figure { margin: 1em 0; overflow-x: auto; }
+figure svg { max-width: 100%; height: auto; }
+.meta { color: #666; font-style: italic; margin-bottom: 0; }`;
+
+/**
+ * Write a document as a standalone HTML page with the diagram inlined
+ *
+ * @param {Object} processDocument - Result of generateProcessDocument
+ * @returns {string} HTML
+ */
+function renderHTML(processDocument) {
+  const body = buildOutline(processDocument).map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${escapeHTML(block.text)}</h${block.level}>`;
+      case 'paragraph':
+        return `<p${block.style === 'meta' ? ' class="meta"' : ''}>${escapeHTML(block.text)}</p>`;
+      case 'table':
+        return [
+          '<table>',
+          `<tr>${block.columns.map(column => `<th>${escapeHTML(column)}</th>`).join('')}</tr>`,
+          ...block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`),
+          '</table>',
+        ].join('\n');
+      case 'figure':
+        return `<figure>${block.svg.replace(/^<\?xml[^>]*>\s*/, '')}<figcaption>${escapeHTML(block.caption)}</figcaption></figure>`;
+      default:
+        return '';
+    }
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(processDocument.title)}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+const DOCX_HEADINGS = [
+  HeadingLevel.TITLE,
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+];
+
+/**
+ * Build the figure of the diagram; Word versions without SVG support show
+ * the PNG fallback
+ *
+ * @param {string} svg - SVG markup of renderSVG
+ */
+function createDocxFigure(svg) {
+  const [, width, height] = /width="([\d.]+)" height="([\d.]+)"/.exec(svg) || [null, DOCX_FIGURE_WIDTH, DOCX_FIGURE_WIDTH / 2];
+  const scale = Math.min(1, DOCX_FIGURE_WIDTH / width);
+  const transformation = { width: Math.round(width * scale), height: Math.round(height * scale) };
+
+  return new Paragraph({
+    children: [
+      new ImageRun({
+        type: 'svg',
+        data: Buffer.from(svg),
+        transformation,
+        fallback: { type: 'png', data: rasterizeSVG(svg, { scale: 2 }) },
+      }),
+    ],
+  });
+}
+
+function createDocxTable({ columns, rows }) {
+  const createRow = (cells, bold) => new TableRow({
+    tableHeader: bold,
+    children: cells.map(cell => new TableCell({
+      children: [new Paragraph({ children: [new TextRun({ text: String(cell), bold })] })],
+    })),
+  });
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [createRow(columns, true), ...rows.map(row => createRow(row, false))],
+  });
+}
+
+/**
+ * Write a document as a Word (DOCX) file
+ *
+ * @param {Object} processDocument - Result of generateProcessDocument
+ * @returns {Promise<Buffer>} DOCX data
+ */
+async function renderDOCX(processDocument) {
+  const children = buildOutline(processDocument).flatMap(block => {
+    switch (block.type) {
+      case 'heading':
+        return [new Paragraph({ heading: DOCX_HEADINGS[block.level - 1], text: block.text })];
+      case 'paragraph':
+        return [new Paragraph({ children: [new TextRun({ text: block.text, italics: block.style === 'meta' })] })];
+      case 'table':
+        // Word merges consecutive tables without a paragraph between them
+        return [createDocxTable(block), new Paragraph({})];
+      case 'figure':
+        return [createDocxFigure(block.svg)];
+      default:
+        return [];
+    }
+  });
+
+  const document = new Document({
+    title: processDocument.title,
+    sections: [{ children }],
+  });
+
+  return Packer.toBuffer(document);
+}
+
+/**
+ * Write a document in one of the supported formats
+ *
+ * @param {Object} processDocument - Result of generateProcessDocument
+ * @param {string} format - markdown, html or docx
+ * @returns {Promise<string|Buffer>} Document content
+ */
+async function renderDocument(processDocument, format) {
+  switch (format) {
+    case 'markdown':
+      return renderMarkdown(processDocument);
+    case 'html':
+      return renderHTML(processDocument);
+    case 'docx':
+      return renderDOCX(processDocument);
+    default:
+      throw new Error(`Unsupported document format "${format}"`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  buildOutline,
+  renderMarkdown,
+  renderHTML,
+  renderDOCX,
+  renderDocument
+};
@@ -0,0 +1,106 @@
+/**
+ * Source Document Text Extraction
+ *
+ * Reads uploaded process documents (SOPs, meeting notes) as plain text and
+ * splits them into numbered sentences. The model refers to these numbers
+ * when it reports which sentence an element was derived from, so the
+ * traceability map always quotes the document verbatim.
+ */
+
+const path = require('path');
+const pdfParse = require('pdf-parse');
+
+const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.txt', '.pdf'];
+
+/**
+ * Check whether a file can be used as a source document
+ *
+ * @param {string} filename - Original file name
+ */
+function isSupportedDocument(filename) {
+  return SUPPORTED_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+}
+
+/**
+ * Extract the text of an uploaded document
+ *
+ * @param {Object} file - Uploaded file ({ originalname, buffer })
+ * @returns {Promise<string>} Document text
+ */
+async function extractDocumentText({ originalname, buffer }) {
+  if (path.extname(originalname).toLowerCase() === '.pdf') {
+    const { text } = await pdfParse(buffer);
+    return text;
+  }
+
+  return buffer.toString('utf8');
+}
+
+/**
+ * Remove Markdown syntax that carries no meaning for the process
+ *
+ * @param {string} line - Line of a Markdown document
+ */
+function stripMarkdown(line) {
+  return line
+    .replace(/^\s{0,3}#{1,6}\s+/, '')
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '')
+    .replace(/^\s*>\s?/, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .trim();
+}
+
+/**
+ * Split document text into numbered sentences
+ *
+ * Headings and list items count as sentences of their own; PDF line breaks
+ * inside a paragraph are joined.
+ *
+ * @param {string} text - Document text
+ * @returns {Array<{ id: string, text: string }>} Sentences with IDs S1, S2, ...
+ */
+function splitSentences(text) {
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push(paragraph.join(' '));
+      paragraph = [];
+    }
+  };
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    const isBlockStart = /^\s{0,3}(#{1,6}\s|[-*+]\s|\d+[.)]\s|>)/.test(rawLine);
+    const line = stripMarkdown(rawLine);
+
+    if (!line || /^(-{3,}|\*{3,}|_{3,})$/.test(line)) {
+      flush();
+      return;
+    }
+
+    if (isBlockStart) {
+      flush();
+      blocks.push(line);
+      return;
+    }
+
+    paragraph.push(line);
+  });
+
+  flush();
+
+  return blocks
+    .flatMap(block => block.split(/(?<=[.!?])\s+(?=[A-Z0-9"“(])/))
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map((sentence, index) => ({ id: `S${index + 1}`, text: sentence }));
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  isSupportedDocument,
+  extractDocumentText,
+  splitSentences
+};
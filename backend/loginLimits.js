@@ -0,0 +1,85 @@
+/**
+ * Limits for Failed Sign-ins
+ *
+ * Password guessing is slowed down by counting failed sign-ins per username
+ * and per client IP address within a sliding window of
+ * LOGIN_FAILURE_WINDOW_SECONDS. Once LOGIN_FAILURES_PER_USER failures for a
+ * username or LOGIN_FAILURES_PER_IP failures from an address are reached,
+ * further sign-ins are answered with 429 and a Retry-After header until the
+ * oldest failure leaves the window (0 disables a limit). A successful
+ * sign-in clears the failures of its username.
+ */
+
+const FAILURES_PER_USER = parseInt(process.env.LOGIN_FAILURES_PER_USER || '5', 10);
+const FAILURES_PER_IP = parseInt(process.env.LOGIN_FAILURES_PER_IP || '20', 10);
+const FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS || '900', 10) * 1000;
+
+// "user:<name>" or "ip:<address>" to the times of failed sign-ins within the window
+const recentFailures = new Map();
+
+/**
+ * Keys a sign-in attempt is counted under, with their limit
+ *
+ * @param {Object} req - Express request
+ * @returns {Array<[string, number]>}
+ */
+function getKeys(req) {
+  const username = typeof req.body?.username === 'string' ? req.body.username.toLowerCase() : '';
+  const address = req.ip || req.socket.remoteAddress || 'unknown';
+
+  return [
+    [`user:${username}`, FAILURES_PER_USER],
+    [`ip:${address}`, FAILURES_PER_IP],
+  ];
+}
+
+/**
+ * Drop failure times that left the window, and keys without any
+ */
+function pruneFailures(now) {
+  recentFailures.forEach((times, key) => {
+    while (times.length && now - times[0] >= FAILURE_WINDOW_MS) {
+      times.shift();
+    }
+    if (!times.length) {
+      recentFailures.delete(key);
+    }
+  });
+}
+
+/**
+ * Middleware for the sign-in route: rejects attempts over a limit and sets
+ * `req.loginAttempt` with `failed()` and `succeeded()`, which the route
+ * calls once the password is checked
+ */
+function limitLogins(req, res, next) {
+  const now = Date.now();
+  const keys = getKeys(req);
+
+  pruneFailures(now);
+
+  const blocked = keys
+    .filter(([key, limit]) => limit > 0 && (recentFailures.get(key)?.length || 0) >= limit)
+    .map(([key, limit]) => recentFailures.get(key)[recentFailures.get(key).length - limit]);
+
+  if (blocked.length) {
+    const retryAfter = Math.ceil((Math.max(...blocked) + FAILURE_WINDOW_MS - now) / 1000);
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: `Too many failed sign-ins. Try again in ${Math.ceil(retryAfter / 60)} minutes.` });
+  }
+
+  req.loginAttempt = {
+    failed() {
+      keys.forEach(([key]) => recentFailures.set(key, [...(recentFailures.get(key) || []), Date.now()]));
+    },
+    succeeded() {
+      recentFailures.delete(keys[0][0]);
+    },
+  };
+  next();
+}
+
+module.exports = {
+  limitLogins
+};
@@ -0,0 +1,78 @@
+/**
+ * Notation Converters
+ *
+ * Imports process sketches from other notations as BPMN and exports BPMN
+ * diagrams to them:
+ *
+ * - mermaid: Mermaid flowcharts, import and export
+ * - plantuml: PlantUML activity diagrams, import
+ *
+ * Imports are built from a process graph (see processGraph.js), completed
+ * with the events and gateways BPMN requires and laid out automatically.
+ */
+
+const { notationError, graphToBpmn } = require('./processGraph');
+const { parseMermaid, bpmnToMermaid } = require('./mermaid');
+const { parsePlantUML } = require('./plantuml');
+
+const IMPORTERS = {
+  mermaid: parseMermaid,
+  plantuml: parsePlantUML,
+};
+
+const EXPORTERS = {
+  mermaid: { extension: 'mmd', contentType: 'text/plain; charset=utf-8', write: bpmnToMermaid },
+};
+
+/**
+ * Guess the notation of a source from its first statement
+ *
+ * @param {string} source - Source text
+ * @returns {string|null} mermaid, plantuml or null
+ */
+function detectNotation(source) {
+  if (/^\s*@startuml\b/m.test(source) || /^\s*(start|:[^\n]*;)\s*$/m.test(source)) {
+    return 'plantuml';
+  }
+
+  if (/^\s*(flowchart|graph)\b/m.test(source)) {
+    return 'mermaid';
+  }
+
+  return null;
+}
+
+/**
+ * Convert a source in another notation to BPMN
+ *
+ * @param {string} source - Source text
+ * @param {string} [notation] - mermaid or plantuml, detected if missing
+ * @returns {Promise<Object>} { diagramXML, notation, warnings }
+ * @throws {Error} Notation error (error.isNotationError) if the notation is
+ *   unknown or the source cannot be read, with the line number as error.line
+ */
+async function importNotation(source, notation = detectNotation(source)) {
+  const parse = IMPORTERS[notation];
+
+  if (!parse) {
+    throw notationError(notation
+      ? `Unsupported notation "${notation}". Use ${Object.keys(IMPORTERS).join(' or ')}.`
+      : 'Could not detect the notation, please specify it');
+  }
+
+  const { graph, warnings } = parse(source);
+  const result = await graphToBpmn(graph);
+
+  return {
+    diagramXML: result.diagramXML,
+    notation,
+    warnings: [...warnings, ...result.warnings],
+  };
+}
+
+module.exports = {
+  IMPORTERS,
+  EXPORTERS,
+  detectNotation,
+  importNotation
+};
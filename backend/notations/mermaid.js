@@ -0,0 +1,444 @@
+/**
+ * Mermaid Flowcharts
+ *
+ * Reads Mermaid flowcharts (flowchart / graph) into a process graph and
+ * writes BPMN diagrams back as flowcharts. Node shapes map to BPMN types:
+ *
+ *   A[Task] A(Task) A{{Task}}   task
+ *   A[[Call]]                   call activity
+ *   A{Decision?}                exclusive gateway
+ *   A((Event)) A([Event])       event; start, end or intermediate by its flows
+ *
+ * Subgraphs become lanes. Styling (classDef, style, linkStyle, click) is
+ * ignored, as are invisible links (~~~).
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+const { notationError } = require('./processGraph');
+
+const moddle = new BpmnModdle();
+
+// Longest openers first, so that (( is not read as (
+const SHAPES = [
+  { open: '(((', close: ')))', type: 'event' },
+  { open: '((', close: '))', type: 'event' },
+  { open: '([', close: '])', type: 'event' },
+  { open: '[[', close: ']]', type: 'bpmn:CallActivity' },
+  { open: '[(', close: ')]', type: 'bpmn:Task' },
+  { open: '{{', close: '}}', type: 'bpmn:Task' },
+  { open: '[/', close: /[/\\]\]/, type: 'bpmn:Task' },
+  { open: '[\\', close: /[/\\]\]/, type: 'bpmn:Task' },
+  { open: '[', close: ']', type: 'bpmn:Task' },
+  { open: '(', close: ')', type: 'bpmn:Task' },
+  { open: '{', close: '}', type: 'bpmn:ExclusiveGateway' },
+  { open: '>', close: ']', type: 'bpmn:Task' },
+];
+
+const IGNORED_STATEMENTS = /^(classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+
+// Link with text in the middle, e.g. A -- yes --> B
+const TEXT_LINK = /^<?(--|==|-\.)(?![->=.])\s*(.+?)\s*(-{2,}[>ox]?|={2,}[>ox]?|\.+-[>ox]?)/;
+const LINK = /^<?(-{2,}|={2,}|-\.+-|~{3,})([>ox]?)/;
+
+const RESERVED_IDS = ['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classDef', 'click', 'direction', 'linkStyle'];
+
+/**
+ * Decode a Mermaid label: quotes, entity codes, line breaks and Markdown strings
+ */
+function decodeLabel(text) {
+  return text
+    .trim()
+    .replace(/^"([\s\S]*)"$/, '$1')
+    .replace(/^`([\s\S]*)`$/, '$1')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/#quot;/g, '"')
+    .replace(/#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a line into statements at semicolons outside of quotes
+ */
+function splitStatements(line) {
+  const statements = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+
+    if (char === ';' && !quoted) {
+      statements.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  return [...statements, current].map(statement => statement.trim()).filter(Boolean);
+}
+
+/**
+ * Read a node reference with an optional shape, e.g. A or A{"Approved?"}
+ *
+ * @returns {Object|null} { id, shape, label, rest }
+ */
+function readNode(text) {
+  const idMatch = /^([\w]+)/.exec(text);
+
+  if (!idMatch) {
+    return null;
+  }
+
+  let rest = text.slice(idMatch[0].length);
+  const shape = SHAPES.find(candidate => rest.startsWith(candidate.open));
+  let label = null;
+
+  if (shape) {
+    rest = rest.slice(shape.open.length);
+
+    let end;
+
+    if (rest.startsWith('"')) {
+      const closingQuote = rest.indexOf('"', 1);
+      end = closingQuote === -1 ? -1 : closingQuote + 1;
+    } else {
+      end = 0;
+    }
+
+    const close = typeof shape.close === 'string'
+      ? { index: rest.indexOf(shape.close, end), length: shape.close.length }
+      : (match => match && { index: end + match.index, length: match[0].length })(shape.close.exec(rest.slice(end)));
+
+    if (end === -1 || !close || close.index === -1) {
+      throw new Error(`Unclosed shape of node "${idMatch[1]}"`);
+    }
+
+    label = decodeLabel(rest.slice(0, close.index));
+    rest = rest.slice(close.index + close.length);
+  }
+
+  // Class shorthand, e.g. A:::highlighted
+  rest = rest.replace(/^:::[\w-]+/, '');
+
+  return { id: idMatch[1], shape, label, rest: rest.trimStart() };
+}
+
+/**
+ * Read a link, e.g. -->, -.->, -- yes --> or -->|yes|
+ *
+ * @returns {Object|null} { label, invisible, rest }
+ */
+function readLink(text) {
+  const textLink = TEXT_LINK.exec(text);
+  const link = textLink || LINK.exec(text);
+
+  if (!link) {
+    return null;
+  }
+
+  let rest = text.slice(link[0].length).trimStart();
+  let label = textLink ? decodeLabel(textLink[2]) : '';
+
+  const pipeLabel = /^\|([^|]*)\|/.exec(rest);
+
+  if (pipeLabel) {
+    label = decodeLabel(pipeLabel[1]);
+    rest = rest.slice(pipeLabel[0].length).trimStart();
+  }
+
+  return { label, invisible: !textLink && link[1].startsWith('~'), rest };
+}
+
+/**
+ * Parse a Mermaid flowchart into a process graph
+ *
+ * @param {string} source - Mermaid text
+ * @returns {Object} { graph, warnings }
+ * @throws {Error} With the line number if the source is not a flowchart
+ */
+function parseMermaid(source) {
+  const graph = { name: '', lanes: [], nodes: [], flows: [] };
+  const warnings = [];
+  const nodes = new Map();
+  const subgraphs = [];
+  let hasHeader = false;
+
+  const mention = ({ id, shape, label }) => {
+    let node = nodes.get(id);
+
+    if (!node) {
+      node = { id, type: 'bpmn:Task', name: id, laneId: undefined };
+      nodes.set(id, node);
+      graph.nodes.push(node);
+    }
+
+    if (shape) {
+      node.type = shape.type;
+      node.name = label;
+    }
+
+    if (!node.laneId && subgraphs.length) {
+      node.laneId = subgraphs[subgraphs.length - 1].id;
+    }
+
+    return node;
+  };
+
+  source.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/%%.*$/, '').trim();
+
+    if (!line || line.startsWith('---') && !hasHeader) {
+      return;
+    }
+
+    if (!hasHeader) {
+      // Front matter of the diagram, e.g. title: Orders
+      const title = /^title:\s*(.+)$/.exec(line);
+
+      if (title) {
+        graph.name = decodeLabel(title[1]);
+        return;
+      }
+
+      if (!/^(flowchart|graph)\b/.test(line)) {
+        throw notationError('Expected a flowchart, e.g. "flowchart LR"', lineNumber);
+      }
+
+      hasHeader = true;
+      return;
+    }
+
+    splitStatements(line).forEach(statement => {
+      if (IGNORED_STATEMENTS.test(statement)) {
+        return;
+      }
+
+      const subgraph = /^subgraph\s+(.+)$/.exec(statement);
+
+      if (subgraph) {
+        const [, id, title] = /^([\w-]+)\s*\[(.*)\]$/.exec(subgraph[1]) || [null, subgraph[1], subgraph[1]];
+        const lane = { id: `${graph.lanes.length}:${id}`, name: decodeLabel(title) };
+
+        if (subgraphs.length) {
+          warnings.push(`Nested subgraph "${lane.name}" became a separate lane`);
+        }
+
+        subgraphs.push(lane);
+        graph.lanes.push(lane);
+        return;
+      }
+
+      if (statement === 'end') {
+        if (!subgraphs.length) {
+          throw notationError('"end" without a subgraph', lineNumber);
+        }
+
+        subgraphs.pop();
+        return;
+      }
+
+      try {
+        let rest = statement;
+        let previous = null;
+
+        while (rest) {
+          const group = [];
+          let node = readNode(rest);
+
+          if (!node) {
+            throw new Error(`Unexpected "${rest.slice(0, 20)}"`);
+          }
+
+          group.push(mention(node));
+
+          // Several nodes at once, e.g. A & B --> C
+          while (node.rest.startsWith('&')) {
+            node = readNode(node.rest.slice(1).trimStart());
+
+            if (!node) {
+              throw new Error('Expected a node after "&"');
+            }
+
+            group.push(mention(node));
+          }
+
+          if (previous && !previous.link.invisible) {
+            previous.nodes.forEach(sourceNode => group.forEach(targetNode => graph.flows.push({
+              sourceId: sourceNode.id,
+              targetId: targetNode.id,
+              name: previous.link.label,
+            })));
+          }
+
+          rest = node.rest;
+
+          if (!rest) {
+            break;
+          }
+
+          const link = readLink(rest);
+
+          if (!link) {
+            throw new Error(`Expected a link, found "${rest.slice(0, 20)}"`);
+          }
+
+          if (!link.rest) {
+            throw new Error('Link without a target');
+          }
+
+          previous = { nodes: group, link };
+          rest = link.rest;
+        }
+      } catch (error) {
+        throw error.line ? error : notationError(error.message, lineNumber);
+      }
+    });
+  });
+
+  if (!hasHeader) {
+    throw notationError('Expected a flowchart, e.g. "flowchart LR"', 1);
+  }
+
+  if (subgraphs.length) {
+    throw notationError(`Subgraph "${subgraphs[subgraphs.length - 1].name}" is not closed with "end"`, source.split(/\r?\n/).length);
+  }
+
+  return { graph, warnings };
+}
+
+/**
+ * Turn a BPMN ID into a Mermaid node ID
+ */
+function toMermaidId(id) {
+  const safeId = id.replace(/\W/g, '_');
+
+  return RESERVED_IDS.includes(safeId) ? `${safeId}_` : safeId;
+}
+
+function quote(text) {
+  return `"${String(text).replace(/"/g, '#quot;').replace(/\s*\n\s*/g, ' ')}"`;
+}
+
+/**
+ * Mermaid node definition of a flow node
+ */
+function nodeShape(element) {
+  const label = quote(element.name || element.id);
+
+  if (element.$instanceOf('bpmn:EndEvent')) {
+    return `(((${label})))`;
+  }
+
+  if (element.$instanceOf('bpmn:Event')) {
+    return `((${label}))`;
+  }
+
+  if (element.$instanceOf('bpmn:Gateway')) {
+    const symbol = element.$instanceOf('bpmn:ParallelGateway') ? '+' : element.$instanceOf('bpmn:InclusiveGateway') ? 'O' : 'X';
+
+    return `{${quote(element.name || symbol)}}`;
+  }
+
+  if (element.$instanceOf('bpmn:CallActivity')) {
+    return `[[${label}]]`;
+  }
+
+  return `[${label}]`;
+}
+
+/**
+ * Write a BPMN diagram as a Mermaid flowchart. Pools, lanes and
+ * sub-processes become subgraphs, message flows dotted links and boundary
+ * events are linked to their host with a dotted line.
+ *
+ * @param {string} xml - BPMN 2.0 XML
+ * @returns {Promise<string>} Mermaid text
+ * @throws {Error} With status 400 if the XML cannot be parsed
+ */
+async function bpmnToMermaid(xml) {
+  const { rootElement: definitions } = await moddle.fromXML(xml).catch(error => {
+    throw Object.assign(error, { status: 400 });
+  });
+  const rootElements = definitions.rootElements || [];
+  const collaboration = rootElements.find(element => element.$instanceOf('bpmn:Collaboration'));
+  const processes = rootElements.filter(element => element.$instanceOf('bpmn:Process'));
+  const lines = ['flowchart LR'];
+  const links = [];
+
+  const writeContainer = (container, indent) => {
+    const flowElements = container.flowElements || [];
+    const inLanes = new Set();
+
+    const writeNodes = (nodes, nodeIndent) => nodes.forEach(element => {
+      if (element.$instanceOf('bpmn:SubProcess')) {
+        lines.push(`${nodeIndent}subgraph ${toMermaidId(element.id)} [${quote(element.name || element.id)}]`);
+        writeContainer(element, `${nodeIndent}  `);
+        lines.push(`${nodeIndent}end`);
+      } else {
+        lines.push(`${nodeIndent}${toMermaidId(element.id)}${nodeShape(element)}`);
+      }
+    });
+
+    const writeLanes = (laneSet, laneIndent) => (laneSet?.lanes || []).forEach(lane => {
+      lines.push(`${laneIndent}subgraph ${toMermaidId(lane.id)} [${quote(lane.name || lane.id)}]`);
+
+      if (lane.childLaneSet?.lanes?.length) {
+        writeLanes(lane.childLaneSet, `${laneIndent}  `);
+      } else {
+        const nodes = (lane.flowNodeRef || []).filter(node => flowElements.includes(node) && !inLanes.has(node));
+
+        nodes.forEach(node => inLanes.add(node));
+        writeNodes(nodes, `${laneIndent}  `);
+      }
+
+      lines.push(`${laneIndent}end`);
+    });
+
+    (container.laneSets || []).forEach(laneSet => writeLanes(laneSet, indent));
+
+    writeNodes(flowElements.filter(element => element.$instanceOf('bpmn:FlowNode') && !inLanes.has(element)), indent);
+
+    flowElements.forEach(element => {
+      if (element.$instanceOf('bpmn:SequenceFlow') && element.sourceRef && element.targetRef) {
+        const label = element.name || element.conditionExpression?.body;
+
+        links.push(`${toMermaidId(element.sourceRef.id)} -->${label ? `|${quote(label)}|` : ''} ${toMermaidId(element.targetRef.id)}`);
+      }
+
+      if (element.$instanceOf('bpmn:BoundaryEvent') && element.attachedToRef) {
+        links.push(`${toMermaidId(element.attachedToRef.id)} -.- ${toMermaidId(element.id)}`);
+      }
+    });
+  };
+
+  processes.forEach(process => {
+    const participant = collaboration?.participants?.find(candidate => candidate.processRef === process);
+
+    if (participant) {
+      lines.push(`  subgraph ${toMermaidId(participant.id)} [${quote(participant.name || process.name || participant.id)}]`);
+      writeContainer(process, '    ');
+      lines.push('  end');
+    } else {
+      writeContainer(process, '  ');
+    }
+  });
+
+  (collaboration?.messageFlows || []).forEach(flow => {
+    // Message flows to an empty pool have no node to point at
+    if (flow.sourceRef?.$instanceOf('bpmn:FlowNode') && flow.targetRef?.$instanceOf('bpmn:FlowNode')) {
+      links.push(`${toMermaidId(flow.sourceRef.id)} -.->${flow.name ? `|${quote(flow.name)}|` : ''} ${toMermaidId(flow.targetRef.id)}`);
+    }
+  });
+
+  return `${[...lines, ...links.map(link => `  ${link}`)].join('\n')}\n`;
+}
+
+module.exports = {
+  parseMermaid,
+  bpmnToMermaid
+};
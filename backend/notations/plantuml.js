@@ -0,0 +1,381 @@
+/**
+ * PlantUML Activity Diagrams
+ *
+ * Reads activity diagrams in the current PlantUML syntax into a process
+ * graph. The parser keeps the open ends of the flow built so far and
+ * connects them to the next element:
+ *
+ *   start / stop, end, kill, detach             start and end events
+ *   :Review request;                            task
+ *   if / elseif / else / endif                  exclusive split and merge
+ *   switch / case / endswitch                   exclusive split and merge
+ *   while / endwhile, repeat / repeat while     loops with exclusive gateways
+ *   fork / fork again / end fork                parallel split and join
+ *   split / split again / end split, end merge  parallel split without a join
+ *   |Lane|                                      lanes
+ *   -> label;                                   label of the next flow
+ *
+ * Notes, styling, partitions and connectors are skipped with a warning.
+ */
+
+const { notationError } = require('./processGraph');
+
+// Statements that do not change the flow
+const SKIPPED_STATEMENTS = /^(skinparam|hide|show|scale|left to right direction|top to bottom direction|caption|header|footer|legend|endlegend|end legend|legend .*|!\w+)\b/;
+
+// Parenthesized argument, e.g. (Approved?)
+const ARGUMENT = '\\(([^)]*)\\)';
+
+/**
+ * Join the lines of multi-line statements (activities, notes, comments)
+ *
+ * @returns {Array<{ text: string, line: number }>}
+ */
+function readStatements(source, warnings) {
+  const lines = source.split(/\r?\n/);
+  const statements = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    const lineNumber = index + 1;
+
+    if (!line || line.startsWith('\'')) {
+      continue;
+    }
+
+    if (line.startsWith('/\'')) {
+      while (index < lines.length && !lines[index].includes('\'/')) {
+        index++;
+      }
+      continue;
+    }
+
+    if (/^(floating\s+)?note\b/.test(line) && !line.includes(':')) {
+      const start = lineNumber;
+
+      while (index < lines.length && !/^end\s?note$/.test(lines[index].trim())) {
+        index++;
+      }
+
+      if (index === lines.length) {
+        throw notationError('Note is not closed with "end note"', start);
+      }
+
+      warnings.push(`Line ${start}: Skipped note`);
+      continue;
+    }
+
+    // Activities may span lines until they end with ; or an SDL shape character
+    if (line.startsWith(':') && !/[;|<>/\]}]$/.test(line)) {
+      const start = lineNumber;
+      let text = line;
+
+      while (++index < lines.length) {
+        text += `\n${lines[index].trim()}`;
+
+        if (/[;|<>/\]}]$/.test(lines[index].trim())) {
+          break;
+        }
+      }
+
+      if (index === lines.length) {
+        throw notationError('Activity is not closed with ";"', start);
+      }
+
+      statements.push({ text, line: start });
+      continue;
+    }
+
+    statements.push({ text: line, line: lineNumber });
+  }
+
+  return statements;
+}
+
+/**
+ * Parse a PlantUML activity diagram into a process graph
+ *
+ * @param {string} source - PlantUML text
+ * @returns {Object} { graph, warnings }
+ * @throws {Error} With the line number if a statement cannot be read
+ */
+function parsePlantUML(source) {
+  const graph = { name: '', lanes: [], nodes: [], flows: [] };
+  const warnings = [];
+  const blocks = [];
+  let exits = []; // Open ends of the flow: { id, label }
+  let laneId;
+
+  const connect = (targetId, sources = exits) => sources.forEach(exit => graph.flows.push({
+    sourceId: exit.id,
+    targetId,
+    name: exit.label || '',
+  }));
+
+  // Generated IDs are not valid BPMN IDs, so the builder derives them from the names
+  const addNode = (type, name, sources = exits) => {
+    const node = { id: `#${graph.nodes.length + 1}`, type, name, laneId };
+
+    graph.nodes.push(node);
+    connect(node.id, sources);
+    exits = [{ id: node.id }];
+
+    return node;
+  };
+
+  // Continue after the branches of a block, through a merge or join gateway if they are several
+  const joinBranches = (branches, type) => {
+    if (branches.length > 1 && type) {
+      addNode(type, '', branches);
+    } else {
+      exits = branches;
+    }
+  };
+
+  const openBlock = (kind, line, properties) => {
+    const block = { kind, line, branches: [], ...properties };
+
+    blocks.push(block);
+    return block;
+  };
+
+  const currentBlock = (kinds, statement, line) => {
+    const block = blocks[blocks.length - 1];
+
+    if (!block || !kinds.includes(block.kind)) {
+      throw notationError(`"${statement}" without a matching ${kinds[0]}`, line);
+    }
+
+    return block;
+  };
+
+  const handle = (text, line) => {
+    let match;
+
+    if (/^@(start|end)uml\b/.test(text) || SKIPPED_STATEMENTS.test(text)) {
+      return;
+    }
+
+    if ((match = /^title\s+(.+)$/.exec(text))) {
+      graph.name = match[1].trim();
+      return;
+    }
+
+    if ((match = /^\|(?:#?[\w]+\|)?([^|]+)\|$/.exec(text))) {
+      const name = match[1].trim();
+      let lane = graph.lanes.find(candidate => candidate.name === name);
+
+      if (!lane) {
+        lane = { id: `lane${graph.lanes.length + 1}`, name };
+        graph.lanes.push(lane);
+      }
+
+      laneId = lane.id;
+      return;
+    }
+
+    if (text === 'start') {
+      addNode('bpmn:StartEvent', '', []);
+      return;
+    }
+
+    if (/^(stop|end|kill|detach)$/.test(text)) {
+      addNode('bpmn:EndEvent', '');
+      exits = [];
+      return;
+    }
+
+    if ((match = /^(?:#[\w]+)?:([\s\S]*?)[;|<>/\]}]$/.exec(text))) {
+      if (!exits.length && graph.nodes.length) {
+        warnings.push(`Line ${line}: Activity "${match[1].trim()}" follows the end of the flow and is not reachable`);
+      }
+
+      addNode('bpmn:Task', match[1].replace(/\s+/g, ' ').trim());
+      return;
+    }
+
+    if ((match = /^-(?:\[[^\]]*\]-)?>\s*(.*?);?$/.exec(text))) {
+      exits.forEach(exit => {
+        exit.label = match[1].trim();
+      });
+      return;
+    }
+
+    if ((match = new RegExp(`^if\\s*${ARGUMENT}\\s*(?:is\\s*${ARGUMENT}\\s*)?(?:then\\s*(?:${ARGUMENT})?)?$`).exec(text))) {
+      const gateway = addNode('bpmn:ExclusiveGateway', match[1].trim());
+
+      openBlock('if', line, { gateway, hasElse: false });
+      exits = [{ id: gateway.id, label: (match[2] || match[3] || '').trim() }];
+      return;
+    }
+
+    if ((match = new RegExp(`^else\\s*if\\s*${ARGUMENT}\\s*(?:is\\s*${ARGUMENT}\\s*)?(?:then\\s*(?:${ARGUMENT})?)?$`).exec(text))) {
+      const block = currentBlock(['if'], 'elseif', line);
+
+      block.branches.push(...exits);
+      exits = [{ id: block.gateway.id, label: match[1].trim() }];
+      return;
+    }
+
+    if ((match = new RegExp(`^else\\s*(?:${ARGUMENT})?$`).exec(text))) {
+      const block = currentBlock(['if'], 'else', line);
+
+      block.branches.push(...exits);
+      block.hasElse = true;
+      exits = [{ id: block.gateway.id, label: (match[1] || '').trim() }];
+      return;
+    }
+
+    if (/^end\s?if$/.test(text)) {
+      const block = currentBlock(['if'], 'endif', line);
+
+      blocks.pop();
+      joinBranches([
+        ...block.branches,
+        ...exits,
+        ...(block.hasElse ? [] : [{ id: block.gateway.id, label: '' }]),
+      ], 'bpmn:ExclusiveGateway');
+      return;
+    }
+
+    if ((match = new RegExp(`^switch\\s*${ARGUMENT}$`).exec(text))) {
+      const gateway = addNode('bpmn:ExclusiveGateway', match[1].trim());
+
+      openBlock('switch', line, { gateway, hasCase: false });
+      exits = [];
+      return;
+    }
+
+    if ((match = new RegExp(`^case\\s*${ARGUMENT}$`).exec(text))) {
+      const block = currentBlock(['switch'], 'case', line);
+
+      block.branches.push(...exits);
+      block.hasCase = true;
+      exits = [{ id: block.gateway.id, label: match[1].trim() }];
+      return;
+    }
+
+    if (/^end\s?switch$/.test(text)) {
+      const block = currentBlock(['switch'], 'endswitch', line);
+
+      if (!block.hasCase) {
+        throw notationError('Switch without a case', block.line);
+      }
+
+      blocks.pop();
+      joinBranches([...block.branches, ...exits], 'bpmn:ExclusiveGateway');
+      return;
+    }
+
+    if ((match = new RegExp(`^while\\s*${ARGUMENT}\\s*(?:is\\s*${ARGUMENT})?$`).exec(text))) {
+      const merge = addNode('bpmn:ExclusiveGateway', '');
+      const gateway = addNode('bpmn:ExclusiveGateway', match[1].trim());
+
+      openBlock('while', line, { merge, gateway });
+      exits = [{ id: gateway.id, label: (match[2] || '').trim() }];
+      return;
+    }
+
+    if ((match = new RegExp(`^end\\s?while\\s*(?:${ARGUMENT})?$`).exec(text))) {
+      const block = currentBlock(['while'], 'endwhile', line);
+
+      blocks.pop();
+      connect(block.merge.id);
+      exits = [{ id: block.gateway.id, label: (match[1] || '').trim() }];
+      return;
+    }
+
+    if ((match = /^repeat(?:\s+(:[\s\S]*))?$/.exec(text))) {
+      const merge = addNode('bpmn:ExclusiveGateway', '');
+
+      openBlock('repeat', line, { merge, backward: null });
+
+      if (match[1]) {
+        handle(match[1], line);
+      }
+      return;
+    }
+
+    if ((match = /^backward\s*:([\s\S]*?);$/.exec(text))) {
+      const block = currentBlock(['repeat'], 'backward', line);
+
+      block.backward = match[1].replace(/\s+/g, ' ').trim();
+      return;
+    }
+
+    if ((match = new RegExp(`^repeat\\s*while\\s*${ARGUMENT}\\s*(?:is\\s*${ARGUMENT}\\s*)?(?:not\\s*${ARGUMENT})?$`).exec(text))) {
+      const block = currentBlock(['repeat'], 'repeat while', line);
+      const gateway = addNode('bpmn:ExclusiveGateway', match[1].trim());
+      const loop = [{ id: gateway.id, label: (match[2] || '').trim() }];
+
+      blocks.pop();
+
+      if (block.backward) {
+        const node = addNode('bpmn:Task', block.backward, loop);
+        connect(block.merge.id, [{ id: node.id }]);
+      } else {
+        connect(block.merge.id, loop);
+      }
+
+      exits = [{ id: gateway.id, label: (match[3] || '').trim() }];
+      return;
+    }
+
+    if ((match = /^(fork|split)$/.exec(text))) {
+      const gateway = addNode('bpmn:ParallelGateway', '');
+
+      openBlock(match[1], line, { gateway });
+      return;
+    }
+
+    if ((match = /^(fork|split) again$/.exec(text))) {
+      const block = currentBlock([match[1]], text, line);
+
+      block.branches.push(...exits);
+      exits = [{ id: block.gateway.id }];
+      return;
+    }
+
+    if ((match = /^end\s?(fork|split|merge)(\s*\{.*\})?$/.exec(text))) {
+      const block = currentBlock(match[1] === 'fork' ? ['fork', 'split'] : ['split', 'fork'], text, line);
+
+      blocks.pop();
+
+      // Only "end fork" synchronizes the branches; the others let each branch continue on its own
+      joinBranches([...block.branches, ...exits], match[1] === 'fork' ? 'bpmn:ParallelGateway' : null);
+      return;
+    }
+
+    if (/^(partition|group)\b.*\{?$/.test(text) || text === '}' || /^end\s?group$/.test(text)) {
+      if (!/^(}|end\s?group)$/.test(text)) {
+        warnings.push(`Line ${line}: Skipped ${text.split(/\s/)[0]}, its activities are kept`);
+      }
+      return;
+    }
+
+    if (/^(floating\s+)?note\b/.test(text) || /^\(\w+\)$/.test(text)) {
+      warnings.push(`Line ${line}: Skipped "${text.split('\n')[0]}"`);
+      return;
+    }
+
+    throw notationError(`Cannot read "${text.split('\n')[0]}"`, line);
+  };
+
+  readStatements(source, warnings).forEach(({ text, line }) => handle(text, line));
+
+  if (blocks.length) {
+    const block = blocks[blocks.length - 1];
+
+    throw notationError(`"${block.kind}" is not closed`, block.line);
+  }
+
+  if (!graph.nodes.length) {
+    throw notationError('The diagram does not contain any activities', 1);
+  }
+
+  return { graph, warnings };
+}
+
+module.exports = {
+  parsePlantUML
+};
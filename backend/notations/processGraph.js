@@ -0,0 +1,238 @@
+/**
+ * Process Graphs
+ *
+ * Common intermediate format of the notation importers. A graph lists the
+ * nodes and flows of a sketched process:
+ *
+ *   {
+ *     name: 'Order handling',
+ *     lanes: [{ id: 'Sales', name: 'Sales' }],
+ *     nodes: [{ id: 'A', type: 'bpmn:Task', name: 'Check order', laneId: 'Sales' }],
+ *     flows: [{ sourceId: 'A', targetId: 'B', name: 'yes' }]
+ *   }
+ *
+ * Node types are BPMN element types, or 'event' for events whose kind
+ * follows from their connections. Sketches leave out what BPMN requires, so
+ * the builder completes them: start and end events are added where the flow
+ * begins and ends, and activities with several outgoing flows get a split
+ * gateway (exclusive if the flows are labeled, parallel otherwise). What it
+ * completes is reported as warnings. The result is laid out automatically.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+const { layoutDiagram } = require('../autoLayout');
+
+const moddle = new BpmnModdle();
+
+// Prefixes of generated IDs
+const ID_PREFIXES = {
+  'bpmn:StartEvent': 'StartEvent',
+  'bpmn:EndEvent': 'EndEvent',
+  'bpmn:IntermediateThrowEvent': 'Event',
+  'bpmn:ExclusiveGateway': 'Gateway',
+  'bpmn:ParallelGateway': 'Gateway',
+  'bpmn:CallActivity': 'CallActivity',
+  'bpmn:Task': 'Task',
+};
+
+/**
+ * Error for sources that cannot be converted, with the line it was found on
+ *
+ * @param {string} message - Description of the problem
+ * @param {number} [line] - Line number, starting at 1
+ */
+function notationError(message, line) {
+  return Object.assign(new Error(line ? `Line ${line}: ${message}` : message), { line, isNotationError: true });
+}
+
+/**
+ * Create a valid, unique BPMN ID
+ *
+ * @param {Set} usedIds - IDs already taken, updated
+ * @param {string} prefix - Prefix for IDs derived from names, e.g. Task
+ * @param {string} [id] - ID from the source notation, kept if valid
+ * @param {string} [name] - Name to derive an ID from
+ */
+function createId(usedIds, prefix, id, name) {
+  let candidate = id && /^[A-Za-z_][\w.-]*$/.test(id) ? id : null;
+
+  if (!candidate) {
+    const words = (name || '').match(/[A-Za-z0-9]+/g) || [];
+    const suffix = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('').slice(0, 40);
+
+    candidate = `${prefix}_${suffix || (id && id.replace(/\W/g, '')) || 1}`;
+  }
+
+  let unique = candidate;
+
+  for (let counter = 2; usedIds.has(unique); counter++) {
+    unique = `${candidate}_${counter}`;
+  }
+
+  usedIds.add(unique);
+
+  return unique;
+}
+
+/**
+ * Complete a sketched graph so that it is valid BPMN
+ *
+ * @param {Object} graph - Process graph, changed in place
+ * @returns {Array<string>} Warnings about what was added
+ */
+function completeGraph(graph) {
+  const warnings = [];
+  const incoming = node => graph.flows.filter(flow => flow.targetId === node.id);
+  const outgoing = node => graph.flows.filter(flow => flow.sourceId === node.id);
+  let generated = 0;
+
+  const addNode = (type, name, laneId) => {
+    const node = { id: `#generated${++generated}`, type, name, laneId };
+    graph.nodes.push(node);
+    return node;
+  };
+
+  graph.nodes.forEach(node => {
+    if (node.type === 'event') {
+      node.type = !incoming(node).length ? 'bpmn:StartEvent' : !outgoing(node).length ? 'bpmn:EndEvent' : 'bpmn:IntermediateThrowEvent';
+    }
+  });
+
+  // Activities with several outgoing flows split through a gateway
+  graph.nodes
+    .filter(node => !node.type.includes('Gateway') && outgoing(node).length > 1)
+    .forEach(node => {
+      const flows = outgoing(node);
+      const isDecision = flows.some(flow => flow.name);
+      const gateway = addNode(isDecision ? 'bpmn:ExclusiveGateway' : 'bpmn:ParallelGateway', '', node.laneId);
+
+      flows.forEach(flow => {
+        flow.sourceId = gateway.id;
+      });
+      graph.flows.push({ sourceId: node.id, targetId: gateway.id, name: '' });
+
+      warnings.push(`Added ${isDecision ? 'an exclusive' : 'a parallel'} gateway after "${node.name || node.id}" for its ${flows.length} outgoing flows`);
+    });
+
+  if (!graph.nodes.some(node => node.type === 'bpmn:StartEvent')) {
+    const sources = graph.nodes.filter(node => !incoming(node).length);
+    const firsts = sources.length ? sources : graph.nodes.slice(0, 1);
+    const start = addNode('bpmn:StartEvent', 'Start', firsts[0]?.laneId);
+
+    firsts.forEach(node => graph.flows.push({ sourceId: start.id, targetId: node.id, name: '' }));
+    warnings.push(`Added a start event before ${firsts.map(node => `"${node.name || node.id}"`).join(', ')}`);
+  } else {
+    graph.nodes
+      .filter(node => node.type !== 'bpmn:StartEvent' && !incoming(node).length)
+      .forEach(node => warnings.push(`"${node.name || node.id}" has no incoming flow and cannot be reached`));
+  }
+
+  graph.nodes
+    .filter(node => node.type !== 'bpmn:EndEvent' && !outgoing(node).length)
+    .forEach(node => {
+      const end = addNode('bpmn:EndEvent', 'End', node.laneId);
+
+      graph.flows.push({ sourceId: node.id, targetId: end.id, name: '' });
+      warnings.push(`Added an end event after "${node.name || node.id}"`);
+    });
+
+  return warnings;
+}
+
+/**
+ * Build a laid out BPMN diagram from a process graph
+ *
+ * @param {Object} graph - Process graph
+ * @returns {Promise<Object>} { diagramXML, warnings }
+ * @throws {Error} Notation error if the graph has no nodes
+ */
+async function graphToBpmn(graph) {
+  if (!graph.nodes.length) {
+    throw notationError('The source does not contain any steps');
+  }
+
+  const warnings = completeGraph(graph);
+  const usedIds = new Set();
+  const elements = new Map();
+
+  const process = moddle.create('bpmn:Process', { id: createId(usedIds, 'Process', null, graph.name), isExecutable: false });
+
+  graph.nodes.forEach(node => {
+    const sourceId = node.id.startsWith('#') ? null : node.id;
+    const element = moddle.create(node.type, {
+      id: createId(usedIds, ID_PREFIXES[node.type] || 'Activity', sourceId, node.name),
+      name: node.name || undefined,
+    });
+
+    element.$parent = process;
+    elements.set(node.id, element);
+  });
+
+  const flows = graph.flows.map(flow => {
+    const source = elements.get(flow.sourceId);
+    const target = elements.get(flow.targetId);
+    const sequenceFlow = moddle.create('bpmn:SequenceFlow', {
+      id: createId(usedIds, 'Flow', null, `${source.id} ${target.id}`),
+      name: flow.name || undefined,
+      sourceRef: source,
+      targetRef: target,
+    });
+
+    sequenceFlow.$parent = process;
+    source.get('outgoing').push(sequenceFlow);
+    target.get('incoming').push(sequenceFlow);
+
+    return sequenceFlow;
+  });
+
+  process.flowElements = [...elements.values(), ...flows];
+
+  const rootElements = [process];
+  const usedLanes = graph.lanes.filter(lane => graph.nodes.some(node => node.laneId === lane.id));
+
+  if (usedLanes.length) {
+    const laneSet = moddle.create('bpmn:LaneSet', { id: createId(usedIds, 'LaneSet', null, graph.name) });
+
+    laneSet.lanes = usedLanes.map(lane => moddle.create('bpmn:Lane', {
+      id: createId(usedIds, 'Lane', null, lane.name || lane.id),
+      name: lane.name || lane.id,
+      flowNodeRef: graph.nodes.filter(node => node.laneId === lane.id).map(node => elements.get(node.id)),
+    }));
+
+    // Nodes outside of every lane go to the first one, lanes must cover the whole pool
+    const unassigned = graph.nodes.filter(node => !usedLanes.some(lane => lane.id === node.laneId));
+
+    if (unassigned.length) {
+      laneSet.lanes[0].flowNodeRef.push(...unassigned.map(node => elements.get(node.id)));
+    }
+
+    process.laneSets = [laneSet];
+
+    rootElements.unshift(moddle.create('bpmn:Collaboration', {
+      id: createId(usedIds, 'Collaboration', null, graph.name),
+      participants: [
+        moddle.create('bpmn:Participant', { id: createId(usedIds, 'Participant', null, graph.name), name: graph.name || 'Process', processRef: process }),
+      ],
+    }));
+  } else if (graph.name) {
+    process.name = graph.name;
+  }
+
+  const definitions = moddle.create('bpmn:Definitions', {
+    id: 'Definitions_1',
+    targetNamespace: 'http://bpmn.io/schema/bpmn',
+    rootElements,
+  });
+
+  const { xml } = await moddle.toXML(definitions, { format: true });
+
+  return {
+    diagramXML: await layoutDiagram(xml),
+    warnings,
+  };
+}
+
+module.exports = {
+  notationError,
+  graphToBpmn
+};
@@ -0,0 +1,82 @@
+/**
+ * Helpers for reading incomplete JSON while a model response is streaming
+ */
+
+const ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+};
+
+function isHighSurrogate(code) {
+  return code >= 0xD800 && code <= 0xDBFF;
+}
+
+/**
+ * Extract the (possibly still incomplete) value of a top-level string field
+ * from partial JSON text, e.g. `{"response": "The selected ta` yields
+ * `The selected ta`. Escape sequences that are cut off are left out until
+ * they are complete, and so is the first half of a surrogate pair (e.g. an
+ * emoji written as `\ud83d\ude00`) until its second half arrives, so the
+ * value only ever grows by whole characters.
+ *
+ * @param {string} text - JSON text received so far
+ * @param {string} field - Name of the string field to extract
+ * @returns {string} Decoded value received so far, empty if the field has not started
+ */
+function extractPartialStringField(text, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(text);
+
+  if (!match) {
+    return '';
+  }
+
+  let value = '';
+  let index = match.index + match[0].length;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '"') {
+      return value;
+    }
+
+    if (char !== '\\') {
+      value += char;
+      index++;
+      continue;
+    }
+
+    const escape = text[index + 1];
+
+    if (escape === undefined) {
+      break;
+    }
+
+    if (escape === 'u') {
+      const hex = text.slice(index + 2, index + 6);
+
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+        break;
+      }
+
+      value += String.fromCharCode(parseInt(hex, 16));
+      index += 6;
+      continue;
+    }
+
+    value += ESCAPES[escape] ?? escape;
+    index += 2;
+  }
+
+  return isHighSurrogate(value.charCodeAt(value.length - 1)) ? value.slice(0, -1) : value;
+}
+
+module.exports = {
+  extractPartialStringField
+};
@@ -0,0 +1,357 @@
+/**
+ * Process Documentation
+ *
+ * Builds a written procedure from a diagram for readers who do not read
+ * BPMN, e.g. auditors. The structure of the document is taken from the
+ * parsed model so that it is complete and the same for the same diagram:
+ *
+ * - overview with the start triggers and outcomes of each process
+ * - roles table from the lanes
+ * - numbered steps in the order of the sequence flows, starting at the start
+ *   events; sub-processes are numbered as nested steps (3.1, 3.2, ...)
+ * - decision tables of the gateways with their outgoing flows
+ * - the diagram as SVG
+ *
+ * The model only writes the prose: an overview and one description per
+ * process, lane and step, keyed by element ID, following the
+ * "documentation" prompt template (see promptTemplates.js). Elements it leaves
+ * out keep their documentation, so a failed answer still gives a complete
+ * document. Rendering to Markdown, HTML or DOCX is done in
+ * documentRenderers.js.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+const { generateStructuredOutput } = require('./structuredOutput');
+const { renderSVG } = require('./diagramRenderer');
+const { DEFAULT_TEMPLATES, renderTemplate } = require('./promptTemplates');
+
+const moddle = new BpmnModdle();
+
+// Gateways whose outgoing flows are alternatives and get a decision table
+const DECISION_TYPES = ['bpmn:ExclusiveGateway', 'bpmn:InclusiveGateway', 'bpmn:EventBasedGateway', 'bpmn:ComplexGateway'];
+
+// JSON schema of the model's answer
+const PROSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    overview: { type: 'string', description: 'Purpose and scope of the documented processes in one or two paragraphs' },
+    descriptions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          elementId: { type: 'string' },
+          text: { type: 'string', description: 'Description of the element in one to three sentences' }
+        },
+        required: ['elementId', 'text']
+      }
+    }
+  },
+  required: ['overview', 'descriptions']
+};
+
+/**
+ * Readable type of an element, e.g. "Timer intermediate catch event"
+ *
+ * @param {Object} element - Moddle element
+ */
+function describeType(element) {
+  const [definition] = element.eventDefinitions || [];
+  const kind = definition ? definition.$type.replace('bpmn:', '').replace('EventDefinition', '') + ' ' : '';
+  const words = `${kind}${element.$type.replace('bpmn:', '')}`.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function getDocumentation(element) {
+  return (element.documentation || []).map(documentation => documentation.text || '').join('\n').trim();
+}
+
+/**
+ * Sequence flows leaving or entering a node; generated diagrams do not list
+ * them on the node (bpmn:outgoing), so they are looked up by reference
+ *
+ * @param {Object} node - Flow node
+ * @param {string} reference - sourceRef for outgoing, targetRef for incoming flows
+ */
+function getFlows(node, reference) {
+  return (node.$parent.flowElements || [])
+    .filter(element => element.$instanceOf('bpmn:SequenceFlow') && element[reference] === node);
+}
+
+function getCondition(flow) {
+  return flow.conditionExpression?.body?.trim() || '';
+}
+
+/**
+ * Collect the lanes of a process, including nested lanes
+ *
+ * @param {Object} process - bpmn:Process
+ * @returns {Array} Lanes, parents before their child lanes
+ */
+function collectLanes(process) {
+  const collect = laneSet => (laneSet?.lanes || []).flatMap(lane => [lane, ...collect(lane.childLaneSet)]);
+
+  return (process.laneSets || []).flatMap(collect);
+}
+
+/**
+ * Order the flow nodes of a process or sub-process along the sequence flows
+ *
+ * Nodes are visited breadth first from the start events (or nodes without
+ * incoming flows); boundary events follow the activity they are attached
+ * to. Nodes that cannot be reached are appended in document order, so every
+ * node appears exactly once.
+ *
+ * @param {Object} container - Process or sub-process
+ * @returns {Array} Flow nodes in narrative order
+ */
+function orderFlowNodes(container) {
+  const nodes = (container.flowElements || []).filter(element => element.$instanceOf('bpmn:FlowNode'));
+  const boundaryEvents = nodes.filter(node => node.$instanceOf('bpmn:BoundaryEvent'));
+  const visited = new Set();
+  const ordered = [];
+
+  const visit = (start) => {
+    const queue = [start];
+
+    while (queue.length) {
+      const node = queue.shift();
+
+      if (visited.has(node)) {
+        continue;
+      }
+
+      visited.add(node);
+      ordered.push(node);
+
+      queue.push(
+        ...boundaryEvents.filter(event => event.attachedToRef === node),
+        ...getFlows(node, 'sourceRef').map(flow => flow.targetRef).filter(target => nodes.includes(target))
+      );
+    }
+  };
+
+  nodes
+    .filter(node => node.$instanceOf('bpmn:StartEvent') || (!getFlows(node, 'targetRef').length && !node.$instanceOf('bpmn:BoundaryEvent')))
+    .forEach(visit);
+
+  nodes.forEach(visit);
+
+  return ordered;
+}
+
+/**
+ * Build the steps of a process or sub-process
+ *
+ * @param {Object} container - Process or sub-process
+ * @param {Map} roles - Flow node to the lane it belongs to
+ * @param {string} [prefix] - Number of the parent step for nested steps, e.g. "3."
+ */
+function buildSteps(container, roles, prefix = '') {
+  return orderFlowNodes(container).map((node, index) => {
+    const number = `${prefix}${index + 1}`;
+
+    return {
+      number,
+      id: node.id,
+      name: node.name || '',
+      type: describeType(node),
+      role: roles.get(node)?.name || '',
+      documentation: getDocumentation(node),
+      attachedTo: node.attachedToRef?.id,
+      outgoing: getFlows(node, 'sourceRef').map(flow => ({
+        flowId: flow.id,
+        targetId: flow.targetRef?.id,
+        label: flow.name || '',
+        condition: getCondition(flow),
+        isDefault: node.default === flow,
+      })),
+      steps: node.$instanceOf('bpmn:SubProcess') ? buildSteps(node, roles, `${number}.`) : [],
+    };
+  });
+}
+
+function flattenSteps(steps) {
+  return steps.flatMap(step => [step, ...flattenSteps(step.steps)]);
+}
+
+/**
+ * Build the decision tables of the gateways among the steps
+ *
+ * @param {Array} steps - All steps of a process, flattened
+ * @param {Map} elements - Element ID to moddle element
+ */
+function buildDecisions(steps, elements) {
+  return steps
+    .map(step => elements.get(step.id))
+    .filter(gateway => DECISION_TYPES.includes(gateway.$type) && getFlows(gateway, 'sourceRef').length > 1)
+    .map(gateway => ({
+      id: gateway.id,
+      name: gateway.name || '',
+      type: describeType(gateway),
+      outcomes: getFlows(gateway, 'sourceRef').map(flow => ({
+        flowId: flow.id,
+        label: flow.name || (gateway.$type === 'bpmn:EventBasedGateway' ? flow.targetRef?.name || '' : ''),
+        condition: getCondition(flow),
+        isDefault: gateway.default === flow,
+        targetId: flow.targetRef?.id,
+      })),
+    }));
+}
+
+/**
+ * Build the structure of the process document from a diagram
+ *
+ * @param {string} diagramXML - BPMN XML
+ * @returns {Promise<Object>} { title, processes: [{ id, name, triggers, outcomes, roles, steps, decisions }] }
+ * @throws {Error} If the XML cannot be parsed
+ */
+async function buildDocumentStructure(diagramXML) {
+  const { rootElement: definitions, elementsById } = await moddle.fromXML(diagramXML, 'bpmn:Definitions');
+  const elements = new Map(Object.entries(elementsById));
+  const rootElements = definitions.rootElements || [];
+
+  const participants = rootElements
+    .filter(element => element.$instanceOf('bpmn:Collaboration'))
+    .flatMap(collaboration => collaboration.participants || []);
+
+  const processes = rootElements
+    .filter(element => element.$instanceOf('bpmn:Process') && element.flowElements?.length)
+    .map(process => {
+      const participant = participants.find(candidate => candidate.processRef === process);
+      const lanes = collectLanes(process);
+      const roles = new Map();
+
+      // Nested lanes come after their parent, so the innermost lane wins
+      lanes.forEach(lane => (lane.flowNodeRef || []).forEach(node => roles.set(node, lane)));
+
+      const steps = buildSteps(process, roles);
+      const allSteps = flattenSteps(steps);
+      const isEvent = type => step => elements.get(step.id).$type === type && elements.get(step.id).$parent === process;
+
+      return {
+        id: process.id,
+        name: participant?.name || process.name || process.id,
+        documentation: getDocumentation(process),
+        triggers: allSteps.filter(isEvent('bpmn:StartEvent')).map(step => step.name || step.type),
+        outcomes: allSteps.filter(isEvent('bpmn:EndEvent')).map(step => step.name || step.type),
+        roles: lanes
+          .filter(lane => !lane.childLaneSet?.lanes?.length)
+          .map(lane => ({
+            id: lane.id,
+            name: lane.name || lane.id,
+            documentation: getDocumentation(lane),
+            steps: allSteps.filter(step => roles.get(elements.get(step.id)) === lane).map(step => step.number),
+          })),
+        steps,
+        decisions: buildDecisions(allSteps, elements),
+      };
+    });
+
+  return {
+    title: definitions.name || processes[0]?.name || 'Process',
+    processes,
+  };
+}
+
+/**
+ * Describe the structure for the model, one line per element
+ *
+ * @param {Object} structure - Result of buildDocumentStructure
+ */
+function formatStructure(structure) {
+  return structure.processes.map(process => {
+    const steps = flattenSteps(process.steps).map(step => {
+      const next = step.outgoing
+        .map(flow => `${flow.targetId}${flow.label ? ` [${flow.label}]` : ''}${flow.condition ? ` {${flow.condition}}` : ''}`)
+        .join(', ');
+
+      return `- ${step.id} (step ${step.number}, ${step.type}${step.name ? ` "${step.name}"` : ''}${step.role ? `, role "${step.role}"` : ''}${step.attachedTo ? `, attached to ${step.attachedTo}` : ''})` +
+        `${next ? ` -> ${next}` : ''}${step.documentation ? `\n  Documentation: ${step.documentation}` : ''}`;
+    });
+
+    const roles = process.roles.map(role => `- ${role.id} (role "${role.name}", steps ${role.steps.join(', ') || 'none'})`);
+
+    return [
+      `Process ${process.id} "${process.name}"${process.documentation ? `\nDocumentation: ${process.documentation}` : ''}`,
+      ...(roles.length ? ['Roles:', ...roles] : []),
+      'Steps:',
+      ...steps,
+    ].join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Build the prompt that asks the model for the prose of a document
+ *
+ * @param {Object} structure - Result of buildDocumentStructure
+ * @param {string} [instructions] - Additional wishes of the user, e.g. the audience
+ * @param {string} [template] - Text of the "documentation" prompt template, the default if not given
+ */
+function buildProsePrompt(structure, instructions, template = DEFAULT_TEMPLATES.documentation.text) {
+  return renderTemplate(template, {
+    title: structure.title,
+    instructions: instructions ? ` ${instructions}` : '',
+    structure: formatStructure(structure),
+  });
+}
+
+/**
+ * Generate a process document from a diagram
+ *
+ * @param {Object} provider - LLM provider (see providers/index.js)
+ * @param {Object} params
+ * @param {string} params.diagramXML - BPMN XML, rendered as the diagram figure
+ * @param {Object} params.structure - Result of buildDocumentStructure for the diagram
+ * @param {string} [params.instructions] - Additional wishes for the prose, e.g. the audience
+ * @param {string} [params.template] - Text of the "documentation" prompt template, the default if not given
+ * @param {Object} [requestOptions] - Options passed to the model
+ * @returns {Promise<Object>} Document ({ title, overview, descriptions, processes, svg }) for documentRenderers.js
+ */
+async function generateProcessDocument(provider, { diagramXML, structure, instructions, template }, requestOptions = {}) {
+  const prompt = buildProsePrompt(structure, instructions, template);
+  const { value, errors } = await generateStructuredOutput(provider, prompt, PROSE_SCHEMA, requestOptions);
+
+  if (errors.length) {
+    console.warn(`Documentation prose rejected, using the documentation of the elements:\n${errors.map(error => error.message).join('\n')}`);
+  }
+
+  // Descriptions of unknown elements are dropped, missing ones fall back to the documentation
+  const descriptions = {};
+
+  structure.processes
+    .flatMap(process => [process, ...process.roles, ...flattenSteps(process.steps)])
+    .forEach(({ id, documentation }) => {
+      descriptions[id] = documentation;
+    });
+
+  (value?.descriptions || [])
+    .filter(({ elementId }) => elementId in descriptions)
+    .forEach(({ elementId, text }) => {
+      descriptions[elementId] = text.trim() || descriptions[elementId];
+    });
+
+  let svg = null;
+
+  try {
+    svg = await renderSVG(diagramXML);
+  } catch (error) {
+    // Diagrams without diagram interchange are documented without a figure
+  }
+
+  return {
+    ...structure,
+    overview: value?.overview?.trim() || '',
+    descriptions,
+    svg,
+  };
+}
+
+module.exports = {
+  PROSE_SCHEMA,
+  buildDocumentStructure,
+  buildProsePrompt,
+  flattenSteps,
+  generateProcessDocument
+};
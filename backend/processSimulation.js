@@ -0,0 +1,821 @@
+/**
+ * Process Simulation
+ *
+ * Discrete-event simulation of a diagram annotated with process metrics.
+ * Metrics are plain attributes in the simulation namespace (METRICS_NS,
+ * usually with the prefix sim:):
+ *
+ *   sim:duration     activities and catch events, minutes per execution
+ *   sim:cost         activities, cost per execution
+ *   sim:resources    activities, performers working in parallel (unlimited if not set)
+ *   sim:probability  sequence flows leaving a gateway, share of the instances taking them
+ *   sim:interval     start events, mean minutes between two new instances
+ *
+ * New instances arrive at random, exponentially distributed intervals and
+ * durations are fixed, so queues form in front of activities whose
+ * performers are busy. Sub-processes with content are simulated step by
+ * step; boundary events and event sub-processes never trigger. The random
+ * numbers are seeded, so a diagram always gives the same results and two
+ * versions of a diagram can be compared.
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+
+const moddle = new BpmnModdle();
+
+const METRICS_NS = 'urn:bpmn-ai-editor:simulation';
+const METRICS_PREFIX = 'sim';
+
+const ACTIVITY_TYPES = [
+  'bpmn:Task',
+  'bpmn:UserTask',
+  'bpmn:ManualTask',
+  'bpmn:ServiceTask',
+  'bpmn:SendTask',
+  'bpmn:ReceiveTask',
+  'bpmn:ScriptTask',
+  'bpmn:BusinessRuleTask',
+  'bpmn:CallActivity',
+  'bpmn:SubProcess',
+];
+
+/**
+ * Metrics and the element types they apply to
+ */
+const METRIC_TYPES = {
+  duration: [...ACTIVITY_TYPES, 'bpmn:IntermediateCatchEvent'],
+  cost: ACTIVITY_TYPES,
+  resources: ACTIVITY_TYPES,
+  probability: ['bpmn:SequenceFlow'],
+  interval: ['bpmn:StartEvent'],
+};
+
+const DEFAULT_INSTANCES = 1000;
+const MAX_INSTANCES = 10000;
+
+// Minutes between new instances of start events without an interval
+const DEFAULT_INTERVAL = 60;
+
+const DEFAULT_SEED = 1;
+
+// Steps after which an instance is stopped as an endless loop
+const MAX_STEPS = 500;
+
+/**
+ * Check the value of a metric
+ *
+ * @param {string} name - Metric name, e.g. duration
+ * @param {string} value - Attribute value
+ * @returns {string|null} Problem with the value, null if it is valid
+ */
+function checkMetric(name, value) {
+  const number = Number(value);
+
+  if (String(value).trim() === '' || !Number.isFinite(number) || number < 0) {
+    return `"${name}" must be a number of at least 0`;
+  }
+
+  if (name === 'probability' && number > 1) {
+    return '"probability" must be between 0 and 1';
+  }
+
+  if (name === 'resources' && (!Number.isInteger(number) || number < 1)) {
+    return '"resources" must be a whole number of at least 1';
+  }
+
+  if (name === 'interval' && number === 0) {
+    return '"interval" must be more than 0';
+  }
+
+  return null;
+}
+
+/**
+ * Prefix the metrics namespace is declared with
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ * @returns {string|null} Null if the document has no metrics
+ */
+function getMetricsPrefix(definitions) {
+  const declaration = Object.entries(definitions.$attrs || {})
+    .find(([name, value]) => name.startsWith('xmlns:') && value === METRICS_NS);
+
+  return declaration ? declaration[0].slice('xmlns:'.length) : null;
+}
+
+/**
+ * Whether diagram XML contains metrics, without parsing it
+ *
+ * @param {string} xml - BPMN XML
+ */
+function hasMetrics(xml) {
+  return typeof xml === 'string' && xml.includes(METRICS_NS);
+}
+
+/**
+ * Seeded random numbers between 0 and 1 (mulberry32)
+ *
+ * @param {number} seed - Integer seed
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Events ordered by time, and by scheduling order within the same time
+ */
+function createEventQueue() {
+  const heap = [];
+  let sequence = 0;
+
+  const before = (a, b) => a.time < b.time || (a.time === b.time && a.sequence < b.sequence);
+
+  return {
+    get size() {
+      return heap.length;
+    },
+
+    push(time, run) {
+      heap.push({ time, sequence: sequence++, run });
+
+      for (let index = heap.length - 1; index > 0;) {
+        const parent = (index - 1) >> 1;
+
+        if (!before(heap[index], heap[parent])) {
+          break;
+        }
+
+        [heap[index], heap[parent]] = [heap[parent], heap[index]];
+        index = parent;
+      }
+    },
+
+    pop() {
+      const top = heap[0];
+      const last = heap.pop();
+
+      if (heap.length) {
+        heap[0] = last;
+
+        for (let index = 0; ;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let next = index;
+
+          if (left < heap.length && before(heap[left], heap[next])) {
+            next = left;
+          }
+          if (right < heap.length && before(heap[right], heap[next])) {
+            next = right;
+          }
+          if (next === index) {
+            break;
+          }
+
+          [heap[index], heap[next]] = [heap[next], heap[index]];
+          index = next;
+        }
+      }
+
+      return top;
+    },
+  };
+}
+
+function describe(node) {
+  return node.name ? `"${node.name}" (${node.id})` : node.id;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * How a token passes a flow node
+ *
+ * @param {Object} element - bpmn:FlowNode
+ * @param {boolean} hasContent - The element is a sub-process with flow nodes
+ */
+function getKind(element, hasContent) {
+  if (element.$instanceOf('bpmn:SubProcess')) {
+    if (element.triggeredByEvent) {
+      return null;
+    }
+    return hasContent ? 'subProcess' : 'activity';
+  }
+
+  if (element.$instanceOf('bpmn:Activity')) {
+    return 'activity';
+  }
+
+  if (element.$instanceOf('bpmn:BoundaryEvent')) {
+    return null;
+  }
+
+  if (element.$instanceOf('bpmn:EndEvent')) {
+    const terminates = (element.eventDefinitions || []).some(definition => definition.$instanceOf('bpmn:TerminateEventDefinition'));
+    return terminates ? 'terminate' : 'end';
+  }
+
+  if (element.$instanceOf('bpmn:ParallelGateway')) {
+    return 'parallel';
+  }
+
+  if (element.$instanceOf('bpmn:InclusiveGateway')) {
+    return 'inclusive';
+  }
+
+  // Exclusive, event-based and complex gateways pick one branch
+  return element.$instanceOf('bpmn:Gateway') ? 'exclusive' : 'event';
+}
+
+/**
+ * Read the flow nodes, sequence flows and metrics of a diagram
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ * @param {Array} warnings - Collects problems with the metrics
+ * @returns {Object} { nodes: Map of ID to node, processes: [{ id, startNodes }] }
+ */
+function buildModel(definitions, warnings) {
+  const prefix = getMetricsPrefix(definitions) || METRICS_PREFIX;
+  const nodes = new Map();
+
+  const readMetric = (element, name) => {
+    const value = element.$attrs?.[`${prefix}:${name}`];
+
+    if (value === undefined) {
+      return null;
+    }
+
+    if (!METRIC_TYPES[name].includes(element.$type)) {
+      warnings.push(`${describe(element)}: "${name}" has no effect on ${element.$type}`);
+      return null;
+    }
+
+    const problem = checkMetric(name, value);
+
+    if (problem) {
+      warnings.push(`${describe(element)}: ${problem}, "${value}" is ignored`);
+      return null;
+    }
+
+    return Number(value);
+  };
+
+  const addContainer = (container) => {
+    const elements = container.flowElements || [];
+
+    elements.filter(element => element.$instanceOf('bpmn:FlowNode')).forEach(element => {
+      const hasContent = element.$instanceOf('bpmn:SubProcess') &&
+        (element.flowElements || []).some(child => child.$instanceOf('bpmn:FlowNode'));
+
+      nodes.set(element.id, {
+        id: element.id,
+        name: element.name,
+        kind: getKind(element, hasContent),
+        container: container.id,
+        isStart: element.$instanceOf('bpmn:StartEvent'),
+        duration: readMetric(element, 'duration') || 0,
+        cost: readMetric(element, 'cost') || 0,
+        resources: readMetric(element, 'resources'),
+        interval: readMetric(element, 'interval'),
+        incoming: [],
+        outgoing: [],
+        defaultFlow: element.default?.id,
+      });
+
+      if (hasContent && !element.triggeredByEvent) {
+        addContainer(element);
+      }
+    });
+
+    elements.filter(element => element.$instanceOf('bpmn:SequenceFlow')).forEach(flow => {
+      const source = nodes.get(flow.sourceRef?.id);
+      const target = nodes.get(flow.targetRef?.id);
+
+      if (source && target) {
+        source.outgoing.push({ id: flow.id, target: target.id, probability: readMetric(flow, 'probability') });
+        target.incoming.push(flow.id);
+      }
+    });
+  };
+
+  const processes = (definitions.rootElements || []).filter(element => element.$instanceOf('bpmn:Process'));
+
+  processes.forEach(addContainer);
+
+  nodes.forEach(node => {
+    node.weights = getBranchWeights(node, warnings);
+  });
+
+  return {
+    nodes,
+    processes: processes.map(process => ({
+      id: process.id,
+      startNodes: getEntryNodes(nodes, process.id)
+    })),
+  };
+}
+
+/**
+ * Nodes where tokens start in a process or sub-process
+ *
+ * @param {Map} nodes - All nodes
+ * @param {string} container - ID of the process or sub-process
+ */
+function getEntryNodes(nodes, container) {
+  const contained = [...nodes.values()].filter(node => node.container === container && node.kind);
+  const startEvents = contained.filter(node => node.isStart);
+
+  return startEvents.length ? startEvents : contained.filter(node => !node.incoming.length);
+}
+
+/**
+ * Chance of each outgoing flow of a gateway that picks one branch
+ *
+ * Flows without a probability share what the others leave; probabilities
+ * that do not add up to 1 are scaled.
+ *
+ * @param {Object} node - Simulation node
+ * @param {Array} warnings - Collects problems with the probabilities
+ * @returns {Array<number>|null} One weight per outgoing flow, null for other nodes
+ */
+function getBranchWeights(node, warnings) {
+  if (node.kind !== 'exclusive' || node.outgoing.length < 2) {
+    return null;
+  }
+
+  const annotated = node.outgoing.filter(flow => flow.probability !== null);
+  const sum = annotated.reduce((total, flow) => total + flow.probability, 0);
+  const unannotated = node.outgoing.length - annotated.length;
+  const remainder = unannotated ? Math.max(0, 1 - sum) / unannotated : 0;
+
+  if (sum > 1.001 || (!unannotated && Math.abs(sum - 1) > 0.001)) {
+    warnings.push(`${describe(node)}: the branch probabilities add up to ${round(sum)}; they are scaled to 1`);
+  }
+
+  const weights = node.outgoing.map(flow => (flow.probability !== null ? flow.probability : remainder));
+  const total = weights.reduce((a, b) => a + b, 0);
+
+  return total > 0 ? weights.map(weight => weight / total) : weights.map(() => 1 / weights.length);
+}
+
+/**
+ * Run the simulation of a diagram
+ *
+ * @param {string} diagramXML - BPMN XML with metrics
+ * @param {Object} [options]
+ * @param {number} [options.instances] - Number of instances to start
+ * @param {number} [options.seed] - Seed of the random numbers
+ * @returns {Promise<Object>} Results: { instances, completed, simulatedMinutes, cycleTime: { mean, median, p90, max },
+ *   costPerInstance, activities: [{ elementId, name, executions, duration, meanWait, maxQueue, resources, utilization, cost }],
+ *   bottlenecks: [elementId], warnings }
+ * @throws {Error} If the XML cannot be parsed
+ */
+async function simulateDiagram(diagramXML, { instances = DEFAULT_INSTANCES, seed = DEFAULT_SEED } = {}) {
+  const { rootElement: definitions } = await moddle.fromXML(diagramXML, 'bpmn:Definitions');
+  const warnings = [];
+  const { nodes, processes } = buildModel(definitions, warnings);
+  const random = createRandom(seed);
+  const queue = createEventQueue();
+  const limit = Math.min(MAX_INSTANCES, Math.max(1, Math.floor(instances) || DEFAULT_INSTANCES));
+  const reachers = new Map(); // Node ID to the IDs of nodes that can reach it
+  const flowSources = new Map([...nodes.values()].flatMap(node => node.outgoing.map(flow => [flow.id, node.id])));
+  const stats = new Map(); // Activity ID to its counters and queue
+  const cycleTimes = [];
+  const costs = [];
+  let clock = 0;
+  let started = 0;
+  let loopWarned = false;
+
+  const schedule = (delay, run) => queue.push(clock + delay, run);
+
+  const getStats = (node) => {
+    if (!stats.has(node.id)) {
+      stats.set(node.id, { executions: 0, busy: 0, busyTime: 0, waitTime: 0, maxQueue: 0, cost: 0, waiting: [] });
+    }
+    return stats.get(node.id);
+  };
+
+  // Nodes from which a token can still arrive at a node, following the flows backwards
+  const canReach = (fromId, toId) => {
+    if (!reachers.has(toId)) {
+      const found = new Set();
+      const pending = [toId];
+
+      while (pending.length) {
+        const node = nodes.get(pending.pop());
+
+        node.incoming.map(flowId => flowSources.get(flowId)).forEach(sourceId => {
+          if (!found.has(sourceId)) {
+            found.add(sourceId);
+            pending.push(sourceId);
+          }
+        });
+      }
+
+      reachers.set(toId, found);
+    }
+
+    return reachers.get(toId).has(fromId);
+  };
+
+  const createScope = (container, instance, onComplete) => ({
+    container,
+    instance,
+    onComplete,
+    tokens: new Set(),
+    joins: new Map(),
+    children: new Set(),
+  });
+
+  const completeScope = (scope) => {
+    if (!scope.tokens.size && !scope.done) {
+      scope.done = true;
+      scope.onComplete();
+    }
+  };
+
+  // Stop the tokens of a scope for good; cancelled tokens are dropped wherever they are
+  const cancelScope = (scope) => {
+    scope.done = true;
+    scope.tokens.forEach(token => {
+      token.cancelled = true;
+    });
+    scope.children.forEach(cancelScope);
+  };
+
+  const finishToken = (token) => {
+    token.scope.tokens.delete(token);
+    checkInclusiveJoins(token.scope);
+    completeScope(token.scope);
+  };
+
+  const spawnToken = (scope, nodeId, flowId) => {
+    const token = { scope, position: nodeId };
+
+    scope.tokens.add(token);
+    schedule(0, () => enter(token, nodeId, flowId));
+  };
+
+  const move = (token, flow) => {
+    token.position = flow.target;
+    schedule(0, () => enter(token, flow.target, flow.id));
+  };
+
+  // Outgoing flows a token takes when it leaves a node
+  const chooseFlows = (node) => {
+    const { outgoing } = node;
+
+    if (node.weights) {
+      let draw = random();
+      const index = node.weights.findIndex(weight => (draw -= weight) < 0);
+      return [outgoing[index === -1 ? outgoing.length - 1 : index]];
+    }
+
+    if (node.kind === 'inclusive' && outgoing.length > 1) {
+      const candidates = outgoing.filter(flow => flow.id !== node.defaultFlow);
+      const taken = candidates.filter(flow => random() < (flow.probability ?? 1));
+
+      if (taken.length) {
+        return taken;
+      }
+
+      const fallback = outgoing.find(flow => flow.id === node.defaultFlow) ||
+        [...candidates].sort((a, b) => (b.probability ?? 1) - (a.probability ?? 1))[0];
+
+      return [fallback];
+    }
+
+    return outgoing;
+  };
+
+  const leave = (token, node) => {
+    if (token.cancelled) {
+      return;
+    }
+
+    const flows = chooseFlows(node);
+
+    if (!flows.length) {
+      finishToken(token);
+      return;
+    }
+
+    flows.slice(1).forEach(flow => spawnToken(token.scope, flow.target, flow.id));
+    move(token, flows[0]);
+  };
+
+  // Tokens waiting at a join are consumed; one of them continues
+  const fireJoin = (scope, node, consumed) => {
+    const [continuing, ...others] = consumed;
+
+    others.forEach(token => scope.tokens.delete(token));
+    continuing.waitingAt = null;
+    leave(continuing, node);
+  };
+
+  const joinParallel = (token, node, flowId) => {
+    const join = token.scope.joins.get(node.id) || { kind: 'parallel', waiting: [] };
+
+    token.scope.joins.set(node.id, join);
+    token.waitingAt = node.id;
+    join.waiting.push({ token, flowId });
+
+    const consumed = node.incoming.map(incoming => join.waiting.find(entry => entry.flowId === incoming));
+
+    if (consumed.every(Boolean)) {
+      join.waiting = join.waiting.filter(entry => !consumed.includes(entry));
+      fireJoin(token.scope, node, consumed.map(entry => entry.token));
+    }
+  };
+
+  // An inclusive join fires once no other token of the scope can still arrive
+  const tryInclusiveJoin = (scope, node) => {
+    const join = scope.joins.get(node.id);
+
+    if (!join?.waiting.length) {
+      return;
+    }
+
+    const blocked = [...scope.tokens].some(other =>
+      other.waitingAt !== node.id && !other.cancelled && (other.position === node.id || canReach(other.position, node.id)));
+
+    if (!blocked) {
+      const consumed = join.waiting.map(entry => entry.token);
+
+      join.waiting = [];
+      fireJoin(scope, node, consumed);
+    }
+  };
+
+  const checkInclusiveJoins = (scope) => {
+    scope.joins.forEach((join, nodeId) => {
+      if (join.kind === 'inclusive') {
+        tryInclusiveJoin(scope, nodes.get(nodeId));
+      }
+    });
+  };
+
+  const joinInclusive = (token, node) => {
+    const join = token.scope.joins.get(node.id) || { kind: 'inclusive', waiting: [] };
+
+    token.scope.joins.set(node.id, join);
+    token.waitingAt = node.id;
+    join.waiting.push({ token });
+    tryInclusiveJoin(token.scope, node);
+  };
+
+  // Work on an activity once one of its performers is free
+  const startActivity = (token, node, queuedAt) => {
+    const activity = getStats(node);
+
+    activity.busy++;
+    activity.waitTime += clock - queuedAt;
+
+    schedule(node.duration, () => {
+      activity.busy--;
+      activity.busyTime += node.duration;
+
+      // Tokens of terminated instances left the queue
+      activity.waiting = activity.waiting.filter(entry => !entry.token.cancelled);
+      const next = activity.waiting.shift();
+
+      if (next) {
+        startActivity(next.token, node, next.queuedAt);
+      }
+
+      if (token.cancelled) {
+        return;
+      }
+
+      activity.executions++;
+      activity.cost += node.cost;
+      token.scope.instance.cost += node.cost;
+      leave(token, node);
+    });
+  };
+
+  const runActivity = (token, node) => {
+    const activity = getStats(node);
+
+    if (node.resources === null || activity.busy < node.resources) {
+      startActivity(token, node, clock);
+      return;
+    }
+
+    activity.waiting.push({ token, queuedAt: clock });
+    activity.maxQueue = Math.max(activity.maxQueue, activity.waiting.length);
+  };
+
+  const runSubProcess = (token, node) => {
+    const parent = token.scope;
+    const scope = createScope(node.id, parent.instance, () => {
+      parent.children.delete(scope);
+
+      if (!token.cancelled) {
+        const activity = getStats(node);
+
+        activity.executions++;
+        activity.cost += node.cost;
+        parent.instance.cost += node.cost;
+        leave(token, node);
+      }
+    });
+
+    parent.children.add(scope);
+    getEntryNodes(nodes, node.id).forEach(entry => spawnToken(scope, entry.id));
+  };
+
+  const enter = (token, nodeId, flowId) => {
+    const node = nodes.get(nodeId);
+    const { scope } = token;
+    const { instance } = scope;
+
+    if (token.cancelled) {
+      scope.tokens.delete(token);
+      return;
+    }
+
+    if (++instance.steps > MAX_STEPS) {
+      if (!loopWarned) {
+        warnings.push(`Instances were stopped after ${MAX_STEPS} steps at ${describe(node)}; check the probabilities of the loops`);
+        loopWarned = true;
+      }
+
+      instance.stopped = true;
+      cancelScope(instance.scope);
+      return;
+    }
+
+    checkInclusiveJoins(scope);
+
+    switch (node.kind) {
+      case 'activity':
+        return runActivity(token, node);
+      case 'subProcess':
+        return runSubProcess(token, node);
+      case 'event':
+        return node.duration ? schedule(node.duration, () => leave(token, node)) : leave(token, node);
+      case 'parallel':
+        return node.incoming.length > 1 ? joinParallel(token, node, flowId) : leave(token, node);
+      case 'inclusive':
+        return node.incoming.length > 1 ? joinInclusive(token, node) : leave(token, node);
+      case 'exclusive':
+        return leave(token, node);
+      case 'terminate':
+        cancelScope(scope);
+        scope.tokens.clear();
+        scope.done = false;
+        return completeScope(scope);
+      default:
+        return finishToken(token);
+    }
+  };
+
+  const startInstance = (startNode) => {
+    const instance = { start: clock, cost: 0, steps: 0 };
+
+    instance.scope = createScope(startNode.container, instance, () => {
+      if (!instance.stopped) {
+        cycleTimes.push(clock - instance.start);
+        costs.push(instance.cost);
+      }
+    });
+
+    spawnToken(instance.scope, startNode.id);
+  };
+
+  const scheduleArrival = (startNode, interval) => {
+    schedule(-Math.log(1 - random()) * interval, () => {
+      if (started < limit) {
+        started++;
+        startInstance(startNode);
+        scheduleArrival(startNode, interval);
+      }
+    });
+  };
+
+  processes.forEach(process => {
+    if (!process.startNodes.length) {
+      warnings.push(`Process ${process.id} has no start event and is not simulated`);
+    }
+
+    process.startNodes.forEach(startNode => {
+      if (startNode.interval === null) {
+        warnings.push(`${describe(startNode)} has no interval; a new instance starts every ${DEFAULT_INTERVAL} minutes on average`);
+      }
+
+      scheduleArrival(startNode, startNode.interval ?? DEFAULT_INTERVAL);
+    });
+  });
+
+  while (queue.size) {
+    const event = queue.pop();
+
+    clock = event.time;
+    event.run();
+  }
+
+  return summarize({ nodes, stats, cycleTimes, costs, started, clock, warnings });
+}
+
+/**
+ * Turn the counters of a simulation run into its results
+ */
+function summarize({ nodes, stats, cycleTimes, costs, started, clock, warnings }) {
+  const sorted = [...cycleTimes].sort((a, b) => a - b);
+  const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+  const percentile = (share) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(share * sorted.length) - 1)] : 0);
+
+  if (sorted.length < started) {
+    warnings.push(`${started - sorted.length} of ${started} instances did not finish; tokens were stuck at a join or in an endless loop`);
+  }
+
+  const activities = [...stats.entries()].map(([id, activity]) => {
+    const node = nodes.get(id);
+
+    return {
+      elementId: id,
+      name: node.name || '',
+      executions: activity.executions,
+      duration: node.duration,
+      meanWait: round(activity.executions ? activity.waitTime / activity.executions : 0),
+      maxQueue: activity.maxQueue,
+      resources: node.resources,
+      utilization: node.resources !== null && clock > 0 ? round(activity.busyTime / (node.resources * clock)) : null,
+      cost: round(activity.cost),
+    };
+  });
+
+  // Activities where instances wait longest are the bottlenecks
+  const bottlenecks = activities
+    .filter(activity => activity.meanWait > 0)
+    .sort((a, b) => b.meanWait - a.meanWait)
+    .slice(0, 3)
+    .map(activity => activity.elementId);
+
+  return {
+    instances: started,
+    completed: sorted.length,
+    simulatedMinutes: round(clock),
+    cycleTime: {
+      mean: round(mean(sorted)),
+      median: round(percentile(0.5)),
+      p90: round(percentile(0.9)),
+      max: round(sorted[sorted.length - 1] || 0),
+    },
+    costPerInstance: round(mean(costs)),
+    activities,
+    bottlenecks,
+    warnings,
+  };
+}
+
+/**
+ * Format simulation results for prompts
+ *
+ * @param {Object} results - Result of simulateDiagram
+ */
+function formatSimulationResults(results) {
+  const { cycleTime } = results;
+  const names = new Map(results.activities.map(activity => [activity.elementId, activity.name]));
+  const label = (id) => (names.get(id) ? `"${names.get(id)}" (${id})` : id);
+
+  const activities = results.activities.map(activity => {
+    const performers = activity.resources === null
+      ? 'unlimited performers'
+      : `${activity.resources} performer${activity.resources === 1 ? '' : 's'} at ${Math.round(activity.utilization * 100)}% utilisation`;
+
+    return `- ${label(activity.elementId)}: ${activity.executions} executions of ${activity.duration} min, ` +
+      `mean wait ${activity.meanWait} min (longest queue ${activity.maxQueue}), ${performers}, total cost ${activity.cost}`;
+  });
+
+  return [
+    `Instances: ${results.instances} started, ${results.completed} completed within ${results.simulatedMinutes} simulated minutes`,
+    `Cycle time (minutes): mean ${cycleTime.mean}, median ${cycleTime.median}, 90th percentile ${cycleTime.p90}, max ${cycleTime.max}`,
+    `Cost per instance: ${results.costPerInstance}`,
+    'Activities:',
+    ...(activities.length ? activities : ['- None executed']),
+    `Bottlenecks (longest mean wait first): ${results.bottlenecks.length ? results.bottlenecks.map(label).join(', ') : 'none, no queues formed'}`,
+    ...(results.warnings.length ? ['Warnings:', ...results.warnings.map(warning => `- ${warning}`)] : []),
+  ].join('\n');
+}
+
+module.exports = {
+  METRICS_NS,
+  METRICS_PREFIX,
+  METRIC_TYPES,
+  checkMetric,
+  getMetricsPrefix,
+  hasMetrics,
+  simulateDiagram,
+  formatSimulationResults
+};
@@ -0,0 +1,322 @@
+/**
+ * Prompt Template Overrides
+ *
+ * Workspaces override the default prompt templates (see promptTemplates.js)
+ * and add their own quick actions. Every save creates a new version of the
+ * template, kept with its author, so earlier versions can be restored:
+ *
+ *   <DATA_DIR>/prompts/<workspace>.json   { templates: { <name>: { currentVersion, versions } } }
+ *
+ * currentVersion 0 means the workspace uses the default again; for quick
+ * actions without a default it means the action was removed.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  DEFAULT_TEMPLATES,
+  getDefaultTemplate,
+  getVariables,
+  findVariables,
+  renderTemplate,
+  checkTemplate
+} = require('./promptTemplates');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const PROMPTS_DIR = path.join(DATA_DIR, 'prompts');
+
+// Pending writes per workspace, so concurrent saves get consecutive version numbers
+const locks = new Map();
+
+/**
+ * Run a task after all previous tasks for the same workspace have finished
+ *
+ * @param {string} workspace - Workspace name
+ * @param {Function} task - Async task
+ */
+function withLock(workspace, task) {
+  const previous = locks.get(workspace) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+
+  locks.set(workspace, current);
+  current.finally(() => {
+    if (locks.get(workspace) === current) {
+      locks.delete(workspace);
+    }
+  }).catch(() => {});
+
+  return current;
+}
+
+function workspaceFile(workspace) {
+  return path.join(PROMPTS_DIR, `${workspace}.json`);
+}
+
+/**
+ * Read the overrides of a workspace
+ *
+ * @param {string} workspace - Workspace name
+ * @returns {Promise<Object>} { templates }, empty if the workspace has none
+ */
+async function readOverrides(workspace) {
+  try {
+    return JSON.parse(await fs.readFile(workspaceFile(workspace), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { templates: {} };
+    }
+    throw error;
+  }
+}
+
+async function writeOverrides(workspace, overrides) {
+  await fs.mkdir(PROMPTS_DIR, { recursive: true });
+  await fs.writeFile(workspaceFile(workspace), JSON.stringify(overrides, null, 2));
+}
+
+/**
+ * Override of a template in the overrides of a workspace
+ *
+ * @param {Object} overrides - Result of readOverrides
+ * @param {string} name - Template name
+ */
+function getOverride(overrides, name) {
+  return Object.hasOwn(overrides.templates, name) ? overrides.templates[name] : null;
+}
+
+/**
+ * Combine the default of a template with the override of a workspace
+ *
+ * @param {string} name - Template name
+ * @param {Object} [override] - { currentVersion, versions } of the workspace
+ * @returns {Object|null} Template with its text, null if neither exists
+ */
+function resolveTemplate(name, override) {
+  const defaults = getDefaultTemplate(name);
+  const current = override?.versions.find(entry => entry.version === override.currentVersion);
+
+  if (!defaults && !current) {
+    return null;
+  }
+
+  const kind = defaults?.kind || 'quickAction';
+  const text = current ? current.text : defaults.text;
+
+  return {
+    name,
+    kind,
+    label: current?.label || defaults?.label,
+    description: defaults?.description || null,
+    variables: getVariables(kind, name),
+    usesSelection: kind === 'quickAction' && findVariables(text).includes('selection'),
+    custom: Boolean(current),
+    currentVersion: override?.currentVersion || 0,
+    versionCount: override?.versions.length || 0,
+    text,
+    defaultText: defaults?.text ?? null,
+  };
+}
+
+/**
+ * Strip the texts for list views
+ *
+ * @param {Object} template - Result of resolveTemplate
+ */
+function toSummary({ text, defaultText, ...summary }) {
+  return summary;
+}
+
+/**
+ * List the templates of a workspace: system templates first, then quick actions by label
+ *
+ * @param {string} workspace - Workspace name
+ */
+async function listTemplates(workspace) {
+  const overrides = await readOverrides(workspace);
+  const names = new Set([...Object.keys(DEFAULT_TEMPLATES), ...Object.keys(overrides.templates)]);
+
+  return [...names]
+    .map(name => resolveTemplate(name, getOverride(overrides, name)))
+    .filter(Boolean)
+    .map(toSummary)
+    .sort((a, b) => (a.kind === b.kind ? a.label.localeCompare(b.label) : a.kind === 'system' ? -1 : 1));
+}
+
+/**
+ * Get a template of a workspace including its text
+ *
+ * @param {string} workspace - Workspace name
+ * @param {string} name - Template name
+ * @returns {Promise<Object|null>} Null if the template does not exist
+ */
+async function getTemplate(workspace, name) {
+  return resolveTemplate(name, getOverride(await readOverrides(workspace), name));
+}
+
+/**
+ * Text of a template as used by the workspace
+ *
+ * @param {string} workspace - Workspace name
+ * @param {string} name - Name of a default template
+ * @returns {Promise<string>} Override of the workspace, or the default
+ */
+async function getTemplateText(workspace, name) {
+  return (await getTemplate(workspace, name)).text;
+}
+
+/**
+ * Save a new version of a template
+ *
+ * @param {string} workspace - Workspace name
+ * @param {string} name - Template name; unknown names create a quick action
+ * @param {Object} update
+ * @param {string} update.text - Template text
+ * @param {string} [update.label] - Button label of a quick action, required for new ones
+ * @param {string} [update.author] - Who made the change
+ * @param {string} [update.message] - Description of the change
+ * @returns {Promise<Object>} The template, or { error } if it cannot be saved
+ */
+function saveTemplate(workspace, name, { text, label, author, message }) {
+  const error = checkTemplate(name, { text, label });
+
+  if (error) {
+    return Promise.resolve({ error });
+  }
+
+  return withLock(workspace, async () => {
+    const overrides = await readOverrides(workspace);
+    const override = getOverride(overrides, name) || { currentVersion: 0, versions: [] };
+    const entry = {
+      version: override.versions.length + 1,
+      createdAt: new Date().toISOString(),
+      author: author || 'anonymous',
+      message: message || null,
+      label: label?.trim() || override.versions[override.versions.length - 1]?.label || getDefaultTemplate(name)?.label,
+      text,
+    };
+
+    if (!entry.label) {
+      return { error: 'New quick actions need a "label"' };
+    }
+
+    override.versions.push(entry);
+    override.currentVersion = entry.version;
+    overrides.templates[name] = override;
+
+    await writeOverrides(workspace, overrides);
+
+    return { template: resolveTemplate(name, override) };
+  });
+}
+
+/**
+ * Go back to the default of a template, or remove a quick action of the workspace
+ *
+ * The versions are kept and can be restored.
+ *
+ * @param {string} workspace - Workspace name
+ * @param {string} name - Template name
+ * @returns {Promise<boolean>} Whether the workspace had overridden the template
+ */
+function resetTemplate(workspace, name) {
+  return withLock(workspace, async () => {
+    const overrides = await readOverrides(workspace);
+    const override = getOverride(overrides, name);
+
+    if (!override?.currentVersion) {
+      return false;
+    }
+
+    override.currentVersion = 0;
+    await writeOverrides(workspace, overrides);
+
+    return true;
+  });
+}
+
+/**
+ * List the versions of a template, newest first
+ *
+ * @param {string} workspace - Workspace name
+ * @param {string} name - Template name
+ * @returns {Promise<Array|null>} Versions, null if the template does not exist
+ */
+async function listVersions(workspace, name) {
+  const override = getOverride(await readOverrides(workspace), name);
+
+  if (!getDefaultTemplate(name) && !override) {
+    return null;
+  }
+
+  return [...(override?.versions || [])].reverse();
+}
+
+/**
+ * Restore an earlier version by saving it as a new version
+ *
+ * @param {string} workspace - Workspace name
+ * @param {string} name - Template name
+ * @param {number} version - Version to restore
+ * @param {string} [author] - Who restored it
+ * @returns {Promise<Object|null>} The template, null if the version does not exist
+ */
+async function restoreVersion(workspace, name, version, author) {
+  const restored = getOverride(await readOverrides(workspace), name)?.versions.find(entry => entry.version === version);
+
+  if (!restored) {
+    return null;
+  }
+
+  const { template, error } = await saveTemplate(workspace, name, {
+    text: restored.text,
+    label: restored.label || undefined,
+    author,
+    message: `Restored version ${version}`,
+  });
+
+  // Versions were checked when they were saved; only a changed default can reject them
+  if (error) {
+    throw Object.assign(new Error(`Version ${version} cannot be restored: ${error}`), { status: 400 });
+  }
+
+  return template;
+}
+
+/**
+ * Expand a quick action of a workspace into the user's request of a chat message
+ *
+ * @param {string} workspace - Workspace name
+ * @param {string} name - Quick action name
+ * @param {Object} values
+ * @param {Array} [values.selectedElementIds] - IDs selected on the canvas
+ * @param {string} [values.input] - Text typed into the chat input
+ * @returns {Promise<string>} The request
+ * @throws {Error} With status 400 for unknown quick actions or a missing selection
+ */
+async function expandQuickAction(workspace, name, { selectedElementIds = [], input = '' }) {
+  const template = typeof name === 'string' ? await getTemplate(workspace, name) : null;
+
+  if (template?.kind !== 'quickAction') {
+    throw Object.assign(new Error(`Unknown quick action "${name}"`), { status: 400 });
+  }
+
+  if (template.usesSelection && !selectedElementIds.length) {
+    throw Object.assign(new Error(`Select the elements for "${template.label}" first`), { status: 400 });
+  }
+
+  return renderTemplate(template.text, {
+    selection: selectedElementIds.map(id => `<${id}>`).join(', '),
+    input: typeof input === 'string' ? input.trim() : '',
+  }).trim();
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  getTemplateText,
+  saveTemplate,
+  resetTemplate,
+  listVersions,
+  restoreVersion,
+  expandQuickAction
+};
@@ -0,0 +1,130 @@
+/**
+ * Prompt Templates
+ *
+ * The default prompt templates ship in prompts/: templates.json lists them
+ * with their kind, label and variables, and long templates such as the chat
+ * system prompt are kept in their own Markdown file. Two kinds exist:
+ *
+ *   system       instructions sent to the model, e.g. "chat" for /api/chat
+ *   quickAction  a saved request shown as a button in the chat panel; it
+ *                expands into the user's request of a chat message
+ *
+ * Templates refer to variables as {{name}}. Workspaces override them and add
+ * their own quick actions (see promptStore.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+const manifest = JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, 'templates.json'), 'utf8'));
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Names of templates, also used for the quick actions workspaces add
+const NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_NAME_LENGTH = 60;
+
+const MAX_LABEL_LENGTH = 40;
+const MAX_TEMPLATE_LENGTH = 100000;
+
+const DEFAULT_TEMPLATES = Object.fromEntries(Object.entries(manifest.templates).map(([name, template]) => [name, {
+  ...template,
+  text: template.file ? fs.readFileSync(path.join(PROMPTS_DIR, template.file), 'utf8') : template.text,
+}]));
+
+/**
+ * Default template of a name
+ *
+ * @param {string} name - Template name
+ * @returns {Object|null} Null for names without a default, e.g. quick actions of a workspace
+ */
+function getDefaultTemplate(name) {
+  return Object.hasOwn(DEFAULT_TEMPLATES, name) ? DEFAULT_TEMPLATES[name] : null;
+}
+
+/**
+ * Variables a template may use
+ *
+ * @param {string} kind - 'system' or 'quickAction'
+ * @param {string} [name] - Template name, for system templates
+ * @returns {Object} Descriptions by variable name
+ */
+function getVariables(kind, name) {
+  return kind === 'system' ? DEFAULT_TEMPLATES[name].variables : manifest.quickActionVariables;
+}
+
+/**
+ * Names of the variables used in a template text
+ *
+ * @param {string} text - Template text
+ */
+function findVariables(text) {
+  return [...new Set([...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Replace the variables of a template; unknown variables are kept as they are
+ *
+ * @param {string} text - Template text
+ * @param {Object} values - Values by variable name
+ */
+function renderTemplate(text, values) {
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+}
+
+/**
+ * Check a template a workspace wants to save
+ *
+ * @param {string} name - Template name
+ * @param {Object} template
+ * @param {string} template.text - Template text
+ * @param {string} [template.label] - Button label of a quick action
+ * @returns {string|null} Problem with the template, null if it can be saved
+ */
+function checkTemplate(name, { text, label }) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name.length > MAX_NAME_LENGTH) {
+    return `Template names have up to ${MAX_NAME_LENGTH} lowercase letters, digits and single dashes`;
+  }
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return '"text" is required';
+  }
+
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    return `Templates have at most ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+
+  const defaults = getDefaultTemplate(name);
+
+  if (label !== undefined && (typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH)) {
+    return `Labels have 1 to ${MAX_LABEL_LENGTH} characters`;
+  }
+
+  const kind = defaults?.kind || 'quickAction';
+  const variables = getVariables(kind, name);
+  const unknown = findVariables(text).filter(variable => !(variable in variables));
+
+  if (unknown.length) {
+    return `Unknown variables ${unknown.map(variable => `{{${variable}}}`).join(', ')}; ` +
+      `use ${Object.keys(variables).map(variable => `{{${variable}}}`).join(', ')}`;
+  }
+
+  const missing = (defaults?.required || []).filter(variable => !findVariables(text).includes(variable));
+
+  if (missing.length) {
+    return `The template has to use ${missing.map(variable => `{{${variable}}}`).join(', ')}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  getDefaultTemplate,
+  getVariables,
+  findVariables,
+  renderTemplate,
+  checkTemplate
+};
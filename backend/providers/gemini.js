@@ -0,0 +1,83 @@
+/**
+ * Google Gemini provider
+ *
+ * Requests with a schema use Gemini's JSON mode, which constrains the answer
+ * to the schema.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Pass the token counts of a response to the usage callback
+ *
+ * @param {Object} response - Gemini response
+ * @param {Function} onUsage - Usage callback
+ */
+function reportUsage(response, onUsage) {
+  const { promptTokenCount, candidatesTokenCount } = response.usageMetadata || {};
+
+  if (promptTokenCount !== undefined) {
+    onUsage({ promptTokens: promptTokenCount, completionTokens: candidatesTokenCount || 0 });
+  }
+}
+
+/**
+ * Build the request for a prompt, in JSON mode if a schema is given
+ *
+ * @param {string} prompt - Prompt text
+ * @param {Object} [schema] - JSON schema of the answer
+ */
+function buildRequest(prompt, schema) {
+  if (!schema) {
+    return prompt;
+  }
+
+  return {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: { responseMimeType: 'application/json', responseSchema: schema },
+  };
+}
+
+/**
+ * Create a provider backed by the Gemini API
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} [options.model] - Model name
+ */
+function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash' }) {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY environment variable is not set.');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(prompt, { signal, schema, onUsage = () => {} } = {}) {
+      const result = await generativeModel.generateContent(buildRequest(prompt, schema), { signal });
+      const response = await result.response;
+
+      reportUsage(response, onUsage);
+
+      return response.text();
+    },
+
+    async *generateStream(prompt, { signal, schema, onUsage = () => {} } = {}) {
+      const result = await generativeModel.generateContentStream(buildRequest(prompt, schema), { signal });
+
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+
+      reportUsage(await result.response, onUsage);
+    }
+  };
+}
+
+module.exports = {
+  createGeminiProvider
+};
@@ -0,0 +1,55 @@
+/**
+ * LLM Provider Layer
+ *
+ * Selects the model provider from configuration. Every provider implements:
+ *
+ * - name, model: identification for logs and usage accounting
+ * - generate(prompt, { signal, schema, onUsage }): Promise<string> with the complete answer
+ * - generateStream(prompt, { signal, schema, onUsage }): AsyncIterable<string> of text chunks
+ *
+ * Providers whose API reports token counts pass them to the optional
+ * onUsage callback as { promptTokens, completionTokens }. If a JSON schema
+ * is given, providers with a JSON mode constrain the answer to it; the
+ * answer is checked against the schema either way (see structuredOutput.js).
+ */
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const PROVIDERS = {
+  gemini: (env) => createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL,
+  }),
+  openai: (env) => createOpenAIProvider({
+    baseUrl: env.OPENAI_BASE_URL,
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL,
+    jsonMode: env.OPENAI_JSON_MODE,
+  }),
+  mock: (env) => createMockProvider({
+    fixturesFile: env.MOCK_RESPONSES_FILE,
+  }),
+};
+
+/**
+ * Create the provider selected by LLM_PROVIDER
+ *
+ * @param {Object} [env] - Configuration, defaults to process.env
+ * @throws {Error} If the provider is unknown or misconfigured
+ */
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory(env);
+}
+
+module.exports = {
+  createProvider
+};
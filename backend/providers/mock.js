@@ -0,0 +1,75 @@
+/**
+ * Deterministic mock provider
+ *
+ * Replays canned responses from a JSON fixture file so the backend can be
+ * developed and integration-tested without network access. Each fixture has
+ * a `match` regular expression that is tested against the user's request in
+ * the prompt; the first matching fixture wins, otherwise `default` is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'fixtures', 'mock-responses.json');
+
+// Size of the chunks a streamed mock response is split into
+const STREAM_CHUNK_SIZE = 16;
+
+/**
+ * Extract the user's request from a full chat prompt
+ *
+ * @param {string} prompt - Prompt sent to the provider
+ */
+function getUserRequest(prompt) {
+  const match = /User's Request: ([\s\S]*?)\n\n/.exec(prompt);
+
+  return match ? match[1] : prompt;
+}
+
+/**
+ * Create a provider that answers from canned responses
+ *
+ * @param {Object} options
+ * @param {string} [options.fixturesFile] - Path of the fixture JSON file
+ */
+function createMockProvider({ fixturesFile = DEFAULT_FIXTURES } = {}) {
+  const { fixtures = [], default: fallback } = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+
+  const rules = fixtures.map(fixture => ({
+    pattern: new RegExp(fixture.match, 'i'),
+    response: fixture.response,
+  }));
+
+  const respond = (prompt) => {
+    const request = getUserRequest(prompt);
+    const rule = rules.find(({ pattern }) => pattern.test(request));
+    const response = rule ? rule.response : fallback;
+
+    // Fixtures may hold raw text or a JSON response object
+    return typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+  };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async generate(prompt, { signal } = {}) {
+      signal?.throwIfAborted();
+
+      return respond(prompt);
+    },
+
+    async *generateStream(prompt, { signal } = {}) {
+      const text = respond(prompt);
+
+      for (let index = 0; index < text.length; index += STREAM_CHUNK_SIZE) {
+        signal?.throwIfAborted();
+        yield text.slice(index, index + STREAM_CHUNK_SIZE);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
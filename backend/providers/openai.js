@@ -0,0 +1,138 @@
+/**
+ * OpenAI-compatible provider
+ *
+ * Talks to any server implementing the OpenAI chat completions API,
+ * including local Ollama (http://localhost:11434/v1) and llama.cpp servers.
+ *
+ * Requests with a schema ask for structured output. As not every server
+ * supports JSON schemas, the jsonMode option can fall back to plain JSON
+ * mode ('json') or turn it off ('off').
+ */
+
+const JSON_MODES = ['schema', 'json', 'off'];
+
+/**
+ * Pass the token counts of a completion or stream chunk to the usage callback
+ *
+ * @param {Object} data - Completion or chunk
+ * @param {Function} onUsage - Usage callback
+ */
+function reportUsage(data, onUsage) {
+  if (data.usage) {
+    onUsage({ promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 });
+  }
+}
+
+/**
+ * Get the response_format of a request
+ *
+ * @param {Object} [schema] - JSON schema of the answer
+ * @param {string} jsonMode - 'schema', 'json' or 'off'
+ */
+function getResponseFormat(schema, jsonMode) {
+  if (!schema || jsonMode === 'off') {
+    return {};
+  }
+
+  if (jsonMode === 'json') {
+    return { response_format: { type: 'json_object' } };
+  }
+
+  return { response_format: { type: 'json_schema', json_schema: { name: 'response', schema, strict: false } } };
+}
+
+/**
+ * Create a provider backed by an OpenAI-compatible HTTP endpoint
+ *
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} [options.apiKey] - Bearer token, not needed for most local servers
+ * @param {string} options.model - Model name
+ * @param {string} [options.jsonMode] - Structured output support of the server: 'schema', 'json' or 'off'
+ */
+function createOpenAIProvider({ baseUrl = 'https://api.openai.com/v1', apiKey, model, jsonMode = 'schema' }) {
+  if (!model) {
+    throw new Error('OPENAI_MODEL environment variable is not set.');
+  }
+
+  if (!JSON_MODES.includes(jsonMode)) {
+    throw new Error(`Unknown OPENAI_JSON_MODE "${jsonMode}". Use one of: ${JSON_MODES.join(', ')}`);
+  }
+
+  const request = async (prompt, { signal, stream, schema }) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        stream,
+        // Streams only report token counts in a final chunk when asked to
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+        ...getResponseFormat(schema, jsonMode),
+        messages: [{ role: 'user', content: prompt }],
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI-compatible endpoint responded with ${response.status}: ${await response.text()}`);
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(prompt, { signal, schema, onUsage = () => {} } = {}) {
+      const response = await request(prompt, { signal, stream: false, schema });
+      const data = await response.json();
+
+      reportUsage(data, onUsage);
+
+      return data.choices?.[0]?.message?.content || '';
+    },
+
+    async *generateStream(prompt, { signal, schema, onUsage = () => {} } = {}) {
+      const response = await request(prompt, { signal, stream: true, schema });
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+
+          if (!line.startsWith('data:') || !data) {
+            continue;
+          }
+
+          if (data === '[DONE]') {
+            return;
+          }
+
+          const event = JSON.parse(data);
+          const text = event.choices?.[0]?.delta?.content;
+
+          reportUsage(event, onUsage);
+
+          if (text) {
+            yield text;
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
@@ -0,0 +1,108 @@
+/**
+ * Authentication routes
+ *
+ * POST   /api/auth/register    create an account: { username, password }
+ * POST   /api/auth/login       sign in: { username, password }
+ * POST   /api/auth/logout      revoke the token of the request
+ * GET    /api/auth/me          the signed-in user
+ * GET    /api/auth/tokens      API tokens of the signed-in user
+ * POST   /api/auth/tokens      create an API token: { name }; the token is only returned once
+ * DELETE /api/auth/tokens/:id  revoke an API token
+ * POST   /api/auth/users       create an account: { username, password } (administrators only)
+ * PUT    /api/auth/users/:username/workspace  move a user to a workspace: { workspace } (administrators only)
+ *
+ * Register and login answer with { user, token }. Only the first account,
+ * which becomes the administrator, can register itself; administrators
+ * create the others, unless AUTH_ALLOW_REGISTRATION=true opens
+ * registration to everyone. Failed sign-ins are limited per username and
+ * client address (see loginLimits.js). New accounts belong to the default
+ * workspace until an administrator moves them.
+ */
+
+const express = require('express');
+const userStore = require('../userStore');
+const { authenticate, requireAdmin } = require('../auth');
+const { limitLogins } = require('../loginLimits');
+
+const router = express.Router();
+
+const ALLOW_REGISTRATION = process.env.AUTH_ALLOW_REGISTRATION === 'true';
+
+router.post('/register', async (req, res) => {
+  const { user, error, closed } = await userStore.createUser(req.body || {}, { firstOnly: !ALLOW_REGISTRATION });
+
+  if (error) {
+    return res.status(closed ? 403 : 400).json({ error });
+  }
+
+  const { token } = await userStore.createToken(user.id, { kind: 'session' });
+
+  res.status(201).json({ user, token });
+});
+
+router.post('/login', limitLogins, async (req, res) => {
+  const { username, password } = req.body || {};
+  const user = await userStore.verifyPassword(username, password);
+
+  if (!user) {
+    req.loginAttempt.failed();
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+
+  req.loginAttempt.succeeded();
+  const { token } = await userStore.createToken(user.id, { kind: 'session' });
+
+  res.json({ user, token });
+});
+
+router.post('/logout', authenticate, async (req, res) => {
+  await userStore.revokeToken(req.user.id, req.tokenId);
+
+  res.status(204).end();
+});
+
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+router.get('/tokens', authenticate, async (req, res) => {
+  res.json(await userStore.listTokens(req.user.id));
+});
+
+router.post('/tokens', authenticate, async (req, res) => {
+  res.status(201).json(await userStore.createToken(req.user.id, { kind: 'api', name: req.body?.name }));
+});
+
+router.delete('/tokens/:id', authenticate, async (req, res) => {
+  if (!await userStore.revokeToken(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+
+  res.status(204).end();
+});
+
+router.post('/users', authenticate, requireAdmin, async (req, res) => {
+  const { user, error } = await userStore.createUser(req.body || {});
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.status(201).json(user);
+});
+
+router.put('/users/:username/workspace', authenticate, requireAdmin, async (req, res) => {
+  const result = await userStore.setWorkspace(req.params.username, req.body?.workspace);
+
+  if (!result) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  res.json(result.user);
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Deployment route
+ *
+ * POST /api/deploy deploys diagram XML to the configured Camunda 8 engine
+ * (see zeebeClient.js). Body: { "diagramXML": "...", "name": "Order process" },
+ * with the DMN decisions of the diagram in "dmnXML" if it calls any.
+ *
+ * The diagram is checked for completeness first (see zeebe.js); if the check
+ * finds errors, nothing is deployed and the answer is 422 with the findings.
+ * Errors of the engine are answered with 502 and its explanation in detail.
+ * A successful deployment answers with { deploymentKey, processes, decisions, findings },
+ * where findings holds the remaining warnings.
+ */
+
+const express = require('express');
+const { checkExecutable } = require('../zeebe');
+const { deployDiagram, REST_ADDRESS } = require('../zeebeClient');
+const { captureException } = require('../sentry.config');
+
+const router = express.Router();
+
+router.post('/', async (req, res) => {
+  const { diagramXML, name, dmnXML } = req.body || {};
+
+  if (typeof diagramXML !== 'string' || !diagramXML.trim()) {
+    return res.status(400).json({ error: 'diagramXML is required' });
+  }
+
+  let findings;
+
+  try {
+    findings = await checkExecutable(diagramXML);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not parse diagram: ${error.message.split('\n')[0]}` });
+  }
+
+  if (findings.some(finding => finding.severity === 'error')) {
+    return res.status(422).json({ error: 'The diagram is not complete enough to run on Camunda 8', findings });
+  }
+
+  const resourceName = `${(name || 'diagram').replace(/[^\w.-]/g, '_')}.bpmn`;
+
+  try {
+    res.json({ ...await deployDiagram(diagramXML, resourceName, { dmnXML }), engine: REST_ADDRESS, findings });
+  } catch (error) {
+    console.error('Error deploying diagram:', error.message, error.detail || '');
+
+    // Rejected diagrams are expected; only failures to talk to the engine are reported
+    if (!error.status) {
+      captureException(error, {
+        api_endpoint: '/api/deploy',
+        engine: REST_ADDRESS,
+        diagram_length: diagramXML.length
+      });
+    }
+
+    res.status(502).json({ error: error.message, detail: error.detail, engine: REST_ADDRESS, findings });
+  }
+});
+
+module.exports = router;
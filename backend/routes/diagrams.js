@@ -0,0 +1,162 @@
+/**
+ * Diagram persistence routes
+ *
+ * CRUD for diagrams plus version history and sharing. Users only see
+ * diagrams they own or that were shared with them; versions are authored
+ * by the signed-in user. Errors propagate to the global error handler
+ * (Express 5 forwards rejected promises).
+ */
+
+const express = require('express');
+const diagramStore = require('../diagramStore');
+const { findUserByName } = require('../userStore');
+
+const router = express.Router();
+
+/**
+ * Reject requests without diagram XML or with DMN decisions that are not text
+ */
+function requireXML(req, res, next) {
+  if (typeof req.body?.xml !== 'string' || !req.body.xml.trim()) {
+    return res.status(400).json({ error: '"xml" is required' });
+  }
+
+  if (req.body.dmnXML !== undefined && typeof req.body.dmnXML !== 'string') {
+    return res.status(400).json({ error: '"dmnXML" must be a string' });
+  }
+
+  next();
+}
+
+/**
+ * Require a permission on the diagram of the route; sets `req.permission`
+ *
+ * Diagrams the user cannot see are reported as not found.
+ *
+ * @param {'read'|'edit'|'owner'} required - Required permission
+ */
+function requirePermission(required) {
+  return async (req, res, next) => {
+    const permission = await diagramStore.getPermission(req.params.id, req.user);
+
+    if (!permission) {
+      return res.status(404).json({ error: 'Diagram not found' });
+    }
+
+    if (!diagramStore.hasPermission(permission, required)) {
+      return res.status(403).json({ error: permission === 'read' ? 'You can only view this diagram' : 'Only the owner can do this' });
+    }
+
+    req.permission = permission;
+    next();
+  };
+}
+
+/**
+ * Version author: the AI assistant for accepted AI changes, the signed-in user otherwise
+ */
+function getAuthor(req) {
+  return req.body?.author === 'ai-assistant' ? 'ai-assistant' : req.user.username;
+}
+
+router.get('/', async (req, res) => {
+  res.json(await diagramStore.listDiagrams(req.user));
+});
+
+router.post('/', requireXML, async (req, res) => {
+  const { name, xml, dmnXML, prompt } = req.body;
+
+  res.status(201).json(await diagramStore.createDiagram({ name, xml, dmnXML, author: getAuthor(req), prompt, owner: req.user }));
+});
+
+router.get('/:id', requirePermission('read'), async (req, res) => {
+  const diagram = await diagramStore.getDiagram(req.params.id);
+
+  if (!diagram) {
+    return res.status(404).json({ error: 'Diagram not found' });
+  }
+
+  res.json({ ...diagram, permission: req.permission });
+});
+
+router.put('/:id', requirePermission('edit'), requireXML, async (req, res) => {
+  const { name, xml, dmnXML, prompt, message } = req.body;
+  const diagram = await diagramStore.updateDiagram(req.params.id, { name, xml, dmnXML, author: getAuthor(req), prompt, message });
+
+  if (!diagram) {
+    return res.status(404).json({ error: 'Diagram not found' });
+  }
+
+  res.json({ ...diagram, permission: req.permission });
+});
+
+router.delete('/:id', requirePermission('owner'), async (req, res) => {
+  if (!await diagramStore.deleteDiagram(req.params.id)) {
+    return res.status(404).json({ error: 'Diagram not found' });
+  }
+
+  res.status(204).end();
+});
+
+router.get('/:id/versions', requirePermission('read'), async (req, res) => {
+  const versions = await diagramStore.listVersions(req.params.id);
+
+  if (!versions) {
+    return res.status(404).json({ error: 'Diagram not found' });
+  }
+
+  res.json(versions);
+});
+
+router.get('/:id/versions/:version', requirePermission('read'), async (req, res) => {
+  const version = await diagramStore.getVersion(req.params.id, Number(req.params.version));
+
+  if (!version) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  res.json(version);
+});
+
+router.post('/:id/versions/:version/restore', requirePermission('edit'), async (req, res) => {
+  const diagram = await diagramStore.restoreVersion(req.params.id, Number(req.params.version), req.user.username);
+
+  if (!diagram) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  res.json({ ...diagram, permission: req.permission });
+});
+
+// Share with a user for reading or editing: { "permission": "read" | "edit" }
+router.put('/:id/shares/:username', requirePermission('owner'), async (req, res) => {
+  const { permission } = req.body || {};
+
+  if (![ 'read', 'edit' ].includes(permission)) {
+    return res.status(400).json({ error: '"permission" must be "read" or "edit"' });
+  }
+
+  const user = await findUserByName(req.params.username);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (user.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot share a diagram with yourself' });
+  }
+
+  res.json({ ...await diagramStore.shareDiagram(req.params.id, user, permission), permission: req.permission });
+});
+
+router.delete('/:id/shares/:username', requirePermission('owner'), async (req, res) => {
+  const user = await findUserByName(req.params.username);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json({ ...await diagramStore.shareDiagram(req.params.id, user, null), permission: req.permission });
+});
+
+module.exports = router;
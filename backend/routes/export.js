@@ -0,0 +1,72 @@
+/**
+ * Headless export route
+ *
+ * POST /api/export?format=svg|png|mermaid renders diagram XML to an image
+ * or writes it as a Mermaid flowchart. The XML can be sent as JSON
+ * ({ "diagramXML": "..." }) or as a raw application/xml body, e.g. from a
+ * documentation pipeline:
+ *
+ *   curl --data-binary @process.bpmn -H 'Content-Type: application/xml' \
+ *     'http://localhost:3001/api/export?format=png' -o process.png
+ */
+
+const express = require('express');
+const { renderSVG, renderPNG } = require('../diagramRenderer');
+const { EXPORTERS } = require('../notations');
+const { captureException } = require('../sentry.config');
+
+const router = express.Router();
+
+const MAX_SCALE = 4;
+
+router.post('/', express.text({ type: ['application/xml', 'text/xml'], limit: process.env.JSON_BODY_LIMIT || '5mb' }), async (req, res) => {
+  const xml = typeof req.body === 'string' ? req.body : req.body?.diagramXML;
+  const format = (req.query.format || req.body?.format || 'svg').toLowerCase();
+  const scale = Math.min(MAX_SCALE, Math.max(0.1, parseFloat(req.query.scale || req.body?.scale) || 1));
+  const filename = (req.query.filename || req.body?.filename || 'diagram').replace(/[^\w.-]/g, '_');
+
+  if (typeof xml !== 'string' || !xml.trim()) {
+    return res.status(400).json({ error: 'diagramXML is required' });
+  }
+
+  const exporter = Object.hasOwn(EXPORTERS, format) ? EXPORTERS[format] : null;
+
+  if (!['svg', 'png'].includes(format) && !exporter) {
+    return res.status(400).json({ error: `Unsupported format "${format}". Use svg, png or ${Object.keys(EXPORTERS).join(', ')}.` });
+  }
+
+  let image;
+
+  try {
+    if (exporter) {
+      image = await exporter.write(xml);
+    } else {
+      image = format === 'svg' ? await renderSVG(xml) : await renderPNG(xml, { scale });
+    }
+  } catch (error) {
+    // Diagrams that cannot be parsed are expected; only failures of the renderers are reported
+    if (!error.status) {
+      console.error('Error rendering diagram:', error);
+
+      captureException(error, {
+        api_endpoint: '/api/export',
+        format,
+        diagram_length: xml.length
+      });
+    }
+
+    return res.status(400).json({ error: `Could not render diagram: ${error.message.split('\n')[0]}` });
+  }
+
+  if (exporter) {
+    res.set('Content-Disposition', `attachment; filename="${filename}.${exporter.extension}"`);
+    res.type(exporter.contentType);
+    return res.send(image);
+  }
+
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.type(format === 'svg' ? 'image/svg+xml' : 'image/png');
+  res.send(image);
+});
+
+module.exports = router;
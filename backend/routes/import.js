@@ -0,0 +1,49 @@
+/**
+ * Notation import route
+ *
+ * POST /api/import?format=mermaid|plantuml converts a Mermaid flowchart or a
+ * PlantUML activity diagram to laid out BPMN. The source can be sent as
+ * JSON ({ "source": "..." }) or as a raw text/plain body:
+ *
+ *   curl --data-binary @flow.mmd -H 'Content-Type: text/plain' \
+ *     'http://localhost:3001/api/import?format=mermaid'
+ *
+ * Without a format the notation is detected from the source.
+ */
+
+const express = require('express');
+const { importNotation } = require('../notations');
+const { captureException } = require('../sentry.config');
+
+const router = express.Router();
+
+router.post('/', express.text({ type: 'text/plain', limit: process.env.JSON_BODY_LIMIT || '5mb' }), async (req, res) => {
+  const source = typeof req.body === 'string' ? req.body : req.body?.source;
+  const format = (req.query.format || req.body?.format || '').toLowerCase() || undefined;
+
+  if (typeof source !== 'string' || !source.trim()) {
+    return res.status(400).json({ error: 'Source is required' });
+  }
+
+  try {
+    const { diagramXML, notation, warnings } = await importNotation(source, format);
+
+    res.json({ diagramXML, format: notation, warnings });
+  } catch (error) {
+    if (error.isNotationError) {
+      return res.status(400).json({ error: error.message, line: error.line });
+    }
+
+    console.error('Error importing diagram:', error);
+
+    captureException(error, {
+      api_endpoint: '/api/import',
+      format,
+      source_length: source.length
+    });
+
+    res.status(500).json({ error: 'Failed to import diagram' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Lint route
+ *
+ * POST /api/lint checks diagram XML with the deterministic rule engine.
+ * Body: { "diagramXML": "...", "rules": { "implicit-split": "off" } }, where the
+ * optional rules override the configured severities for this request.
+ * GET /api/lint/rules lists the rules with their configured severity.
+ */
+
+const express = require('express');
+const { RULES, SEVERITIES, defaultConfig, lintDiagramXML } = require('../bpmnLint');
+
+const router = express.Router();
+
+router.get('/rules', (req, res) => {
+  res.json(Object.entries(RULES).map(([name, { description }]) => ({ name, description, severity: defaultConfig[name] || 'off' })));
+});
+
+router.post('/', async (req, res) => {
+  const { diagramXML, rules = {} } = req.body || {};
+
+  if (typeof diagramXML !== 'string' || !diagramXML.trim()) {
+    return res.status(400).json({ error: 'diagramXML is required' });
+  }
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return res.status(400).json({ error: 'rules must be an object of rule names to severities' });
+  }
+
+  const invalidRule = Object.entries(rules).find(([name, severity]) => !RULES[name] || !SEVERITIES.includes(severity));
+
+  if (invalidRule) {
+    return res.status(400).json({ error: `Invalid rule override "${invalidRule[0]}": "${invalidRule[1]}"` });
+  }
+
+  try {
+    res.json({ findings: await lintDiagramXML(diagramXML, rules) });
+  } catch (error) {
+    res.status(400).json({ error: `Could not parse diagram: ${error.message.split('\n')[0]}` });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * Prompt template routes
+ *
+ * GET    /api/prompts                                 templates and quick actions of the user's workspace
+ * GET    /api/prompts/:name                           a template with its text and default text
+ * PUT    /api/prompts/:name                           save a new version: { text, label?, message? }
+ * DELETE /api/prompts/:name                           go back to the default, or remove a quick action
+ * GET    /api/prompts/:name/versions                  versions of the workspace, newest first
+ * POST   /api/prompts/:name/versions/:version/restore save an earlier version as a new version
+ *
+ * Members of a workspace use its templates; only administrators change
+ * them, and versions record who did. Saving an unknown name creates a
+ * quick action.
+ */
+
+const express = require('express');
+const promptStore = require('../promptStore');
+const { requireAdmin } = require('../auth');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  res.json(await promptStore.listTemplates(req.user.workspace));
+});
+
+router.get('/:name', async (req, res) => {
+  const template = await promptStore.getTemplate(req.user.workspace, req.params.name);
+
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  res.json(template);
+});
+
+router.put('/:name', requireAdmin, async (req, res) => {
+  const { text, label, message } = req.body || {};
+  const { template, error } = await promptStore.saveTemplate(req.user.workspace, req.params.name, {
+    text,
+    label,
+    author: req.user.username,
+    message: typeof message === 'string' ? message : null,
+  });
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json(template);
+});
+
+router.delete('/:name', requireAdmin, async (req, res) => {
+  if (!await promptStore.resetTemplate(req.user.workspace, req.params.name)) {
+    return res.status(404).json({ error: 'The workspace has not changed this template' });
+  }
+
+  res.status(204).end();
+});
+
+router.get('/:name/versions', async (req, res) => {
+  const versions = await promptStore.listVersions(req.user.workspace, req.params.name);
+
+  if (!versions) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  res.json(versions);
+});
+
+router.post('/:name/versions/:version/restore', requireAdmin, async (req, res) => {
+  try {
+    const template = await promptStore.restoreVersion(req.user.workspace, req.params.name, Number(req.params.version), req.user.username);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Simulation route
+ *
+ * POST /api/simulate runs the discrete-event simulation of a diagram
+ * annotated with process metrics (see processSimulation.js).
+ * Body: { "diagramXML": "...", "instances": 1000, "seed": 1 }, where the number of
+ * instances and the seed of the random numbers are optional.
+ */
+
+const express = require('express');
+const { simulateDiagram } = require('../processSimulation');
+
+const router = express.Router();
+
+router.post('/', async (req, res) => {
+  const { diagramXML, instances, seed } = req.body || {};
+
+  if (typeof diagramXML !== 'string' || !diagramXML.trim()) {
+    return res.status(400).json({ error: 'diagramXML is required' });
+  }
+
+  if ([instances, seed].some(value => value !== undefined && !Number.isInteger(value))) {
+    return res.status(400).json({ error: '"instances" and "seed" must be whole numbers' });
+  }
+
+  try {
+    res.json(await simulateDiagram(diagramXML, { instances, seed }));
+  } catch (error) {
+    res.status(400).json({ error: `Could not parse diagram: ${error.message.split('\n')[0]}` });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Usage route
+ *
+ * GET /api/usage reports the model calls of the usage log per user and per
+ * day, together with the configured limits. Query parameters: `from` and
+ * `to` (YYYY-MM-DD, default the last 30 days) and `user`. Administrators
+ * see every user, everyone else only their own usage.
+ */
+
+const express = require('express');
+const { summarizeUsage, isDay } = require('../usageLog');
+const { quotas } = require('../usageLimits');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  const { from, to } = req.query;
+  const user = req.user.role === 'admin' ? req.query.user : req.user.username;
+
+  if ([ from, to ].some(day => day !== undefined && !isDay(day))) {
+    return res.status(400).json({ error: '"from" and "to" must be days in the format YYYY-MM-DD' });
+  }
+
+  res.json({ ...(await summarizeUsage({ from, to, user })), quotas });
+});
+
+module.exports = router;
@@ -3,7 +3,47 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const multer = require('multer');
+const { createProvider } = require('./providers');
+const { validateDiagramXML, formatValidationErrors, createError } = require('./bpmnValidator');
+const { extractPartialStringField } = require('./partialJson');
+const { getSession, deleteSession, appendTurn, buildHistoryContext } = require('./conversationStore');
+const { layoutDiagram } = require('./autoLayout');
+const { isSupportedDocument, extractDocumentText, splitSentences, SUPPORTED_EXTENSIONS } = require('./documentText');
+const { attachCollaboration } = require('./collaboration');
+const {
+  VALIDATION_RETRIES,
+  CHAT_RESPONSE_SCHEMA,
+  buildChatPrompt,
+  buildChatParams,
+  resolveChatResponse,
+  completeChat
+} = require('./chatAssistant');
+const {
+  DECISION_RESPONSE_SCHEMA,
+  buildDecisionPrompt,
+  buildDecisionParams,
+  resolveDecisionResponse
+} = require('./decisionAssistant');
+const { generateStructuredOutput } = require('./structuredOutput');
+const { meterProvider } = require('./usageLog');
+const { limitUsage } = require('./usageLimits');
+const { authenticate } = require('./auth');
+const { makeExecutable, checkExecutable } = require('./zeebe');
+const { getTemplateText, expandQuickAction } = require('./promptStore');
+const { DEFAULT_TEMPLATES, renderTemplate } = require('./promptTemplates');
+const { applyOperations } = require('./applyOperations');
+const { buildDocumentStructure, generateProcessDocument } = require('./processDocument');
+const { FORMATS, renderDocument } = require('./documentRenderers');
+const diagramRoutes = require('./routes/diagrams');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const lintRoutes = require('./routes/lint');
+const simulateRoutes = require('./routes/simulate');
+const promptRoutes = require('./routes/prompts');
+const usageRoutes = require('./routes/usage');
+const authRoutes = require('./routes/auth');
+const deployRoutes = require('./routes/deploy');
 
 // Import Sentry configuration
 const { 
@@ -27,139 +67,213 @@ if (sentryEnabled) {
   app.use(sentryTracingHandler());
 }
 
-app.use(cors());
-app.use(express.json());
+// Behind a reverse proxy, clients are identified by X-Forwarded-For (hop count, "true" or trusted addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// CORS_ORIGINS restricts browser access to a comma-separated list of origins
+app.use(cors(process.env.CORS_ORIGINS ? { origin: process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) } : {}));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
 
-// Access your API key as an environment variable (recommended)
-const API_KEY = process.env.GEMINI_API_KEY;
+// Everything below /api except signing in requires a token
+app.use('/api/auth', authRoutes);
+app.use('/api', authenticate);
 
-if (!API_KEY) {
-  console.error('GEMINI_API_KEY environment variable is not set.');
-  process.exit(1);
+// LLM provider selected by LLM_PROVIDER (gemini, openai or mock)
+let provider = null;
+
+try {
+  // Every model call is recorded in the usage log
+  provider = meterProvider(createProvider());
+  console.log(`🤖 LLM provider: ${provider.name} (${provider.model})`);
+} catch (error) {
+  // Keep serving non-AI routes; AI routes answer with 503 until configured
+  console.error(`LLM provider not available: ${error.message}`);
 }
 
-const genAI = new GoogleGenerativeAI(API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" }); // Changed model to gemini-1.5-flash
+/**
+ * Reject AI requests while no provider is configured
+ */
+function requireProvider(req, res, next) {
+  if (!provider) {
+    return res.status(503).json({ error: 'AI provider is not configured' });
+  }
+
+  next();
+}
 
 app.get('/', (req, res) => {
   res.send('Hello from the backend!');
 });
 
-app.post('/api/chat', async (req, res) => {
+/**
+ * Summarize conversation turns that no longer fit the history budget
+ *
+ * @param {string} previousSummary - Summary of even earlier turns
+ * @param {string} transcript - Turns to fold into the summary
+ * @param {string} template - Text of the "summary" prompt template
+ * @param {Object} [requestOptions] - Options passed to the model
+ */
+async function summarizeConversation(previousSummary, transcript, template, requestOptions = {}) {
+  const text = await provider.generate(renderTemplate(template, {
+    previousSummary: previousSummary ? `Earlier summary:\n${previousSummary}\n\n` : '',
+    transcript,
+  }), requestOptions);
+
+  return text.trim();
+}
+
+/**
+ * Request types of /api/chat, selected by the "type" field of the body: the
+ * assistant changes the diagram or the DMN decisions that belong to it,
+ * following the prompt template named `template`
+ */
+const CHAT_TYPES = {
+  diagram: {
+    template: 'chat',
+    schema: CHAT_RESPONSE_SCHEMA,
+    buildParams: buildChatParams,
+    buildPrompt: buildChatPrompt,
+    resolve: resolveChatResponse,
+  },
+  decision: {
+    template: 'decision',
+    schema: DECISION_RESPONSE_SCHEMA,
+    buildParams: buildDecisionParams,
+    buildPrompt: buildDecisionPrompt,
+    resolve: resolveDecisionResponse,
+  },
+};
+
+/**
+ * Get the request type of a chat request body
+ *
+ * @param {Object} body - Chat request body
+ * @returns {Object|undefined} Entry of CHAT_TYPES, undefined for unknown types
+ */
+function getChatType(body) {
+  const type = body.type || 'diagram';
+
+  return Object.hasOwn(CHAT_TYPES, type) ? CHAT_TYPES[type] : undefined;
+}
+
+function unknownChatTypeMessage(type) {
+  return `Unknown chat type "${type}". Use ${Object.keys(CHAT_TYPES).join(' or ')}.`;
+}
+
+/**
+ * Reject chat requests with missing or mistyped fields
+ *
+ * Runs before limitUsage, so malformed requests never reach the model and do
+ * not count against the limits. `prompt` may be empty for quick actions.
+ */
+function validateChatRequest(req, res, next) {
+  const { diagramXML, selectedElementIds, prompt, quickAction, type } = req.body || {};
+
+  if (!getChatType(req.body || {})) {
+    return res.status(400).json({ error: unknownChatTypeMessage(type) });
+  }
+
+  if (typeof diagramXML !== 'string' || !diagramXML.trim()) {
+    return res.status(400).json({ error: 'diagramXML is required' });
+  }
+
+  if (!Array.isArray(selectedElementIds) || !selectedElementIds.every(id => typeof id === 'string')) {
+    return res.status(400).json({ error: 'selectedElementIds must be an array of element IDs' });
+  }
+
+  if (typeof prompt !== 'string' || (!quickAction && !prompt.trim())) {
+    return res.status(400).json({ error: 'prompt is required' });
+  }
+
+  next();
+}
+
+/**
+ * Reject requests about a diagram, or one of its elements, with missing or
+ * mistyped fields; like validateChatRequest it runs before limitUsage
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.element] - Whether the request names an element in `elementId`
+ */
+function validateDiagramRequest({ element = false } = {}) {
+  return (req, res, next) => {
+    const { diagramXML, elementId } = req.body || {};
+
+    if (typeof diagramXML !== 'string' || !diagramXML.trim()) {
+      return res.status(400).json({ error: 'diagramXML is required' });
+    }
+
+    if (element && (typeof elementId !== 'string' || !elementId.trim())) {
+      return res.status(400).json({ error: 'elementId is required' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Resolve the chat session of a request and build the prompt parameters
+ *
+ * A `quickAction` in the body expands into the user's request, with the
+ * text of `prompt` as additional input. The prompt templates are the ones
+ * of the user's workspace.
+ *
+ * @param {Object} body - Chat request body
+ * @param {Object} user - Signed-in user
+ * @param {Object} [requestOptions] - Options passed to the model
+ */
+async function prepareChat(body, user, requestOptions = {}) {
+  const { diagramXML, dmnXML, selectedElementIds = [], sessionId, simulationPath = [], quickAction } = body;
+  const prompt = quickAction
+    ? await expandQuickAction(user.workspace, quickAction, { selectedElementIds, input: body.prompt })
+    : body.prompt;
+  const chatType = getChatType(body);
+  const template = await getTemplateText(user.workspace, chatType.template);
+  const session = getSession(sessionId, user.id);
+  const conversationHistory = await buildHistoryContext(session, async (previousSummary, transcript) =>
+    summarizeConversation(previousSummary, transcript, await getTemplateText(user.workspace, 'summary'), requestOptions));
+
+  return {
+    session,
+    params: await chatType.buildParams({ diagramXML, dmnXML, selectedElementIds, prompt, conversationHistory, simulationPath, template })
+  };
+}
+
+/**
+ * Record a completed exchange in the chat session
+ *
+ * @param {Object} session - Chat session
+ * @param {Object} params - Prompt parameters of the request
+ * @param {Object} result - Chat response body
+ */
+function recordChatTurn(session, params, result) {
+  appendTurn(session, 'user', params.prompt);
+  appendTurn(session, 'assistant', `${result.response}${result.changed ? `\n[The ${result.decisionChanges ? 'decisions were' : 'diagram was'} updated accordingly.]` : ''}`);
+}
+
+app.post('/api/chat', requireProvider, validateChatRequest, limitUsage, async (req, res) => {
   const { diagramXML, selectedElementIds, prompt } = req.body;
+  const requestOptions = { usage: req.usage };
+  const chatType = getChatType(req.body);
 
-  const fullPrompt = `You are a AI assistant that helps modify BPMN diagrams based on user instructions.
-The user will provide the current BPMN diagram XML, a list of selected element IDs, and a natural language prompt.
-Your task is to:
-1. Understand the user's request in the context of the provided BPMN diagram and selected elements.
-2. Generate the updated BPMN XML based on the request. **Crucially, ensure the generated BPMN XML is valid and adheres 
-to the BPMN 2.0 specification, including all required attributes 
-(e.g., \`sourceRef\` and \`targetRef\` for \`bpmn:sequenceFlow\`).**
-3. Identify any potential impacts or inconsistencies that the change might introduce to other parts of the diagram.
-
-**Enhanced Conversational Capabilities:**
-4. Engage in natural conversation with the user about their BPMN diagram and selected elements.
-5. When the user asks questions about selected shapes, provide detailed explanations including:
-   - Element type and purpose within the BPMN process
-   - Current properties and configuration
-   - Business logic and significance in the overall workflow
-6. Analyze and explain connections between selected elements and other shapes:
-   - Incoming and outgoing sequence flows
-   - Data associations and message flows
-   - Parent-child relationships (pools, lanes, subprocesses)
-   - Dependencies and logical relationships
-7. Provide educational insights about BPMN best practices and modeling techniques.
-8. Offer suggestions for process improvements and optimization opportunities.
-9. Answer questions about process flow, potential bottlenecks, and business logic.
-
-**Response Format:**
-- For modification requests: Return JSON with 'updatedDiagramXML' and 'impactAnalysis'
-- For conversational queries: Return JSON with 'response' field containing your explanation
-- For mixed requests (conversation + modification): Return JSON with all relevant fields
-
-**Connection Analysis Guidelines:**
-When explaining element connections, include:
-- Direct predecessors and successors in the process flow
-- Conditional flows and their criteria
-- Parallel branches and synchronization points
-- Exception handling and error flows
-- Data inputs/outputs and their sources/destinations
-- Role responsibilities (if lanes/pools are present)
-
-**Educational Context:**
-Provide context about:
-- BPMN element semantics and when to use each type
-- Process modeling best practices
-- Common anti-patterns and how to avoid them
-- Performance and maintainability considerations
-
-Return your response in a JSON object with appropriate fields based on the request type:
-
-For modifications:
-{
-  "updatedDiagramXML": "<bpmn:definitions>...</bpmn:definitions>",
-  "impactAnalysis": "Changing this task might affect the subsequent gateway decision."
-}
-
-For conversations:
-{
-  "response": "The selected task 'Review Application' is a User Task that represents manual work. It connects to..."
-}
-
-For mixed requests:
-{
-  "response": "I understand you want to modify the gateway. Currently, this exclusive gateway...",
-  "updatedDiagramXML": "<bpmn:definitions>...</bpmn:definitions>",
-  "impactAnalysis": "This change will affect downstream processes..."
-}
-
-If no changes are made to the XML, return the original XML in 'updatedDiagramXML'.
-If there are no impacts, return an empty string for 'impactAnalysis'.
-
-Current BPMN Diagram XML:
-${diagramXML}
-
-Selected Element IDs: ${selectedElementIds.length > 0 ? selectedElementIds.join(', ') : 'None'}
-
-User's Request: ${prompt}
-
-Example JSON response structure:
-{
-  "updatedDiagramXML": "<bpmn:definitions>...</bpmn:definitions>",
-  "impactAnalysis": "Changing this task might affect the subsequent gateway decision."
-}`
   try {
-    const result = await model.generateContent(fullPrompt);
-    const response = await result.response;
-    const text = response.text();
+    const { session, params } = await prepareChat(req.body, req.user, requestOptions);
+    const text = await provider.generate(chatType.buildPrompt(params), { ...requestOptions, schema: chatType.schema });
+    const chatResponse = await chatType.resolve(provider, params, text, requestOptions);
 
-    // Attempt to parse the JSON response from Gemini
-    let llmResponse;
-    try {
-      // Attempt to extract JSON from markdown code block
-      const jsonMatch = text.match(/```json\n([\s\S]*?)\n```/);
-      if (jsonMatch && jsonMatch[1]) {
-        llmResponse = JSON.parse(jsonMatch[1]);
-      } else {
-        // If not in markdown, try parsing directly
-        llmResponse = JSON.parse(text);
-      }
-    } catch (parseError) {
-      console.error('Failed to parse Gemini response as JSON:', text);
-      // If parsing fails, treat the entire text as the LLM's response
-      llmResponse = {
-        updatedDiagramXML: diagramXML, // Return original XML if parsing fails
-        impactAnalysis: `Error: Could not parse AI response. Raw response: ${text}`
-      };
-    }
+    recordChatTurn(session, params, chatResponse);
 
-    res.json({
-      response: llmResponse.response || llmResponse.impactAnalysis || 'No specific response provided.',
-      updatedDiagramXML: llmResponse.updatedDiagramXML || diagramXML,
-    });
+    res.json({ ...chatResponse, sessionId: session.id });
 
   } catch (error) {
-    console.error('Error communicating with Gemini API:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error(`Error communicating with ${provider.name} provider:`, error);
     
     // Capture error in Sentry with context
     captureException(error, {
@@ -172,10 +286,556 @@ Example JSON response structure:
     res.status(500).json({
       response: 'Error: Failed to get response from AI.',
       updatedDiagramXML: diagramXML,
+      impactAnalysis: '',
+      changed: false,
+    });
+  }
+});
+
+/**
+ * Streaming variant of /api/chat using Server-Sent Events
+ *
+ * Events:
+ * - token:  { text } conversational text as it is generated
+ * - result: the same body /api/chat returns, sent once generation is complete
+ * - error:  { message } if generation fails
+ *
+ * Closing the connection aborts the request to the model.
+ */
+app.post('/api/chat/stream', requireProvider, validateChatRequest, limitUsage, async (req, res) => {
+  const { diagramXML, selectedElementIds, prompt } = req.body;
+  const chatType = getChatType(req.body);
+
+  const abortController = new AbortController();
+  const requestOptions = { signal: abortController.signal, usage: req.usage };
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const { session, params } = await prepareChat(req.body, req.user, requestOptions);
+    let text = '';
+    let streamedLength = 0;
+
+    for await (const chunk of provider.generateStream(chatType.buildPrompt(params), { ...requestOptions, schema: chatType.schema })) {
+      text += chunk;
+
+      // Only the conversational part of the JSON answer is forwarded while generating
+      const partial = extractPartialStringField(text, 'response');
+
+      if (partial.length > streamedLength) {
+        sendEvent('token', { text: partial.slice(streamedLength) });
+        streamedLength = partial.length;
+      }
+    }
+
+    const chatResponse = await chatType.resolve(provider, params, text, requestOptions);
+
+    recordChatTurn(session, params, chatResponse);
+
+    sendEvent('result', { ...chatResponse, sessionId: session.id });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Chat stream cancelled by client');
+      return;
+    }
+
+    if (error.status === 400) {
+      sendEvent('error', { message: error.message });
+      return res.end();
+    }
+
+    console.error(`Error streaming from ${provider.name} provider:`, error);
+
+    captureException(error, {
+      api_endpoint: '/api/chat/stream',
+      user_prompt: prompt,
+      selected_elements: selectedElementIds,
+      diagram_length: diagramXML?.length || 0
+    });
+
+    sendEvent('error', { message: 'Error: Failed to get response from AI.' });
+  }
+
+  res.end();
+});
+
+/**
+ * Build the chat prompt text that asks for property values of one element
+ *
+ * @param {string} elementId - ID of the element to fill in
+ */
+function buildSuggestRequest(elementId) {
+  return `Suggest property values for <${elementId}>. Fill in the properties that are still empty and fit its type: documentation, the condition of a conditional sequence flow, assignee, candidate groups and form fields of a user task, form fields of a start event, and in diagrams made executable for Camunda 8 also job types, mappings, messages, timers and called processes. Derive them from the names, lanes and surrounding flow, express them as "updateProperties" operations for <${elementId}> only and explain your choices in "response".`;
+}
+
+/**
+ * Suggest properties for the selected element
+ *
+ * Uses the same context as /api/chat (session history, selection and lint
+ * findings) and only keeps updateProperties operations for the element.
+ */
+app.post('/api/suggest', requireProvider, validateDiagramRequest({ element: true }), limitUsage, async (req, res) => {
+  const { diagramXML, elementId } = req.body;
+
+  const prompt = buildSuggestRequest(elementId);
+  const requestOptions = { usage: req.usage };
+
+  try {
+    const { session, params } = await prepareChat({ ...req.body, type: 'diagram', selectedElementIds: [elementId], prompt, quickAction: null }, req.user, requestOptions);
+    const chatResponse = await completeChat(provider, params, requestOptions);
+
+    const operations = chatResponse.operations
+      .filter(operation => operation.type === 'updateProperties' && operation.elementId === elementId);
+
+    const result = {
+      ...chatResponse,
+      updatedDiagramXML: diagramXML,
+      changed: operations.length > 0,
+      operations,
+    };
+
+    recordChatTurn(session, params, result);
+
+    res.json({ ...result, sessionId: session.id });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error(`Error communicating with ${provider.name} provider:`, error);
+
+    captureException(error, {
+      api_endpoint: '/api/suggest',
+      selected_elements: [elementId],
+      diagram_length: diagramXML?.length || 0
+    });
+
+    res.status(500).json({
+      response: 'Error: Failed to get response from AI.',
+      updatedDiagramXML: diagramXML,
+      impactAnalysis: '',
+      changed: false,
+    });
+  }
+});
+
+/**
+ * Build the chat prompt text that asks to complete a diagram for Camunda 8
+ *
+ * @param {Array} findings - Findings of the completeness check
+ */
+function buildExecutableRequest(findings) {
+  const problems = findings.map(finding => `- ${finding.severity}: ${finding.message}`).join('\n');
+
+  return `Make this diagram executable on Camunda 8. Fill in what the engine needs with "updateProperties" operations: job types (taskType) of service, send, script and business rule tasks, FEEL conditions of the branches of gateways, input and output mappings of the variables workers need and produce, message names and correlation keys, timers, called process IDs, and assignees, candidate groups and form fields of user tasks. Derive the values from the names, lanes and documentation of the elements, use kebab-case job types such as "send-invoice", do not add, delete or rename elements and explain your choices in "response".${problems ? `\n\nThe completeness check found these problems:\n${problems}` : ''}`;
+}
+
+/**
+ * Make a diagram executable on Camunda 8
+ *
+ * Marks the processes as executable for Camunda 8, lets the model fill in
+ * task definitions, mappings, conditions and forms, applies its operations
+ * and checks the result again. The answer has the format of /api/chat with
+ * the completed diagram in updatedDiagramXML and the remaining findings of
+ * the completeness check in findings.
+ */
+app.post('/api/executable', requireProvider, validateDiagramRequest(), limitUsage, async (req, res) => {
+  const { diagramXML } = req.body;
+  const requestOptions = { usage: req.usage };
+  let executableXML;
+  let wasExecutable;
+
+  try {
+    wasExecutable = !(await checkExecutable(diagramXML)).some(({ rule }) => rule === 'execution-platform' || rule === 'executable-process');
+    executableXML = await makeExecutable(diagramXML);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not parse diagram: ${error.message.split('\n')[0]}` });
+  }
+
+  try {
+    const prompt = buildExecutableRequest(await checkExecutable(executableXML));
+    const { session, params } = await prepareChat({ ...req.body, type: 'diagram', diagramXML: executableXML, selectedElementIds: [], prompt, quickAction: null }, req.user, requestOptions);
+    const chatResponse = await completeChat(provider, params, requestOptions);
+
+    const updatedDiagramXML = chatResponse.operations.length
+      ? await applyOperations(executableXML, chatResponse.operations)
+      : chatResponse.updatedDiagramXML;
+
+    const result = {
+      ...chatResponse,
+      updatedDiagramXML,
+      // makeExecutable reformats the XML, so compare with its result rather than the request
+      changed: !wasExecutable || updatedDiagramXML !== executableXML,
+      operations: [],
+      findings: await checkExecutable(updatedDiagramXML),
+    };
+
+    recordChatTurn(session, params, result);
+
+    res.json({ ...result, sessionId: session.id });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error(`Error communicating with ${provider.name} provider:`, error);
+
+    captureException(error, {
+      api_endpoint: '/api/executable',
+      diagram_length: diagramXML.length
+    });
+
+    res.status(500).json({
+      response: 'Error: Failed to get response from AI.',
+      updatedDiagramXML: diagramXML,
+      impactAnalysis: '',
+      changed: false,
     });
   }
 });
 
+/**
+ * Generate the written procedure of a diagram
+ *
+ * Body: { diagramXML, format, title, instructions }, format is markdown
+ * (default), html or docx. The structure of the document is built from the
+ * model (see processDocument.js), the model writes the prose. Answers with
+ * the document as a file download.
+ */
+app.post('/api/documentation', requireProvider, validateDiagramRequest(), limitUsage, async (req, res) => {
+  const { diagramXML, title = null, instructions } = req.body;
+  const format = String(req.query.format || req.body.format || 'markdown').toLowerCase();
+
+  if (title !== null && (typeof title !== 'string' || !title.trim())) {
+    return res.status(400).json({ error: 'title must be a non-empty string' });
+  }
+
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: `Unsupported format "${format}". Use ${Object.keys(FORMATS).join(', ')}.` });
+  }
+
+  let structure;
+
+  try {
+    structure = await buildDocumentStructure(diagramXML);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not parse diagram: ${error.message.split('\n')[0]}` });
+  }
+
+  if (!structure.processes.length) {
+    return res.status(400).json({ error: 'The diagram has no process to document' });
+  }
+
+  if (title !== null) {
+    structure.title = title.trim();
+  }
+
+  try {
+    const template = await getTemplateText(req.user.workspace, 'documentation');
+    const processDocument = await generateProcessDocument(provider, { diagramXML, structure, instructions, template }, { usage: req.usage });
+    const { extension, contentType } = FORMATS[format];
+    const filename = structure.title.replace(/[^\w.-]+/g, '_');
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+    res.type(contentType);
+    res.send(await renderDocument(processDocument, format));
+  } catch (error) {
+    console.error(`Error generating documentation with ${provider.name} provider:`, error);
+
+    captureException(error, {
+      api_endpoint: '/api/documentation',
+      format,
+      diagram_length: diagramXML.length
+    });
+
+    res.status(500).json({ error: 'Failed to generate the documentation' });
+  }
+});
+
+// JSON schema of the model's answer to a generate request
+const GENERATE_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    response: { type: 'string', description: 'Short description of the process' },
+    processXML: { type: 'string', description: 'Complete BPMN XML of the process, without diagram interchange' },
+    trace: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          elementId: { type: 'string' },
+          sentenceIds: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['elementId', 'sentenceIds']
+      }
+    }
+  },
+  required: ['response', 'processXML']
+};
+
+/**
+ * Build the prompt for generating a new process from a text description
+ *
+ * @param {Object} params
+ * @param {string} params.description - Natural language description of the process
+ * @param {Array} [params.sourceSentences] - Numbered sentences of an uploaded source document
+ * @param {string} [params.template] - Text of the "generate" prompt template, the default if not given
+ * @param {Array} [params.validationErrors] - Errors of a previous attempt to feed back to the model
+ */
+function buildGeneratePrompt({ description, sourceSentences = [], template = DEFAULT_TEMPLATES.generate.text, validationErrors = [] }) {
+  const fullPrompt = renderTemplate(template, {
+    sourceInstructions: sourceSentences.length ? `
+8. The process is described in the source document below, split into numbered sentences.
+   Actors and roles become lanes, steps become tasks and decisions become gateways.
+   Add a 'trace' field listing for every element the IDs of the sentences it was derived from,
+   e.g. [{ "elementId": "Task_Review", "sentenceIds": ["S4", "S5"] }]. Only use sentence IDs from the list.
+` : '',
+    description,
+    sourceDocument: sourceSentences.length ? `
+Source Document:
+${sourceSentences.map(sentence => `[${sentence.id}] ${sentence.text}`).join('\n')}
+` : '',
+  });
+
+  if (!validationErrors.length) {
+    return fullPrompt;
+  }
+
+  return `${fullPrompt}
+
+**Validation Feedback:**
+Your previous response contained a process that failed validation with the following errors:
+${formatValidationErrors(validationErrors)}
+
+Return a corrected response that fixes every listed error.`;
+}
+
+/**
+ * Resolve the sentence IDs of the model's trace into the quoted sentences
+ *
+ * @param {Array} [trace] - Entries of { elementId, sentenceIds }, as returned by the model
+ * @param {Array} sourceSentences - Numbered sentences of the source document
+ * @param {string} diagramXML - Generated diagram, elements not in it are dropped
+ * @returns {Object} Element ID to [{ id, text }]
+ */
+function buildTraceability(trace, sourceSentences, diagramXML) {
+  const sentences = new Map(sourceSentences.map(sentence => [sentence.id, sentence]));
+  const traceability = {};
+
+  (trace || []).forEach(({ elementId, sentenceIds }) => {
+    const sources = sentenceIds
+      .map(sentenceId => sentences.get(sentenceId))
+      .filter(Boolean);
+
+    if (sources.length && diagramXML.includes(`id="${elementId}"`)) {
+      traceability[elementId] = sources;
+    }
+  });
+
+  return traceability;
+}
+
+/**
+ * Generate a complete diagram from a description, asking the model for
+ * corrections until the laid out result is valid or the retries are used up
+ *
+ * @param {Object} params
+ * @param {string} params.description - Natural language description of the process
+ * @param {Array} [params.sourceSentences] - Numbered sentences of an uploaded source document
+ * @param {string} [params.template] - Text of the "generate" prompt template, the default if not given
+ * @param {Object} [requestOptions] - Options passed to the model, e.g. an abort signal
+ * @returns {Promise<Object>} Response text, laid out diagram XML, traceability map and remaining validation errors
+ */
+async function generateDiagram({ description, sourceSentences = [], template }, requestOptions = {}) {
+  let validationErrors = [];
+  let llmResponse = {};
+  let diagramXML = null;
+
+  for (let attempt = 0; attempt <= VALIDATION_RETRIES; attempt++) {
+    const { value, errors } = await generateStructuredOutput(
+      provider,
+      buildGeneratePrompt({ description, sourceSentences, template, validationErrors }),
+      GENERATE_RESPONSE_SCHEMA,
+      requestOptions
+    );
+
+    llmResponse = value || {};
+    diagramXML = null;
+
+    if (errors.length) {
+      validationErrors = errors;
+      continue;
+    }
+
+    if (!llmResponse.processXML) {
+      validationErrors = [createError('EMPTY_DOCUMENT', "The response did not contain a 'processXML' field")];
+      continue;
+    }
+
+    try {
+      diagramXML = await layoutDiagram(llmResponse.processXML);
+      ({ errors: validationErrors } = await validateDiagramXML(diagramXML));
+    } catch (error) {
+      ({ errors: validationErrors } = await validateDiagramXML(llmResponse.processXML));
+    }
+
+    if (!validationErrors.length) {
+      break;
+    }
+
+    console.warn(`Generated diagram failed validation (attempt ${attempt + 1}):\n${formatValidationErrors(validationErrors)}`);
+  }
+
+  if (validationErrors.length) {
+    captureMessage('Generated diagram rejected after failed validation', 'warning', {
+      validation: { errors: validationErrors, attempts: VALIDATION_RETRIES + 1 }
+    });
+
+    return {
+      response: `${llmResponse.response || ''}\n\nThe generated diagram was rejected because it is not valid BPMN:\n${formatValidationErrors(validationErrors)}`.trim(),
+      updatedDiagramXML: null,
+      traceability: {},
+      validationErrors,
+    };
+  }
+
+  return {
+    response: llmResponse.response || 'The diagram was generated.',
+    updatedDiagramXML: diagramXML,
+    traceability: buildTraceability(llmResponse.trace, sourceSentences, diagramXML),
+    validationErrors: [],
+  };
+}
+
+/**
+ * Generate a new diagram from a natural language description
+ *
+ * The model only produces the semantic process; shapes and connections are
+ * positioned by the auto layout.
+ */
+app.post('/api/generate', requireProvider, limitUsage, async (req, res) => {
+  const { description } = req.body;
+
+  if (typeof description !== 'string' || !description.trim()) {
+    return res.status(400).json({ error: 'Request body must contain a description' });
+  }
+
+  try {
+    const template = await getTemplateText(req.user.workspace, 'generate');
+
+    res.json(await generateDiagram({ description, template }, { usage: req.usage }));
+  } catch (error) {
+    console.error(`Error generating diagram with ${provider.name} provider:`, error);
+
+    captureException(error, {
+      api_endpoint: '/api/generate',
+      description_length: description.length
+    });
+
+    res.status(500).json({ response: 'Error: Failed to generate diagram.', updatedDiagramXML: null });
+  }
+});
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.DOCUMENT_UPLOAD_LIMIT_MB || '10', 10) * 1024 * 1024 },
+});
+
+/**
+ * Check the uploaded document and split its text into req.sourceSentences
+ *
+ * Runs before limitUsage, so rejected uploads do not count against the limits.
+ */
+async function readUploadedDocument(req, res, next) {
+  const file = req.file;
+
+  if (!file || !isSupportedDocument(file.originalname)) {
+    return res.status(400).json({ error: `Upload a document of type ${SUPPORTED_EXTENSIONS.join(', ')} in the 'file' field` });
+  }
+
+  try {
+    req.sourceSentences = splitSentences(await extractDocumentText(file));
+  } catch (error) {
+    return res.status(400).json({ error: `Could not read the document: ${error.message.split('\n')[0]}` });
+  }
+
+  if (!req.sourceSentences.length) {
+    return res.status(400).json({ error: 'The document does not contain any text' });
+  }
+
+  next();
+}
+
+/**
+ * Generate a draft diagram from an uploaded SOP or meeting notes
+ *
+ * Expects multipart/form-data with a `file` field (Markdown, text or PDF)
+ * and an optional `instructions` field. The response additionally contains
+ * a traceability map from element IDs to the source sentences.
+ */
+app.post('/api/generate/document', requireProvider, upload.single('file'), readUploadedDocument, limitUsage, async (req, res) => {
+  const { file, sourceSentences } = req;
+
+  try {
+    const instructions = req.body?.instructions?.trim();
+    const description = `Model the process described in the source document "${file.originalname}".${instructions ? ` ${instructions}` : ''}`;
+
+    const template = await getTemplateText(req.user.workspace, 'generate');
+
+    res.json(await generateDiagram({ description, sourceSentences, template }, { usage: req.usage }));
+  } catch (error) {
+    console.error(`Error generating diagram from document with ${provider.name} provider:`, error);
+
+    captureException(error, {
+      api_endpoint: '/api/generate/document',
+      document_name: file.originalname,
+      document_size: file.size
+    });
+
+    res.status(500).json({ response: 'Error: Failed to generate diagram from the document.', updatedDiagramXML: null });
+  }
+});
+
+app.delete('/api/chat/sessions/:sessionId', (req, res) => {
+  if (!deleteSession(req.params.sessionId, req.user.id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.status(204).end();
+});
+
+app.use('/api/diagrams', diagramRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/lint', lintRoutes);
+app.use('/api/simulate', simulateRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/deploy', deployRoutes);
+
+// Rejected uploads are client errors, not server failures
+app.use((error, req, res, next) => {
+  if (!(error instanceof multer.MulterError)) {
+    return next(error);
+  }
+
+  res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+});
+
 // Sentry error handler (automatic in v8+ but keeping for compatibility)
 if (sentryEnabled) {
   app.use(sentryErrorHandler());
@@ -190,7 +850,7 @@ app.use((error, req, res, next) => {
   });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`🚀 Backend listening at http://localhost:${port}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   
@@ -199,4 +859,7 @@ app.listen(port, () => {
     port: port,
     environment: process.env.NODE_ENV || 'development'
   });
-});
\ No newline at end of file
+});
+
+// Real-time collaboration shares the HTTP port
+attachCollaboration(server);
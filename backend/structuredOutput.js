@@ -0,0 +1,209 @@
+/**
+ * Structured Model Output
+ *
+ * Answers of the model are JSON objects described by a JSON schema. The
+ * schema is passed to the provider, which enforces it where the API has a
+ * JSON mode (see providers/index.js), and every answer is checked against
+ * it here. Malformed answers are first repaired locally (code fences, text
+ * around the object, trailing commas); if that is not enough, the model is
+ * asked to correct its own answer.
+ *
+ * Schemas use the subset of JSON Schema that both Gemini and OpenAI accept:
+ * type, properties, required, items, enum and description.
+ */
+
+const { createError } = require('./bpmnValidator');
+
+// Number of times a malformed answer is sent back to the model for repair
+const FORMAT_RETRIES = parseInt(process.env.AI_FORMAT_RETRIES ?? '2', 10);
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+};
+
+/**
+ * Check a value against a schema
+ *
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - Location of the value, for messages
+ * @returns {Array<string>} Violations, empty if the value matches
+ */
+function checkSchema(value, schema, path = '$') {
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of ${schema.enum.join(', ')}`];
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.flatMap((item, index) => checkSchema(item, schema.items, `${path}[${index}]`));
+  }
+
+  if (schema.type === 'object') {
+    const missing = (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .map(name => `${path}.${name} is required`);
+
+    const invalid = Object.entries(schema.properties || {})
+      .filter(([name]) => value[name] !== undefined && value[name] !== null)
+      .flatMap(([name, propertySchema]) => checkSchema(value[name], propertySchema, `${path}.${name}`));
+
+    return [...missing, ...invalid];
+  }
+
+  return [];
+}
+
+/**
+ * Texts that may hold the JSON object, most likely first
+ *
+ * @param {string} text - Raw model output
+ */
+function getCandidates(text) {
+  const candidates = [text.trim()];
+
+  // Fenced code blocks, with or without a language tag
+  for (const match of text.matchAll(/```[a-zA-Z]*\r?\n([\s\S]*?)\r?\n?```/g)) {
+    candidates.push(match[1].trim());
+  }
+
+  // The outermost object, without explanations around it
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  return candidates;
+}
+
+function tryParse(candidate) {
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    try {
+      // Trailing commas are the most common slip
+      return { value: JSON.parse(candidate.replace(/,(\s*[}\]])/g, '$1')) };
+    } catch (retryError) {
+      return { error };
+    }
+  }
+}
+
+/**
+ * Parse a model answer and check it against a schema
+ *
+ * @param {string} text - Raw model output
+ * @param {Object} schema - JSON schema of the expected object
+ * @returns {{ value: Object|null, errors: Array }} The parsed object and the validation errors of the answer
+ */
+function parseStructuredOutput(text, schema) {
+  let firstError = null;
+  let invalid = null;
+
+  for (const candidate of getCandidates(text || '')) {
+    const { value, error } = tryParse(candidate);
+
+    if (error) {
+      firstError = firstError || error;
+      continue;
+    }
+
+    const violations = checkSchema(value, schema);
+
+    if (!violations.length) {
+      return { value, errors: [] };
+    }
+
+    invalid = invalid || { value, violations };
+  }
+
+  if (invalid) {
+    return {
+      value: null,
+      errors: invalid.violations.map(violation => createError('SCHEMA_MISMATCH', `The answer does not match the expected format: ${violation}`))
+    };
+  }
+
+  return {
+    value: null,
+    errors: [createError('INVALID_JSON', `The answer is not valid JSON${firstError ? `: ${firstError.message}` : ''}`)]
+  };
+}
+
+/**
+ * Build the prompt asking the model to correct a malformed answer
+ *
+ * @param {string} text - Malformed answer
+ * @param {Array} errors - Problems found in it
+ * @param {Object} schema - JSON schema of the expected object
+ */
+function buildRepairPrompt(text, errors, schema) {
+  return `Your previous answer could not be processed because it is not a JSON object in the required format.
+
+Problems:
+${errors.map(error => `- ${error.message}`).join('\n')}
+
+Required JSON schema:
+${JSON.stringify(schema, null, 2)}
+
+Previous answer:
+${text}
+
+Return the same answer as a single JSON object that matches the schema. Keep its content, only fix the format.
+Do not add explanations or code fences.`;
+}
+
+/**
+ * Parse a model answer, asking the model to repair it until it matches the
+ * schema or the retries are used up
+ *
+ * @param {Object} provider - LLM provider (see providers/index.js)
+ * @param {string} text - Raw model output
+ * @param {Object} schema - JSON schema of the expected object
+ * @param {Object} [requestOptions] - Options passed to the model
+ * @returns {Promise<{ value: Object|null, errors: Array }>}
+ */
+async function repairStructuredOutput(provider, text, schema, requestOptions = {}) {
+  let result = parseStructuredOutput(text, schema);
+
+  for (let attempt = 0; result.errors.length && attempt < FORMAT_RETRIES; attempt++) {
+    console.warn(`Model answer has an invalid format (attempt ${attempt + 1}):\n${result.errors.map(error => error.message).join('\n')}`);
+
+    text = await provider.generate(buildRepairPrompt(text, result.errors, schema), { ...requestOptions, schema });
+    result = parseStructuredOutput(text, schema);
+  }
+
+  return result;
+}
+
+/**
+ * Ask the model for a JSON object matching a schema
+ *
+ * @param {Object} provider - LLM provider (see providers/index.js)
+ * @param {string} prompt - Prompt describing the answer
+ * @param {Object} schema - JSON schema of the expected object
+ * @param {Object} [requestOptions] - Options passed to the model
+ * @returns {Promise<{ value: Object|null, errors: Array }>}
+ */
+async function generateStructuredOutput(provider, prompt, schema, requestOptions = {}) {
+  const text = await provider.generate(prompt, { ...requestOptions, schema });
+
+  return repairStructuredOutput(provider, text, schema, requestOptions);
+}
+
+module.exports = {
+  checkSchema,
+  parseStructuredOutput,
+  repairStructuredOutput,
+  generateStructuredOutput
+};
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BpmnModdle = require('bpmn-moddle');
+const { applyOperations } = require('../applyOperations');
+const { validateDiagramXML } = require('../bpmnValidator');
+
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+const moddle = new BpmnModdle();
+
+async function parse(xml) {
+  const { elementsById } = await moddle.fromXML(xml, 'bpmn:Definitions');
+
+  return elementsById;
+}
+
+describe('applyOperations', () => {
+  it('inserts a task into a flow and lays it out', async () => {
+    const xml = await applyOperations(ORDER_XML, [
+      { type: 'delete', elementId: 'F2' },
+      { type: 'addShape', id: 'Task_Ship', elementType: 'bpmn:ServiceTask', name: 'Ship', after: 'Task_A' },
+      { type: 'connect', id: 'Flow_Ship', sourceId: 'Task_A', targetId: 'Task_Ship' },
+      { type: 'connect', id: 'Flow_Done', sourceId: 'Task_Ship', targetId: 'End' },
+    ]);
+    const elements = await parse(xml);
+
+    assert.deepEqual(await validateDiagramXML(xml), { valid: true, errors: [] });
+    assert.equal(elements.F2, undefined);
+    assert.equal(elements.Task_Ship.$type, 'bpmn:ServiceTask');
+    assert.equal(elements.Flow_Ship.sourceRef.id, 'Task_A');
+    assert.equal(elements.Flow_Done.targetRef.id, 'End');
+    assert.deepEqual(elements.Task_Ship.incoming.map(flow => flow.id), ['Flow_Ship']);
+  });
+
+  it('renames elements and sets their properties', async () => {
+    const xml = await applyOperations(ORDER_XML, [
+      { type: 'rename', elementId: 'Task_A', name: 'Check order' },
+      { type: 'updateProperties', elementId: 'Task_A', properties: { documentation: 'Checks the order for completeness.' } },
+    ]);
+    const { Task_A } = await parse(xml);
+
+    assert.equal(Task_A.name, 'Check order');
+    assert.equal(Task_A.documentation[0].text, 'Checks the order for completeness.');
+  });
+
+  it('removes the connected flows of a deleted element', async () => {
+    const xml = await applyOperations(ORDER_XML, [{ type: 'delete', elementId: 'Task_A' }]);
+    const elements = await parse(xml);
+
+    assert.deepEqual(Object.keys(elements).filter(id => ['Task_A', 'F1', 'F2'].includes(id)), []);
+    assert.deepEqual(await validateDiagramXML(xml), { valid: true, errors: [] });
+  });
+
+  it('names the operation that cannot be applied', async () => {
+    await assert.rejects(
+      applyOperations(ORDER_XML, [
+        { type: 'rename', elementId: 'Task_A', name: 'Check order' },
+        { type: 'rename', elementId: 'Task_Missing', name: 'x' },
+      ]),
+      /^Error: Operation 1 \(rename\): /
+    );
+  });
+});
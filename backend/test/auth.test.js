@@ -0,0 +1,282 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The stores and limits read the environment when they load; each test file runs in its own process
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+process.env.LOGIN_FAILURES_PER_USER = '3';
+process.env.LOGIN_FAILURES_PER_IP = '6';
+
+const express = require('express');
+const userStore = require('../userStore');
+const authRoutes = require('../routes/auth');
+const diagramRoutes = require('../routes/diagrams');
+const { authenticate } = require('../auth');
+
+const PASSWORD = 'correct horse';
+const XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+let server;
+let baseUrl;
+
+/**
+ * Send a JSON request to the test server
+ *
+ * @returns {Promise<{ status: number, body: Object|null, headers: Headers }>}
+ */
+async function request(method, url, { token, body } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body && JSON.stringify(body),
+  });
+  const text = await response.text();
+
+  return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+}
+
+function login(username, password = PASSWORD) {
+  return request('POST', '/api/auth/login', { body: { username, password } });
+}
+
+/**
+ * Have the administrator create an account and sign in with it
+ */
+async function createAccount(username) {
+  const admin = (await login('admin')).body;
+  const { status } = await request('POST', '/api/auth/users', { token: admin.token, body: { username, password: PASSWORD } });
+
+  assert.equal(status, 201);
+  return (await login(username)).body;
+}
+
+before(async () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api', authenticate);
+  app.use('/api/diagrams', diagramRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('userStore', () => {
+  it('makes the first user an administrator', async () => {
+    const { user } = await userStore.createUser({ username: 'admin', password: PASSWORD });
+    const { user: other } = await userStore.createUser({ username: 'member', password: PASSWORD });
+
+    assert.equal(user.role, 'admin');
+    assert.equal(other.role, 'user');
+    assert.equal(other.workspace, 'default');
+    assert.equal(other.passwordHash, undefined);
+  });
+
+  it('rejects invalid and taken usernames and short passwords', async () => {
+    assert.match((await userStore.createUser({ username: 'a', password: PASSWORD })).error, /Usernames/);
+    assert.match((await userStore.createUser({ username: 'short-password', password: 'x' })).error, /Passwords/);
+    assert.match((await userStore.createUser({ username: 'MEMBER', password: PASSWORD })).error, /taken/);
+  });
+
+  it('creates only the first account when asked to', async () => {
+    const result = await userStore.createUser({ username: 'late', password: PASSWORD }, { firstOnly: true });
+
+    assert.equal(result.closed, true);
+    assert.match(result.error, /Registration is closed/);
+    assert.equal(await userStore.findUserByName('late'), null);
+  });
+
+  it('creates a user only once when registrations race', async () => {
+    const results = await Promise.all([1, 2, 3].map(() => userStore.createUser({ username: 'racer', password: PASSWORD })));
+
+    assert.equal(results.filter(result => result.user).length, 1);
+    assert.equal(results.filter(result => result.error === 'The username is taken').length, 2);
+  });
+
+  it('checks passwords', async () => {
+    assert.equal((await userStore.verifyPassword('Member', PASSWORD)).username, 'member');
+    assert.equal(await userStore.verifyPassword('member', 'wrong password'), null);
+    assert.equal(await userStore.verifyPassword('nobody', PASSWORD), null);
+  });
+
+  it('moves users to another workspace', async () => {
+    assert.equal((await userStore.setWorkspace('member', 'sales')).user.workspace, 'sales');
+    assert.match((await userStore.setWorkspace('member', 'Sales Team')).error, /Workspaces/);
+    assert.equal(await userStore.setWorkspace('nobody', 'sales'), null);
+  });
+
+  it('revokes tokens', async () => {
+    const { id: userId } = await userStore.findUserByName('member');
+    const { token, id } = await userStore.createToken(userId, { kind: 'api', name: 'ci' });
+
+    assert.equal((await userStore.authenticateToken(token)).user.username, 'member');
+    assert.equal(await userStore.revokeToken(userId, id), true);
+    assert.equal(await userStore.authenticateToken(token), null);
+  });
+});
+
+describe('authentication routes', () => {
+  it('rejects requests without a valid token', async () => {
+    assert.equal((await request('GET', '/api/diagrams')).status, 401);
+    assert.equal((await request('GET', '/api/diagrams', { token: 'invalid' })).status, 401);
+  });
+
+  it('signs in and out', async () => {
+    const { token } = (await login('member')).body;
+
+    assert.equal((await request('GET', '/api/auth/me', { token })).body.username, 'member');
+    assert.equal((await request('POST', '/api/auth/logout', { token })).status, 204);
+    assert.equal((await request('GET', '/api/auth/me', { token })).status, 401);
+  });
+
+  it('closes registration once the administrator exists', async () => {
+    const { status, body } = await request('POST', '/api/auth/register', { body: { username: 'newcomer', password: PASSWORD } });
+
+    assert.equal(status, 403);
+    assert.match(body.error, /Ask an administrator/);
+  });
+
+  it('lets only administrators create accounts', async () => {
+    const admin = (await login('admin')).body;
+    const member = (await login('member')).body;
+    const create = (token, username, password = PASSWORD) => request('POST', '/api/auth/users', { token, body: { username, password } });
+
+    assert.equal((await create(member.token, 'newcomer')).status, 403);
+
+    const { status, body } = await create(admin.token, 'newcomer');
+
+    assert.equal(status, 201);
+    assert.deepEqual([body.username, body.role, body.token], ['newcomer', 'user', undefined]);
+    assert.equal((await login('newcomer')).status, 200);
+    assert.match((await create(admin.token, 'newcomer')).body.error, /taken/);
+    assert.equal((await create(admin.token, 'weak', 'x')).status, 400);
+  });
+
+  it('lets only administrators move users to workspaces', async () => {
+    const admin = (await login('admin')).body;
+    const member = (await login('member')).body;
+    const move = (token, username, workspace) => request('PUT', `/api/auth/users/${username}/workspace`, { token, body: { workspace } });
+
+    assert.equal((await move(member.token, 'member', 'finance')).status, 403);
+    assert.equal((await move(admin.token, 'member', 'finance')).body.workspace, 'finance');
+    assert.equal((await move(admin.token, 'member', '../x')).status, 400);
+    assert.equal((await move(admin.token, 'nobody', 'finance')).status, 404);
+  });
+});
+
+describe('diagram permissions', () => {
+  let owner;
+  let reader;
+  let stranger;
+  let diagramId;
+
+  before(async () => {
+    owner = await createAccount('owner');
+    reader = await createAccount('reader');
+    stranger = await createAccount('stranger');
+
+    const { status, body } = await request('POST', '/api/diagrams', { token: owner.token, body: { name: 'Orders', xml: XML } });
+
+    assert.equal(status, 201);
+    assert.equal(body.permission, 'owner');
+    diagramId = body.id;
+  });
+
+  it('hides diagrams from users they are not shared with', async () => {
+    assert.equal((await request('GET', `/api/diagrams/${diagramId}`, { token: stranger.token })).status, 404);
+    assert.deepEqual((await request('GET', '/api/diagrams', { token: stranger.token })).body, []);
+  });
+
+  it('lets readers view but not edit', async () => {
+    const share = await request('PUT', `/api/diagrams/${diagramId}/shares/reader`, { token: owner.token, body: { permission: 'read' } });
+
+    assert.equal(share.status, 200);
+
+    const diagram = await request('GET', `/api/diagrams/${diagramId}`, { token: reader.token });
+
+    assert.equal(diagram.body.permission, 'read');
+    assert.equal(diagram.body.xml, XML);
+    assert.equal((await request('PUT', `/api/diagrams/${diagramId}`, { token: reader.token, body: { xml: XML } })).status, 403);
+  });
+
+  it('lets editors save versions but not share or delete', async () => {
+    await request('PUT', `/api/diagrams/${diagramId}/shares/reader`, { token: owner.token, body: { permission: 'edit' } });
+
+    const update = await request('PUT', `/api/diagrams/${diagramId}`, { token: reader.token, body: { xml: XML, message: 'Checked' } });
+
+    assert.equal(update.status, 200);
+    assert.equal(update.body.versionCount, 2);
+    assert.equal((await request('PUT', `/api/diagrams/${diagramId}/shares/stranger`, { token: reader.token, body: { permission: 'read' } })).status, 403);
+    assert.equal((await request('DELETE', `/api/diagrams/${diagramId}`, { token: reader.token })).status, 403);
+  });
+
+  it('lists and restores versions for editors and only lists them for readers', async () => {
+    const versions = await request('GET', `/api/diagrams/${diagramId}/versions`, { token: reader.token });
+
+    assert.deepEqual(versions.body.map(({ version, author, message }) => [version, author, message]), [
+      [2, 'reader', 'Checked'],
+      [1, 'owner', 'Created'],
+    ]);
+    assert.equal((await request('GET', `/api/diagrams/${diagramId}/versions/1`, { token: reader.token })).body.xml, XML);
+    assert.equal((await request('GET', `/api/diagrams/${diagramId}/versions/9`, { token: reader.token })).status, 404);
+
+    const restore = await request('POST', `/api/diagrams/${diagramId}/versions/1/restore`, { token: reader.token });
+
+    assert.equal(restore.status, 200);
+    assert.equal(restore.body.currentVersion, 3);
+
+    await request('PUT', `/api/diagrams/${diagramId}/shares/reader`, { token: owner.token, body: { permission: 'read' } });
+
+    assert.equal((await request('GET', `/api/diagrams/${diagramId}/versions`, { token: reader.token })).status, 200);
+    assert.equal((await request('POST', `/api/diagrams/${diagramId}/versions/1/restore`, { token: reader.token })).status, 403);
+    assert.equal((await request('GET', `/api/diagrams/${diagramId}/versions`, { token: stranger.token })).status, 404);
+  });
+
+  it('revokes shares', async () => {
+    await request('DELETE', `/api/diagrams/${diagramId}/shares/reader`, { token: owner.token });
+
+    assert.equal((await request('GET', `/api/diagrams/${diagramId}`, { token: reader.token })).status, 404);
+  });
+
+  it('lets the owner delete the diagram', async () => {
+    assert.equal((await request('DELETE', `/api/diagrams/${diagramId}`, { token: owner.token })).status, 204);
+    assert.equal((await request('GET', `/api/diagrams/${diagramId}`, { token: owner.token })).status, 404);
+  });
+});
+
+// Runs last: the failed sign-ins below block further sign-ins from this address
+describe('failed sign-ins', () => {
+  it('blocks a username after too many failures until the window passes', async () => {
+    assert.equal((await login('member', 'wrong password')).status, 401);
+    assert.equal((await login('member', 'wrong password')).status, 401);
+    assert.equal((await login('member')).status, 200);
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.equal((await login('Member', 'wrong password')).status, 401);
+    }
+
+    const blocked = await login('member');
+
+    assert.equal(blocked.status, 429);
+    assert.match(blocked.body.error, /Too many failed sign-ins/);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 800);
+    assert.equal((await login('admin')).status, 200);
+  });
+
+  it('blocks an address after too many failures for any username', async () => {
+    assert.equal((await login('nobody', 'wrong password')).status, 401);
+    assert.equal((await login('admin')).status, 429);
+  });
+});
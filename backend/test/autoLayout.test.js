@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BpmnModdle = require('bpmn-moddle');
+const { layoutDiagram, layoutMissingElements } = require('../autoLayout');
+
+const moddle = new BpmnModdle();
+
+// A generated process without DI: a review that branches and loops back
+const PROCESS = `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+  <bpmn:process id="Process_1" isExecutable="false">
+    <bpmn:startEvent id="Start" name="Claim in" />
+    <bpmn:task id="Review" name="Review claim" />
+    <bpmn:exclusiveGateway id="Split" name="Amount?" />
+    <bpmn:task id="Approve" name="Approve" />
+    <bpmn:task id="Escalate" name="Escalate" />
+    <bpmn:exclusiveGateway id="Join" />
+    <bpmn:exclusiveGateway id="Complete" name="Complete?" />
+    <bpmn:endEvent id="End" name="Claim settled" />
+    <bpmn:sequenceFlow id="F1" sourceRef="Start" targetRef="Review" />
+    <bpmn:sequenceFlow id="F2" sourceRef="Review" targetRef="Split" />
+    <bpmn:sequenceFlow id="F3" name="low" sourceRef="Split" targetRef="Approve" />
+    <bpmn:sequenceFlow id="F4" name="high" sourceRef="Split" targetRef="Escalate" />
+    <bpmn:sequenceFlow id="F5" sourceRef="Approve" targetRef="Join" />
+    <bpmn:sequenceFlow id="F6" sourceRef="Escalate" targetRef="Join" />
+    <bpmn:sequenceFlow id="F7" sourceRef="Join" targetRef="Complete" />
+    <bpmn:sequenceFlow id="F8" name="yes" sourceRef="Complete" targetRef="End" />
+    <bpmn:sequenceFlow id="F9" name="no" sourceRef="Complete" targetRef="Review" />
+  </bpmn:process>
+</bpmn:definitions>`;
+
+const NODE_IDS = ['Start', 'Review', 'Split', 'Approve', 'Escalate', 'Join', 'Complete', 'End'];
+const FLOW_IDS = ['F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9'];
+
+/**
+ * Shape bounds and edge waypoints of the first diagram, by element ID
+ */
+async function readDI(xml) {
+  const { rootElement } = await moddle.fromXML(xml, 'bpmn:Definitions');
+  const shapes = new Map();
+  const edges = new Map();
+
+  rootElement.diagrams[0].plane.planeElement.forEach(diElement => {
+    if (diElement.bounds) {
+      shapes.set(diElement.bpmnElement.id, diElement.bounds);
+    } else {
+      edges.set(diElement.bpmnElement.id, diElement.waypoint);
+    }
+  });
+
+  return { shapes, edges };
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Pairs of shapes that cover each other
+ */
+function findOverlaps(shapes) {
+  const entries = [...shapes];
+
+  return entries.flatMap(([id, bounds], index) => entries
+    .slice(index + 1)
+    .filter(([, other]) => overlaps(bounds, other))
+    .map(([otherId]) => `${id}/${otherId}`));
+}
+
+describe('layoutDiagram', () => {
+  it('draws every node and flow of a process with branches and a loop', async () => {
+    const { shapes, edges } = await readDI(await layoutDiagram(PROCESS));
+
+    assert.deepEqual([...shapes.keys()].sort(), [...NODE_IDS].sort());
+    assert.deepEqual([...edges.keys()].sort(), [...FLOW_IDS].sort());
+    edges.forEach((waypoints, id) => assert.ok(waypoints.length >= 2, `${id} has waypoints`));
+  });
+
+  it('places no shape on top of another', async () => {
+    const { shapes } = await readDI(await layoutDiagram(PROCESS));
+
+    assert.deepEqual(findOverlaps(shapes), []);
+  });
+
+  it('lays out left to right and puts branches in separate rows', async () => {
+    const { shapes } = await readDI(await layoutDiagram(PROCESS));
+    const x = id => shapes.get(id).x;
+
+    assert.ok(x('Start') < x('Review') && x('Review') < x('Split') && x('Split') < x('Approve'));
+    assert.ok(x('Join') < x('Complete') && x('Complete') < x('End'));
+    assert.equal(x('Approve'), x('Escalate'));
+    assert.notEqual(shapes.get('Approve').y, shapes.get('Escalate').y);
+  });
+});
+
+describe('layoutMissingElements', () => {
+  it('keeps existing positions and places new elements on free space', async () => {
+    const laidOut = await layoutDiagram(PROCESS);
+    const before = await readDI(laidOut);
+    const extended = laidOut
+      .replace('<bpmn:endEvent id="End"', '<bpmn:task id="Notify" name="Notify customer" /><bpmn:endEvent id="End"')
+      .replace('sourceRef="Complete" targetRef="End"', 'sourceRef="Complete" targetRef="Notify"')
+      .replace('</bpmn:process>', '<bpmn:sequenceFlow id="F10" sourceRef="Notify" targetRef="End" /></bpmn:process>');
+    const { shapes, edges } = await readDI(await layoutMissingElements(extended));
+
+    before.shapes.forEach((bounds, id) => assert.deepEqual(
+      { x: shapes.get(id).x, y: shapes.get(id).y },
+      { x: bounds.x, y: bounds.y }
+    ));
+    assert.ok(shapes.has('Notify'));
+    assert.ok(edges.has('F10'));
+    assert.deepEqual(findOverlaps(shapes), []);
+  });
+
+  it('returns diagrams without missing elements unchanged', async () => {
+    const laidOut = await layoutDiagram(PROCESS);
+
+    assert.equal(await layoutMissingElements(laidOut), laidOut);
+  });
+});
@@ -0,0 +1,223 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { RULES, lintDiagramXML, formatLintFindings } = require('../bpmnLint');
+const lintRoutes = require('../routes/lint');
+
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+/**
+ * BPMN XML of a single process
+ *
+ * @param {Array<string>} nodes - "type:id" per flow node, e.g. "parallelGateway:Split"
+ * @param {Array<string>} flows - "source->target" or "source->target:label" per sequence flow
+ */
+function processXML(nodes, flows) {
+  const nodeXML = nodes.map(node => {
+    const [type, id] = node.split(':');
+    return `<bpmn:${type} id="${id}" />`;
+  });
+  const flowXML = flows.map((flow, index) => {
+    const [, source, target, name] = flow.match(/^(\w+)->(\w+)(?::(.*))?$/);
+    return `<bpmn:sequenceFlow id="Flow_${index + 1}" sourceRef="${source}" targetRef="${target}"${name ? ` name="${name}"` : ''} />`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+  <bpmn:process id="Process_1">
+    ${[...nodeXML, ...flowXML].join('\n    ')}
+  </bpmn:process>
+</bpmn:definitions>`;
+}
+
+/**
+ * Lint XML with a single rule enabled and return "elementId" per finding
+ */
+async function lintRule(rule, xml) {
+  const overrides = Object.fromEntries(Object.keys(RULES).map(name => [name, name === rule ? 'error' : 'off']));
+
+  return (await lintDiagramXML(xml, overrides)).map(finding => finding.elementId);
+}
+
+describe('lintDiagramXML', () => {
+  it('finds nothing in a correct process', async () => {
+    assert.deepEqual(await lintDiagramXML(ORDER_XML), []);
+  });
+
+  it('reports nodes that cannot be reached from a start event', async () => {
+    const xml = processXML(['startEvent:Start', 'task:A', 'task:Orphan', 'endEvent:End'], ['Start->A', 'A->End', 'Orphan->End']);
+
+    assert.deepEqual(await lintRule('unreachable-node', xml), ['Orphan']);
+  });
+
+  it('reports gateways that neither split nor join', async () => {
+    const xml = processXML(['startEvent:Start', 'exclusiveGateway:Gateway', 'endEvent:End'], ['Start->Gateway', 'Gateway->End']);
+
+    assert.deepEqual(await lintRule('single-outgoing-gateway', xml), ['Gateway']);
+  });
+
+  it('reports processes without an end event', async () => {
+    const xml = processXML(['startEvent:Start', 'task:A'], ['Start->A']);
+
+    assert.deepEqual(await lintRule('missing-end-event', xml), ['Process_1']);
+  });
+
+  it('reports conditional flows without a label, except the default flow', async () => {
+    const xml = processXML(
+      ['startEvent:Start', 'exclusiveGateway:Split', 'task:A', 'task:B', 'endEvent:End'],
+      ['Start->Split', 'Split->A:yes', 'Split->B', 'A->End', 'B->End']
+    );
+
+    assert.deepEqual(await lintRule('unlabeled-conditional-flow', xml), ['Flow_3']);
+    assert.deepEqual(await lintRule('unlabeled-conditional-flow', xml.replace('<bpmn:exclusiveGateway id="Split"', '<bpmn:exclusiveGateway id="Split" default="Flow_3"')), []);
+  });
+
+  it('reports activities that split the flow without a gateway', async () => {
+    const xml = processXML(
+      ['startEvent:Start', 'task:A', 'task:B', 'task:C', 'endEvent:End'],
+      ['Start->A', 'A->B', 'A->C', 'B->End', 'C->End']
+    );
+
+    assert.deepEqual(await lintRule('implicit-split', xml), ['A']);
+  });
+
+  it('reports a parallel join of exclusive branches as a deadlock', async () => {
+    const xml = processXML(
+      ['startEvent:Start', 'exclusiveGateway:Split', 'task:A', 'task:B', 'parallelGateway:Join', 'endEvent:End'],
+      ['Start->Split', 'Split->A:yes', 'Split->B:no', 'A->Join', 'B->Join', 'Join->End']
+    );
+    const findings = await lintDiagramXML(xml);
+
+    assert.deepEqual(findings.map(({ rule, severity, elementId }) => [rule, severity, elementId]), [['deadlock-join', 'error', 'Join']]);
+    assert.match(findings[0].message, /only activates one of them; the process deadlocks/);
+  });
+
+  it('reports an exclusive join of parallel branches', async () => {
+    const xml = processXML(
+      ['startEvent:Start', 'parallelGateway:Split', 'task:A', 'task:B', 'exclusiveGateway:Join', 'endEvent:End'],
+      ['Start->Split', 'Split->A', 'Split->B', 'A->Join', 'B->Join', 'Join->End']
+    );
+
+    assert.deepEqual(await lintRule('deadlock-join', xml), ['Join']);
+  });
+
+  it('accepts joins that match their split', async () => {
+    const xml = processXML(
+      ['startEvent:Start', 'parallelGateway:Split', 'task:A', 'task:B', 'parallelGateway:Join', 'endEvent:End'],
+      ['Start->Split', 'Split->A', 'Split->B', 'A->Join', 'B->Join', 'Join->End']
+    );
+
+    assert.deepEqual(await lintDiagramXML(xml), []);
+  });
+
+  it('accepts exclusive blocks nested in parallel branches and the other way round', async () => {
+    const exclusiveInParallel = processXML(
+      ['startEvent:Start', 'parallelGateway:Split', 'exclusiveGateway:Choice', 'task:A', 'task:B', 'exclusiveGateway:Merge', 'task:C', 'parallelGateway:Join', 'endEvent:End'],
+      ['Start->Split', 'Split->Choice', 'Split->C', 'Choice->A:yes', 'Choice->B:no', 'A->Merge', 'B->Merge', 'Merge->Join', 'C->Join', 'Join->End']
+    );
+    const parallelInExclusive = processXML(
+      ['startEvent:Start', 'exclusiveGateway:Choice', 'parallelGateway:Split', 'task:A', 'task:B', 'parallelGateway:Join', 'task:C', 'exclusiveGateway:Merge', 'endEvent:End'],
+      ['Start->Choice', 'Choice->Split:yes', 'Choice->C:no', 'Split->A', 'Split->B', 'A->Join', 'B->Join', 'Join->Merge', 'C->Merge', 'Merge->End']
+    );
+
+    assert.deepEqual(await lintRule('deadlock-join', exclusiveInParallel), []);
+    assert.deepEqual(await lintRule('deadlock-join', parallelInExclusive), []);
+  });
+
+  it('reports exclusive branches inside a parallel block that are not merged first', async () => {
+    const xml = processXML(
+      ['startEvent:Start', 'parallelGateway:Split', 'exclusiveGateway:Choice', 'task:A', 'task:B', 'task:C', 'parallelGateway:Join', 'endEvent:End'],
+      ['Start->Split', 'Split->Choice', 'Split->C', 'Choice->A:yes', 'Choice->B:no', 'A->Join', 'B->Join', 'C->Join', 'Join->End']
+    );
+
+    assert.deepEqual(await lintRule('deadlock-join', xml), ['Join']);
+  });
+
+  it('reports a deadlocking inner join once, not again at the outer join', async () => {
+    const xml = processXML(
+      ['startEvent:Start', 'parallelGateway:Split', 'exclusiveGateway:Choice', 'task:A', 'task:B', 'parallelGateway:Inner', 'task:C', 'parallelGateway:Join', 'endEvent:End'],
+      ['Start->Split', 'Split->Choice', 'Split->C', 'Choice->A:yes', 'Choice->B:no', 'A->Inner', 'B->Inner', 'Inner->Join', 'C->Join', 'Join->End']
+    );
+
+    assert.deepEqual(await lintRule('deadlock-join', xml), ['Inner']);
+  });
+
+  it('applies severity overrides and turns rules off', async () => {
+    const xml = processXML(['startEvent:Start', 'task:A'], ['Start->A']);
+
+    assert.deepEqual((await lintDiagramXML(xml, { 'missing-end-event': 'warning' })).map(finding => finding.severity), ['warning']);
+    assert.deepEqual(await lintDiagramXML(xml, { 'missing-end-event': 'off' }), []);
+  });
+
+  it('formats findings for prompts', () => {
+    assert.equal(
+      formatLintFindings([{ rule: 'missing-end-event', severity: 'error', elementId: 'Process_1', message: 'No end' }]),
+      '- [error] missing-end-event at Process_1: No end'
+    );
+  });
+});
+
+describe('lint routes', () => {
+  let server;
+  let baseUrl;
+
+  const lint = async (body) => {
+    const response = await fetch(`${baseUrl}/api/lint`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    const app = express();
+
+    app.use(express.json());
+    app.use('/api/lint', lintRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('lists the rules with their severity', async () => {
+    const rules = await (await fetch(`${baseUrl}/api/lint/rules`)).json();
+
+    assert.deepEqual(rules.map(rule => rule.name), Object.keys(RULES));
+    assert.ok(rules.every(rule => rule.description && rule.severity));
+  });
+
+  it('lints a diagram with the overridden severities', async () => {
+    const xml = processXML(['startEvent:Start', 'task:A'], ['Start->A']);
+    const { status, body } = await lint({ diagramXML: xml, rules: { 'missing-end-event': 'warning' } });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.findings.map(finding => [finding.rule, finding.severity]), [['missing-end-event', 'warning']]);
+  });
+
+  it('rejects missing diagrams and invalid rule overrides', async () => {
+    assert.equal((await lint({})).status, 400);
+    assert.match((await lint({ diagramXML: ORDER_XML, rules: { unknown: 'error' } })).body.error, /Invalid rule override "unknown"/);
+    assert.match((await lint({ diagramXML: ORDER_XML, rules: { 'missing-end-event': 'loud' } })).body.error, /Invalid rule override/);
+
+    for (const rules of [null, 'off', ['missing-end-event']]) {
+      const { status, body } = await lint({ diagramXML: ORDER_XML, rules });
+
+      assert.equal(status, 400, JSON.stringify(rules));
+      assert.match(body.error, /rules must be an object/);
+    }
+  });
+
+  it('rejects XML that cannot be parsed', async () => {
+    const { status, body } = await lint({ diagramXML: '<definitions' });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Could not parse diagram/);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateDiagramXML, formatValidationErrors, createError } = require('../bpmnValidator');
+
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+const codes = (result) => result.errors.map(error => error.code);
+
+describe('validateDiagramXML', () => {
+  it('accepts a complete diagram', async () => {
+    assert.deepEqual(await validateDiagramXML(ORDER_XML), { valid: true, errors: [] });
+  });
+
+  it('rejects empty documents', async () => {
+    assert.deepEqual(codes(await validateDiagramXML('  ')), ['EMPTY_DOCUMENT']);
+    assert.deepEqual(codes(await validateDiagramXML(undefined)), ['EMPTY_DOCUMENT']);
+  });
+
+  it('rejects XML that cannot be parsed', async () => {
+    const result = await validateDiagramXML('<bpmn:definitions');
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(codes(result), ['XML_PARSE_ERROR']);
+  });
+
+  it('reports references to unknown elements', async () => {
+    const result = await validateDiagramXML(ORDER_XML.replace('targetRef="End"', 'targetRef="Missing"'));
+
+    assert.ok(result.errors.some(error => error.code === 'UNRESOLVED_REFERENCE' && error.message.includes('<Missing>')));
+    assert.ok(codes(result).includes('MISSING_TARGET_REF'));
+  });
+
+  it('reports duplicate IDs', async () => {
+    const result = await validateDiagramXML(ORDER_XML.replace('id="End"', 'id="Start"'));
+
+    assert.ok(codes(result).includes('DUPLICATE_ID'));
+  });
+
+  it('reports elements without diagram interchange', async () => {
+    const xml = ORDER_XML.replace(/<bpmndi:BPMNEdge id="F2_di"[\s\S]*?<\/bpmndi:BPMNEdge>/, '');
+    const result = await validateDiagramXML(xml);
+
+    assert.deepEqual(result.errors, [createError('MISSING_DI_ELEMENT', 'bpmn:SequenceFlow has no BPMNShape or BPMNEdge', 'F2')]);
+  });
+
+  it('reports documents without a diagram', async () => {
+    const xml = ORDER_XML.replace(/<bpmndi:BPMNDiagram[\s\S]*<\/bpmndi:BPMNDiagram>/, '');
+
+    assert.deepEqual(codes(await validateDiagramXML(xml)), ['MISSING_DI']);
+  });
+
+  it('reports shapes without bounds and edges without waypoints', async () => {
+    const xml = ORDER_XML
+      .replace('<dc:Bounds x="225" y="70" width="100" height="80" />', '')
+      .replace('<di:waypoint x="143" y="110" />', '');
+    const result = await validateDiagramXML(xml);
+
+    assert.deepEqual(result.errors.map(({ code, elementId }) => [code, elementId]), [
+      ['MISSING_BOUNDS', 'Task_A'],
+      ['MISSING_WAYPOINTS', 'F1'],
+    ]);
+  });
+});
+
+describe('formatValidationErrors', () => {
+  it('lists the errors with their code and element', () => {
+    const text = formatValidationErrors([
+      createError('MISSING_DI', 'Document has no bpmndi:BPMNDiagram section'),
+      createError('MISSING_BOUNDS', 'BPMNShape has no dc:Bounds', 'Task_A'),
+    ]);
+
+    assert.equal(text, '- [MISSING_DI] Document has no bpmndi:BPMNDiagram section\n- [MISSING_BOUNDS] Task_A: BPMNShape has no dc:Bounds');
+  });
+});
@@ -0,0 +1,281 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The stores read DATA_DIR when they load; each test file runs in its own process
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'collaboration-'));
+
+const { WebSocket } = require('ws');
+const userStore = require('../userStore');
+const diagramStore = require('../diagramStore');
+const { attachCollaboration } = require('../collaboration');
+
+const BASE = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+let server;
+let baseUrl;
+const users = {};
+
+function rename(xml, id, name) {
+  return xml.replace(new RegExp(`(id="${id}" name=")[^"]*"`), `$1${name}"`);
+}
+
+/**
+ * Connect to the collaboration endpoint as a user and join a room
+ *
+ * @returns {Promise<Object>} Client with the welcome message, `send`, `next(type)` and `close`
+ */
+async function connect(username, room) {
+  const socket = new WebSocket(`${baseUrl}/collab?token=${users[username].token}`);
+  const received = [];
+  const waiting = [];
+
+  socket.on('message', data => {
+    const message = JSON.parse(data);
+    const index = waiting.findIndex(({ type }) => type === message.type);
+
+    if (index === -1) {
+      received.push(message);
+    } else {
+      waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+
+  const client = {
+    socket,
+    send: message => socket.send(JSON.stringify(message)),
+    next: type => {
+      const index = received.findIndex(message => message.type === type);
+
+      return index === -1
+        ? new Promise(resolve => waiting.push({ type, resolve }))
+        : Promise.resolve(received.splice(index, 1)[0]);
+    },
+    close: () => new Promise(resolve => {
+      socket.once('close', resolve);
+      socket.close();
+    }),
+  };
+
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  client.send({ type: 'join', room });
+  client.welcome = await client.next('welcome');
+
+  return client;
+}
+
+/**
+ * Wait until the server closed the room and saved its diagram
+ */
+async function waitForVersions(id, count) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const versions = await diagramStore.listVersions(id);
+
+    if (versions.length >= count) {
+      return versions;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  return diagramStore.listVersions(id);
+}
+
+before(async () => {
+  for (const username of ['ann', 'bob', 'carol']) {
+    const { user } = await userStore.createUser({ username, password: 'correct horse' });
+    const { token } = await userStore.createToken(user.id, { kind: 'session' });
+
+    users[username] = { ...user, token };
+  }
+
+  server = http.createServer();
+  attachCollaboration(server);
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `ws://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Saved diagram of ann, shared with bob for editing and with carol for reading
+ */
+async function createSharedDiagram() {
+  const { id } = await diagramStore.createDiagram({ name: 'Orders', xml: BASE, author: 'ann', owner: users.ann });
+
+  await diagramStore.shareDiagram(id, users.bob, 'edit');
+  await diagramStore.shareDiagram(id, users.carol, 'read');
+
+  return id;
+}
+
+describe('collaboration', () => {
+  it('starts a room from the saved diagram and sequences changes', async () => {
+    const id = await createSharedDiagram();
+    const ann = await connect('ann', id);
+    const bob = await connect('bob', id);
+
+    assert.equal(ann.welcome.seq, 0);
+    assert.equal(ann.welcome.xml, BASE);
+    assert.equal(ann.welcome.permission, 'owner');
+    assert.deepEqual(bob.welcome.peers.map(peer => peer.user.name), ['ann']);
+
+    const first = rename(BASE, 'Task_A', 'Check order');
+
+    ann.send({ type: 'change', baseSeq: 0, xml: first, summary: 'Renamed' });
+    assert.deepEqual(await ann.next('ack'), { type: 'ack', seq: 1 });
+    assert.deepEqual(await bob.next('change'), { type: 'change', seq: 1, xml: first, author: { name: 'ann' }, source: 'user', summary: 'Renamed' });
+
+    const second = rename(first, 'End', 'Shipped');
+
+    bob.send({ type: 'change', baseSeq: 1, xml: second });
+    assert.equal((await bob.next('ack')).seq, 2);
+    assert.equal((await ann.next('change')).xml, second);
+
+    await Promise.all([ann.close(), bob.close()]);
+  });
+
+  it('merges a change made against an older version', async () => {
+    const id = await createSharedDiagram();
+    const ann = await connect('ann', id);
+    const bob = await connect('bob', id);
+
+    ann.send({ type: 'change', baseSeq: 0, xml: rename(BASE, 'Task_A', 'Check order') });
+    await ann.next('ack');
+
+    // Bob has not seen ann's change yet
+    bob.send({ type: 'change', baseSeq: 0, xml: rename(BASE, 'End', 'Shipped') });
+
+    const ack = await bob.next('ack');
+
+    assert.equal(ack.seq, 2);
+    assert.match(ack.xml, /name="Check order"/);
+    assert.match(ack.xml, /name="Shipped"/);
+    assert.equal((await ann.next('change')).xml, ack.xml);
+
+    await Promise.all([ann.close(), bob.close()]);
+  });
+
+  it('rebases a change on the diagram the client last submitted', async () => {
+    const id = await createSharedDiagram();
+    const ann = await connect('ann', id);
+    const bob = await connect('bob', id);
+    const bobFirst = rename(BASE, 'End', 'Shipped');
+
+    ann.send({ type: 'change', baseSeq: 0, xml: rename(BASE, 'Task_A', 'Check order') });
+    await ann.next('ack');
+    bob.send({ type: 'change', baseSeq: 0, xml: bobFirst });
+    await bob.next('ack');
+
+    // Bob kept editing his own diagram before the merged one arrived
+    bob.send({ type: 'change', rebase: true, xml: rename(bobFirst, 'Start', 'Order received') });
+
+    const ack = await bob.next('ack');
+
+    assert.equal(ack.seq, 3);
+    assert.match(ack.xml, /name="Check order"/);
+    assert.match(ack.xml, /name="Shipped"/);
+    assert.match(ack.xml, /name="Order received"/);
+
+    await Promise.all([ann.close(), bob.close()]);
+  });
+
+  it('rejects changes based on versions it no longer has and empty changes', async () => {
+    const id = await createSharedDiagram();
+    const ann = await connect('ann', id);
+
+    ann.send({ type: 'change', baseSeq: 7, xml: BASE });
+    assert.match((await ann.next('reject')).reason, /no longer available/);
+
+    ann.send({ type: 'change', baseSeq: 0, xml: ' ' });
+    assert.match((await ann.next('reject')).reason, /contains no diagram/);
+
+    await ann.close();
+  });
+
+  it('rejects changes of users who can only view the diagram', async () => {
+    const id = await createSharedDiagram();
+    const carol = await connect('carol', id);
+
+    assert.equal(carol.welcome.permission, 'read');
+
+    carol.send({ type: 'change', baseSeq: 0, xml: rename(BASE, 'Task_A', 'Mine') });
+
+    const reject = await carol.next('reject');
+
+    assert.equal(reject.reason, 'You can only view this diagram');
+    assert.equal(reject.xml, BASE);
+
+    await carol.close();
+  });
+
+  it('checks the permission again for every change', async () => {
+    const id = await createSharedDiagram();
+    const ann = await connect('ann', id);
+    const bob = await connect('bob', id);
+
+    await diagramStore.shareDiagram(id, users.bob, 'read');
+    bob.send({ type: 'change', baseSeq: 0, xml: rename(BASE, 'Task_A', 'Check order') });
+    assert.equal((await bob.next('reject')).reason, 'You can only view this diagram');
+
+    const closed = new Promise(resolve => bob.socket.once('close', resolve));
+
+    await diagramStore.shareDiagram(id, users.bob, null);
+    bob.send({ type: 'change', baseSeq: 0, xml: rename(BASE, 'Task_A', 'Check order') });
+    assert.equal(await closed, 4403);
+    assert.equal((await ann.next('leave')).clientId, bob.welcome.clientId);
+
+    await ann.close();
+  });
+
+  it('saves the diagram as a new version when the last client leaves', async () => {
+    const id = await createSharedDiagram();
+    const ann = await connect('ann', id);
+    const bob = await connect('bob', id);
+    const edited = rename(BASE, 'Task_A', 'Check order');
+
+    bob.send({ type: 'change', baseSeq: 0, xml: edited });
+    await bob.next('ack');
+
+    await bob.close();
+    assert.equal((await diagramStore.listVersions(id)).length, 1);
+    await ann.close();
+
+    const [latest] = await waitForVersions(id, 2);
+
+    assert.deepEqual([latest.version, latest.author, latest.message], [2, 'bob', 'Edited together']);
+    assert.equal((await diagramStore.getDiagram(id)).xml, edited);
+
+    // A new room starts from the saved version, and leaving it unchanged saves nothing
+    const carol = await connect('carol', id);
+
+    assert.equal(carol.welcome.seq, 0);
+    assert.equal(carol.welcome.xml, edited);
+    await carol.close();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal((await diagramStore.listVersions(id)).length, 2);
+  });
+
+  it('refuses unknown diagrams and connections without a valid token', async () => {
+    const ann = new WebSocket(`${baseUrl}/collab?token=${users.ann.token}`);
+
+    await new Promise(resolve => ann.once('open', resolve));
+    ann.send(JSON.stringify({ type: 'join', room: 'missing' }));
+    assert.equal(await new Promise(resolve => ann.once('close', resolve)), 4404);
+
+    const anonymous = new WebSocket(`${baseUrl}/collab?token=invalid`);
+    const error = await new Promise(resolve => anonymous.once('error', resolve));
+
+    assert.match(error.message, /401/);
+  });
+});
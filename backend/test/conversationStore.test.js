@@ -0,0 +1,110 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the module loads; each test file runs in its own process
+process.env.CHAT_SESSION_TTL_MINUTES = '10';
+
+const { getSession, deleteSession, appendTurn, buildHistoryContext, estimateTokens } = require('../conversationStore');
+
+const realNow = Date.now;
+
+// A turn of 40 characters is estimated at 10 tokens
+const turn = (letter) => letter.repeat(40);
+
+describe('conversation sessions', () => {
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('returns the same session for its ID', () => {
+    const session = getSession(undefined, 'ann');
+
+    assert.equal(getSession(session.id, 'ann'), session);
+    assert.notEqual(getSession('unknown', 'ann').id, 'unknown');
+  });
+
+  it('starts a new session once the old one expired', () => {
+    const session = getSession(undefined, 'ann');
+    const start = realNow();
+
+    Date.now = () => start + 9 * 60 * 1000;
+    assert.equal(getSession(session.id, 'ann'), session);
+
+    Date.now = () => start + 20 * 60 * 1000;
+    assert.notEqual(getSession(session.id, 'ann').id, session.id);
+  });
+
+  it('keeps sessions of other users apart', () => {
+    const session = getSession(undefined, 'ann');
+
+    assert.notEqual(getSession(session.id, 'bob').id, session.id);
+    assert.equal(deleteSession(session.id, 'bob'), false);
+    assert.equal(deleteSession(session.id, 'ann'), true);
+    assert.notEqual(getSession(session.id, 'ann').id, session.id);
+  });
+});
+
+describe('buildHistoryContext', () => {
+  const noSummary = () => assert.fail('summarize must not be called');
+
+  it('is empty for a new session', async () => {
+    assert.equal(await buildHistoryContext(getSession(undefined, 'ann'), noSummary), '');
+  });
+
+  it('keeps all turns that fit the budget', async () => {
+    const session = getSession(undefined, 'ann');
+
+    appendTurn(session, 'user', 'Add a task');
+    appendTurn(session, 'assistant', 'Added "Check order".');
+
+    assert.equal(await buildHistoryContext(session, noSummary, 100), 'Recent turns:\nUser: Add a task\nAssistant: Added "Check order".');
+  });
+
+  it('summarizes the oldest turns once the budget is exceeded', async () => {
+    const session = getSession(undefined, 'ann');
+    const calls = [];
+
+    ['a', 'b', 'c', 'd'].forEach((letter, index) => appendTurn(session, index % 2 ? 'assistant' : 'user', turn(letter)));
+    assert.equal(estimateTokens(turn('a')), 10);
+
+    const context = await buildHistoryContext(session, async (previousSummary, transcript) => {
+      calls.push([previousSummary, transcript]);
+      return 'Summary 1';
+    }, 25);
+
+    assert.deepEqual(calls, [['', `User: ${turn('a')}\nAssistant: ${turn('b')}`]]);
+    assert.deepEqual(session.turns.map(({ text }) => text), [turn('c'), turn('d')]);
+    assert.equal(context, `Summary of earlier conversation:\nSummary 1\n\nRecent turns:\nUser: ${turn('c')}\nAssistant: ${turn('d')}`);
+  });
+
+  it('counts the summary against the budget and extends it', async () => {
+    const session = getSession(undefined, 'ann');
+    let previous;
+
+    session.summary = turn('s');
+    appendTurn(session, 'user', turn('a'));
+    appendTurn(session, 'assistant', turn('b'));
+
+    await buildHistoryContext(session, async (previousSummary) => {
+      previous = previousSummary;
+      return 'Summary 2';
+    }, 25);
+
+    assert.equal(previous, turn('s'));
+    assert.equal(session.summary, 'Summary 2');
+    assert.deepEqual(session.turns.map(({ text }) => text), [turn('b')]);
+  });
+
+  it('keeps the turns for a later attempt if summarizing fails', async (t) => {
+    const session = getSession(undefined, 'ann');
+
+    t.mock.method(console, 'error', () => {});
+    ['a', 'b', 'c'].forEach(letter => appendTurn(session, 'user', turn(letter)));
+
+    const context = await buildHistoryContext(session, async () => { throw new Error('Provider down'); }, 25);
+
+    assert.equal(session.turns.length, 3);
+    assert.equal(session.summary, '');
+    assert.equal(context, `Recent turns:\nUser: ${turn('b')}\nUser: ${turn('c')}`);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+const DMN = '<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" id="Decisions" />';
+
+// Fake Camunda 8 engine; each test sets how it answers the next deployment
+const deployments = [];
+let answer;
+
+const engine = http.createServer((req, res) => {
+  let body = '';
+
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    deployments.push({ method: req.method, url: req.url, contentType: req.headers['content-type'], body });
+    res.writeHead(answer.status, { 'Content-Type': answer.contentType || 'application/json' });
+    res.end(typeof answer.body === 'string' ? answer.body : JSON.stringify(answer.body));
+  });
+});
+
+let server;
+let baseUrl;
+let executableXML;
+
+/**
+ * Deploy through the route
+ *
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function deploy(body) {
+  const response = await fetch(`${baseUrl}/api/deploy`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  engine.listen(0);
+  await new Promise(resolve => engine.once('listening', resolve));
+
+  // The client reads the engine address when it loads
+  process.env.ZEEBE_REST_ADDRESS = `http://localhost:${engine.address().port}/`;
+
+  const express = require('express');
+  const { makeExecutable } = require('../zeebe');
+  const deployRoutes = require('../routes/deploy');
+  const app = express();
+
+  app.use(express.json());
+  app.use('/api/deploy', deployRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+
+  executableXML = await makeExecutable(ORDER_XML);
+});
+
+after(() => {
+  server.close();
+  engine.close();
+});
+
+describe('POST /api/deploy', () => {
+  it('deploys the diagram and its decisions to the engine', async () => {
+    answer = {
+      status: 200,
+      body: {
+        deploymentKey: '2251799813685249',
+        deployments: [
+          { processDefinition: { processDefinitionId: 'Process_1', processDefinitionVersion: 1, processDefinitionKey: '2251799813685250' } },
+          { decisionDefinition: { decisionDefinitionId: 'Decision_Discount', version: 2, decisionDefinitionKey: '2251799813685251' } },
+        ],
+      },
+    };
+
+    const { status, body } = await deploy({ diagramXML: executableXML, name: 'Order process', dmnXML: DMN });
+    const [request] = deployments.splice(0);
+
+    assert.equal(status, 200);
+    assert.equal(body.deploymentKey, '2251799813685249');
+    assert.deepEqual(body.processes, [{ processId: 'Process_1', version: 1, processDefinitionKey: '2251799813685250' }]);
+    assert.deepEqual(body.decisions, [{ decisionId: 'Decision_Discount', version: 2, decisionDefinitionKey: '2251799813685251' }]);
+    assert.equal(body.engine, process.env.ZEEBE_REST_ADDRESS.replace(/\/$/, ''));
+    assert.deepEqual(body.findings, []);
+
+    assert.deepEqual([request.method, request.url], ['POST', '/v2/deployments']);
+    assert.match(request.contentType, /^multipart\/form-data/);
+    assert.match(request.body, /filename="Order_process\.bpmn"/);
+    assert.match(request.body, /filename="Order_process\.dmn"/);
+    assert.ok(request.body.includes('id="Decisions"'));
+  });
+
+  it('deploys nothing while the completeness check finds errors', async () => {
+    const { status, body } = await deploy({ diagramXML: ORDER_XML });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.findings.map(finding => finding.rule), ['execution-platform', 'executable-process']);
+    assert.equal(deployments.length, 0);
+  });
+
+  it('passes on why the engine rejected the deployment', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    answer = { status: 400, body: { title: 'INVALID_ARGUMENT', status: 400, detail: 'Must have at least one start event' } };
+
+    const { status, body } = await deploy({ diagramXML: executableXML });
+
+    assert.equal(status, 502);
+    assert.equal(body.error, 'The engine rejected the deployment (400 INVALID_ARGUMENT)');
+    assert.equal(body.detail, 'Must have at least one start event');
+
+    answer = { status: 503, contentType: 'text/html', body: '<html>Service unavailable</html>' };
+
+    const proxied = await deploy({ diagramXML: executableXML });
+
+    assert.equal(proxied.body.error, 'The engine rejected the deployment (503)');
+    assert.equal(proxied.body.detail, '<html>Service unavailable</html>');
+    deployments.splice(0);
+  });
+
+  it('rejects missing and unparsable diagrams', async () => {
+    assert.equal((await deploy({})).status, 400);
+    assert.equal((await deploy({ diagramXML: 42 })).status, 400);
+    assert.match((await deploy({ diagramXML: '<definitions' })).body.error, /Could not parse diagram/);
+    assert.equal(deployments.length, 0);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BpmnModdle = require('bpmn-moddle');
+const { mergeDiagrams } = require('../diagramMerge');
+
+const BASE = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+const moddle = new BpmnModdle();
+
+const TASK_A = '<bpmn:task id="Task_A" name="Check" />';
+const TASK_A_DI = /\s*<bpmndi:BPMNShape id="Task_A_di"[\s\S]*?<\/bpmndi:BPMNShape>/;
+
+function rename(xml, id, name) {
+  return xml.replace(new RegExp(`(id="${id}" name=")[^"]*"`), `$1${name}"`);
+}
+
+// Adds "Ship" between Task_A and End
+function addShipTask(xml) {
+  return xml
+    .replace('<bpmn:endEvent id="End"', '<bpmn:task id="Task_Ship" name="Ship" />\n    <bpmn:endEvent id="End"')
+    .replace('<bpmn:sequenceFlow id="F2" sourceRef="Task_A" targetRef="End" />', '<bpmn:sequenceFlow id="F2" sourceRef="Task_A" targetRef="Task_Ship" />\n    <bpmn:sequenceFlow id="F3" sourceRef="Task_Ship" targetRef="End" />')
+    .replace('</bpmndi:BPMNPlane>', `<bpmndi:BPMNShape id="Task_Ship_di" bpmnElement="Task_Ship">
+        <dc:Bounds x="375" y="200" width="100" height="80" />
+      </bpmndi:BPMNShape>
+      <bpmndi:BPMNEdge id="F3_di" bpmnElement="F3">
+        <di:waypoint x="425" y="200" />
+        <di:waypoint x="425" y="128" />
+      </bpmndi:BPMNEdge>
+    </bpmndi:BPMNPlane>`);
+}
+
+// Removes Task_A together with its flows and DI
+function removeTaskA(xml) {
+  return xml
+    .replace(TASK_A, '')
+    .replace(/<bpmn:sequenceFlow id="F[12]"[^>]*\/>/g, '')
+    .replace(TASK_A_DI, '')
+    .replace(/\s*<bpmndi:BPMNEdge id="F[12]_di"[\s\S]*?<\/bpmndi:BPMNEdge>/g, '');
+}
+
+/**
+ * Names of the flow nodes and "source -> target" of the flows of a diagram
+ */
+async function describeProcess(xml) {
+  const { rootElement } = await moddle.fromXML(xml, 'bpmn:Definitions');
+  const elements = rootElement.rootElements[0].flowElements;
+
+  return {
+    nodes: Object.fromEntries(elements.filter(element => element.$type !== 'bpmn:SequenceFlow').map(element => [element.id, element.name])),
+    flows: elements.filter(element => element.$type === 'bpmn:SequenceFlow').map(flow => `${flow.sourceRef.id} -> ${flow.targetRef.id}`),
+  };
+}
+
+describe('mergeDiagrams', () => {
+  it('keeps both sides of disjoint edits', async () => {
+    const current = rename(BASE, 'Start', 'Order received');
+    const { xml, errors } = await mergeDiagrams(BASE, current, addShipTask(BASE));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(await describeProcess(xml), {
+      nodes: { Start: 'Order received', Task_A: 'Check', End: 'Done', Task_Ship: 'Ship' },
+      flows: ['Start -> Task_A', 'Task_A -> Task_Ship', 'Task_Ship -> End'],
+    });
+  });
+
+  it('lets the incoming change win when both sides edit the same element', async () => {
+    const { xml, errors } = await mergeDiagrams(BASE, rename(BASE, 'Task_A', 'Check stock'), rename(BASE, 'Task_A', 'Check order'));
+
+    assert.deepEqual(errors, []);
+    assert.equal((await describeProcess(xml)).nodes.Task_A, 'Check order');
+  });
+
+  it('keeps the current version of elements the incoming change did not touch', async () => {
+    const current = rename(BASE, 'Task_A', 'Check stock');
+    const { xml } = await mergeDiagrams(BASE, current, rename(BASE, 'End', 'Shipped'));
+
+    assert.deepEqual((await describeProcess(xml)).nodes, { Start: 'Order in', Task_A: 'Check stock', End: 'Shipped' });
+  });
+
+  it('removes an element the incoming change deleted even if it was updated concurrently', async () => {
+    const { xml, errors } = await mergeDiagrams(BASE, rename(BASE, 'Task_A', 'Check stock'), removeTaskA(BASE));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(await describeProcess(xml), { nodes: { Start: 'Order in', End: 'Done' }, flows: [] });
+    assert.doesNotMatch(xml, /Task_A/);
+  });
+
+  it('reports a flow whose endpoint was removed concurrently as a conflict', async () => {
+    const current = removeTaskA(BASE);
+    const incoming = BASE.replace('</bpmn:process>', '<bpmn:sequenceFlow id="F_Skip" sourceRef="Task_A" targetRef="Start" />\n  </bpmn:process>');
+    const { errors } = await mergeDiagrams(BASE, current, incoming);
+
+    assert.ok(errors.some(error => error.code === 'UNRESOLVED_REFERENCE' && error.elementId === 'F_Skip'));
+  });
+
+  it('merges an unchanged diagram into itself without changes', async () => {
+    const { xml, errors } = await mergeDiagrams(BASE, BASE, BASE);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(await describeProcess(xml), await describeProcess(BASE));
+  });
+});
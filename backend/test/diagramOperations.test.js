@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateOperations } = require('../diagramOperations');
+
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+const codes = (errors) => errors.map(error => error.code);
+
+describe('validateOperations', () => {
+  it('accepts operations that refer to existing and newly created elements', async () => {
+    const errors = await validateOperations(ORDER_XML, [
+      { type: 'delete', elementId: 'F2' },
+      { type: 'addShape', id: 'Task_Ship', elementType: 'bpmn:ServiceTask', name: 'Ship', after: 'Task_A' },
+      { type: 'connect', id: 'Flow_Ship', sourceId: 'Task_A', targetId: 'Task_Ship' },
+      { type: 'connect', id: 'Flow_Done', sourceId: 'Task_Ship', targetId: 'End', name: 'shipped' },
+      { type: 'rename', elementId: 'Task_A', name: 'Check order' },
+      { type: 'updateProperties', elementId: 'Task_Ship', properties: { documentation: 'Hands the order to the carrier.' } },
+    ]);
+
+    assert.deepEqual(errors, []);
+  });
+
+  it('rejects anything but an array', async () => {
+    assert.deepEqual(codes(await validateOperations(ORDER_XML, { type: 'rename' })), ['INVALID_OPERATIONS']);
+  });
+
+  it('reports unknown elements, types and operations', async () => {
+    const errors = await validateOperations(ORDER_XML, [
+      { type: 'rename', elementId: 'Task_Missing', name: 'x' },
+      { type: 'addShape', id: 'Flow_X', elementType: 'bpmn:SequenceFlow' },
+      { type: 'resize', elementId: 'Task_A' },
+    ]);
+
+    assert.deepEqual(codes(errors), ['UNKNOWN_ELEMENT', 'INVALID_ELEMENT_TYPE', 'UNKNOWN_OPERATION']);
+    assert.equal(errors[0].elementId, 'Task_Missing');
+  });
+
+  it('reports missing fields and IDs that already exist', async () => {
+    const errors = await validateOperations(ORDER_XML, [
+      { type: 'rename', elementId: 'Task_A' },
+      { type: 'addShape', id: 'Task_A', elementType: 'bpmn:Task' },
+    ]);
+
+    assert.deepEqual(codes(errors), ['MISSING_FIELD', 'DUPLICATE_ID']);
+  });
+
+  it('treats the flows of a deleted element as deleted too', async () => {
+    const errors = await validateOperations(ORDER_XML, [
+      { type: 'addShape', id: 'Task_B', elementType: 'bpmn:Task', after: 'Task_A' },
+      { type: 'connect', id: 'Flow_B', sourceId: 'Task_A', targetId: 'Task_B' },
+      { type: 'delete', elementId: 'Task_A' },
+      { type: 'updateProperties', elementId: 'F2', properties: { name: 'done' } },
+      { type: 'rename', elementId: 'Flow_B', name: 'next' },
+      { type: 'connect', id: 'F1', sourceId: 'Start', targetId: 'Task_B' },
+      { type: 'rename', elementId: 'Task_B', name: 'Check' },
+    ]);
+
+    assert.deepEqual(errors.map(({ code, elementId }) => `${code} ${elementId}`), ['UNKNOWN_ELEMENT F2', 'UNKNOWN_ELEMENT Flow_B']);
+  });
+
+  it('checks which properties an element takes', async () => {
+    const errors = await validateOperations(ORDER_XML, [
+      { type: 'updateProperties', elementId: 'Task_A', properties: { condition: '${ok}' } },
+      { type: 'updateProperties', elementId: 'Task_A', properties: { color: 'red' } },
+      { type: 'updateProperties', elementId: 'Task_A', properties: { taskType: 'check' } },
+    ]);
+
+    assert.deepEqual(codes(errors), ['INVALID_PROPERTY', 'INVALID_PROPERTY', 'INVALID_PROPERTY']);
+    assert.match(errors[0].message, /"condition" cannot be set on bpmn:Task/);
+    assert.match(errors[1].message, /unknown property "color"/);
+    assert.match(errors[2].message, /Camunda 8/);
+  });
+
+  it('reports diagrams that cannot be parsed', async () => {
+    assert.deepEqual(codes(await validateOperations('<bpmn:definitions', [])), ['XML_PARSE_ERROR']);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const BpmnModdle = require('bpmn-moddle');
+const { extractScope } = require('../diagramScope');
+const { mergeDiagrams } = require('../diagramMerge');
+const { validateOperations } = require('../diagramOperations');
+const { layoutDiagram } = require('../autoLayout');
+
+const moddle = new BpmnModdle();
+
+const TASKS = ['T1', 'T2', 'T3', 'T4', 'T5', 'T6'];
+
+let fullXML;
+
+/**
+ * Every element with an ID and its serialized own attributes, by ID
+ */
+async function snapshot(xml) {
+  const { elementsById } = await moddle.fromXML(xml, 'bpmn:Definitions');
+
+  return new Map(Object.entries(elementsById).map(([id, element]) => [id, JSON.stringify({
+    name: element.name,
+    sourceRef: element.sourceRef?.id,
+    targetRef: element.targetRef?.id,
+    bounds: element.bounds && { x: element.bounds.x, y: element.bounds.y },
+    waypoint: element.waypoint?.map(({ x, y }) => [x, y]),
+  })]));
+}
+
+before(async () => {
+  // Start -> T1 -> ... -> T6 -> End
+  const ids = ['Start', ...TASKS, 'End'];
+  const nodes = ids.map(id => {
+    if (id === 'Start') {
+      return '<bpmn:startEvent id="Start" />';
+    }
+    return id === 'End' ? '<bpmn:endEvent id="End" />' : `<bpmn:task id="${id}" name="Task ${id}" />`;
+  });
+  const flows = ids.slice(1).map((id, index) => `<bpmn:sequenceFlow id="Flow_${id}" sourceRef="${ids[index]}" targetRef="${id}" />`);
+
+  fullXML = await layoutDiagram(`<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+  <bpmn:process id="Process_1">
+    ${[...nodes, ...flows].join('\n    ')}
+  </bpmn:process>
+</bpmn:definitions>`);
+});
+
+describe('extractScope', () => {
+  it('keeps the selection and its neighbours and outlines the rest', async () => {
+    const scope = await extractScope(fullXML, ['T3'], 1);
+    const { elementsById } = await moddle.fromXML(scope.xml, 'bpmn:Definitions');
+
+    assert.ok(['T2', 'T3', 'T4', 'Flow_T3', 'Flow_T4'].every(id => scope.ids.has(id) && elementsById[id]));
+    assert.ok(['Start', 'T1', 'T5', 'End', 'Flow_T2', 'Flow_T5'].every(id => !scope.ids.has(id) && !elementsById[id]));
+    assert.match(scope.outline, /^- T1: Task "Task T1" -> T2$/m);
+    assert.match(scope.outline, /^- T5: Task "Task T5" -> T6$/m);
+    assert.doesNotMatch(scope.outline, /^- T3:/m);
+  });
+
+  it('marks elements with flows leaving the scope as boundary', async () => {
+    const scope = await extractScope(fullXML, ['T3'], 1);
+
+    assert.ok(scope.boundary.has('T2'));
+    assert.ok(scope.boundary.has('T4'));
+    assert.ok(!scope.boundary.has('T3'));
+  });
+
+  it('returns null when nothing selectable is selected', async () => {
+    assert.equal(await extractScope(fullXML, ['Unknown']), null);
+  });
+});
+
+describe('editing a selection', () => {
+  it('merges a regenerated scope back without touching the rest of the diagram', async () => {
+    const scope = await extractScope(fullXML, ['T3'], 1);
+    const edited = scope.xml.replace('name="Task T3"', 'name="Review order"');
+    const { xml, errors } = await mergeDiagrams(scope.xml, fullXML, edited);
+    const before = await snapshot(fullXML);
+    const after = await snapshot(xml);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual([...after.keys()].sort(), [...before.keys()].sort());
+    before.forEach((state, id) => {
+      if (id !== 'T3') {
+        assert.equal(after.get(id), state, `${id} is unchanged`);
+      }
+    });
+    assert.equal(JSON.parse(after.get('T3')).name, 'Review order');
+  });
+
+  it('rejects operations on elements outside the selection', async () => {
+    const scope = await extractScope(fullXML, ['T3'], 1);
+    const errors = await validateOperations(fullXML, [
+      { type: 'rename', elementId: 'T3', name: 'Review order' },
+      { type: 'rename', elementId: 'T6', name: 'Archive' },
+    ], scope);
+
+    assert.deepEqual(errors.map(({ code, elementId }) => [code, elementId]), [['OUT_OF_SCOPE', 'T6']]);
+  });
+
+  it('rejects deleting elements that connect to the outside', async () => {
+    const scope = await extractScope(fullXML, ['T3'], 1);
+    const errors = await validateOperations(fullXML, [{ type: 'delete', elementId: 'T4' }], scope);
+
+    assert.deepEqual(errors.map(({ code }) => code), ['OUT_OF_SCOPE']);
+  });
+});
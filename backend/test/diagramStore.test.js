@@ -0,0 +1,121 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store reads DATA_DIR when it loads; each test file runs in its own process
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'diagram-store-'));
+
+const diagramStore = require('../diagramStore');
+
+const XML_1 = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+const XML_2 = XML_1.replace('name="Check"', 'name="Check order"');
+const DMN = '<definitions id="Decisions" />';
+
+const ann = { id: 'user-ann', username: 'ann', role: 'user' };
+const bob = { id: 'user-bob', username: 'bob', role: 'user' };
+const admin = { id: 'user-admin', username: 'admin', role: 'admin' };
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+describe('diagram versions', () => {
+  it('saves every change as a new version', async () => {
+    const created = await diagramStore.createDiagram({ name: 'Orders', xml: XML_1, author: 'ann', owner: ann });
+    const updated = await diagramStore.updateDiagram(created.id, { xml: XML_2, author: 'ai-assistant', prompt: 'Rename the task', message: 'Renamed' });
+
+    assert.equal(created.versionCount, 1);
+    assert.equal(updated.version.version, 2);
+    assert.equal((await diagramStore.getDiagram(created.id)).xml, XML_2);
+    assert.deepEqual((await diagramStore.listVersions(created.id)).map(({ version, author, prompt, message }) => [version, author, prompt, message]), [
+      [2, 'ai-assistant', 'Rename the task', 'Renamed'],
+      [1, 'ann', null, 'Created'],
+    ]);
+    assert.equal((await diagramStore.getVersion(created.id, 1)).xml, XML_1);
+  });
+
+  it('restores a version as a new version', async () => {
+    const { id } = await diagramStore.createDiagram({ name: 'Orders', xml: XML_1, owner: ann });
+
+    await diagramStore.updateDiagram(id, { xml: XML_2 });
+
+    const restored = await diagramStore.restoreVersion(id, 1, 'ann');
+
+    assert.equal(restored.xml, XML_1);
+    assert.equal(restored.currentVersion, 3);
+    assert.equal((await diagramStore.getVersion(id, 3)).message, 'Restored version 1');
+    assert.equal(await diagramStore.restoreVersion(id, 7, 'ann'), null);
+  });
+
+  it('gives concurrent saves consecutive version numbers', async () => {
+    const { id } = await diagramStore.createDiagram({ name: 'Orders', xml: XML_1, owner: ann });
+    const saves = await Promise.all([2, 3, 4].map(() => diagramStore.updateDiagram(id, { xml: XML_2 })));
+
+    assert.deepEqual(saves.map(save => save.version.version).sort(), [2, 3, 4]);
+    assert.equal((await diagramStore.listVersions(id)).length, 4);
+  });
+
+  it('keeps the decisions of the previous version unless they are replaced', async () => {
+    const { id } = await diagramStore.createDiagram({ name: 'Orders', xml: XML_1, dmnXML: DMN, owner: ann });
+
+    await diagramStore.updateDiagram(id, { xml: XML_2 });
+    assert.equal((await diagramStore.getDiagram(id)).dmnXML, DMN);
+
+    await diagramStore.updateDiagram(id, { xml: XML_2, dmnXML: '' });
+    assert.equal((await diagramStore.getDiagram(id)).dmnXML, '');
+
+    await diagramStore.restoreVersion(id, 1);
+    assert.equal((await diagramStore.getDiagram(id)).dmnXML, DMN);
+  });
+
+  it('reports unknown diagrams and IDs that are not diagram IDs', async () => {
+    assert.equal(await diagramStore.getDiagram('00000000-0000-0000-0000-000000000000'), null);
+    assert.equal(await diagramStore.getDiagram('../users'), null);
+    assert.equal(await diagramStore.updateDiagram('../users', { xml: XML_1 }), null);
+    assert.equal(await diagramStore.deleteDiagram('00000000-0000-0000-0000-000000000000'), false);
+  });
+});
+
+describe('diagram permissions', () => {
+  it('gives the owner full access and shared users the shared permission', async () => {
+    const { id } = await diagramStore.createDiagram({ name: 'Shared', xml: XML_1, owner: ann });
+
+    assert.equal(await diagramStore.getPermission(id, ann), 'owner');
+    assert.equal(await diagramStore.getPermission(id, bob), null);
+    assert.equal(await diagramStore.getPermission(id, admin), null);
+
+    await diagramStore.shareDiagram(id, bob, 'read');
+    assert.equal(await diagramStore.getPermission(id, bob), 'read');
+
+    await diagramStore.shareDiagram(id, bob, 'edit');
+    assert.equal(await diagramStore.getPermission(id, bob), 'edit');
+    assert.ok((await diagramStore.listDiagrams(bob)).some(diagram => diagram.id === id && diagram.permission === 'edit'));
+
+    await diagramStore.shareDiagram(id, bob, null);
+    assert.equal(await diagramStore.getPermission(id, bob), null);
+    assert.ok(!(await diagramStore.listDiagrams(bob)).some(diagram => diagram.id === id));
+  });
+
+  it('orders permissions from read to owner', () => {
+    assert.equal(diagramStore.hasPermission('owner', 'edit'), true);
+    assert.equal(diagramStore.hasPermission('edit', 'read'), true);
+    assert.equal(diagramStore.hasPermission('read', 'edit'), false);
+    assert.equal(diagramStore.hasPermission('edit', 'owner'), false);
+  });
+
+  it('lets every user read diagrams saved before sign-in, and administrators manage them', async () => {
+    const { id } = await diagramStore.createDiagram({ name: 'Legacy', xml: XML_1, owner: ann });
+    const metaFile = path.join(process.env.DATA_DIR, 'diagrams', id, 'meta.json');
+    const { owner, shares, ...meta } = JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+
+    fs.writeFileSync(metaFile, JSON.stringify(meta));
+
+    assert.equal(await diagramStore.getPermission(id, bob), 'read');
+    assert.equal(await diagramStore.getPermission(id, admin), 'owner');
+    assert.ok((await diagramStore.listDiagrams(bob)).some(diagram => diagram.id === id && diagram.permission === 'read'));
+
+    await diagramStore.shareDiagram(id, bob, 'edit');
+
+    assert.equal(await diagramStore.getPermission(id, bob), 'edit');
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readDecisionTables, validateDecisionTables, writeDecisionTables, formatDecisionTable } = require('../dmn');
+
+const DISCOUNT = {
+  id: 'Decision_Discount',
+  name: 'Discount',
+  hitPolicy: 'FIRST',
+  inputs: [{ label: 'Customer type', expression: 'customerType', typeRef: 'string' }],
+  outputs: [{ label: 'Discount', name: 'discount', typeRef: 'number' }],
+  rules: [
+    { inputEntries: ['"gold"'], outputEntries: ['0.1'], description: 'Gold customers' },
+    { inputEntries: ['-'], outputEntries: ['0'] },
+  ],
+};
+
+const SHIPPING = {
+  id: 'Decision_Shipping',
+  name: 'Shipping',
+  hitPolicy: 'UNIQUE',
+  inputs: [{ label: 'Amount', expression: 'amount', typeRef: 'number' }],
+  outputs: [{ label: 'Free shipping', name: 'freeShipping', typeRef: 'boolean' }],
+  rules: [
+    { inputEntries: ['>= 100'], outputEntries: ['true'] },
+    { inputEntries: ['< 100'], outputEntries: ['false'] },
+  ],
+};
+
+describe('DMN decision tables', () => {
+  it('writes tables that read back unchanged', async () => {
+    const dmnXML = await writeDecisionTables([DISCOUNT, SHIPPING]);
+
+    assert.match(dmnXML, /<dmndi:DMNShape/);
+    assert.deepEqual(await readDecisionTables(dmnXML), [DISCOUNT, SHIPPING]);
+  });
+
+  it('replaces and removes tables of an existing document', async () => {
+    const dmnXML = await writeDecisionTables([DISCOUNT, SHIPPING]);
+    const changed = { ...DISCOUNT, rules: [DISCOUNT.rules[1]] };
+    const updated = await writeDecisionTables([changed], dmnXML, ['Decision_Shipping']);
+
+    assert.deepEqual(await readDecisionTables(updated), [changed]);
+  });
+
+  it('reads no tables from an empty document', async () => {
+    assert.deepEqual(await readDecisionTables(''), []);
+  });
+
+  it('rejects DMN that cannot be parsed', async () => {
+    await assert.rejects(readDecisionTables('<definitions'));
+  });
+
+  it('accepts complete tables', () => {
+    assert.deepEqual(validateDecisionTables([DISCOUNT, SHIPPING]), []);
+  });
+
+  it('reports invalid hit policies and rules with the wrong number of entries', () => {
+    const errors = validateDecisionTables([{ ...DISCOUNT, hitPolicy: 'LAST', rules: [{ inputEntries: [], outputEntries: ['1'] }] }]);
+
+    assert.deepEqual(errors.map(({ code, elementId }) => [code, elementId]), [
+      ['INVALID_DECISION', 'Decision_Discount'],
+      ['INVALID_DECISION', 'Decision_Discount'],
+    ]);
+    assert.match(errors[0].message, /hit policy must be one of/);
+    assert.match(errors[1].message, /rule 1 needs 1 input and 1 output entries/);
+  });
+
+  it('formats a table as Markdown', () => {
+    assert.equal(formatDecisionTable(DISCOUNT), `**Discount** (\`Decision_Discount\`, hit policy FIRST)
+
+| # | Customer type (when) | Discount (then) | Description |
+| --- | --- | --- | --- |
+| 1 | "gold" | 0.1 | Gold customers |
+| 2 | - | 0 |  |`);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildDocumentStructure } = require('../processDocument');
+const { buildOutline, renderMarkdown, renderHTML, renderDocument } = require('../documentRenderers');
+
+const CLAIM_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'claim.bpmn'), 'utf8');
+
+const SVG = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="120" height="60"><rect width="120" height="60" /></svg>';
+
+let processDocument;
+
+before(async () => {
+  const structure = await buildDocumentStructure(CLAIM_XML);
+
+  processDocument = {
+    ...structure,
+    overview: 'Claims are reviewed & paid or rejected.',
+    descriptions: {
+      Review: 'The clerk checks the claim.',
+      Lane_Clerk: 'Handles | reviews\nclaims',
+    },
+    svg: null,
+  };
+});
+
+describe('buildOutline', () => {
+  it('orders the sections and numbers them without a diagram', () => {
+    const headings = buildOutline(processDocument)
+      .filter(block => block.type === 'heading' && block.level <= 2)
+      .map(block => block.text);
+
+    assert.deepEqual(headings, ['Claim handling', '1. Overview', '2. Roles', '3. Procedure', '4. Decisions']);
+  });
+
+  it('adds the diagram as section 2 when there is one', () => {
+    const blocks = buildOutline({ ...processDocument, svg: SVG });
+
+    assert.deepEqual(blocks.filter(block => block.type === 'heading' && block.level === 2).map(block => block.text), [
+      '1. Overview', '2. Diagram', '3. Roles', '4. Procedure', '5. Decisions',
+    ]);
+    assert.deepEqual(blocks.find(block => block.type === 'figure'), { type: 'figure', svg: SVG, caption: 'Claim handling' });
+  });
+
+  it('links steps to the next steps and their host activity', () => {
+    const texts = buildOutline(processDocument).map(block => block.text);
+
+    assert.ok(texts.includes('Next: Step 5 "Pay claim" (yes); Step 6 "Reject claim" (no)'));
+    assert.ok(texts.includes('Occurs during Step 2 "Review claim".'));
+    assert.ok(texts.includes('Step 5.2: Transfer amount'));
+  });
+
+  it('writes the decision table of each gateway', () => {
+    const table = buildOutline(processDocument).filter(block => block.type === 'table').pop();
+
+    assert.deepEqual(table, {
+      type: 'table',
+      columns: ['Outcome', 'Condition', 'Next step'],
+      rows: [
+        ['yes', 'approved = true', 'Step 5 "Pay claim"'],
+        ['no', 'Default flow', 'Step 6 "Reject claim"'],
+      ],
+    });
+  });
+});
+
+describe('renderers', () => {
+  it('writes Markdown with escaped table cells', () => {
+    const markdown = renderMarkdown(processDocument);
+
+    assert.match(markdown, /^# Claim handling\n\n## 1\. Overview\n\nClaims are reviewed & paid or rejected\./);
+    assert.match(markdown, /\| Clerk \| Handles \\\| reviews claims \| 1, 2, 3, 4, 5, 7 \|/);
+    assert.match(markdown, /### Step 2: Review claim\n\n\*User task · Role: Clerk\*\n\nThe clerk checks the claim\./);
+  });
+
+  it('embeds the diagram in Markdown as a data URI', () => {
+    const markdown = renderMarkdown({ ...processDocument, svg: SVG });
+
+    assert.ok(markdown.includes(`![Claim handling](data:image/svg+xml;base64,${Buffer.from(SVG).toString('base64')})`));
+  });
+
+  it('writes a standalone HTML page with escaped text and the inlined diagram', () => {
+    const html = renderHTML({ ...processDocument, title: 'Claims <draft>', svg: SVG });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Claims &lt;draft&gt;<\/title>/);
+    assert.match(html, /<p>Claims are reviewed &amp; paid or rejected\.<\/p>/);
+    assert.match(html, /<figure><svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+  });
+
+  it('writes a Word document', async () => {
+    const docx = await renderDocument(processDocument, 'docx');
+
+    assert.ok(Buffer.isBuffer(docx));
+    assert.equal(docx.subarray(0, 2).toString(), 'PK');
+  });
+
+  it('rejects unknown formats', async () => {
+    await assert.rejects(renderDocument(processDocument, 'pdf'), /Unsupported document format "pdf"/);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BpmnModdle = require('bpmn-moddle');
+const { importNotation, detectNotation, EXPORTERS } = require('../notations');
+const { validateDiagramXML } = require('../bpmnValidator');
+
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+const MERMAID = `flowchart LR
+  S((Order in)) --> A[Check order]
+  A --> G{Complete?}
+  G -- yes --> B[Ship]
+  G -- no --> C[Reject]
+  B --> E((Done))
+  C --> E
+  classDef done fill:#9f9`;
+
+const PLANTUML = `@startuml
+start
+|Clerk|
+:Check order;
+if (Complete?) then (yes)
+  :Ship;
+else (no)
+  |Manager|
+  :Reject;
+endif
+stop
+@enduml`;
+
+const moddle = new BpmnModdle();
+
+/**
+ * Flow elements of the first process as "type name" and flows as "source -> target (name)"
+ */
+async function describeProcess(xml) {
+  const { rootElement } = await moddle.fromXML(xml, 'bpmn:Definitions');
+  const process = rootElement.rootElements.find(element => element.$type === 'bpmn:Process');
+  const label = element => element.name || element.$type;
+
+  return {
+    process,
+    nodes: process.flowElements.filter(element => element.$type !== 'bpmn:SequenceFlow').map(element => `${element.$type} ${element.name || ''}`.trim()),
+    flows: process.flowElements
+      .filter(element => element.$type === 'bpmn:SequenceFlow')
+      .map(flow => `${label(flow.sourceRef)} -> ${label(flow.targetRef)}${flow.name ? ` (${flow.name})` : ''}`),
+  };
+}
+
+describe('detectNotation', () => {
+  it('recognizes Mermaid and PlantUML sources', () => {
+    assert.equal(detectNotation(MERMAID), 'mermaid');
+    assert.equal(detectNotation('graph TD\n  A --> B'), 'mermaid');
+    assert.equal(detectNotation(PLANTUML), 'plantuml');
+    assert.equal(detectNotation('start\n:Work;\nstop'), 'plantuml');
+    assert.equal(detectNotation('A -> B'), null);
+  });
+});
+
+describe('importNotation', () => {
+  it('imports Mermaid flowcharts as laid out BPMN', async () => {
+    const { diagramXML, notation, warnings } = await importNotation(MERMAID);
+    const { nodes, flows } = await describeProcess(diagramXML);
+
+    assert.equal(notation, 'mermaid');
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(await validateDiagramXML(diagramXML), { valid: true, errors: [] });
+    assert.deepEqual(nodes, [
+      'bpmn:StartEvent Order in',
+      'bpmn:Task Check order',
+      'bpmn:ExclusiveGateway Complete?',
+      'bpmn:Task Ship',
+      'bpmn:Task Reject',
+      'bpmn:EndEvent Done',
+    ]);
+    assert.ok(flows.includes('Complete? -> Ship (yes)'));
+    assert.ok(flows.includes('Complete? -> Reject (no)'));
+  });
+
+  it('imports PlantUML activity diagrams with lanes and a closing merge', async () => {
+    const { diagramXML, notation, warnings } = await importNotation(PLANTUML);
+    const { process, nodes, flows } = await describeProcess(diagramXML);
+
+    assert.equal(notation, 'plantuml');
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(await validateDiagramXML(diagramXML), { valid: true, errors: [] });
+    assert.deepEqual(process.laneSets[0].lanes.map(lane => [lane.name, lane.flowNodeRef.map(node => node.name).filter(Boolean)]), [
+      ['Clerk', ['Check order', 'Complete?', 'Ship']],
+      ['Manager', ['Reject']],
+    ]);
+    assert.equal(nodes.filter(node => node.startsWith('bpmn:ExclusiveGateway')).length, 2);
+    assert.ok(flows.includes('Complete? -> Reject (no)'));
+  });
+
+  it('reports the line of a source that cannot be read', async () => {
+    await assert.rejects(importNotation('flowchart LR\n  A[Check --> B'), error => {
+      assert.equal(error.isNotationError, true);
+      assert.equal(error.line, 2);
+      assert.match(error.message, /^Line 2: Unclosed shape of node "A"/);
+      return true;
+    });
+  });
+
+  it('rejects unknown notations', async () => {
+    await assert.rejects(importNotation('A -> B'), /Could not detect the notation/);
+    await assert.rejects(importNotation('A -> B', 'graphviz'), /Unsupported notation "graphviz"/);
+  });
+});
+
+describe('Mermaid export', () => {
+  it('writes a diagram as a flowchart', async () => {
+    assert.equal(await EXPORTERS.mermaid.write(ORDER_XML), `flowchart LR
+  Start(("Order in"))
+  Task_A["Check"]
+  End((("Done")))
+  Start --> Task_A
+  Task_A --> End
+`);
+  });
+
+  it('exports flowcharts it can import again', async () => {
+    const { diagramXML } = await importNotation(MERMAID);
+    const { diagramXML: reimported } = await importNotation(await EXPORTERS.mermaid.write(diagramXML), 'mermaid');
+
+    assert.deepEqual((await describeProcess(reimported)).flows, (await describeProcess(diagramXML)).flows);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPartialStringField } = require('../partialJson');
+
+/**
+ * Values extracted after each UTF-16 code unit of a streamed answer, so
+ * chunks may also end between the halves of a raw surrogate pair
+ */
+function extractPrefixes(text, field) {
+  return Array.from({ length: text.length }, (unit, index) => extractPartialStringField(text.slice(0, index + 1), field));
+}
+
+describe('extractPartialStringField', () => {
+  it('reads a field that is still streaming', () => {
+    assert.equal(extractPartialStringField('{"response": "The selected ta', 'response'), 'The selected ta');
+    assert.equal(extractPartialStringField('{ "response" : "Done", "operations": []', 'response'), 'Done');
+  });
+
+  it('returns nothing until the field starts', () => {
+    assert.equal(extractPartialStringField('', 'response'), '');
+    assert.equal(extractPartialStringField('{"operations": [], "respon', 'response'), '');
+    assert.equal(extractPartialStringField('{"response":', 'response'), '');
+  });
+
+  it('decodes escape sequences', () => {
+    const text = String.raw`{"response": "Line 1\nLine 2\t\"quoted\" C:\\temp \/ caf\u00e9"}`;
+
+    assert.equal(extractPartialStringField(text, 'response'), 'Line 1\nLine 2\t"quoted" C:\\temp / café');
+  });
+
+  it('leaves out escape sequences until they are complete', () => {
+    assert.equal(extractPartialStringField('{"response": "a\\', 'response'), 'a');
+    assert.equal(extractPartialStringField('{"response": "caf\\u00', 'response'), 'caf');
+    assert.equal(extractPartialStringField('{"response": "caf\\u00e9', 'response'), 'café');
+  });
+
+  it('holds back the first half of a surrogate pair until the second half arrives', () => {
+    assert.equal(extractPartialStringField('{"response": "Done \\ud83d', 'response'), 'Done ');
+    assert.equal(extractPartialStringField('{"response": "Done \\ud83d\\ude', 'response'), 'Done ');
+    assert.equal(extractPartialStringField('{"response": "Done \\ud83d\\ude00', 'response'), 'Done 😀');
+    assert.equal(extractPartialStringField('{"response": "Done \ud83d', 'response'), 'Done ');
+    assert.equal(extractPartialStringField('{"response": "Done 😀', 'response'), 'Done 😀');
+  });
+
+  it('only grows while the answer streams, wherever a chunk ends', () => {
+    const text = String.raw`{"response": "Say \"yes\"\n\\o/ caf\u00e9 \ud83d\ude00 😀", "impactAnalysis": "None"}`;
+    const final = 'Say "yes"\n\\o/ café 😀 😀';
+    const prefixes = [...text].map((char, index) => extractPartialStringField(text.slice(0, index + 1), 'response'));
+    const units = extractPrefixes(text, 'response');
+
+    [...prefixes, ...units].forEach((value, index) => {
+      assert.ok(final.startsWith(value), `prefix ${index + 1}: ${JSON.stringify(value)}`);
+      assert.ok(value.isWellFormed(), `prefix ${index + 1} ends in half a character`);
+    });
+    units.forEach((value, index) => assert.ok(index === 0 || value.length >= units[index - 1].length));
+    assert.equal(units[units.length - 1], final);
+  });
+
+  it('does not read a field of the same name inside another value', () => {
+    assert.equal(extractPartialStringField('{"response": "Use \\"response\\": \\"x\\"', 'response'), 'Use "response": "x"');
+  });
+});
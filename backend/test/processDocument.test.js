@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildDocumentStructure, buildProsePrompt, flattenSteps, generateProcessDocument } = require('../processDocument');
+
+const CLAIM_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'claim.bpmn'), 'utf8');
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+/**
+ * Provider that answers every prompt with the same text and records the prompts
+ */
+function createProvider(answer) {
+  const prompts = [];
+
+  return {
+    prompts,
+    async generate(prompt) {
+      prompts.push(prompt);
+      return typeof answer === 'string' ? answer : JSON.stringify(answer);
+    },
+  };
+}
+
+describe('buildDocumentStructure', () => {
+  it('numbers the steps along the sequence flows, with nested steps for sub-processes', async () => {
+    const { title, processes: [process] } = await buildDocumentStructure(CLAIM_XML);
+
+    assert.equal(title, 'Claim handling');
+    assert.deepEqual(flattenSteps(process.steps).map(step => `${step.number} ${step.id}`), [
+      '1 Start',
+      '2 Review',
+      '3 Reminder',
+      '4 Approved',
+      '5 Pay',
+      '5.1 Pay_Start',
+      '5.2 Transfer',
+      '5.3 Pay_End',
+      '6 Reject',
+      '7 Paid',
+      '8 Rejected',
+    ]);
+    assert.equal(process.steps[2].type, 'Timer boundary event');
+    assert.equal(process.steps[2].attachedTo, 'Review');
+  });
+
+  it('takes the roles, triggers and outcomes from the lanes and events', async () => {
+    const { processes: [process] } = await buildDocumentStructure(CLAIM_XML);
+
+    assert.deepEqual(process.roles.map(({ name, steps }) => [name, steps]), [
+      ['Clerk', ['1', '2', '3', '4', '5', '7']],
+      ['Manager', ['6', '8']],
+    ]);
+    assert.deepEqual(process.triggers, ['Claim received']);
+    assert.deepEqual(process.outcomes, ['Claim paid', 'Claim rejected']);
+    assert.equal(process.documentation, 'Handles insurance claims.');
+  });
+
+  it('builds a decision table per gateway with conditions and the default flow', async () => {
+    const { processes: [process] } = await buildDocumentStructure(CLAIM_XML);
+
+    assert.deepEqual(process.decisions, [{
+      id: 'Approved',
+      name: 'Approved?',
+      type: 'Exclusive gateway',
+      outcomes: [
+        { flowId: 'Flow_Yes', label: 'yes', condition: 'approved = true', isDefault: false, targetId: 'Pay' },
+        { flowId: 'Flow_No', label: 'no', condition: '', isDefault: true, targetId: 'Reject' },
+      ],
+    }]);
+  });
+
+  it('rejects XML that cannot be parsed', async () => {
+    await assert.rejects(buildDocumentStructure('<definitions'));
+  });
+});
+
+describe('generateProcessDocument', () => {
+  it('lists every element for the model and asks for the user\'s wishes', async () => {
+    const structure = await buildDocumentStructure(CLAIM_XML);
+    const prompt = buildProsePrompt(structure, 'Write for new clerks.');
+
+    assert.match(prompt, /"Claim handling"\. Write for new clerks\./);
+    assert.match(prompt, /- Review \(step 2, User task "Review claim", role "Clerk"\) -> Approved\n {2}Documentation: Check the claim against the policy\./);
+    assert.match(prompt, /- Approved \(step 4, Exclusive gateway "Approved\?", role "Clerk"\) -> Pay \[yes\] \{approved = true\}, Reject \[no\]/);
+    assert.match(prompt, /- Lane_Manager \(role "Manager", steps 6, 8\)/);
+  });
+
+  it('uses the prose of the model and keeps the documentation of elements it left out', async () => {
+    const structure = await buildDocumentStructure(CLAIM_XML);
+    const provider = createProvider({
+      overview: ' Claims are reviewed and paid or rejected. ',
+      descriptions: [
+        { elementId: 'Reject', text: 'The manager rejects the claim.' },
+        { elementId: 'Unknown', text: 'Dropped' },
+      ],
+    });
+    const document = await generateProcessDocument(provider, { diagramXML: CLAIM_XML, structure });
+
+    assert.equal(provider.prompts.length, 1);
+    assert.equal(document.overview, 'Claims are reviewed and paid or rejected.');
+    assert.equal(document.descriptions.Reject, 'The manager rejects the claim.');
+    assert.equal(document.descriptions.Review, 'Check the claim against the policy.');
+    assert.equal(document.descriptions.Process_Claim, 'Handles insurance claims.');
+    assert.equal('Unknown' in document.descriptions, false);
+  });
+
+  it('still documents the structure if the model gives no usable answer', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    const structure = await buildDocumentStructure(CLAIM_XML);
+    const document = await generateProcessDocument(createProvider('Sorry, I cannot help with that.'), { diagramXML: CLAIM_XML, structure });
+
+    assert.equal(document.overview, '');
+    assert.equal(document.descriptions.Review, 'Check the claim against the policy.');
+    assert.deepEqual(document.processes, structure.processes);
+  });
+
+  it('adds the diagram as SVG if it has diagram interchange', async () => {
+    const answer = { overview: 'Orders', descriptions: [] };
+    const withDI = await generateProcessDocument(createProvider(answer), { diagramXML: ORDER_XML, structure: await buildDocumentStructure(ORDER_XML) });
+    const withoutDI = await generateProcessDocument(createProvider(answer), { diagramXML: CLAIM_XML, structure: await buildDocumentStructure(CLAIM_XML) });
+
+    assert.match(withDI.svg, /<svg/);
+    assert.equal(withoutDI.svg, null);
+  });
+});
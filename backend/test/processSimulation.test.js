@@ -0,0 +1,201 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { METRICS_NS, checkMetric, hasMetrics, simulateDiagram, formatSimulationResults } = require('../processSimulation');
+
+/**
+ * BPMN XML of a single process with simulation metrics
+ *
+ * @param {string} content - Flow elements, metrics written as sim:duration="30" etc.
+ */
+function simulationXML(content) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:sim="${METRICS_NS}" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
+  <bpmn:process id="Process_1">
+    ${content}
+  </bpmn:process>
+</bpmn:definitions>`;
+}
+
+const SEQUENCE = simulationXML(`
+    <bpmn:startEvent id="Start" sim:interval="60" />
+    <bpmn:task id="A" name="Check" sim:duration="20" sim:cost="5" />
+    <bpmn:task id="B" name="Ship" sim:duration="40" sim:cost="10" />
+    <bpmn:endEvent id="End" />
+    <bpmn:sequenceFlow id="F1" sourceRef="Start" targetRef="A" />
+    <bpmn:sequenceFlow id="F2" sourceRef="A" targetRef="B" />
+    <bpmn:sequenceFlow id="F3" sourceRef="B" targetRef="End" />`);
+
+const PARALLEL = simulationXML(`
+    <bpmn:startEvent id="Start" sim:interval="60" />
+    <bpmn:parallelGateway id="Split" />
+    <bpmn:task id="A" sim:duration="30" />
+    <bpmn:task id="B" sim:duration="50" />
+    <bpmn:parallelGateway id="Join" />
+    <bpmn:endEvent id="End" />
+    <bpmn:sequenceFlow id="F1" sourceRef="Start" targetRef="Split" />
+    <bpmn:sequenceFlow id="F2" sourceRef="Split" targetRef="A" />
+    <bpmn:sequenceFlow id="F3" sourceRef="Split" targetRef="B" />
+    <bpmn:sequenceFlow id="F4" sourceRef="A" targetRef="Join" />
+    <bpmn:sequenceFlow id="F5" sourceRef="B" targetRef="Join" />
+    <bpmn:sequenceFlow id="F6" sourceRef="Join" targetRef="End" />`);
+
+const EXCLUSIVE = simulationXML(`
+    <bpmn:startEvent id="Start" sim:interval="60" />
+    <bpmn:exclusiveGateway id="Split" />
+    <bpmn:task id="A" sim:duration="10" sim:cost="1" />
+    <bpmn:task id="B" sim:duration="100" sim:cost="20" />
+    <bpmn:exclusiveGateway id="Join" />
+    <bpmn:endEvent id="End" />
+    <bpmn:sequenceFlow id="F1" sourceRef="Start" targetRef="Split" />
+    <bpmn:sequenceFlow id="F2" sourceRef="Split" targetRef="A" sim:probability="0.8" />
+    <bpmn:sequenceFlow id="F3" sourceRef="Split" targetRef="B" />
+    <bpmn:sequenceFlow id="F4" sourceRef="A" targetRef="Join" />
+    <bpmn:sequenceFlow id="F5" sourceRef="B" targetRef="Join" />
+    <bpmn:sequenceFlow id="F6" sourceRef="Join" targetRef="End" />`);
+
+/**
+ * A single activity that takes 50 minutes with the given performers, every 60 minutes on average
+ */
+function contentionXML(resources) {
+  return simulationXML(`
+    <bpmn:startEvent id="Start" sim:interval="60" />
+    <bpmn:task id="Work" name="Work" sim:duration="50"${resources ? ` sim:resources="${resources}"` : ''} />
+    <bpmn:endEvent id="End" />
+    <bpmn:sequenceFlow id="F1" sourceRef="Start" targetRef="Work" />
+    <bpmn:sequenceFlow id="F2" sourceRef="Work" targetRef="End" />`);
+}
+
+function activity(results, id) {
+  return results.activities.find(candidate => candidate.elementId === id);
+}
+
+describe('simulateDiagram', () => {
+  it('runs every instance through a sequence in the sum of the durations', async () => {
+    const results = await simulateDiagram(SEQUENCE, { instances: 200, seed: 7 });
+
+    assert.equal(results.instances, 200);
+    assert.equal(results.completed, 200);
+    assert.deepEqual(results.cycleTime, { mean: 60, median: 60, p90: 60, max: 60 });
+    assert.equal(results.costPerInstance, 15);
+    assert.equal(activity(results, 'B').cost, 2000);
+    assert.deepEqual(results.bottlenecks, []);
+    assert.deepEqual(results.warnings, []);
+  });
+
+  it('waits at a parallel join for the longest branch', async () => {
+    const results = await simulateDiagram(PARALLEL, { instances: 100, seed: 3 });
+
+    assert.equal(results.completed, 100);
+    assert.equal(results.cycleTime.max, 50);
+    assert.equal(results.cycleTime.mean, 50);
+    assert.equal(activity(results, 'A').executions, 100);
+    assert.equal(activity(results, 'B').executions, 100);
+  });
+
+  it('sends instances down exclusive branches by their probability', async () => {
+    const results = await simulateDiagram(EXCLUSIVE, { instances: 1000, seed: 42 });
+    const a = activity(results, 'A').executions;
+    const b = activity(results, 'B').executions;
+
+    assert.equal(a + b, 1000);
+    assert.ok(a > 750 && a < 850, `${a} instances took the 80% branch`);
+    assert.equal(results.cycleTime.median, 10);
+    assert.equal(results.cycleTime.max, 100);
+    assert.equal(results.costPerInstance, Math.round((a * 1 + b * 20) / 10) / 100);
+  });
+
+  it('gives the same results for the same seed and different ones for another seed', async () => {
+    const first = await simulateDiagram(EXCLUSIVE, { instances: 300, seed: 5 });
+
+    assert.deepEqual(await simulateDiagram(EXCLUSIVE, { instances: 300, seed: 5 }), first);
+    assert.notDeepEqual(await simulateDiagram(EXCLUSIVE, { instances: 300, seed: 6 }), first);
+  });
+
+  it('queues instances in front of busy performers', async () => {
+    const unlimited = activity(await simulateDiagram(contentionXML(), { instances: 500, seed: 11 }), 'Work');
+    const single = await simulateDiagram(contentionXML(1), { instances: 500, seed: 11 });
+    const work = activity(single, 'Work');
+
+    assert.equal(unlimited.meanWait, 0);
+    assert.equal(unlimited.utilization, null);
+    assert.ok(work.meanWait > 50, `mean wait ${work.meanWait}`);
+    assert.ok(work.maxQueue > 1);
+    assert.ok(work.utilization > 0.75 && work.utilization <= 1, `utilization ${work.utilization}`);
+    assert.deepEqual(single.bottlenecks, ['Work']);
+    assert.ok(single.cycleTime.mean > 50 + work.meanWait - 1);
+  });
+
+  it('shortens the waiting time with more performers', async () => {
+    const one = activity(await simulateDiagram(contentionXML(1), { instances: 500, seed: 11 }), 'Work');
+    const two = activity(await simulateDiagram(contentionXML(2), { instances: 500, seed: 11 }), 'Work');
+
+    assert.ok(two.meanWait < one.meanWait / 4, `${two.meanWait} against ${one.meanWait}`);
+    assert.ok(two.utilization < one.utilization);
+  });
+
+  it('repeats loops by their probability and stops endless ones', async () => {
+    const loop = probability => simulationXML(`
+    <bpmn:startEvent id="Start" sim:interval="60" />
+    <bpmn:task id="Review" sim:duration="10" />
+    <bpmn:exclusiveGateway id="Done" />
+    <bpmn:endEvent id="End" />
+    <bpmn:sequenceFlow id="F1" sourceRef="Start" targetRef="Review" />
+    <bpmn:sequenceFlow id="F2" sourceRef="Review" targetRef="Done" />
+    <bpmn:sequenceFlow id="F3" sourceRef="Done" targetRef="Review" sim:probability="${probability}" />
+    <bpmn:sequenceFlow id="F4" sourceRef="Done" targetRef="End" sim:probability="${1 - probability}" />`);
+
+    const repeated = await simulateDiagram(loop(0.5), { instances: 1000, seed: 2 });
+    const endless = await simulateDiagram(loop(1), { instances: 5, seed: 2 });
+
+    assert.equal(repeated.completed, 1000);
+    assert.ok(Math.abs(activity(repeated, 'Review').executions - 2000) < 200);
+    assert.equal(endless.completed, 0);
+    assert.match(endless.warnings.join('\n'), /stopped after 500 steps/);
+  });
+
+  it('reports instances stuck at a parallel join of exclusive branches', async () => {
+    const results = await simulateDiagram(EXCLUSIVE.replace('<bpmn:exclusiveGateway id="Join" />', '<bpmn:parallelGateway id="Join" />'), { instances: 50, seed: 1 });
+
+    assert.equal(results.completed, 0);
+    assert.match(results.warnings.join('\n'), /50 of 50 instances did not finish/);
+  });
+
+  it('warns about invalid and misplaced metrics and missing intervals', async () => {
+    const results = await simulateDiagram(simulationXML(`
+    <bpmn:startEvent id="Start" />
+    <bpmn:task id="A" sim:duration="-5" sim:resources="1.5" />
+    <bpmn:endEvent id="End" sim:cost="3" />
+    <bpmn:sequenceFlow id="F1" sourceRef="Start" targetRef="A" />
+    <bpmn:sequenceFlow id="F2" sourceRef="A" targetRef="End" />`), { instances: 10 });
+
+    assert.deepEqual(results.warnings, [
+      'A: "duration" must be a number of at least 0, "-5" is ignored',
+      'A: "resources" must be a whole number of at least 1, "1.5" is ignored',
+      'End: "cost" has no effect on bpmn:EndEvent',
+      'Start has no interval; a new instance starts every 60 minutes on average',
+    ]);
+  });
+});
+
+describe('metrics', () => {
+  it('checks metric values', () => {
+    assert.equal(checkMetric('duration', '12.5'), null);
+    assert.equal(checkMetric('duration', ''), '"duration" must be a number of at least 0');
+    assert.equal(checkMetric('probability', '1.2'), '"probability" must be between 0 and 1');
+    assert.equal(checkMetric('interval', '0'), '"interval" must be more than 0');
+  });
+
+  it('detects diagrams with metrics', () => {
+    assert.equal(hasMetrics(SEQUENCE), true);
+    assert.equal(hasMetrics('<bpmn:definitions />'), false);
+    assert.equal(hasMetrics(undefined), false);
+  });
+
+  it('formats results for prompts', async () => {
+    const text = formatSimulationResults(await simulateDiagram(contentionXML(1), { instances: 100, seed: 11 }));
+
+    assert.match(text, /^Instances: 100 started, 100 completed within [\d.]+ simulated minutes/);
+    assert.match(text, /- "Work" \(Work\): 100 executions of 50 min, mean wait [\d.]+ min \(longest queue \d+\), 1 performer at \d+% utilisation/);
+    assert.match(text, /Bottlenecks \(longest mean wait first\): "Work" \(Work\)/);
+  });
+});
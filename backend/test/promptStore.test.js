@@ -0,0 +1,188 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The stores read DATA_DIR when they load; each test file runs in its own process
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+
+const express = require('express');
+const promptStore = require('../promptStore');
+const userStore = require('../userStore');
+const promptRoutes = require('../routes/prompts');
+const { authenticate } = require('../auth');
+const { DEFAULT_TEMPLATES } = require('../promptTemplates');
+
+const CHAT_TEXT = 'Answer as a BPMN expert.\n\n{{diagram}}\n\nRequest: {{prompt}}';
+
+let server;
+let baseUrl;
+
+/**
+ * Send a JSON request to the test server
+ *
+ * @returns {Promise<{ status: number, body: Object|null }>}
+ */
+async function request(method, url, { token, body } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body && JSON.stringify(body),
+  });
+  const text = await response.text();
+
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+before(async () => {
+  const app = express();
+
+  app.use(express.json());
+  app.use('/api', authenticate);
+  app.use('/api/prompts', promptRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('promptStore', () => {
+  it('uses the defaults until a workspace overrides a template', async () => {
+    const template = await promptStore.getTemplate('store', 'chat');
+
+    assert.equal(template.text, DEFAULT_TEMPLATES.chat.text);
+    assert.equal(template.custom, false);
+    assert.equal(template.currentVersion, 0);
+    assert.deepEqual(await promptStore.listVersions('store', 'chat'), []);
+    assert.equal(await promptStore.getTemplate('store', 'unknown'), null);
+  });
+
+  it('saves every change as a new version of the workspace only', async () => {
+    await promptStore.saveTemplate('store', 'chat', { text: CHAT_TEXT, author: 'ann', message: 'Shorter' });
+    const { template } = await promptStore.saveTemplate('store', 'chat', { text: `${CHAT_TEXT}\nBe brief.`, author: 'bob' });
+
+    assert.equal(template.custom, true);
+    assert.equal(template.currentVersion, 2);
+    assert.equal(await promptStore.getTemplateText('store', 'chat'), `${CHAT_TEXT}\nBe brief.`);
+    assert.equal(await promptStore.getTemplateText('other', 'chat'), DEFAULT_TEMPLATES.chat.text);
+    assert.deepEqual((await promptStore.listVersions('store', 'chat')).map(({ version, author, message }) => [version, author, message]), [
+      [2, 'bob', null],
+      [1, 'ann', 'Shorter'],
+    ]);
+  });
+
+  it('rejects templates with unknown or missing variables', async () => {
+    assert.match((await promptStore.saveTemplate('store', 'chat', { text: '{{diagram}} {{prompt}} {{secret}}' })).error, /Unknown variables \{\{secret\}\}/);
+    assert.match((await promptStore.saveTemplate('store', 'chat', { text: 'Only {{prompt}}' })).error, /has to use \{\{diagram\}\}/);
+    assert.match((await promptStore.saveTemplate('store', 'Bad Name', { text: 'x', label: 'x' })).error, /Template names/);
+    assert.equal((await promptStore.getTemplate('store', 'chat')).currentVersion, 2);
+  });
+
+  it('restores a version as a new version', async () => {
+    const template = await promptStore.restoreVersion('store', 'chat', 1, 'carol');
+
+    assert.equal(template.text, CHAT_TEXT);
+    assert.equal(template.currentVersion, 3);
+    assert.equal((await promptStore.listVersions('store', 'chat'))[0].message, 'Restored version 1');
+    assert.equal(await promptStore.restoreVersion('store', 'chat', 9), null);
+  });
+
+  it('resets to the default and keeps the versions', async () => {
+    assert.equal(await promptStore.resetTemplate('store', 'chat'), true);
+    assert.equal(await promptStore.getTemplateText('store', 'chat'), DEFAULT_TEMPLATES.chat.text);
+    assert.equal((await promptStore.listVersions('store', 'chat')).length, 3);
+    assert.equal(await promptStore.resetTemplate('store', 'chat'), false);
+
+    assert.equal((await promptStore.restoreVersion('store', 'chat', 2)).currentVersion, 4);
+  });
+
+  it('adds quick actions and expands them with the selection and input', async () => {
+    assert.match((await promptStore.saveTemplate('store', 'add-review', { text: 'Review {{selection}}.' })).error, /need a "label"/);
+
+    await promptStore.saveTemplate('store', 'add-review', { text: 'Add a review after {{selection}}. {{input}}', label: 'Add review' });
+
+    assert.equal(
+      await promptStore.expandQuickAction('store', 'add-review', { selectedElementIds: ['Task_A', 'Task_B'], input: ' By the manager. ' }),
+      'Add a review after <Task_A>, <Task_B>. By the manager.'
+    );
+    await assert.rejects(promptStore.expandQuickAction('store', 'add-review', {}), /Select the elements for "Add review" first/);
+    await assert.rejects(promptStore.expandQuickAction('store', 'chat', {}), /Unknown quick action "chat"/);
+  });
+
+  it('removes quick actions of the workspace on reset', async () => {
+    const names = async () => (await promptStore.listTemplates('store')).map(template => template.name);
+
+    assert.ok((await names()).includes('add-review'));
+    await promptStore.resetTemplate('store', 'add-review');
+    assert.ok(!(await names()).includes('add-review'));
+    assert.equal((await promptStore.listVersions('store', 'add-review')).length, 1);
+  });
+
+  it('gives concurrent saves consecutive version numbers', async () => {
+    const saves = await Promise.all([1, 2, 3].map(index => promptStore.saveTemplate('race', 'chat', { text: `${CHAT_TEXT} ${index}` })));
+
+    assert.deepEqual(saves.map(({ template }) => template.currentVersion).sort(), [1, 2, 3]);
+  });
+});
+
+describe('prompt routes', () => {
+  let admin;
+  let member;
+
+  before(async () => {
+    // The first user becomes the administrator
+    for (const username of ['admin', 'member']) {
+      await userStore.createUser({ username, password: 'correct horse' });
+    }
+
+    admin = await userStore.createToken((await userStore.findUserByName('admin')).id, { kind: 'session' });
+    member = await userStore.createToken((await userStore.findUserByName('member')).id, { kind: 'session' });
+  });
+
+  it('lists the templates of the workspace', async () => {
+    const { status, body } = await request('GET', '/api/prompts', { token: member.token });
+
+    assert.equal(status, 200);
+    assert.equal(body[0].kind, 'system');
+    assert.ok(body.some(template => template.name === 'chat'));
+    assert.equal(body[0].text, undefined);
+    assert.equal((await request('GET', '/api/prompts/unknown', { token: member.token })).status, 404);
+  });
+
+  it('saves, restores and resets templates', async () => {
+    const save = await request('PUT', '/api/prompts/chat', { token: admin.token, body: { text: CHAT_TEXT, message: 'Shorter' } });
+
+    assert.equal(save.status, 200);
+    assert.equal(save.body.currentVersion, 1);
+    assert.equal((await request('PUT', '/api/prompts/chat', { token: admin.token, body: { text: '{{prompt}}' } })).status, 400);
+
+    const versions = await request('GET', '/api/prompts/chat/versions', { token: member.token });
+
+    assert.deepEqual(versions.body.map(({ version, author, message }) => [version, author, message]), [[1, 'admin', 'Shorter']]);
+
+    assert.equal((await request('DELETE', '/api/prompts/chat', { token: admin.token })).status, 204);
+    assert.equal((await request('GET', '/api/prompts/chat', { token: member.token })).body.custom, false);
+    assert.equal((await request('DELETE', '/api/prompts/chat', { token: admin.token })).status, 404);
+
+    const restore = await request('POST', '/api/prompts/chat/versions/1/restore', { token: admin.token });
+
+    assert.equal(restore.body.text, CHAT_TEXT);
+    assert.equal(restore.body.currentVersion, 2);
+    assert.equal((await request('POST', '/api/prompts/chat/versions/7/restore', { token: admin.token })).status, 404);
+  });
+
+  it('lets only administrators change templates', async () => {
+    assert.equal((await request('PUT', '/api/prompts/chat', { token: member.token, body: { text: CHAT_TEXT } })).status, 403);
+    assert.equal((await request('DELETE', '/api/prompts/chat', { token: member.token })).status, 403);
+    assert.equal((await request('POST', '/api/prompts/chat/versions/1/restore', { token: member.token })).status, 403);
+  });
+});
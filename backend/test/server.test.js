@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { makeExecutable } = require('../zeebe');
+
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+const REVIEW_XML = ORDER_XML
+  .replace('<bpmn:task id="Task_A" name="Check" />', '<bpmn:userTask id="Task_Review" name="Review" />')
+  .replaceAll('Task_A', 'Task_Review');
+const TASK_1_XML = ORDER_XML.replaceAll('Task_A', 'Task_1');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+
+let server;
+let baseUrl;
+let token;
+
+/**
+ * Find a free port for the server, which only listens on the port it is given
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+
+      probe.close(() => resolve(port));
+    });
+
+    probe.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON request to the server
+ *
+ * @returns {Promise<{ status: number, body: Object|null }>}
+ */
+async function request(method, url, { body, auth = true } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(auth ? { Authorization: `Bearer ${token}` } : {}),
+      'Content-Type': 'application/json',
+    },
+    body: body && JSON.stringify(body),
+  });
+  const text = await response.text();
+
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+before(async () => {
+  const port = await freePort();
+
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, LLM_PROVIDER: 'mock', PORT: String(port), DATA_DIR: dataDir, SENTRY_DSN: '', NODE_ENV: 'test' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', chunk => chunk.toString().includes('Backend listening') && resolve());
+    server.once('exit', code => reject(new Error(`Server exited with code ${code}`)));
+  });
+
+  baseUrl = `http://localhost:${port}`;
+  ({ body: { token } } = await request('POST', '/api/auth/register', { body: { username: 'admin', password: 'correct horse' }, auth: false }));
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('POST /api/suggest', () => {
+  it('keeps only the property changes of the element', async () => {
+    const { status, body } = await request('POST', '/api/suggest', { body: { diagramXML: REVIEW_XML, elementId: 'Task_Review' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.changed, true);
+    assert.deepEqual(body.operations.map(({ type, elementId }) => [type, elementId]), [['updateProperties', 'Task_Review']]);
+    assert.equal(body.updatedDiagramXML, REVIEW_XML);
+    assert.ok(body.sessionId);
+  });
+
+  it('reports no change when there is nothing to suggest', async () => {
+    const { status, body } = await request('POST', '/api/suggest', { body: { diagramXML: ORDER_XML, elementId: 'Task_A' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.changed, false);
+    assert.deepEqual(body.operations, []);
+  });
+
+  it('rejects missing or mistyped fields', async () => {
+    for (const body of [{}, { diagramXML: 42, elementId: 'Task_A' }, { diagramXML: ORDER_XML }, { diagramXML: ORDER_XML, elementId: ['Task_A'] }]) {
+      const response = await request('POST', '/api/suggest', { body });
+
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.match(response.body.error, /(diagramXML|elementId) is required/);
+    }
+  });
+
+  it('requires a signed-in user', async () => {
+    assert.equal((await request('POST', '/api/suggest', { body: { diagramXML: ORDER_XML, elementId: 'Task_A' }, auth: false })).status, 401);
+  });
+});
+
+describe('POST /api/executable', () => {
+  it('marks the diagram executable and applies the completions of the model', async () => {
+    const { status, body } = await request('POST', '/api/executable', { body: { diagramXML: TASK_1_XML } });
+
+    assert.equal(status, 200);
+    assert.equal(body.changed, true);
+    assert.match(body.updatedDiagramXML, /modeler:executionPlatform="Camunda Cloud"/);
+    assert.match(body.updatedDiagramXML, /Completed by the engine without a worker/);
+    assert.deepEqual(body.operations, []);
+    assert.deepEqual(body.findings, []);
+  });
+
+  it('reports no change for an executable diagram the model leaves as it is', async () => {
+    const diagramXML = await makeExecutable(ORDER_XML);
+    // The canned answer refers to Task_1, so it is rejected and the repaired answer changes nothing
+    const { status, body } = await request('POST', '/api/executable', { body: { diagramXML } });
+
+    assert.equal(status, 200);
+    assert.equal(body.changed, false);
+    assert.equal(body.updatedDiagramXML, diagramXML);
+  });
+
+  it('rejects a missing or mistyped diagram', async () => {
+    for (const body of [{}, { diagramXML: 42 }, { diagramXML: ['<definitions />'] }, { diagramXML: ' ' }]) {
+      const response = await request('POST', '/api/executable', { body });
+
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.equal(response.body.error, 'diagramXML is required');
+    }
+
+    assert.match((await request('POST', '/api/executable', { body: { diagramXML: '<definitions' } })).body.error, /Could not parse diagram/);
+  });
+});
+
+describe('POST /api/documentation', () => {
+  it('writes the document under the given title', async () => {
+    const response = await fetch(`${baseUrl}/api/documentation?format=html`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ diagramXML: ORDER_XML, title: ' Order handling ' }),
+    });
+    const html = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="Order_handling.html"');
+    assert.match(html, /<title>Order handling<\/title>/);
+  });
+
+  it('rejects empty or mistyped titles and missing diagrams', async () => {
+    for (const body of [{ diagramXML: ORDER_XML, title: '' }, { diagramXML: ORDER_XML, title: '  ' }, { diagramXML: ORDER_XML, title: 42 }]) {
+      const response = await request('POST', '/api/documentation', { body });
+
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.equal(response.body.error, 'title must be a non-empty string');
+    }
+
+    assert.equal((await request('POST', '/api/documentation', { body: { title: 'Orders' } })).body.error, 'diagramXML is required');
+    assert.match((await request('POST', '/api/documentation', { body: { diagramXML: ORDER_XML, format: 'pdf' } })).body.error, /Unsupported format "pdf"/);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Read when the module loads; each test file runs in its own process
+process.env.AI_FORMAT_RETRIES = '2';
+
+const { checkSchema, parseStructuredOutput, generateStructuredOutput } = require('../structuredOutput');
+const { createMockProvider } = require('../providers/mock');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    response: { type: 'string' },
+    operations: { type: 'array', items: { type: 'object', properties: { type: { type: 'string', enum: ['rename', 'delete'] } }, required: ['type'] } },
+  },
+  required: ['response'],
+};
+
+const codes = (result) => result.errors.map(error => error.code);
+
+describe('checkSchema', () => {
+  it('reports missing fields, wrong types and values outside the enum with their path', () => {
+    assert.deepEqual(checkSchema({ operations: [{ type: 'move' }, {}] }, SCHEMA), [
+      '$.response is required',
+      '$.operations[0].type must be one of rename, delete',
+      '$.operations[1].type is required',
+    ]);
+    assert.deepEqual(checkSchema([], SCHEMA), ['$ must be of type object']);
+    assert.deepEqual(checkSchema({ response: 'ok', operations: null }, SCHEMA), []);
+  });
+});
+
+describe('parseStructuredOutput', () => {
+  it('parses plain JSON', () => {
+    assert.deepEqual(parseStructuredOutput('{ "response": "ok" }', SCHEMA), { value: { response: 'ok' }, errors: [] });
+  });
+
+  it('repairs code fences, text around the object and trailing commas', () => {
+    const texts = [
+      '```json\n{ "response": "ok" }\n```',
+      'Sure! Here it is: { "response": "ok" } Let me know if you need more.',
+      '{ "response": "ok", "operations": [{ "type": "delete" },], }',
+    ];
+
+    texts.forEach(text => {
+      assert.equal(parseStructuredOutput(text, SCHEMA).value?.response, 'ok', text);
+    });
+  });
+
+  it('reports answers that are not JSON', () => {
+    const result = parseStructuredOutput('I cannot do that.', SCHEMA);
+
+    assert.equal(result.value, null);
+    assert.deepEqual(codes(result), ['INVALID_JSON']);
+    assert.deepEqual(codes(parseStructuredOutput(undefined, SCHEMA)), ['INVALID_JSON']);
+  });
+
+  it('reports answers that do not match the schema', () => {
+    const result = parseStructuredOutput('{ "answer": "ok" }', SCHEMA);
+
+    assert.equal(result.value, null);
+    assert.deepEqual(result.errors, [{ code: 'SCHEMA_MISMATCH', message: 'The answer does not match the expected format: $.response is required' }]);
+  });
+});
+
+describe('generateStructuredOutput', () => {
+  let provider;
+  let prompts;
+
+  beforeEach(() => {
+    const mock = createMockProvider({ fixturesFile: path.join(__dirname, 'fixtures', 'repair-responses.json') });
+
+    prompts = [];
+    provider = { ...mock, generate: (prompt, options) => { prompts.push(prompt); return mock.generate(prompt, options); } };
+  });
+
+  it('asks the model to repair a malformed answer', async () => {
+    const result = await generateStructuredOutput(provider, "User's Request: Rename the task\n\n", SCHEMA);
+
+    assert.deepEqual(result, { value: { response: 'Renamed the task.', operations: [] }, errors: [] });
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /\$\.operations must be of type array/);
+    assert.match(prompts[1], /Required JSON schema:/);
+  });
+
+  it('gives up after the format retries', async () => {
+    const result = await generateStructuredOutput(provider, "User's Request: Something unrepairable\n\n", SCHEMA);
+
+    assert.equal(result.value, null);
+    assert.deepEqual(codes(result), ['INVALID_JSON']);
+    assert.equal(prompts.length, 3);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The limits are read when the modules load; each test file runs in its own process
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-limits-'));
+process.env.RATE_LIMIT_REQUESTS = '2';
+process.env.DAILY_REQUEST_QUOTA = '3';
+process.env.DAILY_TOKEN_QUOTA = '1000';
+
+// Metered calls are logged in the background, so the log is removed once they are written
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { limitUsage, getClientId } = require('../usageLimits');
+const { recordUsage, getDailyUsage, meterProvider } = require('../usageLog');
+const { createMockProvider } = require('../providers/mock');
+
+/**
+ * Run the middleware for a request of a user
+ *
+ * @returns {Promise<Object>} { passed, status, headers, body, req }
+ */
+async function callLimitUsage(username) {
+  const req = { user: { username }, baseUrl: '/api', path: '/chat', socket: {} };
+  const res = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(status) { this.statusCode = status; return this; },
+    json(body) { this.body = body; },
+  };
+  let passed = false;
+
+  await limitUsage(req, res, () => { passed = true; });
+
+  return { passed, status: res.statusCode, headers: res.headers, body: res.body, req };
+}
+
+describe('limitUsage', () => {
+  it('accounts requests to the user and sets req.usage', async () => {
+    const { passed, req } = await callLimitUsage('ann');
+
+    assert.equal(passed, true);
+    assert.equal(req.usage.user, 'ann');
+    assert.equal(req.usage.endpoint, '/api/chat');
+    assert.ok(req.usage.requestId);
+  });
+
+  it('answers 429 with Retry-After once the rate limit is reached', async () => {
+    await callLimitUsage('bob');
+    await callLimitUsage('bob');
+    const result = await callLimitUsage('bob');
+
+    assert.equal(result.passed, false);
+    assert.equal(result.status, 429);
+    assert.match(result.body.error, /Too many AI requests/);
+    assert.ok(Number(result.headers['Retry-After']) > 0);
+
+    // Other users have their own window
+    assert.equal((await callLimitUsage('carol')).passed, true);
+  });
+
+  it('enforces the daily request quota from the usage log', async () => {
+    const entry = { user: 'dave', endpoint: '/api/chat', provider: 'mock', model: 'mock', promptTokens: 10, completionTokens: 10, latencyMs: 1 };
+
+    for (const requestId of ['r1', 'r2', 'r3']) {
+      await recordUsage({ ...entry, requestId });
+    }
+
+    // Several model calls of one request count once
+    await recordUsage({ ...entry, requestId: 'r3' });
+    assert.deepEqual(await getDailyUsage('dave'), { requests: 3, tokens: 80 });
+
+    const result = await callLimitUsage('dave');
+
+    assert.equal(result.status, 429);
+    assert.match(result.body.error, /Daily quota of 3 AI requests/);
+  });
+
+  it('enforces the daily token quota', async () => {
+    await recordUsage({ user: 'erin', requestId: 'r1', endpoint: '/api/chat', provider: 'mock', model: 'mock', promptTokens: 900, completionTokens: 100, latencyMs: 1 });
+
+    const result = await callLimitUsage('erin');
+
+    assert.equal(result.status, 429);
+    assert.match(result.body.error, /Daily quota of 1000 AI tokens/);
+  });
+});
+
+describe('meterProvider', () => {
+  let provider;
+
+  before(() => {
+    provider = meterProvider(createMockProvider());
+  });
+
+  it('records the calls of a request for its user', async () => {
+    const usage = { user: 'frank', requestId: 'r1', endpoint: '/api/chat' };
+
+    await provider.generate("User's Request: hello\n\n", { usage });
+    await provider.generate("User's Request: hello again\n\n", { usage });
+
+    const { requests, tokens } = await getDailyUsage('frank');
+
+    assert.equal(requests, 1);
+    assert.ok(tokens > 0);
+  });
+
+  it('does not record calls without usage', async () => {
+    await provider.generate("User's Request: hello\n\n");
+
+    assert.deepEqual(await getDailyUsage('unknown'), { requests: 0, tokens: 0 });
+  });
+});
+
+describe('getClientId', () => {
+  it('falls back to the IP address without a user', () => {
+    assert.equal(getClientId({ user: { username: 'ann' }, ip: '::1' }), 'ann');
+    assert.equal(getClientId({ ip: '::1' }), '::1');
+  });
+});
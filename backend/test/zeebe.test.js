@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BpmnModdle = require('bpmn-moddle');
+const { makeExecutable, checkExecutable, isZeebeDefinitions, getTimerProperty } = require('../zeebe');
+
+const ORDER_XML = fs.readFileSync(path.join(__dirname, 'fixtures', 'order.bpmn'), 'utf8');
+
+/**
+ * Executable Camunda 8 diagram with the given process content
+ */
+function zeebeXML(content) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:zeebe="http://camunda.org/schema/zeebe/1.0" xmlns:modeler="http://camunda.org/schema/modeler/1.0" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn" modeler:executionPlatform="Camunda Cloud">
+  ${content.includes('<bpmn:process') ? content : `<bpmn:process id="Process_1" isExecutable="true">${content}</bpmn:process>`}
+</bpmn:definitions>`;
+}
+
+/**
+ * "rule elementId" per finding
+ */
+async function check(content) {
+  return (await checkExecutable(zeebeXML(content))).map(({ rule, elementId }) => `${rule} ${elementId}`);
+}
+
+describe('makeExecutable', () => {
+  it('marks processes executable for Camunda 8', async () => {
+    const xml = await makeExecutable(ORDER_XML);
+    const { rootElement } = await new BpmnModdle().fromXML(xml, 'bpmn:Definitions');
+
+    assert.equal(isZeebeDefinitions(rootElement), true);
+    assert.equal(rootElement.rootElements[0].isExecutable, true);
+    assert.match(xml, /xmlns:zeebe="http:\/\/camunda.org\/schema\/zeebe\/1.0"/);
+  });
+
+  it('reports diagrams that are not made executable', async () => {
+    assert.deepEqual((await checkExecutable(ORDER_XML)).map(finding => finding.rule), ['execution-platform', 'executable-process']);
+    assert.deepEqual(await checkExecutable(await makeExecutable(ORDER_XML)), []);
+  });
+});
+
+describe('checkExecutable', () => {
+  it('requires job types of service tasks', async () => {
+    assert.deepEqual(await check('<bpmn:serviceTask id="Charge" />'), ['job-type Charge']);
+    assert.deepEqual(await check(`<bpmn:serviceTask id="Charge">
+      <bpmn:extensionElements><zeebe:taskDefinition type="charge-card" /></bpmn:extensionElements>
+    </bpmn:serviceTask>`), []);
+  });
+
+  it('requires FEEL conditions on branches that are not the default flow', async () => {
+    const findings = await check(`
+      <bpmn:exclusiveGateway id="Split" default="Flow_No">
+        <bpmn:outgoing>Flow_Yes</bpmn:outgoing>
+        <bpmn:outgoing>Flow_Missing</bpmn:outgoing>
+        <bpmn:outgoing>Flow_No</bpmn:outgoing>
+      </bpmn:exclusiveGateway>
+      <bpmn:task id="A" />
+      <bpmn:task id="B" />
+      <bpmn:task id="C" />
+      <bpmn:sequenceFlow id="Flow_Yes" sourceRef="Split" targetRef="A">
+        <bpmn:conditionExpression>= amount &gt; 100</bpmn:conditionExpression>
+      </bpmn:sequenceFlow>
+      <bpmn:sequenceFlow id="Flow_Missing" sourceRef="Split" targetRef="B" />
+      <bpmn:sequenceFlow id="Flow_No" sourceRef="Split" targetRef="C" />`);
+
+    assert.deepEqual(findings, ['feel-condition Flow_Missing']);
+    assert.deepEqual(await check(`
+      <bpmn:exclusiveGateway id="Split" />
+      <bpmn:task id="A" />
+      <bpmn:task id="B" />
+      <bpmn:sequenceFlow id="Flow_Yes" sourceRef="Split" targetRef="A">
+        <bpmn:conditionExpression>= approved</bpmn:conditionExpression>
+      </bpmn:sequenceFlow>
+      <bpmn:sequenceFlow id="Flow_Missing" sourceRef="Split" targetRef="B" />`), ['feel-condition Flow_Missing']);
+    assert.deepEqual(await check(`
+      <bpmn:task id="A" />
+      <bpmn:task id="B" />
+      <bpmn:sequenceFlow id="Flow_1" sourceRef="A" targetRef="B">
+        <bpmn:conditionExpression>amount &gt; 100</bpmn:conditionExpression>
+      </bpmn:sequenceFlow>`), ['feel-condition Flow_1']);
+  });
+
+  it('requires message names and correlation keys of waiting message events', async () => {
+    const message = correlation => `<bpmn:message id="Message_Paid" name="paid">${correlation
+      ? '<bpmn:extensionElements><zeebe:subscription correlationKey="= orderId" /></bpmn:extensionElements>'
+      : ''}</bpmn:message>`;
+    const process = `<bpmn:process id="Process_1" isExecutable="true">
+      <bpmn:startEvent id="Start"><bpmn:messageEventDefinition messageRef="Message_Paid" /></bpmn:startEvent>
+      <bpmn:intermediateCatchEvent id="Wait"><bpmn:messageEventDefinition messageRef="Message_Paid" /></bpmn:intermediateCatchEvent>
+      <bpmn:receiveTask id="Receive" />
+    </bpmn:process>`;
+
+    assert.deepEqual(await check(`${process}${message(false)}`), ['message-subscription Wait', 'message-subscription Receive']);
+    assert.deepEqual(await check(`${process}${message(true)}`), ['message-subscription Receive']);
+  });
+
+  it('requires timer values, called processes and mapping targets', async () => {
+    assert.deepEqual(await check(`
+      <bpmn:intermediateCatchEvent id="Timer"><bpmn:timerEventDefinition /></bpmn:intermediateCatchEvent>
+      <bpmn:callActivity id="Call" />
+      <bpmn:task id="Map">
+        <bpmn:extensionElements><zeebe:ioMapping><zeebe:input source="= total" /></zeebe:ioMapping></bpmn:extensionElements>
+      </bpmn:task>`), ['timer-definition Timer', 'called-element Call', 'io-mapping Map']);
+  });
+
+  it('warns about user tasks without a form', async () => {
+    const findings = await checkExecutable(zeebeXML('<bpmn:userTask id="Approve" />'));
+
+    assert.deepEqual(findings.map(({ rule, severity }) => [rule, severity]), [['user-task-form', 'warning']]);
+  });
+
+  it('reports elements Camunda 8 does not support', async () => {
+    assert.deepEqual(await check('<bpmn:complexGateway id="Complex" />'), ['unsupported-element Complex']);
+  });
+
+  it('requires the decision and result variable of called decisions', async () => {
+    assert.deepEqual(await check(`<bpmn:businessRuleTask id="Decide">
+      <bpmn:extensionElements><zeebe:calledDecision /></bpmn:extensionElements>
+    </bpmn:businessRuleTask>`), ['called-decision Decide', 'called-decision Decide']);
+    assert.deepEqual(await check(`<bpmn:businessRuleTask id="Decide">
+      <bpmn:extensionElements><zeebe:calledDecision decisionId="Decision_Discount" resultVariable="discount" /></bpmn:extensionElements>
+    </bpmn:businessRuleTask>`), []);
+  });
+
+  it('checks the content of sub-processes', async () => {
+    assert.deepEqual(await check('<bpmn:subProcess id="Sub"><bpmn:serviceTask id="Inner" /></bpmn:subProcess>'), ['job-type Inner']);
+  });
+});
+
+describe('getTimerProperty', () => {
+  it('tells durations, cycles and dates apart', () => {
+    assert.equal(getTimerProperty('PT1H'), 'timeDuration');
+    assert.equal(getTimerProperty('R3/PT10M'), 'timeCycle');
+    assert.equal(getTimerProperty('2026-01-01T09:00:00Z'), 'timeDate');
+  });
+});
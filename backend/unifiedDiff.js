@@ -0,0 +1,156 @@
+/**
+ * Unified Diffs of Text Files
+ *
+ * Line-based diff in the format of `diff -u`, used by the command line tool
+ * to show changes to diagram files. Lines are matched by their longest
+ * common subsequence after skipping the common start and end; changes too
+ * large for that are shown as one replaced block.
+ */
+
+// Largest number of line pairs compared, bounds memory to about 64 MB
+const MAX_COMPARED_PAIRS = 16 * 1024 * 1024;
+
+function splitLines(text) {
+  const lines = text.split('\n');
+
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return lines;
+}
+
+/**
+ * Compute the edit script between two line arrays
+ *
+ * @param {Array<string>} oldLines
+ * @param {Array<string>} newLines
+ * @returns {Array<{ type: ' ' | '-' | '+', line: string }>}
+ */
+function diffLines(oldLines, newLines) {
+  let start = 0;
+
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const before = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+  const after = oldLines.slice(oldEnd).map(line => ({ type: ' ', line }));
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+
+  const rows = oldMiddle.length + 1;
+  const columns = newMiddle.length + 1;
+
+  if (rows * columns > MAX_COMPARED_PAIRS) {
+    return [
+      ...before,
+      ...oldMiddle.map(line => ({ type: '-', line })),
+      ...newMiddle.map(line => ({ type: '+', line })),
+      ...after
+    ];
+  }
+
+  // lengths[i * columns + j]: longest common subsequence of oldMiddle[i..] and newMiddle[j..]
+  const lengths = new Uint32Array(rows * columns);
+
+  for (let i = oldMiddle.length - 1; i >= 0; i--) {
+    for (let j = newMiddle.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = oldMiddle[i] === newMiddle[j]
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldMiddle.length || j < newMiddle.length) {
+    if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+      middle.push({ type: ' ', line: oldMiddle[i++] });
+      j++;
+    } else if (i < oldMiddle.length && (j === newMiddle.length || lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1])) {
+      middle.push({ type: '-', line: oldMiddle[i++] });
+    } else {
+      middle.push({ type: '+', line: newMiddle[j++] });
+    }
+  }
+
+  return [...before, ...middle, ...after];
+}
+
+function formatRange(start, count) {
+  return count === 1 ? `${start}` : `${count ? start : start - 1},${count}`;
+}
+
+/**
+ * Create a unified diff of two texts
+ *
+ * @param {string} oldText - Original content
+ * @param {string} newText - Changed content
+ * @param {Object} [options]
+ * @param {string} [options.fromFile] - Name of the original file in the header
+ * @param {string} [options.toFile] - Name of the changed file in the header
+ * @param {number} [options.context] - Unchanged lines shown around each change
+ * @returns {string} The diff, empty if the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = edits.map((edit, index) => (edit.type !== ' ' ? index : -1)).filter(index => index !== -1);
+
+  if (!changed.length) {
+    return '';
+  }
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+
+  changed.forEach(index => {
+    const last = hunks[hunks.length - 1];
+
+    if (last && index - last.end <= context * 2) {
+      last.end = index + 1;
+    } else {
+      hunks.push({ start: index, end: index + 1 });
+    }
+  });
+
+  // Line numbers before each edit
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+
+  edits.forEach(edit => {
+    positions.push({ oldLine, newLine });
+    oldLine += edit.type !== '+' ? 1 : 0;
+    newLine += edit.type !== '-' ? 1 : 0;
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  hunks.forEach(hunk => {
+    const start = Math.max(0, hunk.start - context);
+    const end = Math.min(edits.length, hunk.end + context);
+    const lines = edits.slice(start, end);
+    const oldCount = lines.filter(edit => edit.type !== '+').length;
+    const newCount = lines.filter(edit => edit.type !== '-').length;
+
+    output.push(`@@ -${formatRange(positions[start].oldLine, oldCount)} +${formatRange(positions[start].newLine, newCount)} @@`);
+    lines.forEach(edit => output.push(`${edit.type}${edit.line}`));
+  });
+
+  return `${output.join('\n')}\n`;
+}
+
+module.exports = {
+  createUnifiedDiff
+};
@@ -0,0 +1,108 @@
+/**
+ * Rate Limits and Daily Quotas for the AI Endpoints
+ *
+ * Each user may start RATE_LIMIT_REQUESTS AI requests per sliding window
+ * of RATE_LIMIT_WINDOW_SECONDS. On top of that, DAILY_REQUEST_QUOTA and
+ * DAILY_TOKEN_QUOTA cap the requests and model tokens per user and UTC day,
+ * counted from the usage log (0 disables a limit). Requests over a limit are
+ * answered with 429 and a Retry-After header.
+ *
+ * Requests are accounted to the signed-in user (see auth.js); requests
+ * without one fall back to the client's IP address.
+ */
+
+const crypto = require('crypto');
+const { getDailyUsage } = require('./usageLog');
+
+const RATE_LIMIT_REQUESTS = parseInt(process.env.RATE_LIMIT_REQUESTS || '30', 10);
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60', 10) * 1000;
+const DAILY_REQUEST_QUOTA = parseInt(process.env.DAILY_REQUEST_QUOTA || '0', 10);
+const DAILY_TOKEN_QUOTA = parseInt(process.env.DAILY_TOKEN_QUOTA || '0', 10);
+
+// Client to start times of its requests within the current window
+const recentRequests = new Map();
+
+/**
+ * User an API request is accounted to
+ *
+ * @param {Object} req - Express request
+ */
+function getClientId(req) {
+  return req.user?.username || req.ip || req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Drop request times that left the window, and clients without any
+ */
+function pruneRequests(now) {
+  recentRequests.forEach((times, client) => {
+    while (times.length && now - times[0] >= RATE_LIMIT_WINDOW_MS) {
+      times.shift();
+    }
+    if (!times.length) {
+      recentRequests.delete(client);
+    }
+  });
+}
+
+/**
+ * Seconds until the next UTC day, when the daily quotas reset
+ */
+function secondsUntilTomorrow(now) {
+  const tomorrow = new Date(now);
+  tomorrow.setUTCHours(24, 0, 0, 0);
+
+  return Math.ceil((tomorrow - now) / 1000);
+}
+
+function reject(res, retryAfter, error) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error });
+}
+
+/**
+ * Middleware for AI routes: enforces the limits and sets `req.usage`
+ * ({ user, requestId, endpoint }), which the routes pass to the provider so
+ * model calls are recorded in the usage log
+ */
+async function limitUsage(req, res, next) {
+  const user = getClientId(req);
+  const now = Date.now();
+
+  pruneRequests(now);
+
+  const times = recentRequests.get(user) || [];
+
+  if (RATE_LIMIT_REQUESTS > 0 && times.length >= RATE_LIMIT_REQUESTS) {
+    const retryAfter = Math.ceil((times[0] + RATE_LIMIT_WINDOW_MS - now) / 1000);
+    return reject(res, retryAfter, `Too many AI requests. Try again in ${retryAfter} seconds.`);
+  }
+
+  if (DAILY_REQUEST_QUOTA > 0 || DAILY_TOKEN_QUOTA > 0) {
+    const { requests, tokens } = await getDailyUsage(user);
+
+    if (DAILY_REQUEST_QUOTA > 0 && requests >= DAILY_REQUEST_QUOTA) {
+      return reject(res, secondsUntilTomorrow(now), `Daily quota of ${DAILY_REQUEST_QUOTA} AI requests used up. It resets at midnight UTC.`);
+    }
+    if (DAILY_TOKEN_QUOTA > 0 && tokens >= DAILY_TOKEN_QUOTA) {
+      return reject(res, secondsUntilTomorrow(now), `Daily quota of ${DAILY_TOKEN_QUOTA} AI tokens used up. It resets at midnight UTC.`);
+    }
+  }
+
+  times.push(now);
+  recentRequests.set(user, times);
+
+  req.usage = { user, requestId: crypto.randomUUID(), endpoint: req.baseUrl + req.path };
+  next();
+}
+
+module.exports = {
+  limitUsage,
+  getClientId,
+  quotas: {
+    rateLimitRequests: RATE_LIMIT_REQUESTS,
+    rateLimitWindowSeconds: RATE_LIMIT_WINDOW_MS / 1000,
+    dailyRequests: DAILY_REQUEST_QUOTA,
+    dailyTokens: DAILY_TOKEN_QUOTA,
+  }
+};
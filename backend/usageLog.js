@@ -0,0 +1,291 @@
+/**
+ * Usage Accounting for Model Calls
+ *
+ * Every call to the model is appended to a daily usage log:
+ *
+ *   <DATA_DIR>/usage/<YYYY-MM-DD>.jsonl   one JSON object per model call
+ *
+ * An entry records the user, the API request it belongs to, the endpoint,
+ * provider and model, prompt and completion tokens and the latency. Token
+ * counts come from the provider where it reports them and are estimated
+ * from the text length otherwise (`estimated: true`). Days are UTC dates.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { estimateTokens } = require('./conversationStore');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const USAGE_DIR = path.join(DATA_DIR, 'usage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period a usage report may cover
+const MAX_REPORT_DAYS = 366;
+
+// Per-user totals of the current day, used for quota checks: user to { requestIds, tokens }
+let today = { day: null, users: null, loading: null };
+
+// Appends are chained so lines of concurrent calls never interleave
+let writeQueue = Promise.resolve();
+
+function formatDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function logFile(day) {
+  return path.join(USAGE_DIR, `${day}.jsonl`);
+}
+
+/**
+ * Read the entries of one day
+ *
+ * @param {string} day - UTC date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Usage entries, empty if nothing was logged that day
+ */
+async function readDay(day) {
+  try {
+    const text = await fs.readFile(logFile(day), 'utf8');
+
+    return text.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [ JSON.parse(line) ];
+      } catch (error) {
+        // A line cut off by a crash; the rest of the log is still usable
+        return [];
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function addToTotals(users, entry) {
+  const totals = users.get(entry.user) || { requestIds: new Set(), tokens: 0 };
+
+  totals.requestIds.add(entry.requestId);
+  totals.tokens += entry.promptTokens + entry.completionTokens;
+  users.set(entry.user, totals);
+}
+
+/**
+ * Totals of the current day, loaded from the log after a restart or at midnight
+ */
+async function getTodayTotals() {
+  const day = formatDay();
+
+  if (today.day !== day) {
+    const users = new Map();
+    const loading = readDay(day)
+      .then(entries => entries.forEach(entry => addToTotals(users, entry)))
+      .catch(error => {
+        // Read the log again on the next call
+        today.day = null;
+        throw error;
+      });
+
+    today = { day, users, loading };
+  }
+
+  await today.loading;
+
+  return today.users;
+}
+
+/**
+ * Append a model call to the usage log
+ *
+ * @param {Object} entry
+ * @param {string} entry.user - User the call is accounted to
+ * @param {string} entry.requestId - API request the call belongs to
+ * @param {string} entry.endpoint - API endpoint, e.g. /api/chat
+ * @param {string} entry.provider - Provider name
+ * @param {string} entry.model - Model name
+ * @param {number} entry.promptTokens - Tokens of the prompt
+ * @param {number} entry.completionTokens - Tokens of the answer
+ * @param {number} entry.latencyMs - Time until the answer was complete
+ * @param {boolean} [entry.estimated] - Token counts are estimates
+ * @param {boolean} [entry.failed] - The call failed or was cancelled
+ */
+async function recordUsage(entry) {
+  const record = { timestamp: new Date().toISOString(), ...entry };
+  const users = await getTodayTotals();
+
+  if (today.day === formatDay(new Date(record.timestamp))) {
+    addToTotals(users, record);
+  }
+
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.mkdir(USAGE_DIR, { recursive: true });
+      await fs.appendFile(logFile(formatDay(new Date(record.timestamp))), `${JSON.stringify(record)}\n`);
+    })
+    .catch(error => console.error('Error writing usage log:', error));
+
+  return writeQueue;
+}
+
+/**
+ * Requests and tokens a user has used today
+ *
+ * @param {string} user - User ID
+ * @returns {Promise<{ requests: number, tokens: number }>}
+ */
+async function getDailyUsage(user) {
+  const totals = (await getTodayTotals()).get(user);
+
+  return { requests: totals ? totals.requestIds.size : 0, tokens: totals ? totals.tokens : 0 };
+}
+
+function emptySummary(fields) {
+  return { ...fields, requests: 0, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, latencyMs: 0, models: {}, requestIds: new Set() };
+}
+
+function addToSummary(summary, entry) {
+  summary.requestIds.add(entry.requestId);
+  summary.calls++;
+  summary.promptTokens += entry.promptTokens;
+  summary.completionTokens += entry.completionTokens;
+  summary.totalTokens += entry.promptTokens + entry.completionTokens;
+  summary.latencyMs += entry.latencyMs;
+  summary.models[entry.model] = (summary.models[entry.model] || 0) + 1;
+}
+
+function finishSummary({ requestIds, latencyMs, ...summary }) {
+  return { ...summary, requests: requestIds.size, averageLatencyMs: summary.calls ? Math.round(latencyMs / summary.calls) : 0 };
+}
+
+/**
+ * Aggregate the usage log per user and per day
+ *
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day (YYYY-MM-DD), defaults to 30 days before `to`;
+ *   reports cover at most MAX_REPORT_DAYS days
+ * @param {string} [options.to] - Last day (YYYY-MM-DD), defaults to today
+ * @param {string} [options.user] - Only report this user
+ * @returns {Promise<{ from, to, days: Array, users: Array }>}
+ */
+async function summarizeUsage({ from, to = formatDay(), user } = {}) {
+  const toDate = new Date(`${to}T00:00:00Z`);
+  const fromDate = new Date(Math.max(
+    from ? new Date(`${from}T00:00:00Z`).getTime() : toDate.getTime() - 29 * DAY_MS,
+    toDate.getTime() - (MAX_REPORT_DAYS - 1) * DAY_MS
+  ));
+
+  const days = new Map();
+  const users = new Map();
+
+  for (let date = fromDate; date <= toDate; date = new Date(date.getTime() + DAY_MS)) {
+    const day = formatDay(date);
+
+    (await readDay(day))
+      .filter(entry => !user || entry.user === user)
+      .forEach(entry => {
+        const key = `${day}\n${entry.user}`;
+
+        if (!days.has(key)) {
+          days.set(key, emptySummary({ day, user: entry.user }));
+        }
+        if (!users.has(entry.user)) {
+          users.set(entry.user, emptySummary({ user: entry.user }));
+        }
+
+        addToSummary(days.get(key), entry);
+        addToSummary(users.get(entry.user), entry);
+      });
+  }
+
+  return {
+    from: formatDay(fromDate),
+    to,
+    days: [ ...days.values() ].map(finishSummary),
+    users: [ ...users.values() ].map(finishSummary),
+  };
+}
+
+/**
+ * Whether a string is a valid UTC day (YYYY-MM-DD)
+ *
+ * @param {string} day - Day to check
+ */
+function isDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+
+  return typeof day === 'string' && !isNaN(date) && formatDay(date) === day;
+}
+
+/**
+ * Wrap a provider so that every call is recorded in the usage log
+ *
+ * Calls are accounted to `options.usage` ({ user, requestId, endpoint }),
+ * which the API routes pass along with the other request options. Calls
+ * without it are not recorded.
+ *
+ * @param {Object} provider - LLM provider (see providers/index.js)
+ */
+function meterProvider(provider) {
+  const record = (prompt, text, reported, startedAt, usage, failed) => {
+    if (!usage) {
+      return;
+    }
+
+    recordUsage({
+      ...usage,
+      provider: provider.name,
+      model: provider.model,
+      promptTokens: reported?.promptTokens ?? estimateTokens(prompt),
+      completionTokens: reported?.completionTokens ?? estimateTokens(text),
+      latencyMs: Date.now() - startedAt,
+      ...(reported ? {} : { estimated: true }),
+      ...(failed ? { failed: true } : {}),
+    }).catch(error => console.error('Error recording usage:', error));
+  };
+
+  return {
+    ...provider,
+
+    async generate(prompt, { usage, ...options } = {}) {
+      const startedAt = Date.now();
+      let reported = null;
+      let text = '';
+      let completed = false;
+
+      try {
+        text = await provider.generate(prompt, { ...options, onUsage: counts => { reported = counts; } });
+        completed = true;
+        return text;
+      } finally {
+        record(prompt, text, reported, startedAt, usage, !completed);
+      }
+    },
+
+    async *generateStream(prompt, { usage, ...options } = {}) {
+      const startedAt = Date.now();
+      let reported = null;
+      let text = '';
+      let completed = false;
+
+      try {
+        for await (const chunk of provider.generateStream(prompt, { ...options, onUsage: counts => { reported = counts; } })) {
+          text += chunk;
+          yield chunk;
+        }
+        completed = true;
+      } finally {
+        // Cancelled streams are accounted with the text generated so far
+        record(prompt, text, reported, startedAt, usage, !completed);
+      }
+    },
+  };
+}
+
+module.exports = {
+  recordUsage,
+  getDailyUsage,
+  summarizeUsage,
+  isDay,
+  meterProvider
+};
@@ -0,0 +1,319 @@
+/**
+ * User Accounts and Access Tokens
+ *
+ * Users sign in with a local username and password and authenticate every
+ * request with a bearer token. Signing in issues a session token that
+ * expires after AUTH_SESSION_TTL_HOURS; API tokens for scripted access are
+ * created by the user, have a name and do not expire until revoked.
+ *
+ * Accounts are kept in <DATA_DIR>/users.json. Passwords are stored as
+ * scrypt hashes and tokens as SHA-256 hashes, so the file never contains
+ * a usable secret. The first registered user becomes an administrator.
+ * Unless registration is open (see routes/auth.js), administrators create
+ * the other accounts.
+ *
+ * Every user belongs to a workspace whose members share the prompt
+ * templates and quick actions (see promptStore.js). New accounts join
+ * DEFAULT_WORKSPACE; administrators move users to other workspaces, so
+ * nobody can join a workspace on their own.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+
+const SESSION_TTL_MS = parseFloat(process.env.AUTH_SESSION_TTL_HOURS || '168') * 60 * 60 * 1000;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,40}$/;
+const WORKSPACE_PATTERN = /^[a-z0-9][a-z0-9._-]{0,39}$/;
+const DEFAULT_WORKSPACE = 'default';
+const MIN_PASSWORD_LENGTH = 8;
+const REGISTRATION_CLOSED = 'Registration is closed. Ask an administrator for an account.';
+
+// Prefix that makes leaked tokens easy to recognize
+const TOKEN_PREFIX = 'bpmn_';
+
+let users = null; // Loaded on first use
+let loading = null;
+let writeQueue = Promise.resolve();
+
+function loadUsers() {
+  loading = loading || fs.readFile(USERS_FILE, 'utf8')
+    .then(text => JSON.parse(text))
+    .catch(error => {
+      if (error.code !== 'ENOENT') {
+        // Try again on the next request
+        loading = null;
+        throw error;
+      }
+      return [];
+    })
+    .then(loaded => {
+      users = loaded;
+      return users;
+    });
+
+  return loading;
+}
+
+function saveUsers() {
+  const snapshot = JSON.stringify(users, null, 2);
+
+  writeQueue = writeQueue.catch(() => {}).then(async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(USERS_FILE, snapshot, { mode: 0o600 });
+  });
+
+  return writeQueue;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = await scrypt(password, salt, 64);
+
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * User as exposed by the API and attached to requests
+ *
+ * @param {Object} user - Stored user
+ */
+function toPublicUser({ id, username, role, workspace, createdAt }) {
+  return { id, username, role, workspace: workspace || DEFAULT_WORKSPACE, createdAt };
+}
+
+function toTokenSummary({ id, name, createdAt }) {
+  return { id, name, createdAt };
+}
+
+/**
+ * Register a user
+ *
+ * @param {Object} credentials
+ * @param {string} credentials.username - 3-40 letters, digits, ".", "_" or "-"
+ * @param {string} credentials.password - At least MIN_PASSWORD_LENGTH characters
+ * @param {Object} [options]
+ * @param {boolean} [options.firstOnly] - Only create the account if there is none yet
+ * @returns {Promise<{ user?: Object, error?: string, closed?: boolean }>} The new user or why it was not
+ *   created; `closed` if other accounts exist and `firstOnly` is set
+ */
+async function createUser({ username, password }, { firstOnly = false } = {}) {
+  if (firstOnly && (await loadUsers()).length) {
+    return { error: REGISTRATION_CLOSED, closed: true };
+  }
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return { error: 'Usernames have 3 to 40 letters, digits, ".", "_" or "-"' };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Passwords have at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  // Hash before checking, so concurrent registrations cannot both pass the check
+  const passwordHash = await hashPassword(password);
+
+  await loadUsers();
+
+  if (firstOnly && users.length) {
+    return { error: REGISTRATION_CLOSED, closed: true };
+  }
+  if (users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+    return { error: 'The username is taken' };
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    role: users.length ? 'user' : 'admin',
+    workspace: DEFAULT_WORKSPACE,
+    passwordHash,
+    createdAt: new Date().toISOString(),
+    tokens: [],
+  };
+
+  users.push(user);
+  await saveUsers();
+
+  return { user: toPublicUser(user) };
+}
+
+/**
+ * Check a username and password
+ *
+ * @returns {Promise<Object|null>} The user, null if the credentials are wrong
+ */
+async function verifyPassword(username, password) {
+  await loadUsers();
+
+  const user = users.find(candidate => candidate.username.toLowerCase() === String(username).toLowerCase());
+
+  if (typeof password !== 'string') {
+    return null;
+  }
+
+  // Unknown users take as long as wrong passwords, so usernames cannot be probed
+  if (!user) {
+    await hashPassword(password);
+    return null;
+  }
+
+  const [ salt, expected ] = user.passwordHash.split(':');
+  const [ , actual ] = (await hashPassword(password, salt)).split(':');
+
+  return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex')) ? toPublicUser(user) : null;
+}
+
+/**
+ * Find a user by username
+ *
+ * @param {string} username - Username, case-insensitive
+ * @returns {Promise<Object|null>}
+ */
+async function findUserByName(username) {
+  await loadUsers();
+
+  const user = users.find(candidate => candidate.username.toLowerCase() === String(username).toLowerCase());
+
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Move a user to another workspace
+ *
+ * @param {string} username - Username, case-insensitive
+ * @param {string} workspace - 1-40 lowercase letters, digits, ".", "_" or "-"
+ * @returns {Promise<{ user?: Object, error?: string }|null>} The updated user or why it was not moved, null if the user does not exist
+ */
+async function setWorkspace(username, workspace) {
+  if (typeof workspace !== 'string' || !WORKSPACE_PATTERN.test(workspace)) {
+    return { error: 'Workspaces have 1 to 40 lowercase letters, digits, ".", "_" or "-"' };
+  }
+
+  await loadUsers();
+
+  const user = users.find(candidate => candidate.username.toLowerCase() === String(username).toLowerCase());
+
+  if (!user) {
+    return null;
+  }
+
+  user.workspace = workspace;
+  await saveUsers();
+
+  return { user: toPublicUser(user) };
+}
+
+/**
+ * Issue a token for a user
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {'session'|'api'} options.kind - Session tokens expire, API tokens are revoked explicitly
+ * @param {string} [options.name] - Name of an API token
+ * @returns {Promise<{ token: string, id: string, name: string, createdAt: string }>} The token is only returned here
+ */
+async function createToken(userId, { kind, name }) {
+  await loadUsers();
+
+  const user = users.find(candidate => candidate.id === userId);
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const entry = {
+    id: crypto.randomUUID(),
+    kind,
+    name: kind === 'api' ? String(name || 'API token').slice(0, 80) : 'Session',
+    hash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    ...(kind === 'session' ? { expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString() } : {}),
+  };
+
+  // Expired sessions are dropped whenever a new token is issued
+  user.tokens = user.tokens.filter(candidate => !candidate.expiresAt || new Date(candidate.expiresAt) > new Date());
+  user.tokens.push(entry);
+  await saveUsers();
+
+  return { token, ...toTokenSummary(entry) };
+}
+
+/**
+ * Resolve a bearer token
+ *
+ * @param {string} token - Token sent by the client
+ * @returns {Promise<{ user: Object, tokenId: string }|null>} Null for unknown, revoked or expired tokens
+ */
+async function authenticateToken(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  await loadUsers();
+
+  const hash = hashToken(token);
+
+  for (const user of users) {
+    const entry = user.tokens.find(candidate => candidate.hash === hash);
+
+    if (entry) {
+      return entry.expiresAt && new Date(entry.expiresAt) <= new Date()
+        ? null
+        : { user: toPublicUser(user), tokenId: entry.id };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the API tokens of a user
+ *
+ * @param {string} userId - User ID
+ */
+async function listTokens(userId) {
+  await loadUsers();
+
+  return users.find(user => user.id === userId).tokens
+    .filter(entry => entry.kind === 'api')
+    .map(toTokenSummary);
+}
+
+/**
+ * Revoke a token of a user
+ *
+ * @param {string} userId - User ID
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<boolean>} Whether the token existed
+ */
+async function revokeToken(userId, tokenId) {
+  await loadUsers();
+
+  const user = users.find(candidate => candidate.id === userId);
+  const count = user.tokens.length;
+
+  user.tokens = user.tokens.filter(entry => entry.id !== tokenId);
+
+  if (user.tokens.length === count) {
+    return false;
+  }
+
+  await saveUsers();
+
+  return true;
+}
+
+module.exports = {
+  createUser,
+  verifyPassword,
+  findUserByName,
+  setWorkspace,
+  createToken,
+  authenticateToken,
+  listTokens,
+  revokeToken
+};
@@ -0,0 +1,360 @@
+/**
+ * Executable Processes for Camunda 8 (Zeebe)
+ *
+ * Diagrams are made executable for Camunda 8 by marking their processes as
+ * executable and declaring the execution platform the way the Camunda
+ * Modeler does (modeler:executionPlatform="Camunda Cloud"). The editor opens
+ * such diagrams with the Zeebe extensions, and edit operations write Zeebe
+ * properties instead of Camunda 7 ones.
+ *
+ * The completeness check reports everything the engine needs that is still
+ * missing, e.g. job types of service tasks or FEEL conditions of gateway
+ * branches. Findings have the format of the lint engine (bpmnLint.js).
+ *
+ * The backend does not load the Zeebe moddle extension, so Zeebe extension
+ * elements are read and written as generic elements (zeebe:taskDefinition).
+ */
+
+const BpmnModdle = require('bpmn-moddle');
+
+const moddle = new BpmnModdle();
+
+const ZEEBE_NS = 'http://camunda.org/schema/zeebe/1.0';
+const MODELER_NS = 'http://camunda.org/schema/modeler/1.0';
+
+const EXECUTION_PLATFORM = 'Camunda Cloud';
+const EXECUTION_PLATFORM_VERSION = process.env.ZEEBE_PLATFORM_VERSION || '8.6.0';
+
+/**
+ * Element types the engine runs as jobs and that need a job type
+ */
+const JOB_WORKER_TYPES = ['bpmn:ServiceTask', 'bpmn:SendTask', 'bpmn:ScriptTask', 'bpmn:BusinessRuleTask'];
+
+/**
+ * Element types Zeebe cannot deploy
+ */
+const UNSUPPORTED_TYPES = ['bpmn:ComplexGateway', 'bpmn:Transaction'];
+
+/**
+ * Whether a diagram targets Camunda 8
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ */
+function isZeebeDefinitions(definitions) {
+  return Object.entries(definitions.$attrs || {})
+    .some(([name, value]) => name.endsWith(':executionPlatform') && value === EXECUTION_PLATFORM);
+}
+
+/**
+ * Get the Zeebe extension elements of an element
+ *
+ * @param {Object} element - Moddle element
+ * @param {string} name - Local name, e.g. taskDefinition
+ */
+function getZeebeExtensions(element, name) {
+  return (element.extensionElements?.values || []).filter(value => value.$type === `zeebe:${name}`);
+}
+
+/**
+ * Declare the Zeebe and modeler namespaces on the definitions
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ */
+function declareZeebeNamespaces(definitions) {
+  const attrs = definitions.$attrs;
+
+  if (!Object.values(attrs).includes(ZEEBE_NS)) {
+    attrs['xmlns:zeebe'] = ZEEBE_NS;
+  }
+
+  if (!Object.values(attrs).includes(MODELER_NS)) {
+    attrs['xmlns:modeler'] = MODELER_NS;
+  }
+}
+
+/**
+ * Mark a diagram as an executable Camunda 8 process
+ *
+ * @param {string} diagramXML - BPMN XML
+ * @returns {Promise<string>} BPMN XML with executable processes and the execution platform set
+ */
+async function makeExecutable(diagramXML) {
+  const { rootElement: definitions } = await moddle.fromXML(diagramXML, 'bpmn:Definitions');
+
+  declareZeebeNamespaces(definitions);
+  definitions.$attrs['modeler:executionPlatform'] = EXECUTION_PLATFORM;
+  definitions.$attrs['modeler:executionPlatformVersion'] = EXECUTION_PLATFORM_VERSION;
+
+  (definitions.rootElements || [])
+    .filter(element => element.$instanceOf('bpmn:Process'))
+    .forEach(process => {
+      process.isExecutable = true;
+    });
+
+  const { xml } = await moddle.toXML(definitions, { format: true });
+
+  return xml;
+}
+
+/**
+ * Camunda Forms components of the form field types of edit operations
+ */
+const FORM_COMPONENT_TYPES = {
+  string: 'textfield',
+  long: 'number',
+  boolean: 'checkbox',
+  date: 'datetime',
+  enum: 'textfield',
+};
+
+/**
+ * Build a Camunda Forms schema from form fields of an edit operation
+ *
+ * @param {string} formId - ID of the form
+ * @param {Array} formFields - { id, label, type, defaultValue }
+ * @returns {string} Form JSON, embedded in the process as zeebe:userTaskForm
+ */
+function buildCamundaForm(formId, formFields) {
+  return JSON.stringify({
+    id: formId,
+    type: 'default',
+    schemaVersion: 16,
+    components: formFields.map(({ id, label, type, defaultValue }) => ({
+      key: id,
+      label,
+      type: FORM_COMPONENT_TYPES[type],
+      ...(type === 'date' && { subtype: 'date' }),
+      ...(defaultValue !== undefined && { defaultValue })
+    }))
+  });
+}
+
+/**
+ * Get the timer definition property a timer value belongs in
+ *
+ * @param {string} timer - ISO 8601 duration (PT1H), cycle (R3/PT10M) or date
+ * @returns {string} timeDuration, timeCycle or timeDate
+ */
+function getTimerProperty(timer) {
+  if (timer.startsWith('R')) {
+    return 'timeCycle';
+  }
+
+  return /^\d{4}-\d{2}-\d{2}/.test(timer) ? 'timeDate' : 'timeDuration';
+}
+
+function describe(element) {
+  return element.name ? `"${element.name}" (${element.id})` : element.id;
+}
+
+function getEventDefinition(element, type) {
+  return (element.eventDefinitions || []).find(definition => definition.$instanceOf(type));
+}
+
+/**
+ * Completeness checks; each receives one flow element and returns messages
+ * of the problems found, with the severity of the check
+ */
+const CHECKS = {
+  'job-type': {
+    severity: 'error',
+    check(element) {
+      if (!JOB_WORKER_TYPES.includes(element.$type)) {
+        return [];
+      }
+
+      // Script and business rule tasks may be run by the engine itself
+      if (getZeebeExtensions(element, 'script').length || getZeebeExtensions(element, 'calledDecision').length) {
+        return [];
+      }
+
+      const [taskDefinition] = getZeebeExtensions(element, 'taskDefinition');
+
+      return taskDefinition?.type ? [] : [`${describe(element)} has no job type (zeebe:taskDefinition) for a worker to pick it up`];
+    },
+  },
+
+  'called-decision': {
+    severity: 'error',
+    check(element) {
+      const [calledDecision] = getZeebeExtensions(element, 'calledDecision');
+
+      if (!calledDecision) {
+        return [];
+      }
+
+      return [
+        ...(calledDecision.decisionId ? [] : [`${describe(element)} calls a decision without a decision ID`]),
+        ...(calledDecision.resultVariable ? [] : [`${describe(element)} has no result variable to store the decision result in`]),
+      ];
+    },
+  },
+
+  'feel-condition': {
+    severity: 'error',
+    check(element) {
+      if (!element.$instanceOf('bpmn:SequenceFlow') || !element.sourceRef) {
+        return [];
+      }
+
+      const source = element.sourceRef;
+      // Count the flows by their source; diagrams do not have to list <outgoing> on the gateway
+      const outgoing = (element.$parent?.flowElements || [])
+        .filter(other => other.$instanceOf('bpmn:SequenceFlow') && other.sourceRef === source);
+      const isBranch = (source.$instanceOf('bpmn:ExclusiveGateway') || source.$instanceOf('bpmn:InclusiveGateway')) &&
+        outgoing.length > 1 && source.default !== element;
+      const condition = element.conditionExpression?.body?.trim();
+
+      if (condition && !condition.startsWith('=')) {
+        return [`The condition of ${describe(element)} is not a FEEL expression; it must start with "="`];
+      }
+
+      return isBranch && !condition ? [`${describe(element)} leaves ${describe(source)} without a condition and is not its default flow`] : [];
+    },
+  },
+
+  'message-subscription': {
+    severity: 'error',
+    check(element) {
+      const definition = element.$instanceOf('bpmn:ReceiveTask')
+        ? element
+        : getEventDefinition(element, 'bpmn:MessageEventDefinition');
+
+      const isCatching = element.$instanceOf('bpmn:ReceiveTask') || element.$instanceOf('bpmn:CatchEvent');
+
+      if (!definition || !isCatching) {
+        return [];
+      }
+
+      const message = definition.messageRef;
+
+      if (!message?.name) {
+        return [`${describe(element)} waits for a message without a name`];
+      }
+
+      // Message start events create a new instance and need no correlation
+      const needsCorrelation = !(element.$instanceOf('bpmn:StartEvent') && element.$parent.$instanceOf('bpmn:Process'));
+      const [subscription] = getZeebeExtensions(message, 'subscription');
+
+      return needsCorrelation && !subscription?.correlationKey
+        ? [`Message "${message.name}" of ${describe(element)} has no correlation key (zeebe:subscription)`]
+        : [];
+    },
+  },
+
+  'timer-definition': {
+    severity: 'error',
+    check(element) {
+      const timer = getEventDefinition(element, 'bpmn:TimerEventDefinition');
+
+      return timer && !timer.timeDuration && !timer.timeDate && !timer.timeCycle
+        ? [`Timer ${describe(element)} has no duration, date or cycle`]
+        : [];
+    },
+  },
+
+  'called-element': {
+    severity: 'error',
+    check(element) {
+      if (!element.$instanceOf('bpmn:CallActivity')) {
+        return [];
+      }
+
+      const [calledElement] = getZeebeExtensions(element, 'calledElement');
+
+      return calledElement?.processId || calledElement?.processIdExpression
+        ? []
+        : [`Call activity ${describe(element)} does not name the process it calls (zeebe:calledElement)`];
+    },
+  },
+
+  'io-mapping': {
+    severity: 'error',
+    check(element) {
+      return getZeebeExtensions(element, 'ioMapping')
+        .flatMap(mapping => mapping.$children || [])
+        .filter(parameter => !parameter.target)
+        .map(parameter => `A mapping of ${describe(element)} with source "${parameter.source || ''}" has no target variable`);
+    },
+  },
+
+  'user-task-form': {
+    severity: 'warning',
+    check(element) {
+      if (!element.$instanceOf('bpmn:UserTask')) {
+        return [];
+      }
+
+      const [formDefinition] = getZeebeExtensions(element, 'formDefinition');
+
+      if (!formDefinition) {
+        return [`User task ${describe(element)} has no form, so Tasklist only shows its variables`];
+      }
+
+      return formDefinition.formKey && getZeebeExtensions(element, 'userTask').length
+        ? [`User task ${describe(element)} is a Camunda user task, which cannot show an embedded form`]
+        : [];
+    },
+  },
+
+  'unsupported-element': {
+    severity: 'error',
+    check(element) {
+      return UNSUPPORTED_TYPES.includes(element.$type) ? [`${describe(element)} is a ${element.$type}, which Camunda 8 does not support`] : [];
+    },
+  },
+};
+
+/**
+ * Collect the flow elements of processes and sub-processes
+ *
+ * @param {Object} container - Process or sub-process
+ */
+function collectFlowElements(container) {
+  return (container.flowElements || []).flatMap(element => [
+    element,
+    ...(element.$instanceOf('bpmn:SubProcess') ? collectFlowElements(element) : [])
+  ]);
+}
+
+/**
+ * Check whether Camunda 8 can deploy and run a diagram
+ *
+ * @param {string} diagramXML - BPMN XML
+ * @returns {Promise<Array>} Findings ({ rule, severity, elementId, message }); errors prevent a deployment
+ */
+async function checkExecutable(diagramXML) {
+  const { rootElement: definitions } = await moddle.fromXML(diagramXML, 'bpmn:Definitions');
+  const processes = (definitions.rootElements || []).filter(element => element.$instanceOf('bpmn:Process'));
+  const findings = [];
+
+  if (!isZeebeDefinitions(definitions)) {
+    findings.push({ rule: 'execution-platform', severity: 'error', elementId: definitions.id, message: 'The diagram is not made executable for Camunda 8' });
+  }
+
+  if (!processes.some(process => process.isExecutable)) {
+    findings.push({ rule: 'executable-process', severity: 'error', elementId: processes[0]?.id || definitions.id, message: 'No process of the diagram is marked as executable' });
+  }
+
+  processes
+    .filter(process => process.isExecutable)
+    .flatMap(collectFlowElements)
+    .forEach(element => {
+      Object.entries(CHECKS).forEach(([rule, { severity, check }]) => {
+        check(element).forEach(message => findings.push({ rule, severity, elementId: element.id, message }));
+      });
+    });
+
+  return findings;
+}
+
+module.exports = {
+  ZEEBE_NS,
+  isZeebeDefinitions,
+  getZeebeExtensions,
+  declareZeebeNamespaces,
+  buildCamundaForm,
+  getTimerProperty,
+  makeExecutable,
+  checkExecutable
+};
@@ -0,0 +1,127 @@
+/**
+ * Camunda 8 REST Client
+ *
+ * Deploys diagrams to a Zeebe gateway or Camunda 8 cluster through its REST
+ * API (POST /v2/deployments). The address defaults to a local engine, e.g.
+ * the Camunda 8 Run distribution or docker compose setup:
+ *
+ *   ZEEBE_REST_ADDRESS=http://localhost:8080
+ *
+ * Clusters that require authentication accept an OAuth access token
+ * (ZEEBE_ACCESS_TOKEN) or basic authentication (ZEEBE_USERNAME and
+ * ZEEBE_PASSWORD). ZEEBE_TENANT_ID deploys to a tenant of a multi-tenant
+ * engine.
+ */
+
+const REST_ADDRESS = (process.env.ZEEBE_REST_ADDRESS || 'http://localhost:8080').replace(/\/$/, '');
+const REQUEST_TIMEOUT_MS = parseInt(process.env.ZEEBE_REQUEST_TIMEOUT_MS || '15000', 10);
+
+function getAuthorizationHeaders() {
+  if (process.env.ZEEBE_ACCESS_TOKEN) {
+    return { 'Authorization': `Bearer ${process.env.ZEEBE_ACCESS_TOKEN}` };
+  }
+
+  if (process.env.ZEEBE_USERNAME) {
+    const credentials = Buffer.from(`${process.env.ZEEBE_USERNAME}:${process.env.ZEEBE_PASSWORD || ''}`).toString('base64');
+
+    return { 'Authorization': `Basic ${credentials}` };
+  }
+
+  return {};
+}
+
+/**
+ * Create an error of a failed deployment
+ *
+ * @param {string} message - Summary of the failure
+ * @param {string} [detail] - Explanation of the engine, e.g. the BPMN problems it found
+ * @param {number} [status] - HTTP status of the engine response
+ */
+function deploymentError(message, detail, status) {
+  const error = new Error(message);
+
+  error.detail = detail;
+  error.status = status;
+
+  return error;
+}
+
+/**
+ * Deploy a diagram to the engine, together with its DMN decisions
+ *
+ * @param {string} diagramXML - BPMN XML of an executable diagram
+ * @param {string} [resourceName] - File name of the deployed resource
+ * @param {Object} [options]
+ * @param {string} [options.dmnXML] - DMN decisions, deployed as <name>.dmn in the same deployment
+ * @returns {Promise<Object>} { deploymentKey, processes: [{ processId, version, processDefinitionKey }],
+ *   decisions: [{ decisionId, version, decisionDefinitionKey }] }
+ * @throws {Error} If the engine cannot be reached or rejects the deployment; detail holds its explanation
+ */
+async function deployDiagram(diagramXML, resourceName = 'diagram.bpmn', { dmnXML } = {}) {
+  const form = new FormData();
+
+  form.append('resources', new Blob([diagramXML], { type: 'application/xml' }), resourceName);
+
+  // Business rule tasks find their decisions only if they are deployed as well
+  if (dmnXML) {
+    form.append('resources', new Blob([dmnXML], { type: 'application/xml' }), resourceName.replace(/\.bpmn$/, '.dmn'));
+  }
+
+  if (process.env.ZEEBE_TENANT_ID) {
+    form.append('tenantId', process.env.ZEEBE_TENANT_ID);
+  }
+
+  let response;
+
+  try {
+    response = await fetch(`${REST_ADDRESS}/v2/deployments`, {
+      method: 'POST',
+      headers: getAuthorizationHeaders(),
+      body: form,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw deploymentError(`Could not reach the engine at ${REST_ADDRESS}`, error.cause?.message || error.message);
+  }
+
+  const text = await response.text();
+  let body = null;
+
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    // Proxies and older gateways answer with plain text or HTML
+  }
+
+  if (!response.ok) {
+    // Errors are RFC 9457 problem details: { title, status, detail }
+    throw deploymentError(
+      `The engine rejected the deployment (${response.status}${body?.title ? ` ${body.title}` : ''})`,
+      body?.detail || text.slice(0, 2000),
+      response.status
+    );
+  }
+
+  return {
+    deploymentKey: body?.deploymentKey,
+    processes: (body?.deployments || [])
+      .filter(deployment => deployment.processDefinition)
+      .map(({ processDefinition }) => ({
+        processId: processDefinition.processDefinitionId,
+        version: processDefinition.processDefinitionVersion,
+        processDefinitionKey: processDefinition.processDefinitionKey
+      })),
+    decisions: (body?.deployments || [])
+      .filter(deployment => deployment.decisionDefinition)
+      .map(({ decisionDefinition }) => ({
+        decisionId: decisionDefinition.decisionDefinitionId,
+        version: decisionDefinition.version,
+        decisionDefinitionKey: decisionDefinition.decisionDefinitionKey
+      }))
+  };
+}
+
+module.exports = {
+  REST_ADDRESS,
+  deployDiagram
+};
@@ -1,20 +1,61 @@
 import React, { useEffect, useRef, useState } from 'react';
 import BpmnJS from 'bpmn-js/lib/Modeler'; // Changed from Viewer to Modeler
+import { BpmnPropertiesPanelModule, BpmnPropertiesProviderModule } from 'bpmn-js-properties-panel';
 
 import './App.css';
 import { captureException, captureMessage, addBreadcrumb, SentryErrorBoundary } from './sentry';
+import { streamChat } from './chatStream';
+import aiOperationsModule, { applyOperations } from './aiOperations';
+import remoteChangesModule, { APPLY_REMOTE_CHANGE_COMMAND, applyRemoteDiagram } from './remoteChanges';
+import { snapshotElements, diffSnapshots, isEmptyDiff, summarizeDiff, showPreview, clearPreview } from './changePreview';
+import { API_URL, apiFetch, diagramsApi, promptsApi } from './api';
+import DiagramToolbar from './DiagramToolbar';
+import { showLintFindings, focusFinding } from './lintOverlays';
+import SimulationPanel from './SimulationPanel';
+import MetricsEditor from './MetricsEditor';
+import ChatMessage from './ChatMessage';
+import ChatInput from './ChatInput';
+import { connectCollaboration } from './collaboration';
+import { showRemotePresence, toDiagramPoint } from './remotePresence';
+import {
+  startSimulation,
+  getActions,
+  applyAction,
+  runToDecision,
+  getSimulationStatus,
+  getSimulationPath,
+  showSimulation,
+  clearSimulation
+} from './tokenSimulation';
+import { downloadFile, readTextFile, isDiagramFile, isDecisionFile, getNotation, svgToPng } from './diagramFiles';
+import { CAMUNDA_CLOUD, CAMUNDA_PLATFORM, getExecutionPlatform, getPlatformModules } from './executionPlatform';
 import 'bpmn-js/dist/assets/diagram-js.css'; // Modeler CSS
 import 'bpmn-js/dist/assets/bpmn-font/css/bpmn.css'; // Modeler CSS
 import 'bpmn-js/dist/assets/bpmn-font/css/bpmn-codes.css'; // Modeler CSS
 import 'bpmn-js/dist/assets/bpmn-font/css/bpmn-embedded.css'; // Modeler CSS
+import '@bpmn-io/properties-panel/dist/assets/properties-panel.css';
 
-function App() {
-  const bpmnViewerRef = useRef(null);
-  const bpmnModelerRef = useRef(null); // Use a ref for the modeler instance
-  const [chatInput, setChatInput] = useState('');
-  const [chatMessages, setChatMessages] = useState([]);
-  const [selectedElements, setSelectedElements] = useState([]);
-  const [bpmnXML, setBpmnXML] = useState(`<?xml version="1.0" encoding="UTF-8"?>
+// localStorage key of the diagram that is reopened after a page refresh
+const CURRENT_DIAGRAM_KEY = 'bpmn-ai-editor:currentDiagramId';
+
+// Delay after the last edit before the diagram is linted
+const LINT_DELAY_MS = 500;
+
+// Minimum time between two cursor updates sent to other editors
+const CURSOR_INTERVAL_MS = 50;
+
+// Chat input placeholder per chat mode
+const CHAT_PLACEHOLDERS = {
+  chat: 'Chat with the diagram... (Shift+Enter for a new line)',
+  decision: 'Describe the decision tables to create or change...',
+  generate: 'Describe the process to generate...',
+};
+
+// File extensions of the process documentation formats of /api/documentation
+const DOCUMENTATION_EXTENSIONS = { markdown: 'md', html: 'html', docx: 'docx' };
+
+// Diagram shown when the editor opens
+const INITIAL_DIAGRAM_XML = `<?xml version="1.0" encoding="UTF-8"?>
     <bpmn:definitions xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" xmlns:di="http://www.omg.org/spec/DD/20100524/DI" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">
       <bpmn:process id="Process_1" isExecutable="false">
         <bpmn:startEvent id="StartEvent_1" name="Start">
@@ -58,15 +99,195 @@ function App() {
         </bpmndi:BPMNPlane>
       </bpmndi:BPMNDiagram>
     </bpmn:definitions>
-    `);
+    `;
+
+/**
+ * Chat message fields of a completed assistant answer
+ *
+ * @param {Object} data - Chat response body
+ * @param {string} [applyError] - Error of applying the change on the canvas
+ */
+function toAssistantMessage(data, applyError) {
+  return {
+    text: applyError ? `${data.response}\n\n${applyError}` : data.response,
+    impactAnalysis: data.impactAnalysis,
+    streaming: false
+  };
+}
+
+/**
+ * Review summary of the decision tables changed by the assistant
+ *
+ * @param {Object} [decisionChanges] - { created, updated, removed } decision IDs of a chat response
+ * @returns {Array<string>} One line per change
+ */
+function summarizeDecisionChanges(decisionChanges) {
+  if (!decisionChanges) {
+    return [];
+  }
+
+  const { created, updated, removed } = decisionChanges;
+
+  return [
+    ...created.map((id) => `Added decision ${id}`),
+    ...updated.map((id) => `Changed decision ${id}`),
+    ...removed.map((id) => `Removed decision ${id}`),
+  ];
+}
+
+/**
+ * Markdown list of findings of the Camunda 8 completeness check
+ *
+ * @param {Array} findings - { severity, elementId, message }
+ */
+function formatFindings(findings) {
+  return findings
+    .map((finding) => `- ${finding.message}${finding.severity === 'warning' ? ' (warning)' : ''}`)
+    .join('\n');
+}
+
+/**
+ * Markdown report of a discrete-event simulation
+ *
+ * @param {Object} results - Response of /api/simulate
+ */
+function formatSimulation(results) {
+  const { cycleTime } = results;
+  const label = (activity) => (activity.name ? `${activity.name} (${activity.elementId})` : activity.elementId);
+  const bottlenecks = results.activities.filter((activity) => results.bottlenecks.includes(activity.elementId));
+
+  return [
+    `**Simulation of ${results.instances} instances** (${results.completed} completed)`,
+    '',
+    `- Cycle time: mean ${cycleTime.mean} min, 90th percentile ${cycleTime.p90} min, max ${cycleTime.max} min`,
+    `- Cost per instance: ${results.costPerInstance}`,
+    ...results.activities
+      .filter((activity) => activity.resources !== null)
+      .map((activity) => `- ${label(activity)}: ${Math.round(activity.utilization * 100)}% utilisation of ${activity.resources} performer(s)`),
+    `- Bottlenecks: ${bottlenecks.length
+      ? bottlenecks.map((activity) => `${label(activity)} with a mean wait of ${activity.meanWait} min`).join(', ')
+      : 'none'}`,
+    ...results.warnings.map((warning) => `- ${warning} (warning)`),
+  ].join('\n');
+}
+
+/**
+ * Review lines comparing the simulation before and after a proposed change
+ *
+ * @param {Object} [simulation] - { before, after } results of a chat response
+ * @returns {Array<string>} Empty if there is nothing to compare
+ */
+function compareSimulations(simulation) {
+  if (!simulation?.after) {
+    return [];
+  }
+
+  const { before, after } = simulation;
+  const compare = (title, select, unit = '') => (before
+    ? `${title}: ${select(before)}${unit} → ${select(after)}${unit}`
+    : `${title}: ${select(after)}${unit}`);
+
+  return [
+    compare('Mean cycle time', (results) => results.cycleTime.mean, ' min'),
+    compare('Cost per instance', (results) => results.costPerInstance),
+    compare('Bottleneck', (results) => results.bottlenecks[0] || 'none'),
+  ];
+}
+
+/**
+ * BPMN editor with AI assistant
+ *
+ * @param {Object} props
+ * @param {Object} props.user - Signed-in user ({ id, username, role })
+ * @param {Function} props.onLogout - Signs the user out
+ */
+function App({ user, onLogout }) {
+  const bpmnViewerRef = useRef(null);
+  const documentInputRef = useRef(null);
+  const propertiesPanelRef = useRef(null);
+  const bpmnModelerRef = useRef(null); // Use a ref for the modeler instance
+  const [chatInput, setChatInput] = useState('');
+  const [promptHistory, setPromptHistory] = useState([]); // Sent prompts, recalled with the arrow keys
+  const [chatMessages, setChatMessages] = useState([]);
+  const [selectedElements, setSelectedElements] = useState([]);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const chatAbortRef = useRef(null); // AbortController of the running chat request
+  const [chatSessionId, setChatSessionId] = useState(null); // Server-side conversation session
+  const [pendingChange, setPendingChange] = useState(null); // AI change previewed on the canvas, awaiting review
+  const editsSincePreviewRef = useRef(0); // User commands executed while a change is previewed
+  const [currentDiagram, setCurrentDiagram] = useState(null); // Saved diagram being edited ({ id, name, currentVersion, owner, shares, permission })
+  const [isDragOver, setIsDragOver] = useState(false); // A file is dragged over the canvas
+  const [chatMode, setChatMode] = useState('chat'); // 'chat' edits the diagram, 'decision' its DMN decisions, 'generate' creates a new one from a description
+  const [dmnXML, setDmnXML] = useState(''); // DMN decisions called by business rule tasks, empty if there are none
+  const [traceability, setTraceability] = useState({}); // Element ID to source document sentences of a generated diagram
+  const [lintFindings, setLintFindings] = useState([]); // Findings of the backend lint engine for the current diagram
+  const [simulation, setSimulation] = useState(null); // Token simulation state, null when not simulating
+  const [bpmnXML, setBpmnXML] = useState(INITIAL_DIAGRAM_XML); // Mirrors the diagram on the canvas
+  const [peers, setPeers] = useState({}); // Other editors of the saved diagram by client ID
+  const collabRef = useRef(null); // Collaboration client, null for unsaved diagrams
+  const bpmnXMLRef = useRef(bpmnXML);
+  const previewActiveRef = useRef(false); // An AI change is on the canvas and must not be shared yet
+  const remoteChangeDeferredRef = useRef(false); // A remote change arrived during the preview
+  const remoteChangesRef = useRef(Promise.resolve()); // Remote changes being applied, in the order they arrived
+  const remoteChangeAppliedRef = useRef(false); // The last command applied a remote change, which is shared already
+  const presenceRef = useRef({ selection: [], cursor: null, sentAt: 0 });
+  const [executionPlatform, setExecutionPlatform] = useState(CAMUNDA_PLATFORM); // Camunda 7, or Camunda 8 for executable diagrams
+  const platformSwitchedRef = useRef(false); // The modeler is recreated for another execution platform
+  const [isDeploying, setIsDeploying] = useState(false);
+  const [isAnalyzing, setIsAnalyzing] = useState(false); // Discrete-event simulation running on the backend
+  const [quickActions, setQuickActions] = useState([]); // Quick actions of the workspace, shown as buttons in the chat panel
+  const [isExporting, setIsExporting] = useState(false); // Process documentation is being written
 
   useEffect(() => {
+    const { additionalModules, moddleExtensions } = getPlatformModules(executionPlatform);
     const bpmnModeler = new BpmnJS({
       container: bpmnViewerRef.current,
+      propertiesPanel: {
+        parent: propertiesPanelRef.current,
+      },
+      additionalModules: [
+        BpmnPropertiesPanelModule,
+        BpmnPropertiesProviderModule,
+        ...additionalModules,
+        aiOperationsModule,
+        remoteChangesModule,
+      ],
+      moddleExtensions,
     });
     bpmnModelerRef.current = bpmnModeler; // Store the modeler instance
 
-    bpmnModeler.importXML(bpmnXML).then(function(result) {
+    let opened;
+
+    if (platformSwitchedRef.current) {
+      // Reopen the diagram on the canvas with the extensions of its new platform
+      setSelectedElements([]);
+      opened = bpmnModeler.importXML(bpmnXMLRef.current).then(function(result) {
+        setLintFindings((findings) => [...findings]);
+        return result;
+      });
+    } else {
+      // Reopen the diagram that was being edited before the page was refreshed
+      const storedDiagramId = localStorage.getItem(CURRENT_DIAGRAM_KEY);
+      const storedDiagram = storedDiagramId
+        ? diagramsApi.get(storedDiagramId).catch(() => {
+          localStorage.removeItem(CURRENT_DIAGRAM_KEY);
+          return null;
+        })
+        : Promise.resolve(null);
+
+      opened = storedDiagram.then(function(diagram) {
+        if (diagram) {
+          const { xml, dmnXML: decisions, ...summary } = diagram;
+          setCurrentDiagram(summary);
+          setBpmnXML(xml);
+          setDmnXML(decisions || '');
+          return bpmnModeler.importXML(xml);
+        }
+        return bpmnModeler.importXML(INITIAL_DIAGRAM_XML);
+      });
+    }
+
+    opened.then(function(result) {
       const { warnings } = result;
       console.log('rendered');
       if (warnings.length) {
@@ -79,13 +300,33 @@ function App() {
 
     bpmnModeler.on('selection.changed', (event) => {
       setSelectedElements(event.newSelection.map(element => element.id));
+
+      presenceRef.current.selection = event.newSelection.map(element => element.id);
+      sharePresence();
+    });
+
+    // Undoing or redoing a remote change is a local edit again, so only its execution is flagged
+    bpmnModeler.on(`commandStack.${APPLY_REMOTE_CHANGE_COMMAND}.postExecuted`, () => {
+      remoteChangeAppliedRef.current = true;
     });
 
     // Update XML on diagram change
-    bpmnModeler.on('commandStack.changed', async () => {
+    bpmnModeler.on('commandStack.changed', async (event) => {
+      if (event.trigger === 'execute') {
+        editsSincePreviewRef.current++;
+      }
+
+      // Changes under review are shared once they are accepted
+      const share = !previewActiveRef.current && !remoteChangeAppliedRef.current;
+      remoteChangeAppliedRef.current = false;
+
       try {
         const { xml } = await bpmnModeler.saveXML({ format: true });
         setBpmnXML(xml);
+
+        if (share) {
+          collabRef.current?.sendChange(xml);
+        }
       } catch (err) {
         console.error('Error saving BPMN XML:', err);
       }
@@ -94,65 +335,902 @@ function App() {
     return () => {
       bpmnModeler.destroy();
     };
+  }, [executionPlatform]);
+
+  // Diagrams made executable for Camunda 8 are edited with the Zeebe extensions; previews are reviewed on the current modeler first
+  useEffect(() => {
+    const platform = getExecutionPlatform(bpmnXML);
+
+    if (!pendingChange && platform !== executionPlatform) {
+      platformSwitchedRef.current = true;
+      setExecutionPlatform(platform);
+    }
+  }, [bpmnXML, pendingChange, executionPlatform]);
+
+  // Lint the diagram shortly after it stops changing
+  useEffect(() => {
+    let cancelled = false;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const { findings } = await apiFetch('/api/lint', { method: 'POST', body: { diagramXML: bpmnXML } });
+        if (!cancelled) {
+          setLintFindings(findings);
+        }
+      } catch (error) {
+        console.error('Error linting diagram:', error);
+      }
+    }, LINT_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
   }, [bpmnXML]);
 
-  const handleChatInputChange = (event) => {
-    setChatInput(event.target.value);
+  useEffect(() => {
+    if (bpmnModelerRef.current) {
+      showLintFindings(bpmnModelerRef.current, lintFindings);
+    }
+  }, [lintFindings]);
+
+  // Quick actions of the workspace; reloaded whenever the prompt library changes
+  const loadQuickActions = async () => {
+    try {
+      const templates = await promptsApi.list();
+      setQuickActions(templates.filter((template) => template.kind === 'quickAction'));
+    } catch (error) {
+      console.error('Error loading quick actions:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadQuickActions();
+  }, []);
+
+  useEffect(() => {
+    if (simulation) {
+      showSimulation(bpmnModelerRef.current, simulation);
+    }
+  }, [simulation]);
+
+  useEffect(() => {
+    bpmnXMLRef.current = bpmnXML;
+  }, [bpmnXML]);
+
+  // Saved diagrams are edited together with everyone who has them open
+  const roomId = currentDiagram?.id;
+
+  useEffect(() => {
+    if (!roomId) {
+      return;
+    }
+
+    const client = connectCollaboration({
+      room: roomId,
+      getXML: () => bpmnXMLRef.current,
+      onWelcome: ({ peers: initialPeers }) => {
+        setPeers(Object.fromEntries(initialPeers.map((peer) => [peer.clientId, peer])));
+        sharePresence();
+      },
+      onRemoteChange: (change) => {
+        if (previewActiveRef.current) {
+          remoteChangeDeferredRef.current = true;
+          return false;
+        }
+
+        // Each change is applied to the result of the previous one
+        remoteChangesRef.current = remoteChangesRef.current.catch(() => {}).then(() => applyRemoteChange(change));
+      },
+      onPresence: (peer) => setPeers((current) => ({ ...current, [peer.clientId]: peer })),
+      onLeave: (clientId) => setPeers(({ [clientId]: _left, ...rest }) => rest),
+      onStatus: (status) => {
+        if (status === 'disconnected') {
+          setPeers({});
+        }
+      },
+    });
+
+    collabRef.current = client;
+
+    return () => {
+      collabRef.current = null;
+      client.close();
+      setPeers({});
+    };
+    // applyRemoteChange only uses refs and state setters
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [roomId]);
+
+  useEffect(() => {
+    if (bpmnModelerRef.current) {
+      showRemotePresence(bpmnModelerRef.current, Object.values(peers));
+    }
+  }, [peers, bpmnXML]);
+
+  // Tokens refer to elements of the simulated diagram, so any change ends the simulation
+  useEffect(() => {
+    setSimulation(null);
+    if (bpmnModelerRef.current) {
+      clearSimulation(bpmnModelerRef.current);
+    }
+  }, [bpmnXML]);
+
+  // Replace the whole diagram; this resets the undo history
+  const importDiagram = async (xml) => {
+    try {
+      const { warnings } = await bpmnModelerRef.current.importXML(xml);
+      if (warnings.length) {
+        console.log('warnings', warnings);
+      }
+      setBpmnXML(xml);
+    } catch (err) {
+      console.error('Error importing BPMN XML:', err);
+      captureException(err, {
+        component: 'bpmn-modeler',
+        action: 'import_diagram'
+      });
+    }
+  };
+
+  // Tell other editors what we selected and where the mouse is
+  const sharePresence = () => {
+    const { selection, cursor } = presenceRef.current;
+    collabRef.current?.sendPresence({ selection, cursor });
+  };
+
+  const updateCursor = (cursor) => {
+    presenceRef.current = { ...presenceRef.current, cursor, sentAt: Date.now() };
+    sharePresence();
+  };
+
+  const handleCanvasMouseMove = (event) => {
+    if (collabRef.current && Date.now() - presenceRef.current.sentAt >= CURSOR_INTERVAL_MS) {
+      updateCursor(toDiagramPoint(bpmnModelerRef.current, event));
+    }
+  };
+
+  // Show the shared version as one undoable step; changes the modeling API cannot reproduce
+  // replace the diagram, keeping the viewport and selection
+  const applyRemoteChange = async ({ xml, author, source, summary, reason }) => {
+    const modeler = bpmnModelerRef.current;
+    const viewbox = modeler.get('canvas').viewbox();
+    const selection = modeler.get('selection').get().map((element) => element.id);
+
+    const applied = await applyRemoteDiagram(modeler, xml).catch((err) => {
+      console.error('Error applying remote change:', err);
+      captureException(err, { component: 'bpmn-modeler', action: 'apply_remote_change' });
+      return false;
+    });
+
+    if (!applied) {
+      await importDiagram(xml);
+
+      modeler.get('canvas').viewbox(viewbox);
+      const elementRegistry = modeler.get('elementRegistry');
+      modeler.get('selection').select(selection.map((id) => elementRegistry.get(id)).filter(Boolean));
+    }
+
+    if (reason) {
+      setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text: `Your last edit was discarded: ${reason}` }]);
+    } else if (source === 'ai') {
+      setChatMessages((prevMessages) => [...prevMessages, {
+        sender: 'system',
+        text: `${author.name} applied an AI change${summary?.length ? `: ${summary.join('; ')}` : ''}`
+      }]);
+    }
+  };
+
+  // Put the change proposed by the assistant on the canvas for review
+  const previewChatResult = async (data, prompt) => {
+    const modeler = bpmnModelerRef.current;
+    const originalXML = bpmnXML;
+    const before = snapshotElements(modeler);
+    const decisionSummary = summarizeDecisionChanges(data.decisionChanges);
+    let mode;
+
+    // Answers without a change leave the canvas as it is
+    if (data.changed === false) {
+      return;
+    }
+
+    previewActiveRef.current = true;
+
+    if (data.operations?.length) {
+      try {
+        // One undoable step on the command stack
+        applyOperations(modeler, data.operations);
+        mode = 'operations';
+      } catch (err) {
+        console.error('Error applying AI operations:', err);
+        captureException(err, {
+          component: 'bpmn-modeler',
+          action: 'apply_ai_operations',
+          operations: data.operations
+        });
+
+        // Nested commands are not rolled back on failure, so restore the previous diagram
+        await importDiagram(originalXML);
+        endPreview();
+        return `Could not apply the change: ${err.message}`;
+      }
+    } else if (data.updatedDiagramXML && data.updatedDiagramXML !== originalXML) {
+      await importDiagram(data.updatedDiagramXML);
+      mode = data.generated ? 'generated' : 'xml';
+    } else if (decisionSummary.length) {
+      // Only the decision tables changed; the canvas stays as it is
+      mode = 'decisions';
+    } else {
+      endPreview();
+      return;
+    }
+
+    const diff = diffSnapshots(before, snapshotElements(modeler));
+
+    if (isEmptyDiff(diff) && !decisionSummary.length) {
+      endPreview();
+      return;
+    }
+
+    editsSincePreviewRef.current = 0;
+
+    // A generated diagram replaces everything, so ghosts of the old diagram would only cover it
+    if (mode === 'generated') {
+      showPreview(modeler, { ...diff, removed: [] });
+      setPendingChange({
+        mode,
+        diff,
+        originalXML,
+        prompt,
+        summary: [`New diagram with ${diff.added.length} elements, replacing the current diagram`],
+        simulationComparison: compareSimulations(data.simulation),
+        traceability: data.traceability || {},
+      });
+      return;
+    }
+
+    showPreview(modeler, diff);
+    setPendingChange({
+      mode,
+      diff,
+      originalXML,
+      prompt,
+      summary: [...summarizeDiff(diff), ...decisionSummary],
+      simulationComparison: compareSimulations(data.simulation),
+      dmnXML: decisionSummary.length ? data.dmnXML : undefined,
+    });
+  };
+
+  // Stop holding back local and remote changes after a preview
+  const endPreview = () => {
+    previewActiveRef.current = false;
+
+    if (remoteChangeDeferredRef.current) {
+      remoteChangeDeferredRef.current = false;
+      collabRef.current?.requestState();
+    }
+  };
+
+  const handleAcceptChange = async () => {
+    clearPreview(bpmnModelerRef.current, pendingChange.diff);
+    setPendingChange(null);
+    setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text: 'Change accepted.' }]);
+
+    // A generated diagram is a new, unsaved diagram rather than a version of the opened one
+    if (pendingChange.mode === 'generated') {
+      previewActiveRef.current = false;
+      remoteChangeDeferredRef.current = false;
+      trackDiagram(null);
+      setDmnXML('');
+      setTraceability(pendingChange.traceability);
+      return;
+    }
+
+    // Other editors receive the whole AI change as one change; the server merges in what they did meanwhile
+    previewActiveRef.current = false;
+    remoteChangeDeferredRef.current = false;
+
+    if (pendingChange.mode !== 'decisions') {
+      const { xml } = await bpmnModelerRef.current.saveXML({ format: true });
+      collabRef.current?.sendChange(xml, { source: 'ai', summary: pendingChange.summary, prompt: pendingChange.prompt });
+    }
+
+    if (pendingChange.dmnXML !== undefined) {
+      setDmnXML(pendingChange.dmnXML);
+    }
+
+    // Every applied AI change becomes a version of the saved diagram
+    if (currentDiagram && currentDiagram.permission !== 'read') {
+      await saveDiagram({
+        author: 'ai-assistant',
+        prompt: pendingChange.prompt,
+        message: pendingChange.summary.join('; '),
+        decisions: pendingChange.dmnXML,
+      });
+    }
+  };
+
+  const handleRejectChange = async () => {
+    const modeler = bpmnModelerRef.current;
+    clearPreview(modeler, pendingChange.diff);
+
+    // Undo keeps the history intact, unless the user edited the diagram during review
+    if (pendingChange.mode === 'operations' && editsSincePreviewRef.current === 0) {
+      modeler.get('commandStack').undo();
+    } else if (pendingChange.mode !== 'decisions') {
+      await importDiagram(pendingChange.originalXML);
+    }
+
+    endPreview();
+    setPendingChange(null);
+    setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text: 'Change rejected, the diagram was restored.' }]);
+  };
+
+  // Remember the opened diagram so it survives a page refresh
+  const trackDiagram = (diagram) => {
+    setCurrentDiagram(diagram);
+
+    if (diagram) {
+      localStorage.setItem(CURRENT_DIAGRAM_KEY, diagram.id);
+    } else {
+      localStorage.removeItem(CURRENT_DIAGRAM_KEY);
+    }
+  };
+
+  // Save the canvas and its decisions as a new version, creating the diagram on first save
+  // Versions are authored by the signed-in user unless `author` is 'ai-assistant'
+  const saveDiagram = async ({ name, author, prompt, message, decisions = dmnXML } = {}) => {
+    try {
+      const { xml } = await bpmnModelerRef.current.saveXML({ format: true });
+      const { xml: _xml, dmnXML: _dmnXML, version, ...summary } = currentDiagram
+        ? await diagramsApi.update(currentDiagram.id, { xml, dmnXML: decisions, name, author, prompt, message })
+        : await diagramsApi.create({ xml, dmnXML: decisions, name, author, prompt });
+
+      trackDiagram(summary);
+    } catch (error) {
+      console.error('Error saving diagram:', error);
+      captureException(error, { component: 'diagram-toolbar', action: 'save_diagram' });
+      setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text: `Error: Could not save the diagram (${error.message}).` }]);
+    }
+  };
+
+  const openDiagram = async (id) => {
+    try {
+      const { xml, dmnXML: decisions, ...summary } = await diagramsApi.get(id);
+      await importDiagram(xml);
+      setDmnXML(decisions || '');
+      trackDiagram(summary);
+      setTraceability({});
+    } catch (error) {
+      console.error('Error opening diagram:', error);
+      captureException(error, { component: 'diagram-toolbar', action: 'open_diagram', diagram_id: id });
+    }
+  };
+
+  const newDiagram = async () => {
+    await importDiagram(INITIAL_DIAGRAM_XML);
+    setDmnXML('');
+    trackDiagram(null);
+    setTraceability({});
+  };
+
+  const restoreVersion = async (version) => {
+    try {
+      const { xml, dmnXML: decisions, version: _version, ...summary } = await diagramsApi.restore(currentDiagram.id, version);
+      await importDiagram(xml);
+      setDmnXML(decisions || '');
+      collabRef.current?.sendChange(xml, { summary: [`Restored version ${version}`] });
+      trackDiagram(summary);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      captureException(error, { component: 'diagram-toolbar', action: 'restore_version', version });
+    }
+  };
+
+  // Share the opened diagram with a user (permission 'read' or 'edit'), or stop sharing it (null)
+  const shareDiagram = async (username, permission) => {
+    const { xml: _xml, ...summary } = permission
+      ? await diagramsApi.share(currentDiagram.id, username, permission)
+      : await diagramsApi.unshare(currentDiagram.id, username);
+
+    trackDiagram(summary);
   };
 
-  const handleChatSubmit = async () => {
-    if (chatInput.trim() === '') return;
+  // Load a .bpmn/.xml file, or a Mermaid or PlantUML file converted by the backend, as a new, unsaved diagram;
+  // a .dmn file replaces the decisions of the current diagram
+  const importFile = async (file) => {
+    const notation = getNotation(file);
 
-    const userMessage = { sender: 'user', text: chatInput };
-    setChatMessages((prevMessages) => [...prevMessages, userMessage]);
+    if (!isDiagramFile(file) && !isDecisionFile(file) && !notation) {
+      setChatMessages((prevMessages) => [...prevMessages, {
+        sender: 'system',
+        text: `Error: ${file.name} is not a .bpmn, .xml, .dmn, Mermaid (.mmd) or PlantUML (.puml) file.`
+      }]);
+      return;
+    }
+
+    addBreadcrumb({
+      message: 'User imported diagram file',
+      category: 'user_interaction',
+      data: { file_name: file.name, file_size: file.size }
+    });
+
+    const source = await readTextFile(file);
+
+    if (isDecisionFile(file)) {
+      setDmnXML(source);
+      setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text: `Loaded the decisions of ${file.name}; they are saved with the diagram.` }]);
+      return;
+    }
+
+    let xml = source;
+
+    if (notation) {
+      try {
+        const { diagramXML, warnings } = await apiFetch('/api/import', { method: 'POST', body: { source, format: notation } });
+        xml = diagramXML;
+
+        if (warnings.length) {
+          setChatMessages((prevMessages) => [...prevMessages, {
+            sender: 'system',
+            text: `Imported ${file.name} with warnings:\n${warnings.map((warning) => `- ${warning}`).join('\n')}`
+          }]);
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error('Error importing diagram:', error);
+          captureException(error, { component: 'diagram-toolbar', action: 'import_notation', notation });
+        }
+
+        setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text: `Error: Could not import ${file.name} (${error.message}).` }]);
+        return;
+      }
+    }
+
+    await importDiagram(xml);
+    setDmnXML('');
+    trackDiagram(null);
+    setTraceability({});
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragOver(false);
+
+    const [file] = event.dataTransfer.files;
+    if (file) {
+      importFile(file);
+    }
+  };
+
+  const exportDiagram = async (format) => {
+    const modeler = bpmnModelerRef.current;
+    const filename = (currentDiagram?.name || 'diagram').replace(/[^\w.-]+/g, '_');
+
+    try {
+      if (format === 'bpmn') {
+        const { xml } = await modeler.saveXML({ format: true });
+        downloadFile(`${filename}.bpmn`, xml, 'application/xml');
+      } else if (format === 'svg') {
+        const { svg } = await modeler.saveSVG();
+        downloadFile(`${filename}.svg`, svg, 'image/svg+xml');
+      } else if (format === 'png') {
+        const { svg } = await modeler.saveSVG();
+        downloadFile(`${filename}.png`, await svgToPng(svg));
+      } else if (format === 'mermaid') {
+        const { xml } = await modeler.saveXML({ format: true });
+        const file = await apiFetch('/api/export?format=mermaid', { method: 'POST', body: { diagramXML: xml }, blob: true });
+
+        downloadFile(`${filename}.mmd`, file);
+      } else if (format === 'dmn') {
+        if (!dmnXML) {
+          throw new Error('the diagram has no decisions');
+        }
+
+        downloadFile(`${filename}.dmn`, dmnXML, 'application/xml');
+      } else if (DOCUMENTATION_EXTENSIONS[format]) {
+        // The assistant writes the prose of the process documentation
+        setIsExporting(true);
+
+        const { xml } = await modeler.saveXML({ format: true });
+        const file = await apiFetch(`/api/documentation?format=${format}`, {
+          method: 'POST',
+          body: { diagramXML: xml, title: currentDiagram?.name },
+          blob: true,
+        });
+
+        downloadFile(`${filename}.${DOCUMENTATION_EXTENSIONS[format]}`, file);
+      }
+    } catch (error) {
+      console.error('Error exporting diagram:', error);
+      captureException(error, { component: 'diagram-toolbar', action: 'export_diagram', format });
+      setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text: `Export failed: ${error.message}` }]);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleChatInputChange = (text) => {
+    setChatInput(text);
+  };
+
+  // Element IDs in assistant messages link to the canvas
+  const isCanvasElementId = (id) => {
+    const modeler = bpmnModelerRef.current;
+    const element = modeler?.get('elementRegistry').get(id);
+
+    return !!element && element !== modeler.get('canvas').getRootElement();
+  };
+
+  // Select an element mentioned in the chat and zoom to it
+  const handleElementLinkClick = (elementId) => {
+    const modeler = bpmnModelerRef.current;
+    const element = modeler.get('elementRegistry').get(elementId);
+
+    if (!element) {
+      return;
+    }
+
+    modeler.get('canvas').zoom(1);
+    modeler.get('selection').select(element);
+    modeler.get('canvas').scrollToElement(element);
+  };
+
+  // Replace the last (streaming) assistant message
+  const updateLastMessage = (update) => {
+    setChatMessages((prevMessages) => {
+      const messages = [...prevMessages];
+      const last = messages[messages.length - 1];
+      messages[messages.length - 1] = { ...last, ...update(last) };
+      return messages;
+    });
+  };
+
+  // Run a diagram generation request and preview the result for review
+  const runGeneration = async (userText, request, sentryContext) => {
+    setChatMessages((prevMessages) => [...prevMessages, { sender: 'user', text: userText }, { sender: 'llm', text: 'Generating diagram...', streaming: true }]);
+    setIsStreaming(true);
+
+    try {
+      const data = await request();
+      const applyError = await previewChatResult({ ...data, generated: true }, userText);
+      updateLastMessage(() => toAssistantMessage(data, applyError));
+
+    } catch (error) {
+      console.error('Error generating diagram:', error);
+      captureException(error, { component: 'chat', ...sentryContext });
+
+      updateLastMessage(() => ({ text: `Error: Could not generate the diagram (${error.message}).`, streaming: false }));
+    } finally {
+      setIsStreaming(false);
+    }
+  };
+
+  // Generate a complete diagram from the chat input
+  const handleGenerateSubmit = () => {
+    const description = chatInput;
+
+    addBreadcrumb({
+      message: 'User generated a diagram',
+      category: 'user_interaction',
+      data: { description_length: description.length }
+    });
+
+    setChatInput('');
+
+    return runGeneration(
+      description,
+      () => apiFetch('/api/generate', { method: 'POST', body: { description } }),
+      { action: 'generate_diagram', backend_url: `${API_URL}/api/generate` }
+    );
+  };
+
+  // Generate a draft diagram from an SOP or meeting notes; the chat input is sent as extra instructions
+  const handleDocumentUpload = (file) => {
+    if (isStreaming || pendingChange) return;
+
+    const instructions = chatInput.trim();
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('instructions', instructions);
+
+    addBreadcrumb({
+      message: 'User generated a diagram from a document',
+      category: 'user_interaction',
+      data: { file_name: file.name, file_size: file.size }
+    });
+
+    setChatInput('');
+
+    return runGeneration(
+      `Uploaded ${file.name}${instructions ? `: ${instructions}` : ''}`,
+      () => apiFetch('/api/generate/document', { method: 'POST', body: formData }),
+      { action: 'generate_from_document', file_name: file.name, backend_url: `${API_URL}/api/generate/document` }
+    );
+  };
+
+  const handleChatSubmit = () => {
+    if (chatInput.trim() === '' || isStreaming || pendingChange) return;
+
+    setPromptHistory((prevHistory) => (prevHistory[prevHistory.length - 1] === chatInput ? prevHistory : [...prevHistory, chatInput]));
+
+    if (chatMode === 'generate') {
+      return handleGenerateSubmit();
+    }
+
+    if (chatMode === 'decision') {
+      return sendChatMessage(chatInput, { type: 'decision', dmnXML });
+    }
+
+    return sendChatMessage(chatInput);
+  };
+
+  // Send a message to the assistant; extraBody adds context fields to the request
+  const sendChatMessage = async (text, extraBody = {}) => {
+    const userMessage = { sender: 'user', text };
+    setChatMessages((prevMessages) => [...prevMessages, userMessage, { sender: 'llm', text: '', streaming: true }]);
     
     // Add breadcrumb for debugging
     addBreadcrumb({
       message: 'User sent chat message',
       category: 'user_interaction',
       data: {
-        message_length: chatInput.length,
+        message_length: text.length,
         selected_elements_count: selectedElements.length
       }
     });
     
     setChatInput('');
 
+    const abortController = new AbortController();
+    chatAbortRef.current = abortController;
+    setIsStreaming(true);
+
     try {
-      const response = await fetch('http://localhost:3001/api/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          diagramXML: bpmnXML,
-          selectedElementIds: selectedElements,
-          prompt: chatInput,
-        }),
+      const data = await streamChat(`${API_URL}/api/chat/stream`, {
+        diagramXML: bpmnXML,
+        selectedElementIds: selectedElements,
+        prompt: text,
+        sessionId: chatSessionId,
+        ...extraBody,
+      }, {
+        signal: abortController.signal,
+        onToken: (token) => updateLastMessage((message) => ({ text: message.text + token })),
       });
 
-      const data = await response.json();
-      setChatMessages((prevMessages) => [...prevMessages, { sender: 'llm', text: data.response }]);
-      if (data.updatedDiagramXML) {
-        setBpmnXML(data.updatedDiagramXML);
-      }
+      const applyError = await previewChatResult(data, text);
+      updateLastMessage(() => toAssistantMessage(data, applyError));
+      setChatSessionId(data.sessionId);
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        updateLastMessage((message) => ({ text: `${message.text} [cancelled]`.trim(), streaming: false }));
+        return;
+      }
+
       console.error('Error sending chat message:', error);
       
       // Capture error in Sentry with context
       captureException(error, {
         component: 'chat',
         action: 'send_message',
-        user_prompt: chatInput,
+        user_prompt: text,
         selected_elements: selectedElements,
-        backend_url: 'http://localhost:3001/api/chat'
+        backend_url: `${API_URL}/api/chat/stream`
       });
       
-      setChatMessages((prevMessages) => [...prevMessages, { sender: 'llm', text: 'Error: Could not connect to backend.' }]);
+      updateLastMessage(() => ({ text: error.status ? `Error: ${error.message}` : 'Error: Could not connect to backend.', streaming: false }));
+    } finally {
+      chatAbortRef.current = null;
+      setIsStreaming(false);
     }
   };
 
+  // Expand a quick action on the backend; text in the chat input is passed along as additional input
+  const handleQuickAction = (action) => {
+    const input = chatInput.trim();
+
+    return sendChatMessage(input ? `${action.label}: ${input}` : action.label, { quickAction: action.name, prompt: input });
+  };
+
+  // Ask the assistant to fill in the properties of the selected element
+  const handleSuggestProperties = async () => {
+    const [elementId] = selectedElements;
+    const userText = `Suggest properties for ${elementId}`;
+
+    addBreadcrumb({
+      message: 'User requested property suggestions',
+      category: 'user_interaction',
+      data: { element_id: elementId }
+    });
+
+    setChatMessages((prevMessages) => [...prevMessages, { sender: 'user', text: userText }, { sender: 'llm', text: 'Suggesting properties...', streaming: true }]);
+    setIsStreaming(true);
+
+    try {
+      const data = await apiFetch('/api/suggest', {
+        method: 'POST',
+        body: { diagramXML: bpmnXML, elementId, sessionId: chatSessionId },
+      });
+
+      const applyError = await previewChatResult(data, userText);
+      updateLastMessage(() => toAssistantMessage(data, applyError));
+      setChatSessionId(data.sessionId);
+
+    } catch (error) {
+      console.error('Error suggesting properties:', error);
+      captureException(error, {
+        component: 'properties-panel',
+        action: 'suggest_properties',
+        selected_elements: selectedElements,
+        backend_url: `${API_URL}/api/suggest`
+      });
+
+      updateLastMessage(() => ({ text: `Error: Could not suggest properties (${error.message}).`, streaming: false }));
+    } finally {
+      setIsStreaming(false);
+    }
+  };
+
+  // Let the assistant complete the diagram for Camunda 8; the result is reviewed like any AI change
+  const handleMakeExecutable = async () => {
+    const userText = 'Make the diagram executable on Camunda 8';
+
+    addBreadcrumb({
+      message: 'User made the diagram executable',
+      category: 'user_interaction',
+      data: { execution_platform: executionPlatform }
+    });
+
+    setChatMessages((prevMessages) => [...prevMessages, { sender: 'user', text: userText }, { sender: 'llm', text: 'Completing the diagram for Camunda 8...', streaming: true }]);
+    setIsStreaming(true);
+
+    try {
+      const data = await apiFetch('/api/executable', {
+        method: 'POST',
+        body: { diagramXML: bpmnXML, sessionId: chatSessionId },
+      });
+
+      const applyError = await previewChatResult(data, userText);
+      const message = toAssistantMessage(data, applyError);
+
+      updateLastMessage(() => (data.findings?.length
+        ? { ...message, text: `${message.text}\n\n**Still missing for a deployment:**\n\n${formatFindings(data.findings)}` }
+        : message));
+      setChatSessionId(data.sessionId);
+
+    } catch (error) {
+      console.error('Error making the diagram executable:', error);
+      captureException(error, {
+        component: 'chat',
+        action: 'make_executable',
+        backend_url: `${API_URL}/api/executable`
+      });
+
+      updateLastMessage(() => ({ text: `Error: Could not make the diagram executable (${error.message}).`, streaming: false }));
+    } finally {
+      setIsStreaming(false);
+    }
+  };
+
+  // Deploy the diagram to the configured Camunda 8 engine and report the outcome in the chat
+  const handleDeploy = async () => {
+    let text;
+
+    setIsDeploying(true);
+
+    try {
+      const { xml } = await bpmnModelerRef.current.saveXML({ format: true });
+      const { deploymentKey, processes, decisions, engine } = await apiFetch('/api/deploy', {
+        method: 'POST',
+        body: { diagramXML: xml, dmnXML, name: currentDiagram?.name },
+      });
+
+      const deployed = [
+        ...processes.map((process) => `${process.processId} version ${process.version}`),
+        ...decisions.map((decision) => `decision ${decision.decisionId} version ${decision.version}`),
+      ];
+
+      text = `Deployed to ${engine} (deployment ${deploymentKey}): ${deployed.join(', ')}`;
+    } catch (error) {
+      const { findings = [], detail } = error.body || {};
+      const errors = findings.filter((finding) => finding.severity === 'error');
+
+      // Rejections of the engine are expected; anything else is a bug or outage
+      if (!error.status) {
+        console.error('Error deploying diagram:', error);
+        captureException(error, { component: 'chat', action: 'deploy_diagram', backend_url: `${API_URL}/api/deploy` });
+      }
+
+      text = [
+        `Deployment failed: ${error.message}`,
+        ...(errors.length ? [formatFindings(errors), 'Use "Make executable" to let the assistant fill these in.'] : []),
+        detail
+      ].filter(Boolean).join('\n');
+    } finally {
+      setIsDeploying(false);
+    }
+
+    setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text }]);
+  };
+
+  // Discrete-event simulation of the annotated metrics, reported in the chat
+  const handleAnalyze = async () => {
+    let text;
+
+    setIsAnalyzing(true);
+
+    try {
+      const { xml } = await bpmnModelerRef.current.saveXML({ format: true });
+      const results = await apiFetch('/api/simulate', { method: 'POST', body: { diagramXML: xml } });
+
+      text = formatSimulation(results);
+    } catch (error) {
+      if (!error.status) {
+        console.error('Error simulating diagram:', error);
+        captureException(error, { component: 'chat', action: 'simulate_diagram', backend_url: `${API_URL}/api/simulate` });
+      }
+
+      text = `Simulation failed: ${error.message}`;
+    } finally {
+      setIsAnalyzing(false);
+    }
+
+    setChatMessages((prevMessages) => [...prevMessages, { sender: 'system', text }]);
+  };
+
+  // Metrics edited by hand are one undoable step each, like AI changes
+  const handleMetricsChange = (metrics) => {
+    applyOperations(bpmnModelerRef.current, [
+      { type: 'updateProperties', elementId: selectedElements[0], properties: metrics }
+    ]);
+  };
+
+  // Token simulation; every step replaces the simulation state
+  const updateSimulation = (update) => {
+    const elementRegistry = bpmnModelerRef.current.get('elementRegistry');
+    setSimulation((current) => update(elementRegistry, current));
+  };
+
+  const handleStopSimulation = () => {
+    clearSimulation(bpmnModelerRef.current);
+    setSimulation(null);
+  };
+
+  // Ask the assistant to describe the path the tokens took
+  const handleDescribePath = () => {
+    const path = getSimulationPath(bpmnModelerRef.current.get('elementRegistry'), simulation);
+    sendChatMessage('Describe the simulated path through the process in plain language.', { simulationPath: path });
+  };
+
+  const handleChatCancel = () => {
+    chatAbortRef.current?.abort();
+  };
+
+  // Start over with a fresh conversation; the diagram is kept
+  const handleNewConversation = () => {
+    chatAbortRef.current?.abort();
+
+    if (chatSessionId) {
+      apiFetch(`/api/chat/sessions/${chatSessionId}`, { method: 'DELETE' })
+        .catch((error) => console.error('Error deleting chat session:', error));
+    }
+
+    setChatSessionId(null);
+    setChatMessages([]);
+  };
+
+  const elementRegistry = bpmnModelerRef.current?.get('elementRegistry');
+  const selectedElement = selectedElements.length === 1 ? elementRegistry?.get(selectedElements[0]) : null;
+  const simulationActions = simulation ? getActions(elementRegistry, simulation) : [];
+  const simulationStatus = simulation ? getSimulationStatus(elementRegistry, simulation) : null;
+
+  // Source sentences of the selected elements, shown below the chat
+  const activeTraceability = pendingChange?.mode === 'generated' ? pendingChange.traceability : traceability;
+  const selectedSources = selectedElements
+    .filter((id) => activeTraceability[id])
+    .map((id) => ({ id, sentences: activeTraceability[id] }));
+
   return (
     <SentryErrorBoundary fallback={({ error, resetError }) => (
       <div style={{ padding: '20px', textAlign: 'center' }}>
@@ -162,33 +1240,235 @@ function App() {
       </div>
     )}>
       <div className="App">
+        <DiagramToolbar
+          diagram={currentDiagram}
+          onSave={(name) => saveDiagram({ name })}
+          onOpen={openDiagram}
+          onNew={newDiagram}
+          onRestore={restoreVersion}
+          onImportFile={importFile}
+          onExport={exportDiagram}
+          isExporting={isExporting}
+          onShare={shareDiagram}
+          onPromptsChange={loadQuickActions}
+          user={user}
+          onLogout={onLogout}
+        />
+        {currentDiagram && (
+          <div className="collab-bar">
+            {currentDiagram.permission === 'read' && (
+              <span className="collab-read-only">View only: your changes are not saved or shared</span>
+            )}
+            {Object.values(peers).length > 0 ? (
+              <span>
+                Also editing:
+                {Object.values(peers).map((peer) => (
+                  <span key={peer.clientId} className="collab-peer" style={{ borderColor: peer.color, color: peer.color }}>
+                    {peer.user.name}
+                  </span>
+                ))}
+              </span>
+            ) : (
+              <span className="collab-alone">Nobody else is editing this diagram</span>
+            )}
+          </div>
+        )}
         <div className="bpmn-container">
-          <div ref={bpmnViewerRef} className="bpmn-viewer"></div>
+          <div
+            ref={bpmnViewerRef}
+            className={`bpmn-viewer${isDragOver ? ' drop-target' : ''}`}
+            onDragOver={(event) => {
+              event.preventDefault();
+              setIsDragOver(true);
+            }}
+            onDragLeave={() => setIsDragOver(false)}
+            onDrop={handleDrop}
+            onMouseMove={handleCanvasMouseMove}
+            onMouseLeave={() => updateCursor(null)}
+          ></div>
+          <div className="properties-panel">
+            <div className="properties-panel-header">
+              <button
+                onClick={handleSuggestProperties}
+                disabled={selectedElements.length !== 1 || isStreaming || !!pendingChange}
+                title="Let the assistant fill in documentation, conditions, assignees and form fields of the selected element"
+              >
+                AI suggest
+              </button>
+            </div>
+            {selectedElement && (
+              <MetricsEditor
+                element={selectedElement}
+                definitions={bpmnModelerRef.current.getDefinitions()}
+                xml={bpmnXML}
+                onChange={handleMetricsChange}
+                disabled={!!pendingChange || !!simulation}
+              />
+            )}
+            <div ref={propertiesPanelRef} className="properties-panel-container"></div>
+          </div>
           <div className="chat-panel">
+            <div className="chat-header">
+              <select value={chatMode} onChange={(event) => setChatMode(event.target.value)} disabled={isStreaming}>
+                <option value="chat">Edit diagram</option>
+                <option value="decision">Edit decisions</option>
+                <option value="generate">Generate from description</option>
+              </select>
+              <button
+                onClick={() => updateSimulation((registry) => startSimulation(registry))}
+                disabled={!!simulation || !!pendingChange}
+              >
+                Simulate
+              </button>
+              <button
+                onClick={handleAnalyze}
+                disabled={isAnalyzing || !!pendingChange}
+                title="Simulate many instances with the durations, costs, performers and probabilities annotated in the diagram"
+              >
+                {isAnalyzing ? 'Analyzing...' : 'Analyze'}
+              </button>
+              <button
+                onClick={handleMakeExecutable}
+                disabled={isStreaming || !!pendingChange}
+                title="Let the assistant fill in job types, mappings, conditions and forms so the process runs on Camunda 8"
+              >
+                Make executable
+              </button>
+              <button
+                onClick={handleDeploy}
+                disabled={executionPlatform !== CAMUNDA_CLOUD || isDeploying || !!pendingChange}
+                title="Deploy the process to the Camunda 8 engine configured in the backend"
+              >
+                {isDeploying ? 'Deploying...' : 'Deploy'}
+              </button>
+              <button onClick={handleNewConversation} disabled={chatMessages.length === 0}>New conversation</button>
+            </div>
+            {simulation && (
+              <SimulationPanel
+                actions={simulationActions}
+                status={simulationStatus}
+                onAction={(action) => updateSimulation((registry, current) => applyAction(registry, current, action))}
+                onRunToDecision={() => updateSimulation(runToDecision)}
+                onRestart={() => updateSimulation(startSimulation)}
+                onDescribe={handleDescribePath}
+                onStop={handleStopSimulation}
+                canDescribe={!isStreaming && !pendingChange && simulation.log.length > 0}
+              />
+            )}
             <div className="chat-messages">
               {chatMessages.map((message, index) => (
-                <div key={index} className={`chat-message ${message.sender}`}>
-                  <strong>{message.sender}:</strong> {message.text}
-                </div>
+                <ChatMessage key={index} message={message} isElementId={isCanvasElementId} onElementClick={handleElementLinkClick} />
               ))}
             </div>
+            {pendingChange && (
+              <div className="change-review">
+                <strong>Proposed change</strong>
+                <ul>
+                  {pendingChange.summary.map((line, index) => (
+                    <li key={index}>{line}</li>
+                  ))}
+                </ul>
+                {pendingChange.simulationComparison.length > 0 && (
+                  <>
+                    <strong>Simulation</strong>
+                    <ul>
+                      {pendingChange.simulationComparison.map((line, index) => (
+                        <li key={index}>{line}</li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+                <div className="change-review-actions">
+                  <button className="accept" onClick={handleAcceptChange}>Accept</button>
+                  <button className="reject" onClick={handleRejectChange}>Reject</button>
+                </div>
+              </div>
+            )}
+            {chatMode === 'chat' && quickActions.length > 0 && (
+              <div className="quick-actions">
+                {quickActions.map((action) => (
+                  <button
+                    key={action.name}
+                    onClick={() => handleQuickAction(action)}
+                    disabled={isStreaming || !!pendingChange || (action.usesSelection && selectedElements.length === 0)}
+                    title={action.usesSelection && selectedElements.length === 0 ? 'Select the elements first' : action.description || action.label}
+                  >
+                    {action.label}
+                  </button>
+                ))}
+              </div>
+            )}
             <div className="chat-input">
-              <input
-                type="text"
-                placeholder="Chat with the diagram..."
+              <ChatInput
+                placeholder={pendingChange
+                  ? 'Accept or reject the proposed change first'
+                  : CHAT_PLACEHOLDERS[chatMode]}
+                disabled={!!pendingChange}
                 value={chatInput}
                 onChange={handleChatInputChange}
-                onKeyPress={(e) => {
-                  if (e.key === 'Enter') {
-                    handleChatSubmit();
-                  }
-                }}
+                onSubmit={handleChatSubmit}
+                history={promptHistory}
               />
-              <button onClick={handleChatSubmit}>Send</button>
+              {isStreaming && chatMode !== 'generate' ? (
+                <button onClick={handleChatCancel}>Cancel</button>
+              ) : (
+                <button onClick={handleChatSubmit} disabled={!!pendingChange || isStreaming}>{chatMode === 'generate' ? 'Generate' : 'Send'}</button>
+              )}
+              {chatMode === 'generate' && (
+                <>
+                  <button
+                    onClick={() => documentInputRef.current.click()}
+                    disabled={!!pendingChange || isStreaming}
+                    title="Generate a draft from an SOP or meeting notes (.md, .txt, .pdf); the text field adds instructions"
+                  >
+                    Upload document
+                  </button>
+                  <input
+                    ref={documentInputRef}
+                    type="file"
+                    accept=".md,.markdown,.txt,.pdf"
+                    style={{ display: 'none' }}
+                    onChange={(event) => {
+                      if (event.target.files[0]) {
+                        handleDocumentUpload(event.target.files[0]);
+                      }
+                      event.target.value = '';
+                    }}
+                  />
+                </>
+              )}
             </div>
             <div className="selected-elements">
               Selected Elements: {selectedElements.length > 0 ? selectedElements.join(', ') : 'None'}
             </div>
+            {lintFindings.length > 0 && (
+              <details className="lint-summary">
+                <summary>
+                  Model check: {lintFindings.filter((finding) => finding.severity === 'error').length} errors,
+                  {' '}{lintFindings.filter((finding) => finding.severity === 'warning').length} warnings
+                </summary>
+                <ul>
+                  {lintFindings.map((finding, index) => (
+                    <li key={index} className={`lint-${finding.severity}`} onClick={() => focusFinding(bpmnModelerRef.current, finding)}>
+                      {finding.message}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+            {selectedSources.length > 0 && (
+              <div className="traceability">
+                <strong>Source document</strong>
+                {selectedSources.map(({ id, sentences }) => (
+                  <div key={id}>
+                    <small>{id}</small>
+                    {sentences.map((sentence) => (
+                      <blockquote key={sentence.id}>{sentence.text}</blockquote>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+
+import { authApi, getAuthToken, setAuthToken, onUnauthorized } from './api';
+import { captureException, setUser } from './sentry';
+
+/**
+ * Sign-in and registration form shown until a user is signed in
+ *
+ * The token of the signed-in user is kept across page refreshes; once the
+ * backend rejects it, the form is shown again. Sentry reports are tagged
+ * with the signed-in user.
+ *
+ * @param {Object} props
+ * @param {Function} props.children - Renders the editor, called with { user, onLogout }
+ */
+function AuthGate({ children }) {
+  const [user, setCurrentUser] = useState(null);
+  const [checking, setChecking] = useState(() => !!getAuthToken()); // A stored token is being verified
+  const [mode, setMode] = useState('login'); // 'login' | 'register'
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  const signIn = (signedIn) => {
+    setCurrentUser(signedIn);
+    setUser(signedIn ? { id: signedIn.id, username: signedIn.username } : null);
+  };
+
+  useEffect(() => {
+    onUnauthorized(() => signIn(null));
+
+    if (!getAuthToken()) {
+      return;
+    }
+
+    authApi.me()
+      .then(signIn)
+      .catch((err) => console.error('Error restoring session:', err))
+      .finally(() => setChecking(false));
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+
+    try {
+      const { user: signedIn, token } = mode === 'register'
+        ? await authApi.register({ username, password })
+        : await authApi.login({ username, password });
+
+      setAuthToken(token);
+      setPassword('');
+      signIn(signedIn);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await authApi.logout();
+    } catch (err) {
+      console.error('Error signing out:', err);
+      captureException(err, { component: 'auth', action: 'logout' });
+    }
+
+    setAuthToken(null);
+    signIn(null);
+  };
+
+  if (user) {
+    return children({ user, onLogout: handleLogout });
+  }
+
+  if (checking) {
+    return null;
+  }
+
+  return (
+    <div className="auth-gate">
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <h2>{mode === 'register' ? 'Create an account' : 'Sign in'}</h2>
+        <input
+          type="text"
+          placeholder="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(event) => setUsername(event.target.value)}
+          autoFocus
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+        />
+        {error && <div className="auth-error">{error}</div>}
+        <button type="submit" disabled={!username || !password}>
+          {mode === 'register' ? 'Create account' : 'Sign in'}
+        </button>
+        <button
+          type="button"
+          className="auth-switch"
+          onClick={() => {
+            setMode(mode === 'register' ? 'login' : 'register');
+            setError(null);
+          }}
+        >
+          {mode === 'register' ? 'I already have an account' : 'Create an account'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default AuthGate;
@@ -0,0 +1,69 @@
+import React, { useRef } from 'react';
+
+// Rows the input grows to before it scrolls
+const MAX_ROWS = 6;
+
+/**
+ * Multi-line chat input with recall of earlier prompts
+ *
+ * Enter sends, Shift+Enter starts a new line. Arrow up on the first line
+ * recalls the previous prompt, arrow down on the last line the next one and
+ * finally the text that was being typed.
+ *
+ * @param {Object} props
+ * @param {string} props.value - Current text
+ * @param {Function} props.onChange - Called with the new text
+ * @param {Function} props.onSubmit - Called when Enter is pressed
+ * @param {Array<string>} props.history - Sent prompts, oldest first
+ * @param {string} props.placeholder - Placeholder text
+ * @param {boolean} props.disabled - Whether input is disabled
+ */
+function ChatInput({ value, onChange, onSubmit, history, placeholder, disabled }) {
+  // Position in the history while recalling, null while typing a new prompt
+  const recallRef = useRef({ index: null, draft: '' });
+
+  const recall = (index) => {
+    const recallState = recallRef.current;
+
+    if (recallState.index === null) {
+      recallState.draft = value;
+    }
+
+    recallState.index = index < history.length ? index : null;
+    onChange(recallState.index === null ? recallState.draft : history[index]);
+  };
+
+  const handleKeyDown = (event) => {
+    const { selectionStart, selectionEnd } = event.target;
+    const { index } = recallRef.current;
+
+    if (event.key === 'Enter' && !event.shiftKey && !event.nativeEvent.isComposing) {
+      event.preventDefault();
+      recallRef.current = { index: null, draft: '' };
+      onSubmit();
+    } else if (event.key === 'ArrowUp' && selectionStart === selectionEnd && !value.slice(0, selectionStart).includes('\n')) {
+      const previous = (index === null ? history.length : index) - 1;
+
+      if (previous >= 0) {
+        event.preventDefault();
+        recall(previous);
+      }
+    } else if (event.key === 'ArrowDown' && index !== null && selectionStart === selectionEnd && !value.slice(selectionEnd).includes('\n')) {
+      event.preventDefault();
+      recall(index + 1);
+    }
+  };
+
+  return (
+    <textarea
+      rows={Math.min(value.split('\n').length, MAX_ROWS)}
+      placeholder={placeholder}
+      disabled={disabled}
+      value={value}
+      onChange={(event) => onChange(event.target.value)}
+      onKeyDown={handleKeyDown}
+    />
+  );
+}
+
+export default ChatInput;
@@ -0,0 +1,45 @@
+import React from 'react';
+
+import { renderMarkdown } from './chatMarkdown';
+
+/**
+ * One message of the chat panel
+ *
+ * Assistant messages are rendered as Markdown with links to the diagram
+ * elements they mention; their impact analysis is a collapsible section.
+ * Messages of the user and the system are shown as typed.
+ *
+ * @param {Object} props
+ * @param {Object} props.message - { sender, text, impactAnalysis?, streaming? }
+ * @param {Function} props.isElementId - Tells whether a word is the ID of an element on the canvas
+ * @param {Function} props.onElementClick - Called with an element ID to select and show it
+ */
+function ChatMessage({ message, isElementId, onElementClick }) {
+  const markdownOptions = {
+    isElementId,
+    renderElementLink: (elementId, key) => (
+      <button key={key} type="button" className="element-link" onClick={() => onElementClick(elementId)} title="Show on the canvas">
+        {elementId}
+      </button>
+    )
+  };
+
+  return (
+    <div className={`chat-message ${message.sender}${message.streaming ? ' streaming' : ''}`}>
+      <strong>{message.sender}:</strong>
+      {message.sender === 'llm' ? (
+        <div className="chat-message-body markdown">{renderMarkdown(message.text, markdownOptions)}</div>
+      ) : (
+        <span className="chat-message-body"> {message.text}</span>
+      )}
+      {message.impactAnalysis && (
+        <details className="impact-analysis">
+          <summary>Impact analysis</summary>
+          <div className="markdown">{renderMarkdown(message.impactAnalysis, markdownOptions)}</div>
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default ChatMessage;
@@ -0,0 +1,277 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+import { authApi, diagramsApi } from './api';
+import { captureException } from './sentry';
+import PromptLibrary from './PromptLibrary';
+
+// Export formats and their labels; the process documentation is written by the assistant
+const EXPORT_FORMATS = [
+  ['bpmn', 'BPMN 2.0 XML (.bpmn)'],
+  ['svg', 'SVG image'],
+  ['png', 'PNG image'],
+  ['mermaid', 'Mermaid flowchart (.mmd)'],
+  ['dmn', 'DMN decisions (.dmn)'],
+  ['docx', 'Process documentation (Word)'],
+  ['html', 'Process documentation (HTML)'],
+  ['markdown', 'Process documentation (Markdown)'],
+];
+
+/**
+ * Toolbar for saving and opening diagrams, browsing their version history,
+ * sharing them, importing or exporting diagram files, editing the prompt
+ * templates of the workspace and managing the signed-in user's API tokens
+ *
+ * @param {Object} props
+ * @param {Object|null} props.diagram - Currently opened diagram ({ id, name, currentVersion, shares, permission }), null if unsaved
+ * @param {Function} props.onSave - Called with the diagram name to save a new version
+ * @param {Function} props.onOpen - Called with a diagram ID to open it
+ * @param {Function} props.onNew - Called to start a new, unsaved diagram
+ * @param {Function} props.onRestore - Called with a version number to restore it
+ * @param {Function} props.onImportFile - Called with a .bpmn/.xml, .dmn, Mermaid or PlantUML File to load
+ * @param {Function} props.onExport - Called with the export format ('bpmn', 'svg', 'png', 'mermaid', 'dmn', or 'markdown', 'html' or 'docx' for the process documentation)
+ * @param {boolean} props.isExporting - The process documentation is being written
+ * @param {Function} props.onShare - Called with a username and 'read', 'edit' or null to share or unshare the diagram
+ * @param {Function} props.onPromptsChange - Called after a prompt template or quick action of the workspace changed
+ * @param {Object} props.user - Signed-in user ({ username, role, workspace })
+ * @param {Function} props.onLogout - Called to sign out
+ */
+function DiagramToolbar({ diagram, onSave, onOpen, onNew, onRestore, onImportFile, onExport, isExporting, onShare, onPromptsChange, user, onLogout }) {
+  const fileInputRef = useRef(null);
+  const [name, setName] = useState(diagram?.name || '');
+  const [openPanel, setOpenPanel] = useState(null); // 'diagrams' | 'history' | 'export' | 'share' | 'prompts' | 'account' | null
+  const [diagrams, setDiagrams] = useState([]);
+  const [versions, setVersions] = useState([]);
+  const [tokens, setTokens] = useState([]); // API tokens of the signed-in user
+  const [newToken, setNewToken] = useState(null); // Created API token, shown once
+  const [shareForm, setShareForm] = useState({ username: '', permission: 'edit' });
+  const [panelError, setPanelError] = useState(null);
+
+  const canEdit = !diagram || diagram.permission !== 'read';
+
+  useEffect(() => {
+    setName(diagram?.name || '');
+  }, [diagram?.id, diagram?.name]);
+
+  // Refresh the panel contents whenever it opens or a new version was saved
+  useEffect(() => {
+    const load = async () => {
+      try {
+        if (openPanel === 'diagrams') {
+          setDiagrams(await diagramsApi.list());
+        } else if (openPanel === 'history' && diagram) {
+          setVersions(await diagramsApi.versions(diagram.id));
+        } else if (openPanel === 'account') {
+          setTokens(await authApi.tokens());
+        }
+      } catch (error) {
+        console.error('Error loading diagrams:', error);
+        captureException(error, { component: 'diagram-toolbar', action: `load_${openPanel}` });
+      }
+    };
+
+    load();
+  }, [openPanel, diagram]);
+
+  const togglePanel = (panel) => {
+    setOpenPanel((current) => (current === panel ? null : panel));
+    setNewToken(null);
+    setPanelError(null);
+  };
+
+  // Run a panel action, showing its error in the panel
+  const runPanelAction = async (action) => {
+    setPanelError(null);
+
+    try {
+      await action();
+    } catch (error) {
+      setPanelError(error.message);
+    }
+  };
+
+  const handleShare = (event) => {
+    event.preventDefault();
+
+    runPanelAction(async () => {
+      await onShare(shareForm.username.trim(), shareForm.permission);
+      setShareForm({ ...shareForm, username: '' });
+    });
+  };
+
+  const handleCreateToken = (event) => {
+    event.preventDefault();
+    const tokenName = event.target.elements.tokenName.value;
+
+    runPanelAction(async () => {
+      setNewToken(await authApi.createToken(tokenName));
+      setTokens(await authApi.tokens());
+      event.target.reset();
+    });
+  };
+
+  const handleRevokeToken = (id) => runPanelAction(async () => {
+    await authApi.revokeToken(id);
+    setTokens(await authApi.tokens());
+  });
+
+  return (
+    <div className="diagram-toolbar">
+      <input
+        type="text"
+        className="diagram-name"
+        placeholder="Untitled diagram"
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+      />
+      <button onClick={() => onSave(name)} disabled={!canEdit} title={canEdit ? undefined : 'You can only view this diagram'}>Save</button>
+      <button onClick={() => togglePanel('diagrams')}>Open</button>
+      <button onClick={onNew}>New</button>
+      <button onClick={() => togglePanel('history')} disabled={!diagram}>History</button>
+      <button onClick={() => togglePanel('share')} disabled={diagram?.permission !== 'owner'}>Share</button>
+      {diagram && <span className="diagram-version">v{diagram.currentVersion}</span>}
+
+      <span className="toolbar-separator" />
+      <button onClick={() => fileInputRef.current.click()}>Import</button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".bpmn,.xml,.dmn,.mmd,.mermaid,.puml,.plantuml"
+        style={{ display: 'none' }}
+        onChange={(event) => {
+          if (event.target.files[0]) {
+            onImportFile(event.target.files[0]);
+          }
+          event.target.value = '';
+        }}
+      />
+      <button onClick={() => togglePanel('export')} disabled={isExporting}>{isExporting ? 'Exporting...' : 'Export'}</button>
+      <span className="toolbar-separator" />
+      <button onClick={() => togglePanel('prompts')} title={`Prompt templates and quick actions of the workspace "${user.workspace}"`}>Prompts</button>
+
+      <button className="toolbar-user" onClick={() => togglePanel('account')}>{user.username}</button>
+
+      {openPanel === 'diagrams' && (
+        <div className="toolbar-panel">
+          {diagrams.length === 0 && <div className="toolbar-panel-empty">No saved diagrams</div>}
+          {diagrams.map((entry) => (
+            <div key={entry.id} className="toolbar-panel-item">
+              <span>
+                <strong>{entry.name}</strong>
+                <small> v{entry.currentVersion} · {new Date(entry.updatedAt).toLocaleString()}</small>
+                {entry.permission !== 'owner' && entry.owner && (
+                  <div className="version-description">
+                    Shared by {entry.owner.username}{entry.permission === 'read' ? ' (view only)' : ''}
+                  </div>
+                )}
+              </span>
+              <button onClick={() => { setOpenPanel(null); onOpen(entry.id); }}>Open</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {openPanel === 'export' && (
+        <div className="toolbar-panel toolbar-panel-small">
+          {EXPORT_FORMATS.map(([format, label]) => (
+            <div key={format} className="toolbar-panel-item">
+              <span>{label}</span>
+              <button onClick={() => { setOpenPanel(null); onExport(format); }}>Download</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {openPanel === 'history' && diagram && (
+        <div className="toolbar-panel">
+          {versions.map((version) => (
+            <div key={version.version} className="toolbar-panel-item">
+              <span>
+                <strong>v{version.version}</strong>
+                <small> {new Date(version.createdAt).toLocaleString()} · {version.author}</small>
+                {(version.prompt || version.message) && (
+                  <div className="version-description">{version.prompt ? `"${version.prompt}"` : version.message}</div>
+                )}
+              </span>
+              <button
+                onClick={() => { setOpenPanel(null); onRestore(version.version); }}
+                disabled={version.version === diagram.currentVersion || !canEdit}
+              >
+                Restore
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {openPanel === 'share' && diagram && (
+        <div className="toolbar-panel">
+          {(diagram.shares || []).length === 0 && <div className="toolbar-panel-empty">Only you can open this diagram</div>}
+          {(diagram.shares || []).map((share) => (
+            <div key={share.userId} className="toolbar-panel-item">
+              <span>{share.username}</span>
+              <span>
+                <select value={share.permission} onChange={(event) => runPanelAction(() => onShare(share.username, event.target.value))}>
+                  <option value="read">Can view</option>
+                  <option value="edit">Can edit</option>
+                </select>
+                {' '}
+                <button onClick={() => runPanelAction(() => onShare(share.username, null))}>Remove</button>
+              </span>
+            </div>
+          ))}
+          <form className="toolbar-panel-form" onSubmit={handleShare}>
+            <input
+              placeholder="Username"
+              value={shareForm.username}
+              onChange={(event) => setShareForm({ ...shareForm, username: event.target.value })}
+            />
+            <select value={shareForm.permission} onChange={(event) => setShareForm({ ...shareForm, permission: event.target.value })}>
+              <option value="read">Can view</option>
+              <option value="edit">Can edit</option>
+            </select>
+            <button type="submit" disabled={!shareForm.username.trim()}>Share</button>
+          </form>
+          {panelError && <div className="toolbar-panel-empty auth-error">{panelError}</div>}
+        </div>
+      )}
+
+      {openPanel === 'prompts' && (
+        <div className="toolbar-panel toolbar-panel-wide">
+          <PromptLibrary canEdit={user.role === 'admin'} onChange={onPromptsChange} />
+        </div>
+      )}
+
+      {openPanel === 'account' && (
+        <div className="toolbar-panel toolbar-panel-right">
+          <div className="toolbar-panel-item">
+            <span>Signed in as <strong>{user.username}</strong> <small>in workspace {user.workspace}</small></span>
+            <button onClick={onLogout}>Sign out</button>
+          </div>
+          <div className="toolbar-panel-empty">API tokens for scripts (send as <code>Authorization: Bearer &lt;token&gt;</code>)</div>
+          {tokens.map((token) => (
+            <div key={token.id} className="toolbar-panel-item">
+              <span>
+                <strong>{token.name}</strong>
+                <small> {new Date(token.createdAt).toLocaleString()}</small>
+              </span>
+              <button onClick={() => handleRevokeToken(token.id)}>Revoke</button>
+            </div>
+          ))}
+          {newToken && (
+            <div className="new-token">
+              Copy the token now, it is not shown again:<br />
+              <code>{newToken.token}</code>
+            </div>
+          )}
+          <form className="toolbar-panel-form" onSubmit={handleCreateToken}>
+            <input name="tokenName" placeholder="Token name, e.g. CI pipeline" />
+            <button type="submit">Create token</button>
+          </form>
+          {panelError && <div className="toolbar-panel-empty auth-error">{panelError}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DiagramToolbar;
@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+import { METRIC_TYPES, getMetrics } from './processMetrics';
+
+// Input limits per metric, matching the checks of the backend
+const INPUT_LIMITS = {
+  duration: { min: 0, step: 'any' },
+  cost: { min: 0, step: 'any' },
+  resources: { min: 1, step: 1 },
+  probability: { min: 0, max: 1, step: 0.05 },
+  interval: { min: 0, step: 'any' },
+};
+
+/**
+ * Simulation metrics of the selected element, shown above the properties panel
+ *
+ * Values are written when an input loses focus or Enter is pressed; an
+ * empty input removes the metric.
+ *
+ * @param {Object} props
+ * @param {Object} props.element - Selected diagram element
+ * @param {Object} props.definitions - bpmn:Definitions of the diagram
+ * @param {string} props.xml - Current diagram XML, so the inputs follow undo and remote changes
+ * @param {Function} props.onChange - Called with the changed metrics, e.g. { duration: '30' }
+ * @param {boolean} props.disabled - Whether editing is disabled
+ */
+function MetricsEditor({ element, definitions, xml, onChange, disabled }) {
+  const [drafts, setDrafts] = useState({});
+  const metrics = getMetrics(element, definitions);
+
+  useEffect(() => {
+    setDrafts({});
+  }, [element, xml]);
+
+  if (!Object.keys(metrics).length) {
+    return null;
+  }
+
+  const commit = (name) => {
+    if (drafts[name] === undefined || drafts[name] === metrics[name]) {
+      return;
+    }
+
+    onChange({ [name]: drafts[name].trim() });
+    setDrafts(({ [name]: committed, ...current }) => current);
+  };
+
+  return (
+    <div className="metrics-editor">
+      <strong>Simulation metrics</strong>
+      {Object.keys(metrics).map((name) => (
+        <label key={name}>
+          {METRIC_TYPES[name].label}
+          <input
+            type="number"
+            {...INPUT_LIMITS[name]}
+            value={drafts[name] ?? metrics[name]}
+            disabled={disabled}
+            onChange={(event) => setDrafts((current) => ({ ...current, [name]: event.target.value }))}
+            onBlur={() => commit(name)}
+            onKeyDown={(event) => event.key === 'Enter' && commit(name)}
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default MetricsEditor;
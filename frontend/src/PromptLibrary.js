@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from 'react';
+
+import { promptsApi } from './api';
+import { captureException } from './sentry';
+
+// Value of the template picker for a quick action that is not saved yet
+const NEW_QUICK_ACTION = '';
+
+/**
+ * Editor for the prompt templates and quick actions of the user's workspace
+ *
+ * Every save creates a new version of the template; earlier versions can be
+ * restored and templates reset to their default. Only administrators change
+ * templates, other members can read them.
+ *
+ * @param {Object} props
+ * @param {boolean} props.canEdit - The signed-in user may change the templates
+ * @param {Function} props.onChange - Called after a template was saved, reset or restored
+ */
+function PromptLibrary({ canEdit, onChange }) {
+  const [templates, setTemplates] = useState([]);
+  const [selectedName, setSelectedName] = useState('chat');
+  const [template, setTemplate] = useState(null); // Selected template with its text, null for a new quick action
+  const [versions, setVersions] = useState([]);
+  const [draft, setDraft] = useState({ name: '', label: '', text: '', message: '' });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    promptsApi.list()
+      .then(setTemplates)
+      .catch((err) => {
+        console.error('Error loading prompt templates:', err);
+        captureException(err, { component: 'prompt-library', action: 'load_templates' });
+      });
+  }, []);
+
+  // Load the selected template into the form
+  useEffect(() => {
+    setError(null);
+
+    if (selectedName === NEW_QUICK_ACTION) {
+      setTemplate(null);
+      setVersions([]);
+      setDraft({ name: '', label: '', text: '{{input}}', message: '' });
+      return;
+    }
+
+    Promise.all([promptsApi.get(selectedName), promptsApi.versions(selectedName)])
+      .then(([loaded, loadedVersions]) => {
+        setTemplate(loaded);
+        setVersions(loadedVersions);
+        setDraft({ name: loaded.name, label: loaded.label || '', text: loaded.text, message: '' });
+      })
+      .catch((err) => setError(err.message));
+  }, [selectedName]);
+
+  // Run an action on the selected template, then reload the library
+  const runAction = async (action, nextName = selectedName) => {
+    setError(null);
+
+    try {
+      await action();
+      setTemplates(await promptsApi.list());
+
+      // Reselecting the same name does not trigger the effect, so reload it here
+      if (nextName === selectedName) {
+        const [loaded, loadedVersions] = await Promise.all([promptsApi.get(nextName), promptsApi.versions(nextName)]);
+        setTemplate(loaded);
+        setVersions(loadedVersions);
+        setDraft({ name: loaded.name, label: loaded.label || '', text: loaded.text, message: '' });
+      } else {
+        setSelectedName(nextName);
+      }
+
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const name = template ? template.name : draft.name.trim();
+
+    runAction(() => promptsApi.save(name, {
+      text: draft.text,
+      ...((!template || template.kind === 'quickAction') && { label: draft.label }),
+      message: draft.message.trim() || undefined,
+    }), name);
+  };
+
+  const isQuickAction = !template || template.kind === 'quickAction';
+  const variables = template ? template.variables : templates.find((entry) => entry.kind === 'quickAction')?.variables || {};
+
+  // Templates without a default disappear once reset, so the picker falls back to the chat template
+  const resetTarget = template?.defaultText === null ? 'chat' : selectedName;
+
+  return (
+    <div className="prompt-library">
+      <select value={selectedName} onChange={(event) => setSelectedName(event.target.value)}>
+        {templates.map((entry) => (
+          <option key={entry.name} value={entry.name}>
+            {entry.kind === 'quickAction' ? 'Quick action: ' : ''}{entry.label}{entry.custom ? ' (changed)' : ''}
+          </option>
+        ))}
+        {canEdit && <option value={NEW_QUICK_ACTION}>New quick action...</option>}
+      </select>
+
+      {template?.description && <div className="toolbar-panel-empty">{template.description}</div>}
+
+      <form className="prompt-library-form" onSubmit={handleSave}>
+        {!template && (
+          <input
+            placeholder="Name, e.g. add-compensation"
+            value={draft.name}
+            onChange={(event) => setDraft({ ...draft, name: event.target.value })}
+          />
+        )}
+        {isQuickAction && canEdit && (
+          <input
+            placeholder="Button label"
+            value={draft.label}
+            onChange={(event) => setDraft({ ...draft, label: event.target.value })}
+          />
+        )}
+        <textarea
+          value={draft.text}
+          rows={isQuickAction ? 4 : 14}
+          readOnly={!canEdit}
+          onChange={(event) => setDraft({ ...draft, text: event.target.value })}
+        />
+        <div className="prompt-library-variables">
+          Variables:{' '}
+          {Object.entries(variables).map(([name, description]) => (
+            <code key={name} title={description}>{`{{${name}}}`}</code>
+          ))}
+        </div>
+        {canEdit ? (
+          <>
+            <input
+              placeholder="What changed? (optional)"
+              value={draft.message}
+              onChange={(event) => setDraft({ ...draft, message: event.target.value })}
+            />
+            <div className="prompt-library-actions">
+              <button type="submit" disabled={!draft.text.trim() || (!template && (!draft.name.trim() || !draft.label.trim()))}>Save</button>
+              {template?.custom && (
+                <button type="button" onClick={() => runAction(() => promptsApi.reset(template.name), resetTarget)}>
+                  {template.defaultText === null ? 'Remove' : 'Reset to default'}
+                </button>
+              )}
+            </div>
+          </>
+        ) : (
+          <div className="toolbar-panel-empty">Only administrators can change the templates.</div>
+        )}
+      </form>
+
+      {error && <div className="toolbar-panel-empty auth-error">{error}</div>}
+
+      {versions.map((version) => (
+        <div key={version.version} className="toolbar-panel-item">
+          <span>
+            <strong>v{version.version}</strong> {version.message || ''}
+            <small> {version.author}, {new Date(version.createdAt).toLocaleString()}</small>
+          </span>
+          {version.version === template?.currentVersion && <small>current</small>}
+          {version.version !== template?.currentVersion && canEdit && (
+            <button onClick={() => runAction(() => promptsApi.restore(template.name, version.version))}>Restore</button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PromptLibrary;
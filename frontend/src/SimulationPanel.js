@@ -0,0 +1,58 @@
+import React from 'react';
+
+/**
+ * Controls of the token simulation, shown in the chat panel
+ *
+ * @param {Object} props
+ * @param {Array} props.actions - Possible actions of the simulation (see tokenSimulation.getActions)
+ * @param {Object} props.status - Result of tokenSimulation.getSimulationStatus
+ * @param {Function} props.onAction - Called with the action the user picked
+ * @param {Function} props.onRunToDecision - Called to advance until a decision is needed
+ * @param {Function} props.onRestart - Called to start over with fresh tokens
+ * @param {Function} props.onDescribe - Called to let the assistant describe the simulated path
+ * @param {Function} props.onStop - Called to leave the simulation
+ * @param {boolean} props.canDescribe - Whether the assistant is available for a description
+ */
+function SimulationPanel({ actions, status, onAction, onRunToDecision, onRestart, onDescribe, onStop, canDescribe }) {
+  return (
+    <div className={`simulation-panel simulation-${status.status}`}>
+      <div className="simulation-header">
+        <strong>Simulation</strong>
+        <span className="simulation-status">
+          {status.status === 'running' && 'Running'}
+          {status.status === 'completed' && 'Completed'}
+          {status.status === 'deadlock' && 'Deadlock'}
+        </span>
+      </div>
+
+      {status.waiting.map((join) => (
+        <div key={join.joinId} className="simulation-waiting">
+          {join.label} waits for {join.missing.length ? join.missing.join(', ') : 'more tokens'}
+        </div>
+      ))}
+
+      <div className="simulation-actions">
+        {actions.map((action, index) => (
+          <button key={index} className={action.choice ? 'choice' : ''} onClick={() => onAction(action)}>
+            {action.label}
+          </button>
+        ))}
+      </div>
+
+      {status.status !== 'running' && status.unvisited.length > 0 && (
+        <div className="simulation-unvisited">
+          Not reached in this session: {status.unvisited.map((element) => element.label).join(', ')}
+        </div>
+      )}
+
+      <div className="simulation-controls">
+        <button onClick={onRunToDecision} disabled={!actions.some((action) => !action.choice)}>Run to next decision</button>
+        <button onClick={onRestart}>Restart</button>
+        <button onClick={onDescribe} disabled={!canDescribe}>Describe path</button>
+        <button onClick={onStop}>Stop</button>
+      </div>
+    </div>
+  );
+}
+
+export default SimulationPanel;
@@ -0,0 +1,535 @@
+/**
+ * bpmn-js module that applies AI edit operations
+ *
+ * The backend returns a list of typed operations (addShape, connect, rename,
+ * delete, moveToLane, updateProperties). They are executed through the modeling API inside a
+ * single command, so each AI change is one undoable step on the command stack.
+ *
+ * Properties are written as Camunda 7 extensions, or as Zeebe extensions in
+ * diagrams made executable for Camunda 8. Simulation metrics are plain
+ * attributes in their own namespace (see processMetrics.js).
+ */
+
+import { isCamundaCloud, buildCamundaForm, getTimerProperty } from './executionPlatform';
+import { METRIC_TYPES, getMetricsPrefix } from './processMetrics';
+
+export const APPLY_OPERATIONS_COMMAND = 'ai.applyOperations';
+
+// Horizontal distance between an element and a shape placed after it
+const SHAPE_GAP = 50;
+
+/**
+ * Command handler executing the operations as nested modeling commands
+ */
+function ApplyOperationsHandler(bpmnjs, modeling, elementFactory, elementRegistry, bpmnFactory, bpmnRules, canvas) {
+  this._bpmnjs = bpmnjs;
+  this._modeling = modeling;
+  this._elementFactory = elementFactory;
+  this._elementRegistry = elementRegistry;
+  this._bpmnFactory = bpmnFactory;
+  this._bpmnRules = bpmnRules;
+  this._canvas = canvas;
+}
+
+ApplyOperationsHandler.$inject = [
+  'bpmnjs',
+  'modeling',
+  'elementFactory',
+  'elementRegistry',
+  'bpmnFactory',
+  'bpmnRules',
+  'canvas'
+];
+
+ApplyOperationsHandler.prototype.preExecute = function(context) {
+  context.operations.forEach((operation, index) => {
+    try {
+      this._apply(operation);
+    } catch (error) {
+      error.message = `Operation ${index} (${operation.type}): ${error.message}`;
+      throw error;
+    }
+  });
+};
+
+ApplyOperationsHandler.prototype._get = function(id) {
+  const element = this._elementRegistry.get(id);
+
+  if (!element) {
+    throw new Error(`unknown element <${id}>`);
+  }
+
+  return element;
+};
+
+ApplyOperationsHandler.prototype._apply = function(operation) {
+  switch (operation.type) {
+    case 'addShape':
+      return this._addShape(operation);
+    case 'connect':
+      return this._connect(operation);
+    case 'rename':
+      return this._modeling.updateLabel(this._get(operation.elementId), operation.name);
+    case 'delete':
+      return this._modeling.removeElements([ this._get(operation.elementId) ]);
+    case 'moveToLane':
+      return this._moveToLane(this._get(operation.elementId), this._get(operation.laneId));
+    case 'updateProperties':
+      return this._updateProperties(this._get(operation.elementId), operation.properties);
+    default:
+      throw new Error(`unknown operation type <${operation.type}>`);
+  }
+};
+
+ApplyOperationsHandler.prototype._addShape = function(operation) {
+  const businessObject = this._bpmnFactory.create(operation.elementType, {
+    id: operation.id,
+    name: operation.name
+  });
+
+  const shape = this._elementFactory.createShape({ type: operation.elementType, businessObject });
+
+  const after = operation.after && this._get(operation.after);
+  const lane = operation.laneId && this._get(operation.laneId);
+
+  let parent = this._getDefaultParent();
+  let x;
+  let y;
+
+  if (after) {
+    parent = after.parent;
+    x = after.x + after.width + SHAPE_GAP + shape.width / 2;
+    y = after.y + after.height / 2;
+  } else {
+    const shapes = this._elementRegistry.filter(element => !element.waypoints && element.parent === parent && !element.labelTarget);
+    const right = shapes.reduce((max, element) => Math.max(max, element.x + element.width), 100);
+
+    x = right + SHAPE_GAP + shape.width / 2;
+    y = shapes.length ? shapes[0].y + shapes[0].height / 2 : 100;
+  }
+
+  if (lane) {
+    parent = getParticipant(lane);
+    y = lane.y + lane.height / 2;
+  }
+
+  this._modeling.createShape(shape, { x, y }, parent);
+};
+
+ApplyOperationsHandler.prototype._getDefaultParent = function() {
+  const root = this._canvas.getRootElement();
+
+  // Flow nodes of a collaboration live in its first pool
+  if (root.type === 'bpmn:Collaboration') {
+    return root.children.find(child => child.type === 'bpmn:Participant') || root;
+  }
+
+  return root;
+};
+
+ApplyOperationsHandler.prototype._connect = function(operation) {
+  const source = this._get(operation.sourceId);
+  const target = this._get(operation.targetId);
+  const attrs = this._bpmnRules.canConnect(source, target);
+
+  if (!attrs || !attrs.type) {
+    throw new Error(`<${source.id}> cannot be connected to <${target.id}>`);
+  }
+
+  const connection = this._modeling.connect(source, target, {
+    ...attrs,
+    businessObject: this._bpmnFactory.create(attrs.type, { id: operation.id })
+  });
+
+  if (operation.name) {
+    this._modeling.updateLabel(connection, operation.name);
+  }
+
+  if (operation.condition && attrs.type === 'bpmn:SequenceFlow') {
+    this._modeling.updateProperties(connection, {
+      conditionExpression: this._bpmnFactory.create('bpmn:FormalExpression', { body: operation.condition })
+    });
+  }
+};
+
+ApplyOperationsHandler.prototype._moveToLane = function(element, lane) {
+  const delta = {
+    x: 0,
+    y: (lane.y + lane.height / 2) - (element.y + element.height / 2)
+  };
+
+  this._modeling.moveElements([ element ], delta, getParticipant(lane));
+};
+
+ApplyOperationsHandler.prototype._updateProperties = function(element, properties) {
+  const { documentation, condition, assignee, candidateGroups, formFields, decisionId, resultVariable } = properties;
+  const isZeebe = isCamundaCloud(this._bpmnjs.getDefinitions());
+  const updates = {};
+
+  if (documentation !== undefined) {
+    updates.documentation = documentation
+      ? [ this._bpmnFactory.create('bpmn:Documentation', { text: documentation }) ]
+      : [];
+  }
+
+  if (condition !== undefined) {
+    updates.conditionExpression = condition
+      ? this._bpmnFactory.create('bpmn:FormalExpression', { body: condition })
+      : undefined;
+  }
+
+  if (assignee !== undefined && !isZeebe) {
+    updates['camunda:assignee'] = assignee || undefined;
+  }
+
+  if (candidateGroups !== undefined && !isZeebe) {
+    updates['camunda:candidateGroups'] = candidateGroups || undefined;
+  }
+
+  if (decisionId !== undefined && !isZeebe) {
+    updates['camunda:decisionRef'] = decisionId || undefined;
+  }
+
+  if (resultVariable !== undefined && !isZeebe) {
+    updates['camunda:resultVariable'] = resultVariable || undefined;
+  }
+
+  const metrics = Object.keys(METRIC_TYPES).filter(name => properties[name] !== undefined);
+
+  if (metrics.length) {
+    const prefix = getMetricsPrefix(this._bpmnjs.getDefinitions());
+
+    metrics.forEach(name => {
+      updates[`${prefix}:${name}`] = properties[name] || undefined;
+    });
+  }
+
+  if (Object.keys(updates).length) {
+    this._modeling.updateProperties(element, updates);
+  }
+
+  if (isZeebe) {
+    this._updateZeebeProperties(element, properties);
+  } else if (formFields) {
+    this._updateFormFields(element, formFields);
+  }
+};
+
+/**
+ * Get the extension elements of a business object, creating them if needed
+ *
+ * @param {Object} element - Shape the change is recorded for
+ * @param {Object} [businessObject] - Business object to extend, the one of the element by default
+ */
+ApplyOperationsHandler.prototype._getExtensionElements = function(element, businessObject = element.businessObject) {
+  let extensionElements = businessObject.extensionElements;
+
+  if (!extensionElements) {
+    extensionElements = this._bpmnFactory.create('bpmn:ExtensionElements', { values: [] });
+    extensionElements.$parent = businessObject;
+
+    this._modeling.updateModdleProperties(element, businessObject, { extensionElements });
+  }
+
+  return extensionElements;
+};
+
+ApplyOperationsHandler.prototype._updateFormFields = function(element, formFields) {
+  const extensionElements = this._getExtensionElements(element);
+
+  const formData = this._bpmnFactory.create('camunda:FormData');
+  formData.$parent = extensionElements;
+  formData.fields = formFields.map(({ id, label, type, defaultValue }) => {
+    const field = this._bpmnFactory.create('camunda:FormField', { id, label, type, defaultValue });
+    field.$parent = formData;
+    return field;
+  });
+
+  // The suggested fields replace the whole form
+  this._modeling.updateModdleProperties(element, extensionElements, {
+    values: [ ...extensionElements.get('values').filter(value => !value.$instanceOf('camunda:FormData')), formData ]
+  });
+};
+
+/**
+ * Update a Zeebe extension element, creating it if needed
+ *
+ * @param {Object} element - Shape the change is recorded for
+ * @param {Object} businessObject - Business object to extend
+ * @param {string} type - Extension type, e.g. zeebe:TaskDefinition
+ * @param {Object} properties - Properties to set; empty values are removed
+ * @returns {Object} The extension element
+ */
+ApplyOperationsHandler.prototype._updateZeebeExtension = function(element, businessObject, type, properties) {
+  const extensionElements = this._getExtensionElements(element, businessObject);
+  const values = Object.fromEntries(Object.entries(properties).map(([ name, value ]) => [ name, value || undefined ]));
+  const existing = extensionElements.get('values').find(value => value.$instanceOf(type));
+
+  if (existing) {
+    this._modeling.updateModdleProperties(element, existing, values);
+    return existing;
+  }
+
+  const extension = this._bpmnFactory.create(type, values);
+  extension.$parent = extensionElements;
+
+  this._modeling.updateModdleProperties(element, extensionElements, {
+    values: [ ...extensionElements.get('values'), extension ]
+  });
+
+  return extension;
+};
+
+ApplyOperationsHandler.prototype._removeZeebeExtension = function(element, businessObject, isRemoved) {
+  const extensionElements = businessObject.extensionElements;
+  const values = extensionElements?.get('values') || [];
+
+  if (values.some(isRemoved)) {
+    this._modeling.updateModdleProperties(element, extensionElements, { values: values.filter(value => !isRemoved(value)) });
+  }
+};
+
+ApplyOperationsHandler.prototype._updateZeebeProperties = function(element, properties) {
+  const {
+    assignee, candidateGroups, formFields, taskType, retries, inputs, outputs,
+    messageName, correlationKey, timer, calledProcessId, decisionId, resultVariable
+  } = properties;
+  const businessObject = element.businessObject;
+
+  if (assignee !== undefined || candidateGroups !== undefined) {
+    this._updateZeebeExtension(element, businessObject, 'zeebe:AssignmentDefinition', {
+      ...(assignee !== undefined && { assignee }),
+      ...(candidateGroups !== undefined && { candidateGroups })
+    });
+  }
+
+  if (formFields) {
+    this._updateUserTaskForm(element, formFields);
+  }
+
+  if (taskType !== undefined || retries !== undefined) {
+    this._updateZeebeExtension(element, businessObject, 'zeebe:TaskDefinition', {
+      ...(taskType !== undefined && { type: taskType }),
+      ...(retries !== undefined && { retries })
+    });
+  }
+
+  if (inputs || outputs) {
+    const ioMapping = this._updateZeebeExtension(element, businessObject, 'zeebe:IoMapping', {});
+    const createParameters = (type, mappings) => mappings.map(({ source, target }) => {
+      const parameter = this._bpmnFactory.create(type, { source, target });
+      parameter.$parent = ioMapping;
+      return parameter;
+    });
+
+    this._modeling.updateModdleProperties(element, ioMapping, {
+      ...(inputs && { inputParameters: createParameters('zeebe:Input', inputs) }),
+      ...(outputs && { outputParameters: createParameters('zeebe:Output', outputs) })
+    });
+  }
+
+  if (messageName) {
+    this._updateMessageName(element, messageName);
+  }
+
+  if (correlationKey !== undefined) {
+    const message = this._getMessageHolder(element).messageRef;
+
+    if (!message) {
+      throw new Error(`<${element.id}> has no message to correlate`);
+    }
+
+    this._updateZeebeExtension(element, message, 'zeebe:Subscription', { correlationKey });
+  }
+
+  if (timer) {
+    const timerDefinition = this._getEventDefinition(element, 'bpmn:TimerEventDefinition');
+
+    this._modeling.updateModdleProperties(element, timerDefinition, {
+      timeDuration: undefined,
+      timeCycle: undefined,
+      timeDate: undefined,
+      [getTimerProperty(timer)]: this._bpmnFactory.create('bpmn:FormalExpression', { body: timer })
+    });
+  }
+
+  if (calledProcessId !== undefined) {
+    this._updateZeebeExtension(element, businessObject, 'zeebe:CalledElement', { processId: calledProcessId });
+  }
+
+  if (decisionId !== undefined || resultVariable !== undefined) {
+    this._updateZeebeExtension(element, businessObject, 'zeebe:CalledDecision', {
+      ...(decisionId !== undefined && { decisionId }),
+      ...(resultVariable !== undefined && { resultVariable })
+    });
+
+    // The engine evaluates the decision itself, so no worker job is created
+    if (decisionId) {
+      this._removeZeebeExtension(element, businessObject, value => value.$instanceOf('zeebe:TaskDefinition'));
+    }
+  }
+};
+
+ApplyOperationsHandler.prototype._getEventDefinition = function(element, type) {
+  const eventDefinition = (element.businessObject.eventDefinitions || []).find(definition => definition.$instanceOf(type));
+
+  if (!eventDefinition) {
+    throw new Error(`<${element.id}> has no ${type}`);
+  }
+
+  return eventDefinition;
+};
+
+// Receive tasks refer to their message directly, events through their message event definition
+ApplyOperationsHandler.prototype._getMessageHolder = function(element) {
+  return element.businessObject.$instanceOf('bpmn:ReceiveTask')
+    ? element.businessObject
+    : this._getEventDefinition(element, 'bpmn:MessageEventDefinition');
+};
+
+// Refer to the message of a name, which is created if the diagram has none yet
+ApplyOperationsHandler.prototype._updateMessageName = function(element, messageName) {
+  const definitions = this._bpmnjs.getDefinitions();
+  const rootElements = definitions.get('rootElements');
+  let message = rootElements.find(candidate => candidate.$instanceOf('bpmn:Message') && candidate.name === messageName);
+
+  if (!message) {
+    message = this._bpmnFactory.create('bpmn:Message', { name: messageName });
+    message.$parent = definitions;
+
+    this._modeling.updateModdleProperties(element, definitions, { rootElements: [ ...rootElements, message ] });
+  }
+
+  this._modeling.updateModdleProperties(element, this._getMessageHolder(element), { messageRef: message });
+};
+
+/**
+ * Embed a form in the process of a user task. Tasklist shows embedded forms
+ * for job-based user tasks, so a zeebe:UserTask marker is removed.
+ */
+ApplyOperationsHandler.prototype._updateUserTaskForm = function(element, formFields) {
+  let process = element.businessObject.$parent;
+
+  while (process && !process.$instanceOf('bpmn:Process')) {
+    process = process.$parent;
+  }
+
+  const formId = `UserTaskForm_${element.id}`;
+  const extensionElements = this._getExtensionElements(element, process);
+  const form = this._bpmnFactory.create('zeebe:UserTaskForm', { id: formId, body: buildCamundaForm(formId, formFields) });
+  form.$parent = extensionElements;
+
+  this._modeling.updateModdleProperties(element, extensionElements, {
+    values: [
+      ...extensionElements.get('values').filter(value => !(value.$instanceOf('zeebe:UserTaskForm') && value.id === formId)),
+      form
+    ]
+  });
+
+  this._removeZeebeExtension(element, element.businessObject, value => value.$instanceOf('zeebe:UserTask'));
+  this._updateZeebeExtension(element, element.businessObject, 'zeebe:FormDefinition', {
+    formKey: `camunda-forms:bpmn:${formId}`
+  });
+};
+
+/**
+ * Get the participant (pool) a lane belongs to
+ *
+ * @param {Object} lane - Lane shape
+ */
+function getParticipant(lane) {
+  let parent = lane.parent;
+
+  while (parent && parent.type === 'bpmn:Lane') {
+    parent = parent.parent;
+  }
+
+  return parent;
+}
+
+/**
+ * Registers the command handler with the command stack
+ */
+function AiOperations(commandStack) {
+  commandStack.registerHandler(APPLY_OPERATIONS_COMMAND, ApplyOperationsHandler);
+}
+
+AiOperations.$inject = [ 'commandStack' ];
+
+/**
+ * Check that all referenced elements exist before anything is executed.
+ * The command stack does not roll back nested commands of a failed
+ * command, so problems must be caught up front.
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Array} operations - Operations to check
+ */
+function checkOperations(elementRegistry, operations) {
+  const ids = new Set(elementRegistry.getAll().map(element => element.id));
+
+  const requireElement = (index, id) => {
+    if (!ids.has(id)) {
+      throw new Error(`Operation ${index} refers to unknown element <${id}>`);
+    }
+  };
+
+  operations.forEach((operation, index) => {
+    switch (operation.type) {
+      case 'addShape':
+        if (operation.after) {
+          requireElement(index, operation.after);
+        }
+        if (operation.laneId) {
+          requireElement(index, operation.laneId);
+        }
+        if (operation.id && ids.has(operation.id)) {
+          throw new Error(`Operation ${index} creates <${operation.id}> which already exists`);
+        }
+        ids.add(operation.id);
+        break;
+      case 'connect':
+        requireElement(index, operation.sourceId);
+        requireElement(index, operation.targetId);
+        ids.add(operation.id);
+        break;
+      case 'rename':
+        requireElement(index, operation.elementId);
+        break;
+      case 'delete':
+        requireElement(index, operation.elementId);
+        ids.delete(operation.elementId);
+        break;
+      case 'moveToLane':
+        requireElement(index, operation.elementId);
+        requireElement(index, operation.laneId);
+        break;
+      case 'updateProperties':
+        requireElement(index, operation.elementId);
+        if (!operation.properties) {
+          throw new Error(`Operation ${index} has no properties`);
+        }
+        break;
+      default:
+        throw new Error(`Operation ${index} has unknown type <${operation.type}>`);
+    }
+  });
+}
+
+/**
+ * Apply AI edit operations as a single undoable command
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {Array} operations - Operations returned by /api/chat
+ */
+export function applyOperations(modeler, operations) {
+  checkOperations(modeler.get('elementRegistry'), operations);
+
+  modeler.get('commandStack').execute(APPLY_OPERATIONS_COMMAND, { operations });
+}
+
+const aiOperationsModule = {
+  __init__: [ 'aiOperations' ],
+  aiOperations: [ 'type', AiOperations ]
+};
+
+export default aiOperationsModule;
@@ -0,0 +1,130 @@
+/**
+ * Backend API client
+ *
+ * Requests are authenticated with the token of the signed-in user, which is
+ * kept in localStorage so the session survives a page refresh.
+ */
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+// localStorage key of the token of the signed-in user
+const AUTH_TOKEN_KEY = 'bpmn-ai-editor:authToken';
+
+// Called when the backend no longer accepts the token
+let unauthorizedHandler = () => {};
+
+export function getAuthToken() {
+  return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+export function setAuthToken(token) {
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+}
+
+/**
+ * Register the handler for requests rejected with 401, e.g. to show the sign-in form
+ *
+ * @param {Function} handler - Called without arguments
+ */
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+/**
+ * Authorization header for requests made without apiFetch
+ */
+export function authHeaders() {
+  const token = getAuthToken();
+
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+/**
+ * Report a rejected token; the stored token is dropped
+ *
+ * @param {Response} response - Response of the backend
+ */
+export function checkAuthorized(response) {
+  if (response.status === 401 && getAuthToken()) {
+    setAuthToken(null);
+    unauthorizedHandler();
+  }
+}
+
+/**
+ * Call an endpoint of the backend
+ *
+ * @param {string} path - Path below the API URL, e.g. /api/diagrams
+ * @param {Object} [options] - fetch options; a `body` object is sent as JSON, FormData as multipart
+ * @param {boolean} [options.blob] - Return the response body as a Blob, for endpoints that answer with files
+ * @returns {Promise<any>} Parsed response body, null for empty responses and responses that are not JSON
+ * @throws {Error} For error responses, with the status and parsed body of the response
+ */
+export async function apiFetch(path, { body, headers, blob = false, ...options } = {}) {
+  const isJSON = body !== undefined && !(body instanceof FormData);
+
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(isJSON ? { 'Content-Type': 'application/json' } : {}),
+      ...authHeaders(),
+      ...headers,
+    },
+    body: isJSON ? JSON.stringify(body) : body,
+  });
+
+  checkAuthorized(response);
+
+  if (blob && response.ok) {
+    return response.blob();
+  }
+
+  // Proxies and servers that fail before the backend answers reply with HTML or plain text
+  const isJSONResponse = /\bjson\b/i.test(response.headers.get('Content-Type') || '');
+  const data = response.status !== 204 && isJSONResponse ? await response.json() : null;
+
+  if (!response.ok) {
+    const status = [response.status, response.statusText].filter(Boolean).join(' ');
+    const error = new Error(data?.error || `Request to ${path} failed with status ${status}`);
+    error.status = response.status;
+    error.body = data;
+    throw error;
+  }
+
+  return data;
+}
+
+export const diagramsApi = {
+  list: () => apiFetch('/api/diagrams'),
+  get: (id) => apiFetch(`/api/diagrams/${id}`),
+  create: (diagram) => apiFetch('/api/diagrams', { method: 'POST', body: diagram }),
+  update: (id, update) => apiFetch(`/api/diagrams/${id}`, { method: 'PUT', body: update }),
+  remove: (id) => apiFetch(`/api/diagrams/${id}`, { method: 'DELETE' }),
+  versions: (id) => apiFetch(`/api/diagrams/${id}/versions`),
+  restore: (id, version) => apiFetch(`/api/diagrams/${id}/versions/${version}/restore`, { method: 'POST', body: {} }),
+  share: (id, username, permission) => apiFetch(`/api/diagrams/${id}/shares/${encodeURIComponent(username)}`, { method: 'PUT', body: { permission } }),
+  unshare: (id, username) => apiFetch(`/api/diagrams/${id}/shares/${encodeURIComponent(username)}`, { method: 'DELETE' }),
+};
+
+export const authApi = {
+  register: (credentials) => apiFetch('/api/auth/register', { method: 'POST', body: credentials }),
+  login: (credentials) => apiFetch('/api/auth/login', { method: 'POST', body: credentials }),
+  logout: () => apiFetch('/api/auth/logout', { method: 'POST' }),
+  me: () => apiFetch('/api/auth/me'),
+  tokens: () => apiFetch('/api/auth/tokens'),
+  createToken: (name) => apiFetch('/api/auth/tokens', { method: 'POST', body: { name } }),
+  revokeToken: (id) => apiFetch(`/api/auth/tokens/${id}`, { method: 'DELETE' }),
+};
+
+export const promptsApi = {
+  list: () => apiFetch('/api/prompts'),
+  get: (name) => apiFetch(`/api/prompts/${name}`),
+  save: (name, template) => apiFetch(`/api/prompts/${name}`, { method: 'PUT', body: template }),
+  reset: (name) => apiFetch(`/api/prompts/${name}`, { method: 'DELETE' }),
+  versions: (name) => apiFetch(`/api/prompts/${name}/versions`),
+  restore: (name, version) => apiFetch(`/api/prompts/${name}/versions/${version}/restore`, { method: 'POST', body: {} }),
+};
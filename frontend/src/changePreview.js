@@ -0,0 +1,242 @@
+/**
+ * Visual diff of AI changes on the canvas
+ *
+ * Compares the canvas before and after an AI change, highlights added and
+ * modified elements with markers and draws removed elements as ghosts, so
+ * the user can review a change before accepting it.
+ */
+
+const PREVIEW_LAYER = 'ai-preview';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export const MARKERS = {
+  added: 'ai-added',
+  modified: 'ai-modified',
+};
+
+/**
+ * Capture the diagram elements currently on the canvas
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @returns {Map} Element ID to comparable element properties
+ */
+export function snapshotElements(modeler) {
+  const snapshot = new Map();
+
+  modeler.get('elementRegistry')
+    .filter(element => element.parent && element.type !== 'label')
+    .forEach(element => {
+      const businessObject = element.businessObject || {};
+
+      snapshot.set(element.id, {
+        id: element.id,
+        type: element.type,
+        name: businessObject.name || '',
+        bounds: element.waypoints ? null : { x: element.x, y: element.y, width: element.width, height: element.height },
+        waypoints: element.waypoints ? element.waypoints.map(({ x, y }) => ({ x, y })) : null,
+        source: element.source?.id,
+        target: element.target?.id,
+        condition: businessObject.conditionExpression?.body,
+        documentation: (businessObject.documentation || []).map(documentation => documentation.text).join('\n'),
+        assignee: businessObject.get?.('camunda:assignee'),
+        candidateGroups: businessObject.get?.('camunda:candidateGroups'),
+        formFields: getFormFields(businessObject),
+      });
+    });
+
+  return snapshot;
+}
+
+/**
+ * Serialize the Camunda form fields of an element for comparison
+ *
+ * @param {Object} businessObject - Element business object
+ */
+function getFormFields(businessObject) {
+  const formData = (businessObject.extensionElements?.values || [])
+    .find(value => value.$instanceOf('camunda:FormData'));
+
+  return (formData?.fields || [])
+    .map(field => `${field.id}:${field.type}:${field.label || ''}:${field.defaultValue ?? ''}`)
+    .join('|');
+}
+
+/**
+ * Describe how an element changed between two snapshots
+ *
+ * @param {Object} before - Element properties before the change
+ * @param {Object} after - Element properties after the change
+ * @returns {Array<string>} Human readable changes, empty if unchanged
+ */
+function describeChanges(before, after) {
+  const changes = [];
+
+  if (before.type !== after.type) {
+    changes.push(`type ${before.type} → ${after.type}`);
+  }
+
+  if (before.name !== after.name) {
+    changes.push(`renamed "${before.name}" → "${after.name}"`);
+  }
+
+  if (before.source !== after.source || before.target !== after.target) {
+    changes.push(`reconnected ${before.source} → ${before.target} to ${after.source} → ${after.target}`);
+  }
+
+  if (before.condition !== after.condition) {
+    changes.push('condition changed');
+  }
+
+  if (before.documentation !== after.documentation) {
+    changes.push('documentation changed');
+  }
+
+  if (before.assignee !== after.assignee || before.candidateGroups !== after.candidateGroups) {
+    changes.push('assignment changed');
+  }
+
+  if (before.formFields !== after.formFields) {
+    changes.push('form fields changed');
+  }
+
+  if (before.bounds && after.bounds && (before.bounds.x !== after.bounds.x || before.bounds.y !== after.bounds.y)) {
+    changes.push('moved');
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two snapshots
+ *
+ * Layout-only changes of connections (recomputed waypoints) are ignored.
+ *
+ * @param {Map} before - Snapshot before the change
+ * @param {Map} after - Snapshot after the change
+ * @returns {{ added: Array, removed: Array, modified: Array }}
+ */
+export function diffSnapshots(before, after) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  after.forEach((element, id) => {
+    if (!before.has(id)) {
+      added.push(element);
+      return;
+    }
+
+    const changes = describeChanges(before.get(id), element);
+
+    if (changes.length) {
+      modified.push({ ...element, changes });
+    }
+  });
+
+  before.forEach((element, id) => {
+    if (!after.has(id)) {
+      removed.push(element);
+    }
+  });
+
+  return { added, removed, modified };
+}
+
+/**
+ * Check whether a diff contains any change
+ *
+ * @param {Object} diff - Result of diffSnapshots
+ */
+export function isEmptyDiff(diff) {
+  return !diff.added.length && !diff.removed.length && !diff.modified.length;
+}
+
+/**
+ * Format an element for the change summary
+ *
+ * @param {Object} element - Snapshot entry
+ */
+function describeElement(element) {
+  const type = element.type.replace('bpmn:', '');
+
+  return element.name ? `${type} "${element.name}" (${element.id})` : `${type} ${element.id}`;
+}
+
+/**
+ * Create a textual summary of a diff
+ *
+ * @param {Object} diff - Result of diffSnapshots
+ * @returns {Array<string>} One line per change
+ */
+export function summarizeDiff(diff) {
+  return [
+    ...diff.added.map(element => `Added ${describeElement(element)}`),
+    ...diff.removed.map(element => `Removed ${describeElement(element)}`),
+    ...diff.modified.map(element => `Modified ${describeElement(element)}: ${element.changes.join(', ')}`),
+  ];
+}
+
+/**
+ * Draw a ghost of a removed element
+ *
+ * @param {SVGElement} layer - Preview layer
+ * @param {Object} element - Snapshot entry of the removed element
+ */
+function drawGhost(layer, element) {
+  let ghost;
+
+  if (element.waypoints) {
+    ghost = document.createElementNS(SVG_NS, 'polyline');
+    ghost.setAttribute('points', element.waypoints.map(({ x, y }) => `${x},${y}`).join(' '));
+  } else {
+    ghost = document.createElementNS(SVG_NS, 'rect');
+    ghost.setAttribute('x', element.bounds.x);
+    ghost.setAttribute('y', element.bounds.y);
+    ghost.setAttribute('width', element.bounds.width);
+    ghost.setAttribute('height', element.bounds.height);
+    ghost.setAttribute('rx', 10);
+  }
+
+  ghost.setAttribute('class', 'ai-removed-ghost');
+  layer.appendChild(ghost);
+}
+
+/**
+ * Highlight a diff on the canvas
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {Object} diff - Result of diffSnapshots
+ */
+export function showPreview(modeler, diff) {
+  const canvas = modeler.get('canvas');
+
+  diff.added.forEach(element => canvas.addMarker(element.id, MARKERS.added));
+  diff.modified.forEach(element => canvas.addMarker(element.id, MARKERS.modified));
+
+  const layer = canvas.getLayer(PREVIEW_LAYER, 1000);
+  diff.removed.forEach(element => drawGhost(layer, element));
+}
+
+/**
+ * Remove all preview highlights from the canvas
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {Object} diff - Diff that was shown
+ */
+export function clearPreview(modeler, diff) {
+  const canvas = modeler.get('canvas');
+  const elementRegistry = modeler.get('elementRegistry');
+
+  [...diff.added, ...diff.modified]
+    .filter(element => elementRegistry.get(element.id))
+    .forEach(element => {
+      canvas.removeMarker(element.id, MARKERS.added);
+      canvas.removeMarker(element.id, MARKERS.modified);
+    });
+
+  const layer = canvas.getLayer(PREVIEW_LAYER, 1000);
+  while (layer.firstChild) {
+    layer.removeChild(layer.firstChild);
+  }
+}
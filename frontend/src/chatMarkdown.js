@@ -0,0 +1,214 @@
+import React from 'react';
+
+/**
+ * Markdown for assistant messages
+ *
+ * Renders the subset of Markdown the assistant uses in its answers to React
+ * elements: paragraphs, headings, bullet and numbered lists, block quotes,
+ * code blocks, inline code, bold, italic and links. Nothing is inserted as
+ * HTML, so the model cannot inject markup. Words that are IDs of diagram
+ * elements are passed to renderElementLink, which turns them into links to
+ * the canvas.
+ *
+ * Underscores do not mark emphasis, as they are common in element IDs
+ * (Task_Review).
+ */
+
+const INLINE_PATTERN = /`([^`\n]+)`|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)/g;
+
+// Candidates for element IDs, e.g. Task_1, Gateway_0abc12d or Flow-Approved
+const WORD_PATTERN = /[A-Za-z_][\w-]*/g;
+
+/**
+ * Split plain text into text and element links
+ *
+ * @param {string} text - Text without Markdown syntax
+ * @param {Object} options - See renderMarkdown
+ * @param {string} key - Key prefix of the created elements
+ */
+function renderText(text, { isElementId, renderElementLink }, key) {
+  if (!isElementId) {
+    return [text];
+  }
+
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (!isElementId(match[0])) {
+      continue;
+    }
+
+    parts.push(text.slice(last, match.index), renderElementLink(match[0], `${key}-${match.index}`));
+    last = match.index + match[0].length;
+  }
+
+  parts.push(text.slice(last));
+
+  return parts.filter((part) => part !== '');
+}
+
+/**
+ * Render the inline Markdown of a line
+ *
+ * @param {string} text - Line of a block
+ * @param {Object} options - See renderMarkdown
+ * @param {string} key - Key prefix of the created elements
+ */
+function renderInline(text, options, key) {
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [source, code, bold, italic, linkText, href] = match;
+    const partKey = `${key}-${match.index}`;
+
+    parts.push(...renderText(text.slice(last, match.index), options, `${partKey}t`));
+
+    if (code !== undefined) {
+      // An ID quoted as code is still a link to the element
+      parts.push(options.isElementId?.(code)
+        ? options.renderElementLink(code, partKey)
+        : <code key={partKey}>{code}</code>);
+    } else if (bold !== undefined) {
+      parts.push(<strong key={partKey}>{renderInline(bold, options, partKey)}</strong>);
+    } else if (italic !== undefined) {
+      parts.push(<em key={partKey}>{renderInline(italic, options, partKey)}</em>);
+    } else {
+      parts.push(<a key={partKey} href={href} target="_blank" rel="noopener noreferrer">{linkText}</a>);
+    }
+
+    last = match.index + source.length;
+  }
+
+  parts.push(...renderText(text.slice(last), options, `${key}-end`));
+
+  return parts;
+}
+
+/**
+ * Render lines of a paragraph, keeping the line breaks of the answer
+ */
+function renderLines(lines, options, key) {
+  return lines.flatMap((line, index) => [
+    ...(index > 0 ? [<br key={`${key}-br${index}`} />] : []),
+    ...renderInline(line, options, `${key}-${index}`)
+  ]);
+}
+
+/**
+ * Split Markdown text into blocks
+ *
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} Blocks of type code, heading, list, quote or paragraph
+ */
+function parseBlocks(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  const isBlockStart = (line) => /^(```|#{1,6}\s|\s*([-*+]|\d+[.)])\s|>)/.test(line);
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index++;
+    } else if (line.startsWith('```')) {
+      // Unclosed blocks of a streaming answer run to the end
+      let end = index + 1;
+
+      while (end < lines.length && !lines[end].startsWith('```')) {
+        end++;
+      }
+
+      blocks.push({ type: 'code', text: lines.slice(index + 1, end).join('\n') });
+      index = end + 1;
+    } else if (/^#{1,6}\s/.test(line)) {
+      blocks.push({ type: 'heading', level: line.match(/^#+/)[0].length, text: line.replace(/^#+\s+/, '') });
+      index++;
+    } else if (/^\s*([-*+]|\d+[.)])\s/.test(line)) {
+      const ordered = /^\s*\d/.test(line);
+      const items = [];
+
+      while (index < lines.length && lines[index].trim()) {
+        const item = lines[index].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+
+        if (item && /\d/.test(item[1]) !== ordered) {
+          break;
+        }
+
+        if (item) {
+          items.push([item[2]]);
+        } else if (items.length) {
+          // Continuation of the previous item
+          items[items.length - 1].push(lines[index].trim());
+        }
+
+        index++;
+      }
+
+      blocks.push({ type: 'list', ordered, items });
+    } else if (line.startsWith('>')) {
+      const quoted = [];
+
+      while (index < lines.length && lines[index].startsWith('>')) {
+        quoted.push(lines[index].replace(/^>\s?/, ''));
+        index++;
+      }
+
+      blocks.push({ type: 'quote', lines: quoted });
+    } else {
+      const paragraph = [];
+
+      while (index < lines.length && lines[index].trim() && !isBlockStart(lines[index])) {
+        paragraph.push(lines[index]);
+        index++;
+      }
+
+      blocks.push({ type: 'paragraph', lines: paragraph });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Render Markdown text to React elements
+ *
+ * @param {string} text - Markdown text
+ * @param {Object} [options]
+ * @param {Function} [options.isElementId] - Tells whether a word is the ID of a diagram element
+ * @param {Function} [options.renderElementLink] - Called with an element ID and a React key to render its link
+ * @returns {Array<React.ReactElement>}
+ */
+export function renderMarkdown(text, options = {}) {
+  return parseBlocks(text || '').map((block, index) => {
+    const key = `b${index}`;
+
+    switch (block.type) {
+      case 'code':
+        return <pre key={key}><code>{block.text}</code></pre>;
+      case 'heading': {
+        const Heading = `h${Math.min(block.level + 3, 6)}`;
+
+        return <Heading key={key}>{renderInline(block.text, options, key)}</Heading>;
+      }
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+
+        return (
+          <List key={key}>
+            {block.items.map((item, itemIndex) => (
+              <li key={itemIndex}>{renderLines(item, options, `${key}-${itemIndex}`)}</li>
+            ))}
+          </List>
+        );
+      }
+      case 'quote':
+        return <blockquote key={key}>{renderLines(block.lines, options, key)}</blockquote>;
+      default:
+        return <p key={key}>{renderLines(block.lines, options, key)}</p>;
+    }
+  });
+}
@@ -0,0 +1,95 @@
+/**
+ * Client for the streaming chat endpoint
+ *
+ * Reads the Server-Sent Events sent by POST /api/chat/stream from a fetch
+ * response body, since EventSource only supports GET requests.
+ */
+
+import { authHeaders, checkAuthorized } from './api';
+
+/**
+ * Parse a single SSE frame into its event name and JSON payload
+ *
+ * @param {string} frame - Raw frame text without the trailing blank line
+ */
+function parseFrame(frame) {
+  let event = 'message';
+  const data = [];
+
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  });
+
+  return { event, data: data.length ? JSON.parse(data.join('\n')) : null };
+}
+
+/**
+ * Send a chat request and stream the assistant's answer
+ *
+ * @param {string} url - Streaming endpoint URL
+ * @param {Object} body - Chat request body
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Aborts the request (and generation on the server)
+ * @param {Function} [options.onToken] - Called with each chunk of conversational text
+ * @returns {Promise<Object>} Final chat result ({ response, updatedDiagramXML, ... })
+ */
+export async function streamChat(url, body, { signal, onToken = () => {} } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  checkAuthorized(response);
+
+  if (!response.ok || !response.body) {
+    // Rejected requests (e.g. rate limits) explain themselves in a JSON body
+    const data = await response.json().catch(() => null);
+    const error = new Error(data?.error || `Chat stream failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let separator;
+    while ((separator = buffer.indexOf('\n\n')) !== -1) {
+      const { event, data } = parseFrame(buffer.slice(0, separator));
+      buffer = buffer.slice(separator + 2);
+
+      if (event === 'token') {
+        onToken(data.text);
+      } else if (event === 'result') {
+        result = data;
+      } else if (event === 'error') {
+        throw new Error(data.message);
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('Chat stream ended without a result');
+  }
+
+  return result;
+}
@@ -0,0 +1,182 @@
+/**
+ * Client for the real-time collaboration server
+ *
+ * Keeps the local diagram in sync with the other editors of a room over the
+ * /collab WebSocket. Local changes are sent as the resulting diagram XML
+ * with the sequence number they are based on; only one change is in flight
+ * at a time and newer local changes wait for its acknowledgement. Remote
+ * changes that arrive while local changes are unacknowledged are skipped:
+ * the server merges the local change into them and returns the merged
+ * diagram with the acknowledgement. If the user kept editing meanwhile, the
+ * next change is rebased on the server instead of replacing the diagram.
+ */
+
+import { API_URL, getAuthToken } from './api';
+
+export const COLLAB_URL = process.env.REACT_APP_COLLAB_URL || `${API_URL.replace(/^http/, 'ws')}/collab`;
+
+// Delay before reconnecting after the connection dropped
+const RECONNECT_DELAY_MS = 2000;
+
+/**
+ * Connect to a collaboration room
+ *
+ * @param {Object} options
+ * @param {string} options.room - ID of the saved diagram
+ * @param {Function} options.getXML - Returns the current local diagram XML
+ * @param {Function} options.onWelcome - Called with { clientId, color, peers, permission } after joining
+ * @param {Function} options.onRemoteChange - Called with { xml, author, source, summary, prompt, reason };
+ *   returns false if the diagram cannot be updated right now
+ * @param {Function} options.onPresence - Called with a peer ({ clientId, user, color, selection, cursor })
+ * @param {Function} options.onLeave - Called with the client ID of a peer that left
+ * @param {Function} [options.onStatus] - Called with 'connected' or 'disconnected'
+ * @returns {{ sendChange: Function, sendPresence: Function, requestState: Function, close: Function }}
+ */
+export function connectCollaboration({ room, getXML, onWelcome, onRemoteChange, onPresence, onLeave, onStatus = () => {} }) {
+  let socket = null;
+  let closed = false;
+  let reconnectTimer = null;
+
+  let seq = 0;
+  let syncedXML = null; // Diagram as of `seq`
+  let inFlight = null; // Change sent but not acknowledged yet
+  let queued = null; // Latest local change waiting for inFlight
+  let rebase = false; // The local diagram lacks changes merged into the last acknowledged one
+
+  const send = (message) => {
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const flush = () => {
+    if (inFlight || !queued) {
+      return;
+    }
+
+    inFlight = queued;
+    queued = null;
+    send({ type: 'change', baseSeq: seq, rebase, ...inFlight });
+    rebase = false;
+  };
+
+  // Replace the local diagram; a declined change is fetched again later with requestState
+  const applyRemote = (change) => {
+    if (onRemoteChange(change) === false) {
+      return;
+    }
+
+    seq = change.seq;
+    syncedXML = change.xml;
+  };
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case 'welcome': {
+        seq = message.seq;
+        syncedXML = message.xml;
+        onWelcome(message);
+
+        if (message.xml !== getXML()) {
+          onRemoteChange({ xml: message.xml, seq: message.seq });
+        }
+        break;
+      }
+      case 'ack':
+        seq = message.seq;
+        syncedXML = message.xml || inFlight.xml;
+        inFlight = null;
+
+        // Merged with concurrent changes; the local diagram lacks them
+        if (message.xml && queued) {
+          rebase = true;
+        } else if (message.xml) {
+          applyRemote({ xml: message.xml, seq: message.seq });
+        }
+        flush();
+        break;
+      case 'reject':
+        inFlight = null;
+        queued = null;
+        rebase = false;
+        applyRemote({ xml: message.xml, seq: message.seq, reason: message.reason });
+        break;
+      case 'change':
+        if (inFlight || queued) {
+          // The server merges the pending change into this one
+          break;
+        }
+        applyRemote(message);
+        break;
+      case 'state':
+        if (!inFlight && !queued) {
+          applyRemote(message);
+        }
+        break;
+      case 'presence':
+        onPresence(message);
+        break;
+      case 'leave':
+        onLeave(message.clientId);
+        break;
+      default:
+        console.warn('Unexpected collaboration message:', message);
+    }
+  };
+
+  const connect = () => {
+    // Browsers cannot send headers with WebSocket requests
+    socket = new WebSocket(`${COLLAB_URL}?token=${encodeURIComponent(getAuthToken())}`);
+
+    socket.onopen = () => {
+      inFlight = null;
+      queued = null;
+      rebase = false;
+      send({ type: 'join', room });
+      onStatus('connected');
+    };
+
+    socket.onmessage = (event) => handleMessage(JSON.parse(event.data));
+
+    socket.onclose = () => {
+      onStatus('disconnected');
+
+      if (!closed) {
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    };
+  };
+
+  connect();
+
+  return {
+    /**
+     * Share a local change
+     *
+     * @param {string} xml - Diagram XML after the change
+     * @param {Object} [meta] - { source: 'user' | 'ai', summary, prompt }
+     */
+    sendChange(xml, meta = {}) {
+      if (xml === syncedXML && !inFlight && !queued) {
+        return;
+      }
+
+      queued = { xml, source: 'user', ...meta };
+      flush();
+    },
+
+    sendPresence(presence) {
+      send({ type: 'presence', ...presence });
+    },
+
+    requestState() {
+      send({ type: 'sync' });
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      socket.close();
+    },
+  };
+}
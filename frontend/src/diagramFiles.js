@@ -0,0 +1,108 @@
+/**
+ * File helpers for importing and exporting diagrams in the browser
+ */
+
+/**
+ * Offer content as a file download
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} [type] - MIME type for string content
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a dropped or selected file as text
+ *
+ * @param {File} file - File to read
+ * @returns {Promise<string>} File content
+ */
+export function readTextFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Check whether a file looks like a BPMN diagram
+ *
+ * @param {File} file - File to check
+ */
+export function isDiagramFile(file) {
+  return /\.(bpmn|xml)$/i.test(file.name);
+}
+
+/**
+ * Check whether a file holds DMN decisions
+ *
+ * @param {File} file - File to check
+ */
+export function isDecisionFile(file) {
+  return /\.dmn$/i.test(file.name);
+}
+
+/**
+ * Notation of a Mermaid flowchart or PlantUML activity diagram file, as
+ * understood by /api/import
+ *
+ * @param {File} file - File to check
+ * @returns {'mermaid'|'plantuml'|null} Null for other files
+ */
+export function getNotation(file) {
+  if (/\.(mmd|mermaid)$/i.test(file.name)) {
+    return 'mermaid';
+  }
+
+  return /\.(puml|plantuml)$/i.test(file.name) ? 'plantuml' : null;
+}
+
+/**
+ * Rasterize an SVG document to PNG
+ *
+ * @param {string} svg - SVG markup, as returned by bpmn-js saveSVG
+ * @param {number} [scale] - Resolution multiplier
+ * @returns {Promise<Blob>} PNG image
+ */
+export function svgToPng(svg, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width * scale;
+      canvas.height = image.height * scale;
+
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG conversion failed'))), 'image/png');
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not load SVG for PNG conversion'));
+    };
+
+    image.src = url;
+  });
+}
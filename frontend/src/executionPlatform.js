@@ -0,0 +1,105 @@
+import { CamundaPlatformPropertiesProviderModule, ZeebePropertiesProviderModule } from 'bpmn-js-properties-panel';
+import CamundaPlatformBehaviorsModule from 'camunda-bpmn-js-behaviors/lib/camunda-platform';
+import CamundaCloudBehaviorsModule from 'camunda-bpmn-js-behaviors/lib/camunda-cloud';
+import camundaModdleDescriptor from 'camunda-bpmn-moddle/resources/camunda.json';
+import zeebeModdleDescriptor from 'zeebe-bpmn-moddle/resources/zeebe.json';
+
+/**
+ * Execution platforms of diagrams
+ *
+ * Diagrams are edited for Camunda 7 unless they are made executable for
+ * Camunda 8 (modeler:executionPlatform="Camunda Cloud"). Each platform has
+ * its own moddle extension, properties panel and modeling behaviors; the
+ * behaviors of both cannot be loaded into the same modeler.
+ */
+
+export const CAMUNDA_PLATFORM = 'camunda-platform';
+export const CAMUNDA_CLOUD = 'camunda-cloud';
+
+const EXECUTION_PLATFORM_PATTERN = /\bexecutionPlatform\s*=\s*"Camunda Cloud"/;
+
+/**
+ * Get the execution platform of diagram XML
+ *
+ * @param {string} xml - BPMN XML
+ * @returns {string} CAMUNDA_CLOUD or CAMUNDA_PLATFORM
+ */
+export function getExecutionPlatform(xml) {
+  return EXECUTION_PLATFORM_PATTERN.test(xml || '') ? CAMUNDA_CLOUD : CAMUNDA_PLATFORM;
+}
+
+/**
+ * Whether loaded definitions are made executable for Camunda 8
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ */
+export function isCamundaCloud(definitions) {
+  return Object.entries(definitions?.$attrs || {})
+    .some(([name, value]) => name.endsWith(':executionPlatform') && value === 'Camunda Cloud');
+}
+
+/**
+ * Modules and moddle extensions of the modeler for a platform
+ *
+ * @param {string} platform - CAMUNDA_CLOUD or CAMUNDA_PLATFORM
+ * @returns {Object} { additionalModules, moddleExtensions }
+ */
+export function getPlatformModules(platform) {
+  if (platform === CAMUNDA_CLOUD) {
+    return {
+      additionalModules: [ ZeebePropertiesProviderModule, CamundaCloudBehaviorsModule ],
+      moddleExtensions: { zeebe: zeebeModdleDescriptor }
+    };
+  }
+
+  return {
+    additionalModules: [ CamundaPlatformPropertiesProviderModule, CamundaPlatformBehaviorsModule ],
+    moddleExtensions: { camunda: camundaModdleDescriptor }
+  };
+}
+
+// Camunda Forms components of the form field types of edit operations
+const FORM_COMPONENT_TYPES = {
+  string: 'textfield',
+  long: 'number',
+  boolean: 'checkbox',
+  date: 'datetime',
+  enum: 'textfield'
+};
+
+/**
+ * Build a Camunda Forms schema from form fields of an edit operation,
+ * the same way the backend does (backend/zeebe.js)
+ *
+ * @param {string} formId - ID of the form
+ * @param {Array} formFields - { id, label, type, defaultValue }
+ * @returns {string} Form JSON, embedded in the process as zeebe:UserTaskForm
+ */
+export function buildCamundaForm(formId, formFields) {
+  return JSON.stringify({
+    id: formId,
+    type: 'default',
+    schemaVersion: 16,
+    components: formFields.map(({ id, label, type, defaultValue }) => ({
+      key: id,
+      label,
+      type: FORM_COMPONENT_TYPES[type],
+      ...(type === 'date' && { subtype: 'date' }),
+      ...(defaultValue !== undefined && { defaultValue })
+    }))
+  });
+}
+
+/**
+ * Get the timer definition property a timer value belongs in
+ *
+ * @param {string} timer - ISO 8601 duration (PT1H), cycle (R3/PT10M) or date
+ * @returns {string} timeDuration, timeCycle or timeDate
+ */
+export function getTimerProperty(timer) {
+  if (timer.startsWith('R')) {
+    return 'timeCycle';
+  }
+
+  return /^\d{4}-\d{2}-\d{2}/.test(timer) ? 'timeDate' : 'timeDuration';
+}
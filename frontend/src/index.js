@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import AuthGate from './AuthGate';
 import reportWebVitals from './reportWebVitals';
 
 // Initialize Sentry
@@ -11,7 +12,9 @@ initSentry();
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <AuthGate>
+      {({ user, onLogout }) => <App key={user.id} user={user} onLogout={onLogout} />}
+    </AuthGate>
   </React.StrictMode>
 );
 
@@ -0,0 +1,65 @@
+/**
+ * Lint findings on the canvas
+ *
+ * Shows the findings of the backend lint engine as badges next to the
+ * affected elements. The badge tooltip lists the messages.
+ */
+
+const OVERLAY_TYPE = 'lint';
+
+/**
+ * Replace the lint badges on the canvas
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {Array} findings - Findings of /api/lint ({ rule, severity, elementId, message })
+ */
+export function showLintFindings(modeler, findings) {
+  const overlays = modeler.get('overlays');
+  const elementRegistry = modeler.get('elementRegistry');
+  const rootElement = modeler.get('canvas').getRootElement();
+
+  overlays.remove({ type: OVERLAY_TYPE });
+
+  const byElement = new Map();
+  findings.forEach(finding => {
+    byElement.set(finding.elementId, [...(byElement.get(finding.elementId) || []), finding]);
+  });
+
+  byElement.forEach((elementFindings, elementId) => {
+    const element = elementRegistry.get(elementId);
+
+    // Process level findings have no shape; they are listed in the chat panel
+    if (!element || element === rootElement) {
+      return;
+    }
+
+    const badge = document.createElement('div');
+    const isError = elementFindings.some(finding => finding.severity === 'error');
+
+    badge.className = `lint-badge ${isError ? 'lint-error' : 'lint-warning'}`;
+    badge.textContent = elementFindings.length;
+    badge.title = elementFindings.map(finding => `${finding.rule}: ${finding.message}`).join('\n');
+
+    overlays.add(element, OVERLAY_TYPE, {
+      position: element.waypoints ? { top: -10, left: -10 } : { top: -10, right: 10 },
+      html: badge,
+    });
+  });
+}
+
+/**
+ * Select an element a finding refers to and scroll it into view
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {Object} finding - Lint finding
+ */
+export function focusFinding(modeler, finding) {
+  const element = modeler.get('elementRegistry').get(finding.elementId);
+
+  if (!element || element === modeler.get('canvas').getRootElement()) {
+    return;
+  }
+
+  modeler.get('selection').select(element);
+  modeler.get('canvas').scrollToElement(element);
+}
@@ -0,0 +1,85 @@
+/**
+ * Simulation metrics of diagram elements
+ *
+ * Metrics are plain attributes in their own namespace, usually with the
+ * prefix sim:, read by the discrete-event simulation of the backend (see
+ * backend/processSimulation.js, which also documents their meaning).
+ */
+
+import { is } from 'bpmn-js/lib/util/ModelUtil';
+
+export const METRICS_NS = 'urn:bpmn-ai-editor:simulation';
+
+const ACTIVITY_TYPES = [
+  'bpmn:Task',
+  'bpmn:CallActivity',
+  'bpmn:SubProcess',
+];
+
+/**
+ * Metrics with the element types they apply to and a label for the editor
+ */
+export const METRIC_TYPES = {
+  duration: { label: 'Duration (min)', types: [ ...ACTIVITY_TYPES, 'bpmn:IntermediateCatchEvent' ] },
+  cost: { label: 'Cost', types: ACTIVITY_TYPES },
+  resources: { label: 'Performers', types: ACTIVITY_TYPES },
+  probability: { label: 'Probability (0-1)', types: [ 'bpmn:SequenceFlow' ] },
+  interval: { label: 'Interval (min)', types: [ 'bpmn:StartEvent' ] },
+};
+
+/**
+ * Prefix the metrics namespace is declared with
+ *
+ * @param {Object} [definitions] - bpmn:Definitions of the diagram
+ * @returns {string|null} Null if the namespace is not declared
+ */
+function findMetricsPrefix(definitions) {
+  const declaration = Object.keys(definitions?.$attrs || {}).find(
+    (name) => name.startsWith('xmlns:') && definitions.$attrs[name] === METRICS_NS
+  );
+
+  return declaration ? declaration.slice('xmlns:'.length) : null;
+}
+
+/**
+ * Prefix of the metrics namespace, declaring it on the definitions if needed
+ *
+ * @param {Object} definitions - bpmn:Definitions of the diagram
+ */
+export function getMetricsPrefix(definitions) {
+  const prefix = findMetricsPrefix(definitions);
+
+  if (prefix) {
+    return prefix;
+  }
+
+  definitions.$attrs['xmlns:sim'] = METRICS_NS;
+
+  return 'sim';
+}
+
+/**
+ * Metrics that apply to an element
+ *
+ * @param {Object} element - Diagram element
+ * @returns {Array<string>} Metric names, e.g. [ 'duration', 'cost', 'resources' ]
+ */
+export function getMetricNames(element) {
+  return Object.keys(METRIC_TYPES).filter((name) => METRIC_TYPES[name].types.some((type) => is(element, type)));
+}
+
+/**
+ * Metric values of an element
+ *
+ * @param {Object} element - Diagram element
+ * @param {Object} definitions - bpmn:Definitions of the diagram
+ * @returns {Object} Values by metric name, empty strings for metrics that are not set
+ */
+export function getMetrics(element, definitions) {
+  const prefix = findMetricsPrefix(definitions);
+
+  return Object.fromEntries(getMetricNames(element).map((name) => [
+    name,
+    (prefix && element.businessObject.$attrs[`${prefix}:${name}`]) || ''
+  ]));
+}
@@ -0,0 +1,575 @@
+/**
+ * bpmn-js module that applies the changes of other editors
+ *
+ * The collaboration server sends every change as the resulting diagram
+ * (see collaboration.js). Importing it would clear the undo history, so the
+ * difference to the diagram on the canvas is applied through the modeling
+ * API instead, inside a single command: removed and added elements,
+ * reconnected flows, moved and resized shapes, new waypoints, changed
+ * properties and label positions. Each remote change is one step on the
+ * command stack, and undoing it reverts exactly that change.
+ *
+ * Changes the modeling API cannot reproduce (new pools or lanes, collapsed
+ * sub-processes, a different root element) are left to the caller, which
+ * imports the diagram instead.
+ */
+
+import { is } from 'bpmn-js/lib/util/ModelUtil';
+
+export const APPLY_REMOTE_CHANGE_COMMAND = 'collaboration.applyRemoteChange';
+
+// DI properties kept in sync by moving and resizing elements
+const GEOMETRY_PROPERTIES = [ 'bounds', 'waypoint' ];
+
+/**
+ * Command handler executing the difference as nested modeling commands
+ */
+function ApplyRemoteChangeHandler(bpmnjs, modeling, elementFactory, elementRegistry, bpmnFactory, moddle, canvas) {
+  this._bpmnjs = bpmnjs;
+  this._modeling = modeling;
+  this._elementFactory = elementFactory;
+  this._elementRegistry = elementRegistry;
+  this._bpmnFactory = bpmnFactory;
+  this._moddle = moddle;
+  this._canvas = canvas;
+}
+
+ApplyRemoteChangeHandler.$inject = [
+  'bpmnjs',
+  'modeling',
+  'elementFactory',
+  'elementRegistry',
+  'bpmnFactory',
+  'moddle',
+  'canvas'
+];
+
+ApplyRemoteChangeHandler.prototype.preExecute = function(context) {
+  const remoteElements = getDiagramElements(context.definitions);
+
+  this._removeElements(remoteElements);
+  this._addShapes(remoteElements);
+  this._addConnections(remoteElements);
+  this._reconnect(remoteElements);
+  this._updateBounds(remoteElements);
+  this._updateWaypoints(remoteElements);
+  this._updateProperties(context.definitions);
+  this._updateLabels(remoteElements);
+};
+
+/**
+ * Remove the elements the other editor deleted or replaced. Connections go
+ * first, so removing a shape does not reconnect its flows.
+ */
+ApplyRemoteChangeHandler.prototype._removeElements = function(remoteElements) {
+  const removed = this._elementRegistry.filter(element => {
+    const remote = remoteElements.get(element.id);
+
+    return element !== this._canvas.getRootElement() &&
+      element.type !== 'label' &&
+      isReplaced(element, remote);
+  });
+
+  if (removed.length) {
+    this._modeling.removeElements([
+      ...removed.filter(element => element.waypoints),
+      ...removed.filter(element => !element.waypoints)
+    ]);
+  }
+};
+
+/**
+ * Create the missing shapes, containers before their content and hosts
+ * before their boundary events. Properties are copied later, the new
+ * business objects only get the ID and type of the remote ones.
+ */
+ApplyRemoteChangeHandler.prototype._addShapes = function(remoteElements) {
+  const added = [ ...remoteElements.values() ].filter(({ businessObject, di }) => {
+    return is(di, 'bpmndi:BPMNShape') && !this._elementRegistry.get(businessObject.id);
+  });
+
+  sortTopDown(added, remoteElements).forEach(({ businessObject, di }) => {
+    const { x, y, width, height } = di.bounds;
+    const newBusinessObject = this._bpmnFactory.create(businessObject.$type, { id: businessObject.id });
+    const shape = this._elementFactory.createShape({
+      type: businessObject.$type,
+      businessObject: newBusinessObject,
+      di: this._bpmnFactory.createDiShape(newBusinessObject, { id: di.id }),
+      isExpanded: di.isExpanded,
+      width,
+      height
+    });
+
+    if (is(businessObject, 'bpmn:BoundaryEvent')) {
+      this._modeling.createShape(shape, { x, y, width, height }, this._get(businessObject.attachedToRef.id), { attach: true });
+    } else {
+      this._modeling.createShape(shape, { x, y, width, height }, this._get(getContainerId(businessObject)));
+    }
+  });
+};
+
+/**
+ * Create the missing connections with their remote waypoints
+ */
+ApplyRemoteChangeHandler.prototype._addConnections = function(remoteElements) {
+  remoteElements.forEach(({ businessObject, di }) => {
+    if (!is(di, 'bpmndi:BPMNEdge') || this._elementRegistry.get(businessObject.id)) {
+      return;
+    }
+
+    const [ sourceRef, targetRef ] = getEnds(businessObject);
+    const source = this._get(sourceRef.id);
+    const newBusinessObject = this._bpmnFactory.create(businessObject.$type, { id: businessObject.id });
+
+    this._modeling.createConnection(source, this._get(targetRef.id), {
+      type: businessObject.$type,
+      businessObject: newBusinessObject,
+      di: this._bpmnFactory.createDiEdge(newBusinessObject, { id: di.id }),
+      waypoints: getWaypoints(di)
+    }, source.host ? source.host.parent : source.parent);
+  });
+};
+
+/**
+ * Connect existing connections to their new source and target
+ */
+ApplyRemoteChangeHandler.prototype._reconnect = function(remoteElements) {
+  remoteElements.forEach(({ businessObject, di }) => {
+    if (!is(di, 'bpmndi:BPMNEdge')) {
+      return;
+    }
+
+    const connection = this._get(businessObject.id);
+    const [ sourceRef, targetRef ] = getEnds(businessObject);
+
+    if (connection.source.id !== sourceRef.id || connection.target.id !== targetRef.id) {
+      this._modeling.reconnect(connection, this._get(sourceRef.id), this._get(targetRef.id), getWaypoints(di));
+    }
+  });
+};
+
+/**
+ * Move and resize the shapes, containers first because moving them moves
+ * their content too. Shapes moved into another container change parent.
+ */
+ApplyRemoteChangeHandler.prototype._updateBounds = function(remoteElements) {
+  const shapes = [ ...remoteElements.values() ].filter(({ di }) => is(di, 'bpmndi:BPMNShape'));
+
+  sortTopDown(shapes, remoteElements).forEach(({ businessObject, di }) => {
+    const shape = this._get(businessObject.id);
+    const { x, y, width, height } = di.bounds;
+    const containerId = is(businessObject, 'bpmn:BoundaryEvent') ? null : getContainerId(businessObject);
+    const parent = containerId && containerId !== shape.parent.id ? this._get(containerId) : null;
+
+    if (shape.width !== width || shape.height !== height) {
+      this._modeling.resizeShape(shape, { x, y, width, height });
+    }
+
+    if (parent || shape.x !== x || shape.y !== y) {
+      this._modeling.moveShape(shape, { x: x - shape.x, y: y - shape.y }, parent);
+    }
+  });
+};
+
+ApplyRemoteChangeHandler.prototype._updateWaypoints = function(remoteElements) {
+  remoteElements.forEach(({ businessObject, di }) => {
+    if (!is(di, 'bpmndi:BPMNEdge')) {
+      return;
+    }
+
+    const connection = this._get(businessObject.id);
+    const waypoints = getWaypoints(di);
+
+    if (!isSameWaypoints(connection.waypoints, waypoints)) {
+      this._modeling.updateWaypoints(connection, waypoints);
+    }
+  });
+};
+
+/**
+ * Move and resize the external labels of the elements
+ */
+ApplyRemoteChangeHandler.prototype._updateLabels = function(remoteElements) {
+  remoteElements.forEach(({ businessObject, di }) => {
+    const element = this._get(businessObject.id);
+    const { label } = element;
+    const bounds = di.label?.bounds;
+
+    // Labels are sized to their text on import, compare what is saved
+    if (!label || !bounds || isSameBounds(element.di.label?.bounds, bounds)) {
+      return;
+    }
+
+    if (label.width !== bounds.width || label.height !== bounds.height) {
+      this._modeling.resizeShape(label, { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height });
+    } else {
+      this._modeling.moveShape(label, { x: bounds.x - label.x, y: bounds.y - label.y });
+    }
+  });
+};
+
+/**
+ * Copy the properties of the remote definitions onto the local ones.
+ *
+ * Objects with an ID are matched by ID, others by their position within the
+ * parent. Remote objects without a local counterpart (e.g. a new message or
+ * extension element) are taken over, with their references pointing to the
+ * local objects.
+ */
+ApplyRemoteChangeHandler.prototype._updateProperties = function(remoteDefinitions) {
+  const localDefinitions = this._bpmnjs.getDefinitions();
+  const localById = new Map();
+  const owners = new Map();
+
+  collectObjects(localDefinitions, object => localById.set(object.id, object));
+
+  this._elementRegistry.forEach(element => {
+    if (element.type !== 'label') {
+      owners.set(element.businessObject, element);
+      owners.set(element.di, element);
+    }
+  });
+
+  const counterpart = remoteObject => {
+    const local = remoteObject.id && localById.get(remoteObject.id);
+
+    return local && local.$type === remoteObject.$type ? local : remoteObject;
+  };
+
+  const sync = (local, remote, owner) => {
+    const adopted = local === remote;
+    const updates = {};
+
+    owner = owners.get(local) || owner;
+
+    getProperties(remote).forEach(property => {
+      const name = property.name;
+      const localValue = local[name];
+      const remoteValue = remote[name];
+
+      if (property.isReference) {
+        const value = property.isMany ? remoteValue?.map(counterpart) : remoteValue && counterpart(remoteValue);
+
+        if (!isSameValue(localValue, value)) {
+          updates[name] = value;
+        }
+      } else if (property.isMany ? remoteValue?.some(isModdleObject) : isModdleObject(remoteValue)) {
+        const children = property.isMany ? remoteValue : [ remoteValue ];
+        const localChildren = property.isMany ? localValue || [] : [ localValue ];
+        const value = children.map((child, index) => {
+          const localChild = child.id ? counterpart(child) : localChildren[index];
+          const matched = localChild && !localChild.id === !child.id && localChild.$type === child.$type ? localChild : child;
+
+          if (matched === child && !adopted) {
+            matched.$parent = local;
+            this._claimIds(matched);
+          }
+
+          sync(matched, child, owner);
+
+          return matched;
+        });
+
+        if (!isSameValue(localValue, property.isMany ? value : value[0])) {
+          updates[name] = property.isMany ? value : value[0];
+        }
+      } else if (!isSameValue(localValue, remoteValue)) {
+        updates[name] = Array.isArray(remoteValue) ? [ ...remoteValue ] : remoteValue;
+      }
+    });
+
+    new Set([ ...Object.keys(local.$attrs), ...Object.keys(remote.$attrs) ]).forEach(name => {
+      if (local.$attrs[name] !== remote.$attrs[name]) {
+        updates[name] = remote.$attrs[name];
+      }
+    });
+
+    if (!Object.keys(updates).length) {
+      return;
+    }
+
+    if (adopted) {
+      Object.entries(updates).forEach(([ name, value ]) => local.set(name, value));
+    } else if ('name' in updates && owner.businessObject === local) {
+      const { name, ...rest } = updates;
+
+      this._modeling.updateProperties(owner, { name });
+
+      if (Object.keys(rest).length) {
+        this._modeling.updateModdleProperties(owner, local, rest);
+      }
+    } else {
+      this._modeling.updateModdleProperties(owner, local, updates);
+    }
+  };
+
+  sync(localDefinitions, remoteDefinitions, this._canvas.getRootElement());
+};
+
+/**
+ * Register a taken over object and its children with the ID generator
+ */
+ApplyRemoteChangeHandler.prototype._claimIds = function(object) {
+  collectObjects(object, child => {
+    if (!this._moddle.ids.assigned(child.id)) {
+      this._moddle.ids.claim(child.id, child);
+    }
+  });
+};
+
+ApplyRemoteChangeHandler.prototype._get = function(id) {
+  const element = this._elementRegistry.get(id);
+
+  if (!element) {
+    throw new Error(`unknown element <${id}>`);
+  }
+
+  return element;
+};
+
+/**
+ * Elements shown in the diagram by ID, with their business object and DI
+ *
+ * @param {Object} definitions - bpmn:Definitions
+ * @returns {Map<string, Object>} { businessObject, di } by ID
+ */
+function getDiagramElements(definitions) {
+  const { plane } = definitions.diagrams[0];
+
+  return new Map(plane.get('planeElement').map(di => [ di.bpmnElement.id, { businessObject: di.bpmnElement, di } ]));
+}
+
+/**
+ * Whether a local element has to be created anew for the remote one: it was
+ * deleted, or replaced by an element of another type or with new DI
+ *
+ * @param {Object} element - Local diagram element
+ * @param {Object} [remote] - { businessObject, di } of the remote element
+ */
+function isReplaced(element, remote) {
+  return !remote || remote.businessObject.$type !== element.type || remote.di.id !== element.di.id;
+}
+
+/**
+ * ID of the diagram element that contains the shape or connection of a
+ * business object: its sub-process, the pool of its process, the parent
+ * lane, or the root. Shapes in lanes belong to the pool, like in bpmn-js.
+ */
+function getContainerId(businessObject) {
+  if (is(businessObject, 'bpmn:DataAssociation')) {
+    return getContainerId(businessObject.$parent);
+  }
+
+  const parent = businessObject.$parent;
+
+  if (is(parent, 'bpmn:LaneSet')) {
+    return getContainerId(parent);
+  }
+
+  if (is(parent, 'bpmn:Process')) {
+    const definitions = parent.$parent;
+    const participant = definitions.get('rootElements')
+      .filter(rootElement => is(rootElement, 'bpmn:Collaboration'))
+      .flatMap(collaboration => collaboration.get('participants'))
+      .find(candidate => candidate.processRef === parent);
+
+    return participant ? participant.id : parent.id;
+  }
+
+  return parent.id;
+}
+
+/**
+ * Source and target business objects of a connection
+ */
+function getEnds(businessObject) {
+  if (is(businessObject, 'bpmn:DataInputAssociation')) {
+    return [ businessObject.get('sourceRef')[0], businessObject.$parent ];
+  }
+
+  if (is(businessObject, 'bpmn:DataOutputAssociation')) {
+    return [ businessObject.$parent, businessObject.targetRef ];
+  }
+
+  return [ businessObject.sourceRef, businessObject.targetRef ];
+}
+
+function getWaypoints(di) {
+  return di.get('waypoint').map(({ x, y }) => ({ x, y }));
+}
+
+function isSameBounds(a, b) {
+  return Boolean(a) && a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
+
+function isSameWaypoints(a, b) {
+  return a.length === b.length && a.every((point, index) => point.x === b[index].x && point.y === b[index].y);
+}
+
+/**
+ * Sort shapes so containers come before their content and hosts before
+ * their boundary events
+ *
+ * @param {Array} entries - { businessObject, di } of the shapes
+ * @param {Map} remoteElements - Result of getDiagramElements
+ */
+function sortTopDown(entries, remoteElements) {
+  const depth = ({ businessObject }) => {
+    if (is(businessObject, 'bpmn:BoundaryEvent')) {
+      return depth(remoteElements.get(businessObject.attachedToRef.id)) + 1;
+    }
+
+    const container = remoteElements.get(getContainerId(businessObject));
+
+    return container ? depth(container) + 1 : 0;
+  };
+
+  return entries
+    .map(entry => ({ entry, depth: depth(entry) }))
+    .sort((a, b) => a.depth - b.depth)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Properties of a moddle object that are copied from the remote object
+ */
+function getProperties(object) {
+  const isDiagramElement = is(object, 'bpmndi:BPMNShape') || is(object, 'bpmndi:BPMNEdge');
+
+  return object.$descriptor.properties.filter(property => {
+    return !property.isVirtual && !(isDiagramElement && GEOMETRY_PROPERTIES.includes(property.name));
+  });
+}
+
+/**
+ * Call a function for an object and all contained objects with an ID
+ */
+function collectObjects(object, callback) {
+  if (object.id) {
+    callback(object);
+  }
+
+  getProperties(object).forEach(property => {
+    if (property.isReference) {
+      return;
+    }
+
+    const value = object[property.name];
+
+    (property.isMany ? value || [] : [ value ]).filter(isModdleObject).forEach(child => collectObjects(child, callback));
+  });
+}
+
+function isModdleObject(value) {
+  return Boolean(value && value.$type);
+}
+
+function isSameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (a || []).length === (b || []).length && (a || []).every((value, index) => value === b[index]);
+  }
+
+  return a === b;
+}
+
+/**
+ * Check that the modeling API can reproduce the remote diagram, before
+ * anything is executed. The command stack does not roll back nested
+ * commands of a failed command, so problems must be caught up front.
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {Object} definitions - Remote bpmn:Definitions
+ * @returns {boolean} Whether applyRemoteDiagram can apply it
+ */
+function canApply(modeler, definitions) {
+  const elementRegistry = modeler.get('elementRegistry');
+  const root = modeler.get('canvas').getRootElement();
+  const diagrams = definitions.get('diagrams');
+
+  if (diagrams.length !== 1 || modeler.getDefinitions().get('diagrams').length !== 1) {
+    return false;
+  }
+
+  const plane = diagrams[0].plane;
+
+  if (!plane?.bpmnElement || plane.bpmnElement.id !== root.id || plane.bpmnElement.$type !== root.type) {
+    return false;
+  }
+
+  const planeElements = plane.get('planeElement');
+
+  if (planeElements.some(di => !di.bpmnElement || (is(di, 'bpmndi:BPMNShape') && !di.bounds))) {
+    return false;
+  }
+
+  const remoteIds = new Set(planeElements.map(di => di.bpmnElement.id));
+
+  return planeElements.every(di => {
+    const businessObject = di.bpmnElement;
+    const element = elementRegistry.get(businessObject.id);
+    const isNew = !element || isReplaced(element, { businessObject, di });
+
+    if (isNew && (is(businessObject, 'bpmn:Participant') || is(businessObject, 'bpmn:Lane'))) {
+      return false;
+    }
+
+    if (!isNew && is(businessObject, 'bpmn:SubProcess') && Boolean(element.di.isExpanded) !== Boolean(di.isExpanded)) {
+      return false;
+    }
+
+    if (is(businessObject, 'bpmn:BoundaryEvent') && !remoteIds.has(businessObject.attachedToRef?.id)) {
+      return false;
+    }
+
+    if (is(di, 'bpmndi:BPMNEdge')) {
+      return getEnds(businessObject).every(end => end && remoteIds.has(end.id));
+    }
+
+    return is(businessObject, 'bpmn:BoundaryEvent') ||
+      is(businessObject, 'bpmn:Lane') ||
+      getContainerId(businessObject) === root.id ||
+      remoteIds.has(getContainerId(businessObject));
+  });
+}
+
+/**
+ * Registers the command handler with the command stack
+ */
+function RemoteChanges(commandStack) {
+  commandStack.registerHandler(APPLY_REMOTE_CHANGE_COMMAND, ApplyRemoteChangeHandler);
+}
+
+RemoteChanges.$inject = [ 'commandStack' ];
+
+/**
+ * Apply the diagram of another editor as a single undoable command
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {string} xml - Diagram XML received from the collaboration server
+ * @returns {Promise<boolean>} Whether the canvas now shows the diagram; if
+ *   not, the caller has to import it
+ */
+export async function applyRemoteDiagram(modeler, xml) {
+  const moddle = modeler.get('moddle');
+  const { rootElement: definitions } = await moddle.fromXML(xml, 'bpmn:Definitions');
+  const { xml: expected } = await moddle.toXML(definitions, { format: true });
+
+  if ((await modeler.saveXML({ format: true })).xml === expected) {
+    return true;
+  }
+
+  if (!canApply(modeler, definitions)) {
+    return false;
+  }
+
+  modeler.get('commandStack').execute(APPLY_REMOTE_CHANGE_COMMAND, { definitions });
+
+  return (await modeler.saveXML({ format: true })).xml === expected;
+}
+
+const remoteChangesModule = {
+  __init__: [ 'remoteChanges' ],
+  remoteChanges: [ 'type', RemoteChanges ]
+};
+
+export default remoteChangesModule;
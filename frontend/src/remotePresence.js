@@ -0,0 +1,98 @@
+/**
+ * Selections and cursors of other editors on the canvas
+ *
+ * Drawn into a canvas layer in diagram coordinates, so they follow zooming
+ * and scrolling. Each editor gets the color the collaboration server
+ * assigned to them.
+ */
+
+const PRESENCE_LAYER = 'collab-presence';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Space between an element and the selection frame around it
+const FRAME_PADDING = 4;
+
+function createSVG(tag, attributes) {
+  const node = document.createElementNS(SVG_NS, tag);
+
+  Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+
+  return node;
+}
+
+function drawSelection(layer, element, color) {
+  if (element.waypoints) {
+    layer.appendChild(createSVG('polyline', {
+      points: element.waypoints.map(({ x, y }) => `${x},${y}`).join(' '),
+      class: 'collab-selection',
+      stroke: color,
+    }));
+    return;
+  }
+
+  layer.appendChild(createSVG('rect', {
+    x: element.x - FRAME_PADDING,
+    y: element.y - FRAME_PADDING,
+    width: element.width + 2 * FRAME_PADDING,
+    height: element.height + 2 * FRAME_PADDING,
+    rx: 6,
+    class: 'collab-selection',
+    stroke: color,
+  }));
+}
+
+function drawCursor(layer, { x, y }, color, name) {
+  const cursor = createSVG('g', { class: 'collab-cursor', transform: `translate(${x}, ${y})` });
+
+  cursor.appendChild(createSVG('path', { d: 'M0,0 L0,16 L4,12 L8,20 L11,19 L7,11 L12,11 Z', fill: color }));
+
+  const label = createSVG('text', { x: 14, y: 24, fill: color });
+  label.textContent = name;
+  cursor.appendChild(label);
+
+  layer.appendChild(cursor);
+}
+
+/**
+ * Draw the selections and cursors of remote editors
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {Array} peers - Remote editors ({ user, color, selection, cursor })
+ */
+export function showRemotePresence(modeler, peers) {
+  const canvas = modeler.get('canvas');
+  const elementRegistry = modeler.get('elementRegistry');
+  const layer = canvas.getLayer(PRESENCE_LAYER, 1100);
+
+  while (layer.firstChild) {
+    layer.removeChild(layer.firstChild);
+  }
+
+  peers.forEach(({ user, color, selection = [], cursor }) => {
+    selection
+      .map(id => elementRegistry.get(id))
+      .filter(Boolean)
+      .forEach(element => drawSelection(layer, element, color));
+
+    if (cursor) {
+      drawCursor(layer, cursor, color, user.name);
+    }
+  });
+}
+
+/**
+ * Convert a mouse event on the canvas container to diagram coordinates
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {MouseEvent} event - Mouse event on the canvas container
+ */
+export function toDiagramPoint(modeler, event) {
+  const viewbox = modeler.get('canvas').viewbox();
+  const rect = event.currentTarget.getBoundingClientRect();
+
+  return {
+    x: Math.round(viewbox.x + (event.clientX - rect.left) / viewbox.scale),
+    y: Math.round(viewbox.y + (event.clientY - rect.top) / viewbox.scale),
+  };
+}
@@ -0,0 +1,389 @@
+/**
+ * Token simulation on the canvas
+ *
+ * Walks through the process by moving tokens along sequence flows. The user
+ * picks the branch at exclusive, inclusive and event-based gateways; parallel
+ * gateways and activities with several outgoing flows split into concurrent
+ * tokens and parallel joins wait until a token arrived on every incoming flow.
+ * A simulation that cannot continue while a join is still waiting is reported
+ * as a deadlock.
+ *
+ * The simulation state is a plain object that is replaced on every step, so it
+ * can live in React state. Sub-processes are treated as single activities and
+ * inclusive joins pass every token through.
+ */
+
+const MARKERS = {
+  active: 'sim-active',
+  visited: 'sim-visited',
+  waiting: 'sim-waiting',
+};
+
+const OVERLAY_TYPE = 'simulation';
+
+// Safety limit for automatic stepping, e.g. in loops without decisions
+const MAX_AUTO_STEPS = 200;
+
+function getSequenceFlows(connections) {
+  return (connections || []).filter(connection => connection.type === 'bpmn:SequenceFlow');
+}
+
+function getLabel(element) {
+  const name = element.businessObject?.name;
+  return name ? `"${name}"` : element.id;
+}
+
+function hasEventDefinition(element, type) {
+  return (element.businessObject?.eventDefinitions || []).some(definition => definition.$type === type);
+}
+
+/**
+ * Start a new simulation with a token on every top-level start event
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Object} [previous] - Previous simulation; its coverage is kept
+ * @returns {Object} Simulation state
+ */
+export function startSimulation(elementRegistry, previous) {
+  const startEvents = elementRegistry.filter(element =>
+    element.type === 'bpmn:StartEvent' &&
+    element.parent?.type !== 'bpmn:SubProcess'
+  );
+
+  const state = {
+    tokens: [],
+    arrivals: {},
+    log: [],
+    coverage: previous ? [...previous.coverage] : [],
+    nextTokenId: 1,
+  };
+
+  return settle(elementRegistry, startEvents.reduce((current, startEvent) => createToken(current, startEvent.id, null), state));
+}
+
+/**
+ * Put a new token on an element
+ *
+ * @param {Object} state - Simulation state
+ * @param {string} elementId - Element the token arrives at
+ * @param {string|null} flowId - Sequence flow the token arrived through
+ */
+function createToken(state, elementId, flowId) {
+  const token = { id: state.nextTokenId, elementId };
+
+  return {
+    ...state,
+    tokens: [...state.tokens, token],
+    nextTokenId: state.nextTokenId + 1,
+    log: [...state.log, { tokenId: token.id, elementId, flowId }],
+    coverage: addCoverage(state.coverage, [elementId, flowId]),
+  };
+}
+
+function addCoverage(coverage, ids) {
+  const additions = ids.filter(id => id && !coverage.includes(id));
+  return additions.length ? [...coverage, ...additions] : coverage;
+}
+
+/**
+ * Move a token along a sequence flow to its target
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Object} state - Simulation state without the moving token
+ * @param {Object} flow - Sequence flow to take
+ */
+function arrive(elementRegistry, state, flow) {
+  const target = flow.target;
+  const incoming = getSequenceFlows(target.incoming);
+
+  // Parallel joins wait for a token on every incoming flow
+  if (target.type === 'bpmn:ParallelGateway' && incoming.length > 1) {
+    const arrivals = [...(state.arrivals[target.id] || []), flow.id];
+    const complete = incoming.every(incomingFlow => arrivals.includes(incomingFlow.id));
+    const waitingState = {
+      ...state,
+      arrivals: { ...state.arrivals, [target.id]: arrivals },
+      coverage: addCoverage(state.coverage, [flow.id, target.id]),
+    };
+
+    if (!complete) {
+      return waitingState;
+    }
+
+    // Consume one arrival per incoming flow
+    const remaining = [...arrivals];
+    incoming.forEach(incomingFlow => remaining.splice(remaining.indexOf(incomingFlow.id), 1));
+
+    return createToken({ ...waitingState, arrivals: { ...state.arrivals, [target.id]: remaining } }, target.id, flow.id);
+  }
+
+  return createToken(state, target.id, flow.id);
+}
+
+/**
+ * Handle tokens that reached an element where they are consumed
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Object} state - Simulation state
+ */
+function settle(elementRegistry, state) {
+  let current = state;
+
+  current.tokens.forEach(token => {
+    const element = elementRegistry.get(token.elementId);
+
+    if (!element) {
+      current = { ...current, tokens: current.tokens.filter(other => other !== token) };
+      return;
+    }
+
+    // A terminate end event stops the whole process
+    if (element.type === 'bpmn:EndEvent' && hasEventDefinition(element, 'bpmn:TerminateEventDefinition')) {
+      current = { ...current, tokens: [], arrivals: {} };
+      return;
+    }
+
+    // Link throw events continue at the catch event with the same name
+    if (element.type === 'bpmn:IntermediateThrowEvent' && hasEventDefinition(element, 'bpmn:LinkEventDefinition')) {
+      const linkName = element.businessObject.eventDefinitions[0].name;
+      const catchEvent = elementRegistry.find(other =>
+        other.type === 'bpmn:IntermediateCatchEvent' &&
+        hasEventDefinition(other, 'bpmn:LinkEventDefinition') &&
+        other.businessObject.eventDefinitions[0].name === linkName
+      );
+
+      current = { ...current, tokens: current.tokens.filter(other => other !== token) };
+      if (catchEvent) {
+        current = createToken(current, catchEvent.id, null);
+      }
+      return;
+    }
+
+    // End events and elements without outgoing flows consume the token
+    if (!getSequenceFlows(element.outgoing).length) {
+      current = { ...current, tokens: current.tokens.filter(other => other !== token) };
+    }
+  });
+
+  // Tokens created by link events may need settling too
+  return current === state ? state : settle(elementRegistry, current);
+}
+
+/**
+ * List the actions that are possible in the current state
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Object} state - Simulation state
+ * @returns {Array} Actions ({ type, tokenId, flowIds | boundaryId, label, choice })
+ */
+export function getActions(elementRegistry, state) {
+  return state.tokens.flatMap(token => {
+    const element = elementRegistry.get(token.elementId);
+
+    if (!element) {
+      return [];
+    }
+
+    const outgoing = getSequenceFlows(element.outgoing);
+    const actions = [];
+    const isChoice = ['bpmn:ExclusiveGateway', 'bpmn:EventBasedGateway', 'bpmn:InclusiveGateway'].includes(element.type) &&
+      outgoing.length > 1;
+
+    if (isChoice) {
+      outgoing.forEach(flow => actions.push({
+        type: 'take',
+        tokenId: token.id,
+        flowIds: [flow.id],
+        label: `${getLabel(element)}: take ${flow.businessObject.name ? `"${flow.businessObject.name}"` : `the flow to ${getLabel(flow.target)}`}`,
+        choice: true,
+      }));
+
+      if (element.type === 'bpmn:InclusiveGateway') {
+        actions.push({ type: 'take', tokenId: token.id, flowIds: outgoing.map(flow => flow.id), label: `${getLabel(element)}: take all branches`, choice: true });
+      }
+    } else if (outgoing.length) {
+      actions.push({ type: 'take', tokenId: token.id, flowIds: outgoing.map(flow => flow.id), label: `Continue from ${getLabel(element)}`, choice: false });
+    }
+
+    (element.attachers || [])
+      .filter(attacher => attacher.type === 'bpmn:BoundaryEvent')
+      .forEach(boundaryEvent => actions.push({
+        type: 'boundary',
+        tokenId: token.id,
+        boundaryId: boundaryEvent.id,
+        label: `Trigger boundary event ${getLabel(boundaryEvent)} on ${getLabel(element)}`,
+        choice: true,
+      }));
+
+    return actions;
+  });
+}
+
+/**
+ * Apply an action and return the next state
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Object} state - Simulation state
+ * @param {Object} action - One of getActions
+ */
+export function applyAction(elementRegistry, state, action) {
+  const token = state.tokens.find(candidate => candidate.id === action.tokenId);
+
+  if (!token) {
+    return state;
+  }
+
+  if (action.type === 'boundary') {
+    const boundaryEvent = elementRegistry.get(action.boundaryId);
+    const interrupting = boundaryEvent.businessObject.cancelActivity !== false;
+    const base = interrupting ? { ...state, tokens: state.tokens.filter(other => other !== token) } : state;
+
+    return settle(elementRegistry, createToken(base, boundaryEvent.id, null));
+  }
+
+  let next = { ...state, tokens: state.tokens.filter(other => other !== token) };
+
+  action.flowIds
+    .map(flowId => elementRegistry.get(flowId))
+    .filter(Boolean)
+    .forEach(flow => {
+      next = arrive(elementRegistry, next, flow);
+    });
+
+  return settle(elementRegistry, next);
+}
+
+/**
+ * Advance all tokens that do not need a decision until a decision is
+ * needed, a join waits or the process completes
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Object} state - Simulation state
+ */
+export function runToDecision(elementRegistry, state) {
+  let current = state;
+
+  for (let step = 0; step < MAX_AUTO_STEPS; step++) {
+    const action = getActions(elementRegistry, current).find(candidate => !candidate.choice);
+
+    if (!action) {
+      break;
+    }
+
+    current = applyAction(elementRegistry, current, action);
+  }
+
+  return current;
+}
+
+/**
+ * Describe the outcome of the simulation so far
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Object} state - Simulation state
+ * @returns {{ status: string, waiting: Array, unvisited: Array }}
+ *   status is 'running', 'completed' or 'deadlock'; waiting lists joins that
+ *   still wait for tokens, unvisited the flow nodes never reached in this session
+ */
+export function getSimulationStatus(elementRegistry, state) {
+  const waiting = Object.entries(state.arrivals)
+    .filter(([, arrivals]) => arrivals.length)
+    .map(([joinId, arrivals]) => {
+      const join = elementRegistry.get(joinId);
+      const missing = join
+        ? getSequenceFlows(join.incoming).filter(flow => !arrivals.includes(flow.id)).map(flow => flow.id)
+        : [];
+
+      return { joinId, label: join ? getLabel(join) : joinId, missing };
+    });
+
+  const actions = getActions(elementRegistry, state);
+
+  let status = 'running';
+  if (!actions.length) {
+    status = waiting.length ? 'deadlock' : 'completed';
+  }
+
+  const unvisited = elementRegistry
+    .filter(element => element.businessObject?.$instanceOf?.('bpmn:FlowNode') &&
+      element.type !== 'label' &&
+      element.parent?.type !== 'bpmn:SubProcess' &&
+      !state.coverage.includes(element.id))
+    .map(element => ({ id: element.id, label: getLabel(element) }));
+
+  return { status, waiting, unvisited };
+}
+
+/**
+ * Describe the path of all tokens in visiting order, for the assistant
+ *
+ * @param {Object} elementRegistry - bpmn-js element registry
+ * @param {Object} state - Simulation state
+ * @returns {Array} Steps ({ tokenId, elementId, elementType, name, flowId, flowName })
+ */
+export function getSimulationPath(elementRegistry, state) {
+  return state.log.map(({ tokenId, elementId, flowId }) => {
+    const element = elementRegistry.get(elementId);
+    const flow = flowId && elementRegistry.get(flowId);
+
+    return {
+      tokenId,
+      elementId,
+      elementType: element?.type,
+      name: element?.businessObject?.name || '',
+      flowId,
+      flowName: flow?.businessObject?.name || '',
+    };
+  });
+}
+
+/**
+ * Remove all simulation markers and overlays
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ */
+export function clearSimulation(modeler) {
+  const canvas = modeler.get('canvas');
+
+  modeler.get('overlays').remove({ type: OVERLAY_TYPE });
+  modeler.get('elementRegistry').forEach(element => {
+    Object.values(MARKERS).forEach(marker => canvas.removeMarker(element, marker));
+  });
+}
+
+/**
+ * Show tokens, visited elements and waiting joins on the canvas
+ *
+ * @param {Object} modeler - bpmn-js Modeler instance
+ * @param {Object} state - Simulation state
+ */
+export function showSimulation(modeler, state) {
+  const canvas = modeler.get('canvas');
+  const overlays = modeler.get('overlays');
+  const elementRegistry = modeler.get('elementRegistry');
+
+  clearSimulation(modeler);
+
+  const visited = new Set(state.log.flatMap(({ elementId, flowId }) => [elementId, flowId]).filter(Boolean));
+  visited.forEach(id => elementRegistry.get(id) && canvas.addMarker(id, MARKERS.visited));
+
+  Object.entries(state.arrivals)
+    .filter(([joinId, arrivals]) => arrivals.length && elementRegistry.get(joinId))
+    .forEach(([joinId]) => canvas.addMarker(joinId, MARKERS.waiting));
+
+  const counts = new Map();
+  state.tokens.forEach(token => counts.set(token.elementId, (counts.get(token.elementId) || 0) + 1));
+
+  counts.forEach((count, elementId) => {
+    if (!elementRegistry.get(elementId)) {
+      return;
+    }
+
+    canvas.addMarker(elementId, MARKERS.active);
+
+    const badge = document.createElement('div');
+    badge.className = 'sim-token';
+    badge.textContent = count;
+    overlays.add(elementId, OVERLAY_TYPE, { position: { bottom: 10, left: -10 }, html: badge });
+  });
+}